@@ -18,10 +18,12 @@ import Plants from './pages/Plants';
 import PlantDetail from './pages/PlantDetail';
 import PlantForm from './pages/PlantForm';
 import PlantMap from './pages/PlantMap';
+import InverterComparison from './pages/InverterComparison';
 import Devices from './pages/Devices';
 import DeviceDetail from './pages/DeviceDetail';
 import DeviceForm from './pages/DeviceForm';
 import Alarms from './pages/Alarms';
+import AlarmDetail from './pages/AlarmDetail';
 import Users from './pages/Users';
 import UserDetail from './pages/UserDetail';
 import UserForm from './pages/UserForm';
@@ -62,6 +64,7 @@ function App() {
               <Route path="plants/new" element={<PlantForm />} />
               <Route path="plants/:id" element={<PlantDetail />} />
               <Route path="plants/:id/edit" element={<PlantForm />} />
+              <Route path="plants/:id/compare" element={<InverterComparison />} />
 
               {/* Device Management Routes */}
               <Route path="devices" element={<Devices />} />
@@ -71,6 +74,7 @@ function App() {
 
               {/* Alarm Management Routes */}
               <Route path="alarms" element={<Alarms />} />
+              <Route path="alarms/:id" element={<AlarmDetail />} />
 
               {/* Masters Route - Unified master data management */}
               <Route path="masters" element={<Masters />} />
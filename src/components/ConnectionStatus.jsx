@@ -0,0 +1,68 @@
+/**
+ * Connection Status Component
+ * App bar indicator for the real-time socket connection
+ */
+
+import { useDispatch, useSelector } from 'react-redux';
+import { Chip, Tooltip } from '@mui/material';
+import {
+  FiberManualRecord as LiveIcon,
+  Sync as ReconnectingIcon,
+  CloudOff as OfflineIcon,
+} from '@mui/icons-material';
+import {
+  reconnectRealtime,
+  selectRealtimeStatus,
+  selectRealtimeReconnectAttempt,
+  selectRealtimeLastError,
+  selectRealtimeLastMessageAt,
+} from '../store/slices/realtimeSlice';
+
+const STATUS_CONFIG = {
+  connected: { label: 'Live', color: 'success', icon: <LiveIcon /> },
+  connecting: { label: 'Connecting', color: 'warning', icon: <ReconnectingIcon /> },
+  reconnecting: { label: 'Reconnecting', color: 'warning', icon: <ReconnectingIcon /> },
+  error: { label: 'Offline', color: 'error', icon: <OfflineIcon /> },
+  disconnected: { label: 'Offline', color: 'default', icon: <OfflineIcon /> },
+  disabled: { label: 'Live updates off', color: 'default', icon: <OfflineIcon /> },
+};
+
+const ConnectionStatus = () => {
+  const dispatch = useDispatch();
+  const status = useSelector(selectRealtimeStatus);
+  const attempt = useSelector(selectRealtimeReconnectAttempt);
+  const lastError = useSelector(selectRealtimeLastError);
+  const lastMessageAt = useSelector(selectRealtimeLastMessageAt);
+
+  const config = STATUS_CONFIG[status] || STATUS_CONFIG.disconnected;
+  const canReconnect = status === 'error' || status === 'disconnected' || status === 'reconnecting';
+
+  const tooltip = [
+    status === 'reconnecting' && attempt ? `Reconnect attempt ${attempt}` : null,
+    lastError ? `Last error: ${lastError}` : null,
+    lastMessageAt ? `Last update: ${new Date(lastMessageAt).toLocaleTimeString()}` : 'No live data received yet',
+    canReconnect ? 'Click to reconnect now' : null,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+
+  return (
+    <Tooltip title={tooltip}>
+      <Chip
+        icon={config.icon}
+        label={config.label}
+        color={config.color}
+        size="small"
+        variant={status === 'connected' ? 'filled' : 'outlined'}
+        onClick={canReconnect ? () => dispatch(reconnectRealtime()) : undefined}
+        sx={{
+          color: status === 'connected' ? undefined : 'inherit',
+          borderColor: status === 'connected' ? undefined : 'currentColor',
+          '& .MuiChip-icon': { color: 'inherit', fontSize: 16 },
+        }}
+      />
+    </Tooltip>
+  );
+};
+
+export default ConnectionStatus;
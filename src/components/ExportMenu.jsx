@@ -0,0 +1,132 @@
+/**
+ * Export Menu Component
+ * Export button for tables and charts: CSV, XLSX, copy as TSV and, for charts, PNG/SVG
+ */
+
+import React, { useState } from 'react';
+import {
+  IconButton,
+  Tooltip,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+  Snackbar,
+  CircularProgress,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  FileDownload as ExportIcon,
+  Description as CsvIcon,
+  TableChart as XlsxIcon,
+  ContentCopy as CopyIcon,
+  Image as ImageIcon,
+} from '@mui/icons-material';
+import { EXPORT_FORMATS, exportRows, copyRowsAsTsv, exportChartImage } from '../utils/export';
+
+/**
+ * @param {Object} props
+ * @param {string} props.name - Base name for exported files (e.g. "Plants")
+ * @param {Array<Object>} props.columns - { key, header, value?: (row) => any }
+ * @param {Array<Object>} props.rows - Rows to export
+ * @param {Function} props.getRows - Async alternative to rows, for server-paginated tables
+ *   where the export should cover every row matching the filters
+ * @param {Object} props.chartRef - Ref to an element containing a Recharts chart (enables PNG/SVG)
+ * @param {boolean} props.disabled - Disable the button
+ */
+const ExportMenu = ({ name, columns, rows = [], getRows, chartRef, disabled = false }) => {
+  const theme = useTheme();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const run = async (action, successMessage) => {
+    setAnchorEl(null);
+    setBusy(true);
+    try {
+      await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      setMessage(err.response?.data?.message || err.message || 'Export failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadRows = async () => (getRows ? getRows() : rows);
+
+  const handleExportRows = (format) =>
+    run(async () => exportRows(format, await loadRows(), columns, name));
+
+  const handleCopy = () =>
+    run(async () => {
+      const data = await loadRows();
+      await copyRowsAsTsv(data, columns);
+    }, 'Copied to clipboard');
+
+  const handleExportChart = (format) =>
+    run(() => exportChartImage(format, chartRef.current, name, theme.palette.background.paper));
+
+  return (
+    <>
+      <Tooltip title="Export">
+        <span>
+          <IconButton
+            size="small"
+            onClick={(e) => setAnchorEl(e.currentTarget)}
+            disabled={disabled || busy}
+            aria-label="Export"
+          >
+            {busy ? <CircularProgress size={20} /> : <ExportIcon fontSize="small" />}
+          </IconButton>
+        </span>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <MenuItem onClick={() => handleExportRows('CSV')}>
+          <ListItemIcon>
+            <CsvIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>{EXPORT_FORMATS.CSV.label}</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={() => handleExportRows('XLSX')}>
+          <ListItemIcon>
+            <XlsxIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>{EXPORT_FORMATS.XLSX.label}</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={handleCopy}>
+          <ListItemIcon>
+            <CopyIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Copy as TSV</ListItemText>
+        </MenuItem>
+        {chartRef && <Divider />}
+        {chartRef && (
+          <MenuItem onClick={() => handleExportChart('PNG')}>
+            <ListItemIcon>
+              <ImageIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>{EXPORT_FORMATS.PNG.label}</ListItemText>
+          </MenuItem>
+        )}
+        {chartRef && (
+          <MenuItem onClick={() => handleExportChart('SVG')}>
+            <ListItemIcon>
+              <ImageIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText>{EXPORT_FORMATS.SVG.label}</ListItemText>
+          </MenuItem>
+        )}
+      </Menu>
+      <Snackbar
+        open={Boolean(message)}
+        autoHideDuration={3000}
+        onClose={() => setMessage('')}
+        message={message}
+      />
+    </>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,42 @@
+/**
+ * KPI Cards Component
+ * Performance Ratio, specific yield, CUF and availability for a plant or the portfolio
+ */
+
+import { Grid, Paper, Typography, Tooltip, Box, CircularProgress } from '@mui/material';
+import { KPI_DEFINITIONS, formatKpi } from '../utils/kpi';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.kpis - Output of calculatePlantKpis / calculatePortfolioKpis
+ * @param {boolean} props.loading - Show a spinner instead of values
+ */
+const KpiCards = ({ kpis = {}, loading = false }) => (
+  <Grid container spacing={3}>
+    {KPI_DEFINITIONS.map((kpi) => (
+      <Grid item xs={12} sm={6} md={3} key={kpi.key}>
+        <Tooltip title={kpi.description}>
+          <Paper sx={{ p: 3, textAlign: 'center' }}>
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              {kpi.title}
+            </Typography>
+            {loading ? (
+              <Box sx={{ py: 1 }}>
+                <CircularProgress size={24} />
+              </Box>
+            ) : (
+              <Typography variant="h4">
+                {formatKpi(kpis[kpi.key])}
+                <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 0.5 }}>
+                  {kpis[kpi.key] === null || kpis[kpi.key] === undefined ? '' : kpi.unit}
+                </Typography>
+              </Typography>
+            )}
+          </Paper>
+        </Tooltip>
+      </Grid>
+    ))}
+  </Grid>
+);
+
+export default KpiCards;
@@ -3,7 +3,7 @@
  * Wrapper for authenticated pages with navigation
  */
 
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Outlet, useNavigate, useLocation } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
@@ -31,6 +31,12 @@ import {
   Settings as MastersIcon,
 } from '@mui/icons-material';
 import { logout as logoutAction, selectUser, selectIsAdmin } from '../store/slices/authSlice';
+import { connectRealtime, disconnectRealtime } from '../store/slices/realtimeSlice';
+import { clearNotifications } from '../store/slices/notificationsSlice';
+import { useTimeRangeUrlSync } from '../hooks/useTimeRange';
+import ConnectionStatus from './ConnectionStatus';
+import NotificationBell from './NotificationBell';
+import TimeRangePicker from './TimeRangePicker';
 
 const Layout = () => {
   const navigate = useNavigate();
@@ -39,7 +45,21 @@ const Layout = () => {
   const user = useSelector(selectUser);
   const isAdmin = useSelector(selectIsAdmin);
 
+  // Mirror the global time range into the URL so filtered views can be shared
+  useTimeRangeUrlSync();
+
+  // Keep the real-time connection open while the authenticated layout is mounted
+  useEffect(() => {
+    dispatch(connectRealtime());
+
+    return () => {
+      dispatch(disconnectRealtime());
+    };
+  }, [dispatch]);
+
   const handleLogout = async () => {
+    dispatch(disconnectRealtime());
+    dispatch(clearNotifications());
     await dispatch(logoutAction());
     navigate('/login');
   };
@@ -151,6 +171,9 @@ const Layout = () => {
           </Tabs>
 
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <TimeRangePicker />
+            <ConnectionStatus />
+            <NotificationBell />
             <Typography variant="body2">
               {user?.name} ({user?.role})
             </Typography>
@@ -0,0 +1,61 @@
+/**
+ * Live Values Card Component
+ * Shows the latest value of each tag received over the real-time connection
+ */
+
+import { Card, CardContent, Divider, Grid, Paper, Typography } from '@mui/material';
+
+const formatValue = (value) => {
+  if (typeof value === 'number') {
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+  return String(value);
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.title - Card title
+ * @param {Object} props.values - { [tagName]: { value, timestamp } }
+ * @param {Array} props.tags - Optional tag definitions used to look up units
+ */
+const LiveValuesCard = ({ title = 'Live Values', values = {}, tags = [] }) => {
+  const entries = Object.entries(values);
+
+  const getUnit = (tagName) => tags.find((tag) => tag.name === tagName)?.unit || '';
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          {title}
+        </Typography>
+        <Divider sx={{ mb: 2 }} />
+        {entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Waiting for live data...
+          </Typography>
+        ) : (
+          <Grid container spacing={2}>
+            {entries.map(([tagName, { value, timestamp }]) => (
+              <Grid item xs={6} sm={4} md={3} lg={2} key={tagName}>
+                <Paper variant="outlined" sx={{ p: 2 }}>
+                  <Typography variant="body2" color="text.secondary" noWrap>
+                    {tagName}
+                  </Typography>
+                  <Typography variant="h6">
+                    {formatValue(value)} {getUnit(tagName)}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {new Date(timestamp).toLocaleTimeString()}
+                  </Typography>
+                </Paper>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LiveValuesCard;
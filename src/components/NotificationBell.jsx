@@ -0,0 +1,226 @@
+/**
+ * Notification Bell Component
+ * App bar notification center: unread badge, notification list and alert settings
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Badge,
+  Box,
+  Button,
+  Divider,
+  FormControlLabel,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Popover,
+  Switch,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Notifications as BellIcon,
+  Warning as AlarmIcon,
+  Assessment as ReportIcon,
+  AssignmentInd as AssignmentIcon,
+  FiberManualRecord as UnreadIcon,
+} from '@mui/icons-material';
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  updateNotificationSettings,
+  selectNotifications,
+  selectUnreadNotificationCount,
+  selectNotificationSettings,
+} from '../store/slices/notificationsSlice';
+import {
+  getNotificationLink,
+  isDesktopNotificationSupported,
+  showDesktopNotification,
+  playChime,
+  unlockAudio,
+} from '../utils/notifications';
+
+const TYPE_ICONS = {
+  ALARM: <AlarmIcon color="error" />,
+  REPORT_READY: <ReportIcon color="primary" />,
+  ASSIGNMENT: <AssignmentIcon color="action" />,
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Redux selectors
+  const notifications = useSelector(selectNotifications);
+  const unreadCount = useSelector(selectUnreadNotificationCount);
+  const settings = useSelector(selectNotificationSettings);
+
+  // Local UI state
+  const [anchorEl, setAnchorEl] = useState(null);
+  const announcedRef = useRef(new Set());
+
+  useEffect(() => {
+    dispatch(fetchNotifications());
+  }, [dispatch]);
+
+  const openNotification = (notification) => {
+    if (!notification.read) {
+      dispatch(markNotificationRead(notification.id));
+    }
+    const link = getNotificationLink(notification);
+    if (link) navigate(link);
+    setAnchorEl(null);
+  };
+
+  // A chime enabled in an earlier session needs a gesture in this one before it can play
+  useEffect(() => {
+    if (!settings.chime) return undefined;
+    const unlock = () => {
+      unlockAudio().catch(() => {});
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    return () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+  }, [settings.chime]);
+
+  // Announce notifications pushed during this session once: desktop pop-up while the
+  // window is in the background, chime for critical alarms
+  useEffect(() => {
+    notifications
+      .filter((notification) => notification.live && !announcedRef.current.has(notification.id))
+      .forEach((notification) => {
+        announcedRef.current.add(notification.id);
+
+        if (settings.desktop && (document.hidden || !document.hasFocus())) {
+          showDesktopNotification(notification, () => {
+            dispatch(markNotificationRead(notification.id));
+            const link = getNotificationLink(notification);
+            if (link) navigate(link);
+          });
+        }
+        if (settings.chime && notification.type === 'ALARM' && notification.severity === 'CRITICAL') {
+          playChime();
+        }
+      });
+  }, [notifications, settings, dispatch, navigate]);
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton color="inherit" onClick={(e) => setAnchorEl(e.currentTarget)}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <BellIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        slotProps={{ paper: { sx: { width: 400, maxHeight: 560, display: 'flex', flexDirection: 'column' } } }}
+      >
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+          <Typography variant="subtitle1">Notifications</Typography>
+          <Button
+            size="small"
+            disabled={unreadCount === 0}
+            onClick={() => dispatch(markAllNotificationsRead())}
+          >
+            Mark all read
+          </Button>
+        </Box>
+        <Divider />
+
+        <List dense sx={{ flexGrow: 1, overflowY: 'auto', py: 0 }}>
+          {notifications.length === 0 ? (
+            <Typography variant="body2" color="text.secondary" sx={{ p: 2, textAlign: 'center' }}>
+              No notifications
+            </Typography>
+          ) : (
+            notifications.map((notification) => (
+              <ListItemButton
+                key={notification.id}
+                onClick={() => openNotification(notification)}
+                sx={{ alignItems: 'flex-start', bgcolor: notification.read ? undefined : 'action.hover' }}
+              >
+                <ListItemIcon sx={{ minWidth: 40, mt: 0.5 }}>
+                  {TYPE_ICONS[notification.type]}
+                </ListItemIcon>
+                <ListItemText
+                  primary={notification.title}
+                  primaryTypographyProps={{ fontWeight: notification.read ? 400 : 600 }}
+                  secondary={
+                    <>
+                      {notification.message}
+                      <Typography component="span" variant="caption" display="block">
+                        {new Date(notification.createdAt).toLocaleString()}
+                      </Typography>
+                    </>
+                  }
+                />
+                {!notification.read && (
+                  <Tooltip title="Mark as read">
+                    <IconButton
+                      size="small"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        dispatch(markNotificationRead(notification.id));
+                      }}
+                    >
+                      <UnreadIcon color="primary" sx={{ fontSize: 12 }} />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </ListItemButton>
+            ))
+          )}
+        </List>
+
+        <Divider />
+        <Box sx={{ px: 2, py: 1 }}>
+          <FormControlLabel
+            control={
+              <Switch
+                size="small"
+                checked={settings.desktop}
+                disabled={!isDesktopNotificationSupported()}
+                onChange={(e) => dispatch(updateNotificationSettings({ desktop: e.target.checked }))}
+              />
+            }
+            label={<Typography variant="body2">Desktop notifications</Typography>}
+          />
+          <FormControlLabel
+            control={
+              <Switch
+                size="small"
+                checked={settings.chime}
+                onChange={(e) => {
+                  dispatch(updateNotificationSettings({ chime: e.target.checked }));
+                  // Resuming audio inside the click lets later alarms chime; play once as a preview
+                  if (e.target.checked) unlockAudio().then(playChime).catch(() => {});
+                }}
+              />
+            }
+            label={<Typography variant="body2">Chime on critical alarms</Typography>}
+          />
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default NotificationBell;
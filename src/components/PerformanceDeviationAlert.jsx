@@ -0,0 +1,50 @@
+/**
+ * Performance Deviation Alert Component
+ * Compares actual with modelled output and flags deviations over the threshold
+ */
+
+import { Alert, AlertTitle } from '@mui/material';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.summary - Output of summarizeDeviation
+ * @param {string} props.missingModelMessage - Shown when the series carries no irradiance to model from
+ */
+const PerformanceDeviationAlert = ({ summary, missingModelMessage }) => {
+  if (!summary.hasModel) {
+    return <Alert severity="info">{missingModelMessage}</Alert>;
+  }
+
+  if (summary.deviation === null) {
+    return (
+      <Alert severity="info">
+        Not enough daylight data in this range to compare actual and expected power.
+      </Alert>
+    );
+  }
+
+  const deviation = `${summary.deviation > 0 ? '+' : ''}${summary.deviation.toFixed(1)}%`;
+
+  if (!summary.flagged) {
+    return (
+      <Alert severity="success">
+        Output is within ±{summary.threshold}% of the PV model ({deviation}), so it follows the weather.
+      </Alert>
+    );
+  }
+
+  return (
+    <Alert severity="warning">
+      <AlertTitle>
+        {summary.deviation < 0 ? 'Underperforming' : 'Above model'}: {deviation} vs expected
+      </AlertTitle>
+      {summary.flaggedPoints} of {summary.totalPoints} intervals deviate by more than{' '}
+      {summary.threshold}% given the measured irradiance and temperature.{' '}
+      {summary.deviation < 0
+        ? 'Low output is not explained by the weather; check for faults, soiling or curtailment.'
+        : 'Check the irradiance sensor calibration and the configured capacity.'}
+    </Alert>
+  );
+};
+
+export default PerformanceDeviationAlert;
@@ -0,0 +1,124 @@
+/**
+ * Time Range Picker Component
+ * App bar control for the global time range shared by all pages
+ */
+
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import {
+  Button,
+  Menu,
+  MenuItem,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+} from '@mui/material';
+import { DateRange as DateRangeIcon } from '@mui/icons-material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
+import dayjs from 'dayjs';
+import { setTimeRange } from '../store/slices/timeRangeSlice';
+import { useTimeRange } from '../hooks/useTimeRange';
+import { TIME_RANGE_PRESETS } from '../utils/timeRange';
+
+const TimeRangePicker = () => {
+  const dispatch = useDispatch();
+  const { range, label, interval } = useTimeRange();
+
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [customOpen, setCustomOpen] = useState(false);
+  const [customStart, setCustomStart] = useState(null);
+  const [customEnd, setCustomEnd] = useState(null);
+
+  const handlePresetSelect = (preset) => {
+    setAnchorEl(null);
+
+    if (preset === 'custom') {
+      setCustomStart(range.start ? dayjs(range.start) : dayjs().subtract(7, 'day').startOf('day'));
+      setCustomEnd(range.end ? dayjs(range.end).subtract(1, 'day') : dayjs().startOf('day'));
+      setCustomOpen(true);
+      return;
+    }
+
+    dispatch(setTimeRange({ preset }));
+  };
+
+  const handleCustomApply = () => {
+    dispatch(setTimeRange({
+      preset: 'custom',
+      start: customStart.startOf('day').toISOString(),
+      // End date is inclusive, so the range runs to the start of the following day
+      end: customEnd.add(1, 'day').startOf('day').toISOString(),
+    }));
+    setCustomOpen(false);
+  };
+
+  const isCustomValid =
+    customStart?.isValid() && customEnd?.isValid() && !customStart.isAfter(customEnd);
+
+  return (
+    <>
+      <Button
+        color="inherit"
+        startIcon={<DateRangeIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        title={`Aggregation interval: ${interval}`}
+        sx={{ whiteSpace: 'nowrap' }}
+      >
+        {label}
+      </Button>
+
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {TIME_RANGE_PRESETS.map((preset) => (
+          <MenuItem
+            key={preset.value}
+            selected={range.preset === preset.value}
+            onClick={() => handlePresetSelect(preset.value)}
+          >
+            <ListItemText primary={preset.label} />
+          </MenuItem>
+        ))}
+      </Menu>
+
+      <Dialog open={customOpen} onClose={() => setCustomOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Custom Time Range</DialogTitle>
+        <DialogContent>
+          <LocalizationProvider dateAdapter={AdapterDayjs}>
+            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+              <Grid item xs={12} sm={6}>
+                <DatePicker
+                  label="Start Date"
+                  value={customStart}
+                  onChange={(newValue) => setCustomStart(newValue)}
+                  disableFuture
+                  slotProps={{ textField: { fullWidth: true } }}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <DatePicker
+                  label="End Date"
+                  value={customEnd}
+                  onChange={(newValue) => setCustomEnd(newValue)}
+                  disableFuture
+                  slotProps={{ textField: { fullWidth: true } }}
+                />
+              </Grid>
+            </Grid>
+          </LocalizationProvider>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCustomOpen(false)}>Cancel</Button>
+          <Button onClick={handleCustomApply} variant="contained" disabled={!isCustomValid}>
+            Apply
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default TimeRangePicker;
@@ -0,0 +1,112 @@
+/**
+ * Yield Heatmap Component
+ * Calendar-style grid of daily specific yield per device, coloured against the daily plant median
+ */
+
+import { Box, Paper, Typography, Tooltip } from '@mui/material';
+import { formatDayLabel } from '../utils/timeSeries';
+import { formatKpi } from '../utils/kpi';
+
+const CELL_SIZE = 18;
+const LABEL_WIDTH = 180;
+
+// Day keys are parsed at local noon so the label never shifts to a neighbouring date
+const getDayLabel = (day) => formatDayLabel(`${day}T12:00:00`);
+
+/**
+ * Red at half the daily median or below, green at the median or above
+ */
+const getCellColor = (value, dailyMedian) => {
+  if (value === null || !(dailyMedian > 0)) return 'action.hover';
+  const ratio = Math.min(1, Math.max(0, (value / dailyMedian - 0.5) / 0.5));
+  return `hsl(${Math.round(ratio * 120)}, 65%, 50%)`;
+};
+
+/**
+ * @param {Object} props
+ * @param {Array} props.rows - Rows from buildYieldComparison
+ * @param {Array<string>} props.days - Day keys (YYYY-MM-DD)
+ * @param {Object} props.dailyMedians - Median yield per day
+ * @param {Function} props.onDeviceClick - Called with a device when its label is clicked
+ */
+const YieldHeatmap = ({ rows, days, dailyMedians, onDeviceClick }) => (
+  <Paper sx={{ p: 3 }}>
+    <Typography variant="h6" gutterBottom>
+      Daily Yield Heatmap (kWh/kWp)
+    </Typography>
+    <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+      <Typography variant="caption" color="text.secondary">
+        ≤ 50% of daily median
+      </Typography>
+      <Box
+        sx={{
+          width: 120,
+          height: 10,
+          borderRadius: 1,
+          background: 'linear-gradient(to right, hsl(0, 65%, 50%), hsl(60, 65%, 50%), hsl(120, 65%, 50%))',
+        }}
+      />
+      <Typography variant="caption" color="text.secondary">
+        ≥ median
+      </Typography>
+    </Box>
+
+    <Box sx={{ overflowX: 'auto' }}>
+      <Box sx={{ display: 'inline-block', minWidth: '100%' }}>
+        {rows.map((row) => (
+          <Box key={row.device.id} sx={{ display: 'flex', alignItems: 'center', mb: '2px' }}>
+            <Typography
+              variant="caption"
+              noWrap
+              onClick={() => onDeviceClick?.(row.device)}
+              sx={{
+                width: LABEL_WIDTH,
+                flexShrink: 0,
+                pr: 1,
+                cursor: onDeviceClick ? 'pointer' : 'default',
+                color: row.isOutlier ? 'error.main' : 'text.primary',
+                fontWeight: row.isOutlier ? 600 : 400,
+              }}
+              title={row.device.name}
+            >
+              {row.device.name}
+            </Typography>
+            {days.map((day) => (
+              <Tooltip
+                key={day}
+                title={`${row.device.name} • ${getDayLabel(day)}: ${formatKpi(row.dailyYield[day], 2)} kWh/kWp (median ${formatKpi(dailyMedians[day], 2)})`}
+              >
+                <Box
+                  sx={{
+                    width: CELL_SIZE,
+                    height: CELL_SIZE,
+                    flexShrink: 0,
+                    mr: '2px',
+                    borderRadius: 0.5,
+                    bgcolor: getCellColor(row.dailyYield[day], dailyMedians[day]),
+                  }}
+                />
+              </Tooltip>
+            ))}
+          </Box>
+        ))}
+
+        {/* Day axis, labelled weekly to stay readable on long ranges */}
+        <Box sx={{ display: 'flex', mt: 0.5 }}>
+          <Box sx={{ width: LABEL_WIDTH, flexShrink: 0 }} />
+          {days.map((day, index) => (
+            <Box key={day} sx={{ width: CELL_SIZE, mr: '2px', flexShrink: 0, overflow: 'visible' }}>
+              {index % 7 === 0 && (
+                <Typography variant="caption" color="text.secondary" sx={{ whiteSpace: 'nowrap' }}>
+                  {getDayLabel(day)}
+                </Typography>
+              )}
+            </Box>
+          ))}
+        </Box>
+      </Box>
+    </Box>
+  </Paper>
+);
+
+export default YieldHeatmap;
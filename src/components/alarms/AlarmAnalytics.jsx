@@ -0,0 +1,317 @@
+/**
+ * Alarm Analytics
+ * Response times, top offenders, chattering alarms and alarm load for the selected time range
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Grid,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { getAllAlarms } from '../../services/alarmService';
+import { useTimeRange } from '../../hooks/useTimeRange';
+import {
+  SEVERITY_ORDER,
+  CHATTER_WINDOW_MINUTES,
+  CHATTER_MIN_CYCLES,
+  getAlarmTypeLabel,
+  computeResponseTimes,
+  buildPareto,
+  detectChattering,
+  buildAlarmLoadSeries,
+  formatMinutes,
+} from '../../utils/alarmAnalytics';
+import BarChartComponent from '../charts/BarChartComponent';
+import LineChartComponent from '../charts/LineChartComponent';
+
+// Upper bound on alarms pulled into the analysis
+const ANALYTICS_ALARM_LIMIT = 5000;
+
+const toHours = (minutes) => (minutes === null ? null : Math.round((minutes / 60) * 10) / 10);
+
+/**
+ * MTTA / MTTR table for one grouping
+ */
+const ResponseTimeTable = ({ title, rows }) => (
+  <Card>
+    <CardContent>
+      <Typography variant="h6" gutterBottom>
+        {title}
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              <TableCell align="right">Alarms</TableCell>
+              <TableCell align="right">MTTA</TableCell>
+              <TableCell align="right">MTTR</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={4} align="center">
+                  No alarms in this period
+                </TableCell>
+              </TableRow>
+            ) : (
+              rows.map((row) => (
+                <TableRow key={row.key}>
+                  <TableCell>{row.label}</TableCell>
+                  <TableCell align="right">{row.count}</TableCell>
+                  <TableCell align="right">{formatMinutes(row.mttaMinutes)}</TableCell>
+                  <TableCell align="right">{formatMinutes(row.mttrMinutes)}</TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </CardContent>
+  </Card>
+);
+
+/**
+ * @param {Object} props
+ * @param {string} props.plantId - Restrict the analysis to one plant (optional)
+ */
+const AlarmAnalytics = ({ plantId }) => {
+  const theme = useTheme();
+  const { startTime, endTime, label } = useTimeRange();
+
+  const [alarms, setAlarms] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    const params = { startDate: startTime, endDate: endTime, page: 1, limit: ANALYTICS_ALARM_LIMIT };
+    if (plantId) params.plantId = plantId;
+
+    getAllAlarms(params)
+      .then((data) => {
+        if (cancelled) return;
+        const list = data?.alarms || data || [];
+        setAlarms(list);
+        setTotal(data?.pagination?.total || list.length);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load alarm analytics');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [plantId, startTime, endTime]);
+
+  const severityColors = useMemo(
+    () => ({
+      CRITICAL: theme.palette.error.dark,
+      HIGH: theme.palette.error.main,
+      MEDIUM: theme.palette.warning.main,
+      LOW: theme.palette.info.main,
+      INFO: theme.palette.grey[500],
+    }),
+    [theme]
+  );
+
+  const byPlant = useMemo(
+    () =>
+      computeResponseTimes(alarms, (alarm) => ({
+        key: alarm.plantId || alarm.plant?.id || 'none',
+        label: alarm.plant?.name || 'Unknown plant',
+      })).sort((a, b) => b.count - a.count),
+    [alarms]
+  );
+
+  const bySeverity = useMemo(
+    () =>
+      computeResponseTimes(alarms, (alarm) => ({ key: alarm.severity, label: alarm.severity })).sort(
+        (a, b) => SEVERITY_ORDER.indexOf(a.key) - SEVERITY_ORDER.indexOf(b.key)
+      ),
+    [alarms]
+  );
+
+  const severityChartData = useMemo(
+    () =>
+      bySeverity.map((row) => ({
+        label: row.label,
+        mtta: toHours(row.mttaMinutes),
+        mttr: toHours(row.mttrMinutes),
+      })),
+    [bySeverity]
+  );
+
+  const devicePareto = useMemo(
+    // Grouped by device ID so devices sharing a name on different plants stay apart
+    () => buildPareto(alarms, (alarm) => alarm.device?.name || 'Unknown device', {
+      getKey: (alarm) => alarm.deviceId || alarm.device?.id || null,
+    }),
+    [alarms]
+  );
+  const typePareto = useMemo(() => buildPareto(alarms, getAlarmTypeLabel), [alarms]);
+  const chattering = useMemo(() => detectChattering(alarms), [alarms]);
+  const loadSeries = useMemo(
+    () => buildAlarmLoadSeries(alarms, startTime, endTime),
+    [alarms, startTime, endTime]
+  );
+
+  const paretoLines = [{ dataKey: 'cumulativePercent', name: 'Cumulative %', color: theme.palette.secondary.main, axis: 'right' }];
+
+  if (loading && alarms.length === 0) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 2 }}>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {alarms.length} alarms · {label}
+        {total > alarms.length && ` (first ${alarms.length} of ${total}; narrow the time range for complete figures)`}
+      </Typography>
+
+      <Grid container spacing={3}>
+        {/* Response times */}
+        <Grid item xs={12} md={6}>
+          <ResponseTimeTable title="Response Times by Plant" rows={byPlant} />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <ResponseTimeTable title="Response Times by Severity" rows={bySeverity} />
+        </Grid>
+        <Grid item xs={12}>
+          <BarChartComponent
+            title="MTTA / MTTR by Severity (hours)"
+            data={severityChartData}
+            bars={[
+              { dataKey: 'mtta', name: 'MTTA (h)', color: theme.palette.warning.main },
+              { dataKey: 'mttr', name: 'MTTR (h)', color: theme.palette.success.main },
+            ]}
+            height={280}
+          />
+        </Grid>
+
+        {/* Top offenders */}
+        <Grid item xs={12} md={6}>
+          <BarChartComponent
+            title="Top Devices"
+            data={devicePareto}
+            bars={[{ dataKey: 'count', name: 'Alarms', color: theme.palette.primary.main }]}
+            lines={paretoLines}
+            rightAxisUnit="%"
+            height={320}
+          />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <BarChartComponent
+            title="Top Alarm Types"
+            data={typePareto}
+            bars={[{ dataKey: 'count', name: 'Alarms', color: theme.palette.primary.main }]}
+            lines={paretoLines}
+            rightAxisUnit="%"
+            height={320}
+          />
+        </Grid>
+
+        {/* Alarm load */}
+        <Grid item xs={12}>
+          <LineChartComponent
+            title="Alarm Load"
+            data={loadSeries}
+            lines={[
+              { dataKey: 'total', name: 'Total', color: theme.palette.text.primary, dashed: true },
+              ...SEVERITY_ORDER.map((severity) => ({
+                dataKey: severity,
+                name: severity,
+                color: severityColors[severity],
+              })),
+            ]}
+            height={300}
+          />
+        </Grid>
+
+        {/* Chattering */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Chattering Alarms
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Raised {CHATTER_MIN_CYCLES} or more times within {CHATTER_WINDOW_MINUTES} minutes on the same device
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Device</TableCell>
+                      <TableCell>Plant</TableCell>
+                      <TableCell>Alarm</TableCell>
+                      <TableCell align="right">Peak Cycles</TableCell>
+                      <TableCell align="right">Total</TableCell>
+                      <TableCell>Peak Window</TableCell>
+                      <TableCell>Last Raised</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {chattering.length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={7} align="center">
+                          No chattering alarms
+                        </TableCell>
+                      </TableRow>
+                    ) : (
+                      chattering.map((row) => (
+                        <TableRow key={row.key}>
+                          <TableCell>{row.deviceName || 'N/A'}</TableCell>
+                          <TableCell>{row.plantName || 'N/A'}</TableCell>
+                          <TableCell>{row.type}</TableCell>
+                          <TableCell align="right">
+                            <Chip label={row.maxCycles} size="small" color="warning" />
+                          </TableCell>
+                          <TableCell align="right">{row.total}</TableCell>
+                          <TableCell>{new Date(row.windowStart).toLocaleString()}</TableCell>
+                          <TableCell>{new Date(row.lastRaisedAt).toLocaleString()}</TableCell>
+                        </TableRow>
+                      ))
+                    )}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default AlarmAnalytics;
@@ -0,0 +1,206 @@
+/**
+ * Alarm Attachments
+ * Photos and files uploaded from the field for an alarm
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  AttachFile as AttachIcon,
+  InsertDriveFile as FileIcon,
+  Download as DownloadIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import {
+  getAlarmAttachments,
+  uploadAlarmAttachment,
+  downloadAlarmAttachment,
+  deleteAlarmAttachment,
+} from '../../services/alarmService';
+import { downloadBlob } from '../../utils/export';
+
+const MAX_FILE_SIZE_MB = 20;
+const ACCEPTED_FILES = 'image/*,.pdf,.doc,.docx,.xls,.xlsx,.csv,.txt';
+
+const formatFileSize = (bytes = 0) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * @param {Object} props
+ * @param {string} props.alarmId - Alarm ID
+ * @param {string} props.currentUserId - Signed-in user (may delete own uploads)
+ * @param {boolean} props.canManage - May delete any attachment
+ */
+const AlarmAttachments = ({ alarmId, currentUserId, canManage = false }) => {
+  const inputRef = useRef(null);
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [uploadProgress, setUploadProgress] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getAlarmAttachments(alarmId)
+      .then((data) => {
+        if (!cancelled) setAttachments(data?.attachments || data || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load attachments');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [alarmId]);
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+      setError(`${file.name} is larger than ${MAX_FILE_SIZE_MB} MB`);
+      return;
+    }
+
+    try {
+      setError('');
+      setUploadProgress(0);
+      const attachment = await uploadAlarmAttachment(alarmId, file, setUploadProgress);
+      setAttachments((prev) => [...prev, attachment]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to upload file');
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await downloadAlarmAttachment(alarmId, attachment.id);
+      downloadBlob(blob, attachment.fileName);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Are you sure you want to delete "${attachment.fileName}"?`)) {
+      return;
+    }
+
+    try {
+      await deleteAlarmAttachment(alarmId, attachment.id);
+      setAttachments((prev) => prev.filter((item) => item.id !== attachment.id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete file');
+    }
+  };
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : attachments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No attachments yet.
+        </Typography>
+      ) : (
+        <List dense sx={{ mb: 1 }}>
+          {attachments.map((attachment) => {
+            const isImage = attachment.contentType?.startsWith('image/');
+            const canDelete = canManage || attachment.uploadedBy?.id === currentUserId;
+            return (
+              <ListItem
+                key={attachment.id}
+                disableGutters
+                secondaryAction={
+                  <>
+                    <Tooltip title="Download">
+                      <IconButton size="small" onClick={() => handleDownload(attachment)}>
+                        <DownloadIcon />
+                      </IconButton>
+                    </Tooltip>
+                    {canDelete && (
+                      <IconButton size="small" color="error" onClick={() => handleDelete(attachment)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    )}
+                  </>
+                }
+              >
+                <ListItemAvatar>
+                  <Avatar
+                    variant="rounded"
+                    src={isImage ? attachment.thumbnailUrl || attachment.url : undefined}
+                    sx={{ width: 48, height: 48, mr: 1 }}
+                  >
+                    <FileIcon />
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={attachment.fileName}
+                  secondary={[
+                    formatFileSize(attachment.size),
+                    attachment.uploadedBy?.name,
+                    new Date(attachment.createdAt).toLocaleString(),
+                  ].filter(Boolean).join(' · ')}
+                />
+              </ListItem>
+            );
+          })}
+        </List>
+      )}
+
+      {uploadProgress !== null && (
+        <LinearProgress variant="determinate" value={uploadProgress} sx={{ mb: 1 }} />
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_FILES}
+        hidden
+        onChange={handleFileSelected}
+      />
+      <Button
+        variant="outlined"
+        startIcon={<AttachIcon />}
+        onClick={() => inputRef.current?.click()}
+        disabled={uploadProgress !== null}
+      >
+        Attach Photo or File
+      </Button>
+    </Box>
+  );
+};
+
+export default AlarmAttachments;
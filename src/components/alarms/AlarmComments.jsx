@@ -0,0 +1,133 @@
+/**
+ * Alarm Comments
+ * Comment thread where field technicians record what they found and did
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { Send as SendIcon } from '@mui/icons-material';
+import { getAlarmComments, addAlarmComment } from '../../services/alarmService';
+
+/**
+ * @param {Object} props
+ * @param {string} props.alarmId - Alarm ID
+ */
+const AlarmComments = ({ alarmId }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [text, setText] = useState('');
+  const [posting, setPosting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getAlarmComments(alarmId)
+      .then((data) => {
+        if (!cancelled) setComments(data?.comments || data || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load comments');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [alarmId]);
+
+  const handlePost = async () => {
+    try {
+      setPosting(true);
+      setError('');
+      const comment = await addAlarmComment(alarmId, text.trim());
+      setComments((prev) => [...prev, comment]);
+      setText('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to add comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : comments.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No comments yet.
+        </Typography>
+      ) : (
+        <List dense sx={{ mb: 1 }}>
+          {comments.map((comment) => (
+            <ListItem key={comment.id} alignItems="flex-start" disableGutters>
+              <ListItemAvatar>
+                <Avatar sx={{ width: 32, height: 32 }}>
+                  {(comment.user?.name || '?').charAt(0).toUpperCase()}
+                </Avatar>
+              </ListItemAvatar>
+              <ListItemText
+                primary={
+                  <>
+                    {comment.user?.name || 'Unknown user'}
+                    <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                      {new Date(comment.createdAt).toLocaleString()}
+                    </Typography>
+                  </>
+                }
+                secondary={comment.text}
+                secondaryTypographyProps={{ sx: { whiteSpace: 'pre-wrap' }, color: 'text.primary' }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        placeholder="What did you find, and what did you do?"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+        <Button
+          variant="contained"
+          startIcon={<SendIcon />}
+          onClick={handlePost}
+          disabled={posting || !text.trim()}
+        >
+          Comment
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default AlarmComments;
@@ -0,0 +1,138 @@
+/**
+ * Alarm Filter Presets
+ * Saved combinations of alarm filters and time range, kept per user
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  ListItemText,
+  Menu,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  BookmarkBorder as PresetIcon,
+  BookmarkAdd as SavePresetIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { loadFilterPresets, saveFilterPresets } from '../../utils/alarmFilters';
+import { getTimeRangeLabel } from '../../utils/timeRange';
+
+const describeFilters = (filters) =>
+  [filters.severity, filters.status, filters.plantId && 'plant', filters.deviceId && 'device', filters.search && `"${filters.search}"`]
+    .filter(Boolean)
+    .join(' · ') || 'All alarms';
+
+/**
+ * @param {Object} props
+ * @param {string} props.userId - Owner of the presets
+ * @param {Object} props.filters - Current alarm filters
+ * @param {Object} props.timeRange - Current global time range selection
+ * @param {Function} props.onApply - Called with the chosen preset
+ */
+const AlarmFilterPresets = ({ userId, filters, timeRange, onApply }) => {
+  const [presets, setPresets] = useState([]);
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    setPresets(loadFilterPresets(userId));
+  }, [userId]);
+
+  const updatePresets = (next) => {
+    setPresets(next);
+    saveFilterPresets(userId, next);
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    const preset = { id: `${Date.now()}`, name: trimmed, filters, timeRange };
+    // Saving under an existing name replaces that preset
+    updatePresets([...presets.filter((item) => item.name !== trimmed), preset]);
+    setSaveOpen(false);
+  };
+
+  const handleApply = (preset) => {
+    setAnchorEl(null);
+    onApply(preset);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1 }}>
+      <Button
+        size="small"
+        startIcon={<PresetIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={presets.length === 0}
+      >
+        Saved Filters
+      </Button>
+      <Button
+        size="small"
+        startIcon={<SavePresetIcon />}
+        onClick={() => {
+          setName('');
+          setSaveOpen(true);
+        }}
+      >
+        Save Filters
+      </Button>
+
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {presets.map((preset) => (
+          <MenuItem key={preset.id} onClick={() => handleApply(preset)}>
+            <ListItemText
+              primary={preset.name}
+              secondary={`${describeFilters(preset.filters)} · ${getTimeRangeLabel(preset.timeRange)}`}
+            />
+            <IconButton
+              size="small"
+              edge="end"
+              sx={{ ml: 2 }}
+              onClick={(e) => {
+                e.stopPropagation();
+                updatePresets(presets.filter((item) => item.id !== preset.id));
+              }}
+            >
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </MenuItem>
+        ))}
+      </Menu>
+
+      <Dialog open={saveOpen} onClose={() => setSaveOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Save Filters</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {describeFilters(filters)} · {getTimeRangeLabel(timeRange)}
+          </Typography>
+          <TextField
+            fullWidth
+            autoFocus
+            label="Preset Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g., Critical at North Site this week"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveOpen(false)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={!name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default AlarmFilterPresets;
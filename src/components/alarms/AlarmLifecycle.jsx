@@ -0,0 +1,59 @@
+/**
+ * Alarm Lifecycle
+ * Raised / acknowledged / shelved / resolved steps of an alarm, with who did it and when
+ */
+
+import React from 'react';
+import {
+  Stepper,
+  Step,
+  StepLabel,
+  StepContent,
+  Typography,
+} from '@mui/material';
+import { buildAlarmLifecycle } from '../../utils/alarms';
+
+const ACTION_LABELS = {
+  RAISED: 'Raised',
+  ACKNOWLEDGED: 'Acknowledged',
+  SHELVED: 'Shelved',
+  UNSHELVED: 'Unshelved',
+  RESOLVED: 'Resolved',
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.alarm - Alarm
+ */
+const AlarmLifecycle = ({ alarm }) => {
+  const steps = buildAlarmLifecycle(alarm);
+
+  return (
+    <Stepper orientation="vertical" activeStep={steps.length}>
+      {steps.map((step, index) => (
+        <Step key={`${step.action}-${index}`} expanded completed>
+          <StepLabel
+            error={step.action === 'RAISED'}
+            optional={
+              <Typography variant="caption" color="text.secondary">
+                {new Date(step.at).toLocaleString()}
+                {step.by && ` · ${step.by}`}
+              </Typography>
+            }
+          >
+            {ACTION_LABELS[step.action] || step.action}
+          </StepLabel>
+          <StepContent>
+            {step.note && (
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                {step.note}
+              </Typography>
+            )}
+          </StepContent>
+        </Step>
+      ))}
+    </Stepper>
+  );
+};
+
+export default AlarmLifecycle;
@@ -0,0 +1,322 @@
+/**
+ * Alarm Rule Dialog
+ * Create/edit form for an alarm rule with fields specific to the rule type
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Grid,
+  Button,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  Switch,
+  Alert,
+  Typography,
+  InputAdornment,
+} from '@mui/material';
+import { RULE_TYPES, RULE_SEVERITIES, DEFAULT_RULE, getRuleType, validateRule } from '../../utils/alarmRules';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog visibility
+ * @param {Object|null} props.rule - Rule to edit (null to create)
+ * @param {Array} props.tags - Tag library
+ * @param {Array} props.templates - Device templates
+ * @param {boolean} props.saving - Disables the save button while a request is in flight
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSave - Called with the rule payload
+ */
+const AlarmRuleDialog = ({ open, rule, tags = [], templates = [], saving = false, onClose, onSave }) => {
+  const [formData, setFormData] = useState(DEFAULT_RULE);
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setFormData(rule ? { ...DEFAULT_RULE, ...rule } : DEFAULT_RULE);
+    setSubmitted(false);
+  }, [open, rule]);
+
+  const ruleType = getRuleType(formData.type);
+  const problems = validateRule(formData);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleTagChange = (e) => {
+    const tag = tags.find((t) => t.id === e.target.value);
+    setFormData((prev) => ({ ...prev, tagId: tag?.id || '', tagName: tag?.name || '' }));
+  };
+
+  const handleSave = () => {
+    setSubmitted(true);
+    if (problems.length > 0) return;
+
+    const isStale = formData.type === 'STALE_DATA';
+    onSave({
+      name: formData.name.trim(),
+      description: formData.description || undefined,
+      type: formData.type,
+      scope: formData.scope,
+      templateId: formData.scope === 'TEMPLATE' ? formData.templateId : undefined,
+      tagId: formData.tagId || undefined,
+      tagName: formData.tagName,
+      threshold: isStale ? undefined : Number(formData.threshold),
+      deadband: ruleType.usesDeadband ? Number(formData.deadband) || 0 : undefined,
+      staleMinutes: isStale ? Number(formData.staleMinutes) : undefined,
+      severity: formData.severity,
+      delaySeconds: Number(formData.delaySeconds) || 0,
+      autoClear: formData.autoClear,
+      enabled: formData.enabled,
+    });
+  };
+
+  const selectedTag = tags.find((t) => t.id === formData.tagId || t.name === formData.tagName);
+  const unit = selectedTag?.unit;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{rule ? 'Edit Alarm Rule' : 'Create Alarm Rule'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ pt: 2 }}>
+          {submitted && problems.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {problems.join('. ')}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            {/* Identity */}
+            <Grid item xs={12} sm={8}>
+              <TextField
+                fullWidth
+                required
+                label="Rule Name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="e.g., Inverter over-temperature"
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                select
+                label="Severity"
+                name="severity"
+                value={formData.severity}
+                onChange={handleChange}
+              >
+                {RULE_SEVERITIES.map((severity) => (
+                  <MenuItem key={severity} value={severity}>
+                    {severity}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                rows={2}
+                label="Description"
+                name="description"
+                value={formData.description || ''}
+                onChange={handleChange}
+              />
+            </Grid>
+
+            {/* Scope */}
+            <Grid item xs={12}>
+              <Typography variant="subtitle2" color="text.secondary">
+                Applies To
+              </Typography>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                select
+                label="Scope"
+                name="scope"
+                value={formData.scope}
+                onChange={handleChange}
+                helperText={formData.scope === 'TEMPLATE' ? 'Devices created from one template' : 'Every device with this tag'}
+              >
+                <MenuItem value="TEMPLATE">Device Template</MenuItem>
+                <MenuItem value="TAG">Tag (all devices)</MenuItem>
+              </TextField>
+            </Grid>
+            {formData.scope === 'TEMPLATE' && (
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  select
+                  required
+                  label="Template"
+                  name="templateId"
+                  value={formData.templateId || ''}
+                  onChange={handleChange}
+                >
+                  {templates.map((template) => (
+                    <MenuItem key={template.id} value={template.id}>
+                      {template.name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                select
+                required
+                label="Tag"
+                value={selectedTag?.id || ''}
+                onChange={handleTagChange}
+              >
+                {tags.map((tag) => (
+                  <MenuItem key={tag.id} value={tag.id}>
+                    {tag.name}{tag.unit ? ` (${tag.unit})` : ''}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+
+            {/* Condition */}
+            <Grid item xs={12}>
+              <Typography variant="subtitle2" color="text.secondary">
+                Condition
+              </Typography>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                select
+                label="Rule Type"
+                name="type"
+                value={formData.type}
+                onChange={handleChange}
+              >
+                {RULE_TYPES.map((type) => (
+                  <MenuItem key={type.value} value={type.value}>
+                    {type.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {formData.type === 'STALE_DATA' ? (
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  required
+                  type="number"
+                  label="No data for"
+                  name="staleMinutes"
+                  value={formData.staleMinutes}
+                  onChange={handleChange}
+                  InputProps={{ endAdornment: <InputAdornment position="end">min</InputAdornment> }}
+                  inputProps={{ min: 1 }}
+                />
+              </Grid>
+            ) : (
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  required
+                  type="number"
+                  label={ruleType.thresholdLabel}
+                  name="threshold"
+                  value={formData.threshold ?? ''}
+                  onChange={handleChange}
+                  InputProps={{
+                    endAdornment: formData.type === 'SIBLING_DEVIATION'
+                      ? <InputAdornment position="end">%</InputAdornment>
+                      : unit && <InputAdornment position="end">{formData.type === 'RATE_OF_CHANGE' ? `${unit}/min` : unit}</InputAdornment>,
+                  }}
+                />
+              </Grid>
+            )}
+            {ruleType.usesDeadband && (
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Deadband"
+                  name="deadband"
+                  value={formData.deadband ?? 0}
+                  onChange={handleChange}
+                  helperText="Hysteresis before the alarm clears"
+                  inputProps={{ min: 0 }}
+                />
+              </Grid>
+            )}
+            <Grid item xs={12}>
+              <Typography variant="caption" color="text.secondary">
+                {ruleType.description}
+              </Typography>
+            </Grid>
+
+            {/* Behaviour */}
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Delay Before Raising"
+                name="delaySeconds"
+                value={formData.delaySeconds ?? 0}
+                onChange={handleChange}
+                InputProps={{ endAdornment: <InputAdornment position="end">sec</InputAdornment> }}
+                helperText="Condition must hold this long"
+                inputProps={{ min: 0 }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4} sx={{ display: 'flex', alignItems: 'center' }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={Boolean(formData.autoClear)}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, autoClear: e.target.checked }))}
+                  />
+                }
+                label="Auto-clear"
+              />
+            </Grid>
+            <Grid item xs={12} sm={4} sx={{ display: 'flex', alignItems: 'center' }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={Boolean(formData.enabled)}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, enabled: e.target.checked }))}
+                  />
+                }
+                label="Enabled"
+              />
+            </Grid>
+            {!rule && formData.enabled && (
+              <Grid item xs={12}>
+                <Alert severity="info">
+                  Consider saving the rule disabled and previewing it against historical data first.
+                </Alert>
+              </Grid>
+            )}
+          </Grid>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={saving}>
+          {rule ? 'Save' : 'Create'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlarmRuleDialog;
@@ -0,0 +1,221 @@
+/**
+ * Alarm Rule Preview
+ * Replays a rule over a device's historical data for the global time range and
+ * shows when it would have raised and cleared
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { useDispatch, useSelector, shallowEqual } from 'react-redux';
+import {
+  Box,
+  Grid,
+  Button,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import LineChartComponent from '../charts/LineChartComponent';
+import { useTelemetry } from '../../hooks/useTelemetry';
+import { useTimeRange } from '../../hooks/useTimeRange';
+import { fetchDeviceData, getTelemetryKey, selectTelemetryEntry } from '../../store/slices/telemetrySlice';
+import { getRuleType, getSiblingDevices, evaluateRule, summarizeRuleEvents } from '../../utils/alarmRules';
+import { formatTimeLabel, getRowLabelAt } from '../../utils/timeSeries';
+
+const formatDuration = (minutes) =>
+  minutes >= 60 ? `${(minutes / 60).toFixed(1)} h` : `${Math.round(minutes)} min`;
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog visibility
+ * @param {Object|null} props.rule - Rule to preview
+ * @param {Array} props.devices - Devices the rule applies to
+ * @param {Array} props.allDevices - Full device list (for sibling lookups)
+ * @param {boolean} props.canEnable - Show the enable action
+ * @param {Function} props.onEnable - Called with the rule when enabled from the preview
+ * @param {Function} props.onClose - Close handler
+ */
+const AlarmRulePreview = ({ open, rule, devices = [], allDevices = [], canEnable = false, onEnable, onClose }) => {
+  const theme = useTheme();
+  const dispatch = useDispatch();
+  const { label: rangeLabel, dataParams, endTime } = useTimeRange();
+
+  const [deviceId, setDeviceId] = useState('');
+
+  useEffect(() => {
+    if (open) setDeviceId(devices[0]?.id || '');
+  }, [open, devices]);
+
+  const device = devices.find((item) => item.id === deviceId);
+  const tagName = rule?.tagName;
+  const params = useMemo(() => ({ ...dataParams, tagName }), [dataParams, tagName]);
+  const deviceData = useTelemetry('deviceData', open && tagName ? deviceId : null, params);
+
+  // Sibling series are only needed for sibling comparison rules
+  const siblings = useMemo(
+    () => (open && rule?.type === 'SIBLING_DEVIATION' ? getSiblingDevices(device, allDevices) : []),
+    [open, rule, device, allDevices]
+  );
+  const siblingEntries = useSelector(
+    (state) => siblings.map((sibling) =>
+      selectTelemetryEntry(state, getTelemetryKey('deviceData', sibling.id, params))
+    ),
+    shallowEqual
+  );
+
+  useEffect(() => {
+    siblings.forEach((sibling) => {
+      dispatch(fetchDeviceData({ deviceId: sibling.id, params }));
+    });
+  }, [siblings, params, dispatch]);
+
+  const rows = useMemo(() => deviceData.data || [], [deviceData.data]);
+  const events = useMemo(() => {
+    if (!rule) return [];
+    return evaluateRule(rule, rows, {
+      siblingSeries: siblingEntries.map((entry) => entry.data || []),
+      endTime,
+    });
+  }, [rule, rows, siblingEntries, endTime]);
+  const summary = summarizeRuleEvents(events, endTime);
+
+  const shadedRanges = useMemo(
+    () => rows.length === 0 ? [] : events.map((event) => ({
+      x1: getRowLabelAt(rows, event.raisedAt),
+      x2: getRowLabelAt(rows, event.clearedAt || endTime),
+      color: theme.palette.error.main,
+      opacity: 0.12,
+    })),
+    [rows, events, endTime, theme]
+  );
+
+  if (!rule) return null;
+
+  const ruleType = getRuleType(rule.type);
+  const showsThreshold = rule.type === 'HIGH_THRESHOLD' || rule.type === 'LOW_THRESHOLD';
+  const chartRows = showsThreshold ? rows.map((row) => ({ ...row, threshold: Number(rule.threshold) })) : rows;
+  const chartLines = [
+    { dataKey: tagName, name: tagName, color: theme.palette.primary.main },
+    ...(showsThreshold ? [{ dataKey: 'threshold', name: 'Threshold', color: theme.palette.error.main, dashed: true }] : []),
+  ];
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Preview: {rule.name}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ pt: 2 }}>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {ruleType.label} on <strong>{tagName}</strong> replayed over {rangeLabel}. Shaded periods
+            show when the rule would have been active.
+          </Typography>
+
+          {devices.length === 0 ? (
+            <Alert severity="info">No devices match this rule's scope.</Alert>
+          ) : (
+            <>
+              <TextField
+                select
+                size="small"
+                label="Device"
+                value={deviceId}
+                onChange={(e) => setDeviceId(e.target.value)}
+                sx={{ minWidth: 280, mb: 2 }}
+              >
+                {devices.map((item) => (
+                  <MenuItem key={item.id} value={item.id}>
+                    {item.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+
+              {rule.type === 'SIBLING_DEVIATION' && siblings.length === 0 && (
+                <Alert severity="warning" sx={{ mb: 2 }}>
+                  This device has no siblings under the same parent, so the rule cannot raise.
+                </Alert>
+              )}
+              {rule.type === 'STALE_DATA' && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  Gaps shorter than the data interval ({dataParams.interval}) are not visible in the preview.
+                </Alert>
+              )}
+
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid item xs={12} sm={4}>
+                  <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                    <Typography variant="body2" color="text.secondary">Would Have Raised</Typography>
+                    <Typography variant="h5" color={summary.count > 0 ? 'error.main' : 'success.main'}>
+                      {summary.count}
+                    </Typography>
+                  </Paper>
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                    <Typography variant="body2" color="text.secondary">Still Active at End</Typography>
+                    <Typography variant="h5">{summary.open}</Typography>
+                  </Paper>
+                </Grid>
+                <Grid item xs={12} sm={4}>
+                  <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                    <Typography variant="body2" color="text.secondary">Time in Alarm</Typography>
+                    <Typography variant="h5">{formatDuration(summary.activeMinutes)}</Typography>
+                  </Paper>
+                </Grid>
+              </Grid>
+
+              <LineChartComponent
+                data={chartRows}
+                lines={chartLines}
+                height={300}
+                loading={deviceData.loading}
+                error={deviceData.error}
+                shadedRanges={shadedRanges}
+              />
+
+              {events.length > 0 && (
+                <Table size="small" sx={{ mt: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Raised</TableCell>
+                      <TableCell>Cleared</TableCell>
+                      <TableCell align="right">Value at Raise</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {events.map((event) => (
+                      <TableRow key={event.raisedAt}>
+                        <TableCell>{formatTimeLabel(event.raisedAt, true)}</TableCell>
+                        <TableCell>{event.clearedAt ? formatTimeLabel(event.clearedAt, true) : 'Active'}</TableCell>
+                        <TableCell align="right">{event.value?.toFixed(2)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {canEnable && !rule.enabled && (
+          <Button variant="contained" onClick={() => onEnable?.(rule)}>
+            Enable Rule
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlarmRulePreview;
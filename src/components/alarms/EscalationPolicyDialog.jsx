@@ -0,0 +1,428 @@
+/**
+ * Escalation Policy Dialog
+ * Create/edit form for an escalation policy: ordered levels of recipients and channels,
+ * with the wait before an unacknowledged alarm moves to the next level
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Grid,
+  Button,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Chip,
+  Paper,
+  Typography,
+  IconButton,
+  Alert,
+  InputAdornment,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Send as SendIcon,
+} from '@mui/icons-material';
+import * as userService from '../../services/userService';
+import {
+  NOTIFICATION_CHANNELS,
+  CHANNEL_OPTIONS,
+  notify,
+  getTransportName,
+  getStubOutbox,
+} from '../../services/notificationChannels';
+import { DEFAULT_POLICY, DEFAULT_LEVEL, validatePolicy } from '../../utils/escalation';
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+// Stub outbox entries listed under a test result
+const OUTBOX_PREVIEW_SIZE = 10;
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog visibility
+ * @param {Object|null} props.policy - Policy to edit (null to create)
+ * @param {Array} props.plants - Plants
+ * @param {Array} props.users - Users that can be notified
+ * @param {boolean} props.saving - Disables the save button while a request is in flight
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSave - Called with the policy payload
+ */
+const EscalationPolicyDialog = ({ open, policy, plants = [], users = [], saving = false, onClose, onSave }) => {
+  const [formData, setFormData] = useState(DEFAULT_POLICY);
+  const [submitted, setSubmitted] = useState(false);
+  const [plantIdsByUser, setPlantIdsByUser] = useState({});
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setFormData(policy ? { ...DEFAULT_POLICY, ...policy, severity: policy.severity || '' } : DEFAULT_POLICY);
+    setSubmitted(false);
+    setTestResult(null);
+  }, [open, policy]);
+
+  const usersById = new Map(users.map((user) => [user.id, user]));
+  const recipientIds = [...new Set(formData.levels.flatMap((level) => level.userIds))];
+  const problems = validatePolicy(formData);
+  const usesWebhook = formData.levels.some((level) => level.channels.includes('WEBHOOK'));
+
+  // Plant assignments of the chosen recipients, loaded once per user (null when loading failed)
+  const recipientKey = recipientIds.join(',');
+  const requestedUsersRef = useRef(new Set());
+
+  const loadUserPlants = (userId) => {
+    requestedUsersRef.current.add(userId);
+    setPlantIdsByUser((prev) => {
+      const { [userId]: _failed, ...rest } = prev;
+      return rest;
+    });
+    userService.getUserPlants(userId)
+      .then((data) => {
+        const plantIds = (data.plants || []).map((plant) => plant.id);
+        setPlantIdsByUser((prev) => ({ ...prev, [userId]: plantIds }));
+      })
+      .catch(() => {
+        // Allow a retry instead of treating the user as assigned to no plants
+        requestedUsersRef.current.delete(userId);
+        setPlantIdsByUser((prev) => ({ ...prev, [userId]: null }));
+      });
+  };
+
+  useEffect(() => {
+    if (!open || !recipientKey) return;
+    recipientKey.split(',')
+      .filter((userId) => !requestedUsersRef.current.has(userId))
+      .forEach(loadUserPlants);
+  }, [open, recipientKey]);
+
+  // Unknown (still loading or failed to load) counts as assigned, so no Assign is offered
+  const isAssigned = (userId) => {
+    if (usersById.get(userId)?.role === 'ADMIN') return true;
+    const plantIds = plantIdsByUser[userId];
+    return !plantIds || plantIds.includes(formData.plantId);
+  };
+
+  const isAssignmentUnknown = (userId) =>
+    usersById.get(userId)?.role !== 'ADMIN' && plantIdsByUser[userId] === null;
+
+  const handleAssign = async (userId) => {
+    try {
+      // Re-read the current assignments: assignPlants replaces the user's whole plant list
+      const data = await userService.getUserPlants(userId);
+      const plantIds = [...new Set([...(data.plants || []).map((plant) => plant.id), formData.plantId])];
+      await userService.assignPlants(userId, plantIds);
+      setPlantIdsByUser((prev) => ({ ...prev, [userId]: plantIds }));
+    } catch (err) {
+      setTestResult({ severity: 'error', message: err.response?.data?.message || 'Failed to assign plant' });
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const updateLevel = (index, changes) => {
+    setFormData((prev) => ({
+      ...prev,
+      levels: prev.levels.map((level, i) => (i === index ? { ...level, ...changes } : level)),
+    }));
+  };
+
+  const toggleChannel = (index, channel, checked) => {
+    const channels = formData.levels[index].channels;
+    updateLevel(index, {
+      channels: checked ? [...channels, channel] : channels.filter((item) => item !== channel),
+    });
+  };
+
+  const addLevel = () => {
+    setFormData((prev) => ({ ...prev, levels: [...prev.levels, DEFAULT_LEVEL] }));
+  };
+
+  const removeLevel = (index) => {
+    setFormData((prev) => ({ ...prev, levels: prev.levels.filter((_level, i) => i !== index) }));
+  };
+
+  // Channels a recipient cannot be reached on (missing email, phone or webhook URL)
+  const getUnreachableChannels = (user, channels) =>
+    channels.filter((channel) => !NOTIFICATION_CHANNELS[channel].getAddress(user, formData));
+
+  const handleTestLevel = async (index) => {
+    const level = formData.levels[index];
+    const plant = plants.find((item) => item.id === formData.plantId);
+    const sampleAlarm = {
+      id: 'test',
+      severity: formData.severity || 'CRITICAL',
+      message: `Test notification from escalation policy "${formData.name || 'Untitled'}"`,
+      plant,
+      triggeredAt: new Date().toISOString(),
+    };
+
+    const attempts = level.userIds.flatMap((userId) =>
+      level.channels.map((channel) =>
+        notify(channel, usersById.get(userId), sampleAlarm, { policy: formData, level: index + 1 })
+      )
+    );
+    const results = await Promise.allSettled(attempts);
+    const failures = results.filter((result) => result.status === 'rejected');
+
+    setTestResult({
+      severity: failures.length > 0 ? 'warning' : 'success',
+      message: `Level ${index + 1}: ${results.length - failures.length} of ${results.length} test notifications sent via the ${getTransportName()} transport.` +
+        (failures.length > 0 ? ` ${failures.map((failure) => failure.reason.message).join('; ')}` : ''),
+      // The stub transport delivers nowhere, so show what it would have sent
+      outbox: getTransportName() === 'stub' ? getStubOutbox().slice(-OUTBOX_PREVIEW_SIZE).reverse() : [],
+    });
+  };
+
+  const handleSave = () => {
+    setSubmitted(true);
+    if (problems.length > 0) return;
+
+    onSave({
+      name: formData.name.trim(),
+      plantId: formData.plantId,
+      severity: formData.severity || null,
+      webhookUrl: usesWebhook ? formData.webhookUrl : null,
+      levels: formData.levels.map((level, index) => ({
+        userIds: level.userIds,
+        channels: level.channels,
+        waitMinutes: index < formData.levels.length - 1 ? Number(level.waitMinutes) : null,
+      })),
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{policy ? 'Edit Escalation Policy' : 'Create Escalation Policy'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ pt: 2 }}>
+          {submitted && problems.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {problems.join('. ')}
+            </Alert>
+          )}
+          {testResult && (
+            <Alert severity={testResult.severity} sx={{ mb: 2 }} onClose={() => setTestResult(null)}>
+              {testResult.message}
+              {testResult.outbox?.length > 0 && (
+                <Box sx={{ mt: 1 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    Stub outbox (newest first)
+                  </Typography>
+                  {testResult.outbox.map((sent) => (
+                    <Typography key={sent.id} variant="body2" sx={{ wordBreak: 'break-word' }}>
+                      {NOTIFICATION_CHANNELS[sent.channel]?.label || sent.channel} → {sent.to}: {sent.subject || sent.body}
+                    </Typography>
+                  ))}
+                </Box>
+              )}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                required
+                label="Policy Name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="e.g., North Site critical on-call"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                select
+                required
+                label="Plant"
+                name="plantId"
+                value={formData.plantId}
+                onChange={handleChange}
+              >
+                {plants.map((plant) => (
+                  <MenuItem key={plant.id} value={plant.id}>
+                    {plant.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                select
+                label="Severity"
+                name="severity"
+                value={formData.severity}
+                onChange={handleChange}
+                helperText="A policy without severity covers alarms no other policy matches"
+              >
+                <MenuItem value="">Any severity</MenuItem>
+                {SEVERITIES.map((severity) => (
+                  <MenuItem key={severity} value={severity}>
+                    {severity}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {usesWebhook && (
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  required
+                  label="Webhook URL"
+                  name="webhookUrl"
+                  value={formData.webhookUrl || ''}
+                  onChange={handleChange}
+                  placeholder="https://hooks.example.com/alarms"
+                />
+              </Grid>
+            )}
+          </Grid>
+
+          {/* Levels */}
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Escalation Levels
+          </Typography>
+          {formData.levels.map((level, index) => {
+            const isLast = index === formData.levels.length - 1;
+            return (
+              <Paper key={index} variant="outlined" sx={{ p: 2, mb: 2 }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Typography variant="subtitle2">
+                    Level {index + 1}{index === 0 ? ' (notified when the alarm is raised)' : ''}
+                  </Typography>
+                  <Box>
+                    <Button
+                      size="small"
+                      startIcon={<SendIcon />}
+                      onClick={() => handleTestLevel(index)}
+                      disabled={level.userIds.length === 0 || level.channels.length === 0}
+                    >
+                      Send Test
+                    </Button>
+                    {formData.levels.length > 1 && (
+                      <IconButton size="small" color="error" onClick={() => removeLevel(index)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  </Box>
+                </Box>
+
+                <Autocomplete
+                  multiple
+                  options={users}
+                  getOptionLabel={(user) => `${user.name} (${user.email})`}
+                  value={level.userIds.map((userId) => usersById.get(userId)).filter(Boolean)}
+                  onChange={(_event, selected) => updateLevel(index, { userIds: selected.map((user) => user.id) })}
+                  renderTags={(selected, getTagProps) =>
+                    selected.map((user, tagIndex) => {
+                      const unreachable = getUnreachableChannels(user, level.channels);
+                      const warning = !isAssigned(user.id)
+                        ? 'Not assigned to this plant'
+                        : unreachable.length > 0
+                          ? `No ${unreachable.map((channel) => NOTIFICATION_CHANNELS[channel].label).join(', ')} address`
+                          : null;
+                      return (
+                        <Chip
+                          {...getTagProps({ index: tagIndex })}
+                          key={user.id}
+                          size="small"
+                          label={user.name}
+                          color={warning ? 'warning' : 'default'}
+                          title={warning || undefined}
+                        />
+                      );
+                    })
+                  }
+                  renderInput={(params) => <TextField {...params} label="Recipients" />}
+                />
+
+                {level.userIds.filter((userId) => formData.plantId && !isAssigned(userId)).map((userId) => (
+                  <Alert
+                    key={userId}
+                    severity="warning"
+                    sx={{ mt: 1 }}
+                    action={
+                      <Button color="inherit" size="small" onClick={() => handleAssign(userId)}>
+                        Assign
+                      </Button>
+                    }
+                  >
+                    {usersById.get(userId)?.name} is not assigned to this plant.
+                  </Alert>
+                ))}
+
+                {level.userIds.filter((userId) => formData.plantId && isAssignmentUnknown(userId)).map((userId) => (
+                  <Alert
+                    key={userId}
+                    severity="info"
+                    sx={{ mt: 1 }}
+                    action={
+                      <Button color="inherit" size="small" onClick={() => loadUserPlants(userId)}>
+                        Retry
+                      </Button>
+                    }
+                  >
+                    Could not check whether {usersById.get(userId)?.name} is assigned to this plant.
+                  </Alert>
+                ))}
+
+                <FormGroup row sx={{ mt: 1 }}>
+                  {CHANNEL_OPTIONS.map((channel) => (
+                    <FormControlLabel
+                      key={channel.value}
+                      control={
+                        <Checkbox
+                          size="small"
+                          checked={level.channels.includes(channel.value)}
+                          onChange={(e) => toggleChannel(index, channel.value, e.target.checked)}
+                        />
+                      }
+                      label={channel.label}
+                    />
+                  ))}
+                </FormGroup>
+
+                {!isLast && (
+                  <TextField
+                    type="number"
+                    size="small"
+                    label="Escalate if unacknowledged after"
+                    value={level.waitMinutes ?? ''}
+                    onChange={(e) => updateLevel(index, { waitMinutes: e.target.value })}
+                    InputProps={{ endAdornment: <InputAdornment position="end">min</InputAdornment> }}
+                    inputProps={{ min: 1 }}
+                    sx={{ mt: 1, width: 280 }}
+                  />
+                )}
+              </Paper>
+            );
+          })}
+          <Button startIcon={<AddIcon />} onClick={addLevel}>
+            Add Level
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={saving}>
+          {policy ? 'Save' : 'Create'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EscalationPolicyDialog;
@@ -0,0 +1,96 @@
+/**
+ * Escalation Timeline
+ * Levels of the alarm's escalation policy, when each is due and which notifications went out
+ */
+
+import React from 'react';
+import {
+  Box,
+  Chip,
+  Stepper,
+  Step,
+  StepLabel,
+  StepContent,
+  Typography,
+} from '@mui/material';
+import { NOTIFICATION_CHANNELS } from '../../services/notificationChannels';
+import { buildEscalationTimeline } from '../../utils/escalation';
+
+const STATE_CHIPS = {
+  NOTIFIED: { label: 'Notified', color: 'success' },
+  DUE: { label: 'Due', color: 'error' },
+  PENDING: { label: 'Pending', color: 'default' },
+  SKIPPED: { label: 'Not needed', color: 'default' },
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.alarm - Alarm
+ * @param {Object|null} props.policy - Matching escalation policy
+ * @param {Array} props.notifications - Notifications sent for the alarm
+ * @param {Array} props.users - Users, to resolve recipient names (counts are shown without them)
+ * @param {number} props.now - Epoch milliseconds
+ */
+const EscalationTimeline = ({ alarm, policy, notifications = [], users = [], now = Date.now() }) => {
+  if (!policy) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No escalation policy covers this plant and severity.
+      </Typography>
+    );
+  }
+
+  const getUserName = (userId) => users.find((user) => user.id === userId)?.name || 'Unknown user';
+  const timeline = buildEscalationTimeline(alarm, policy, notifications, now);
+  const activeStep = timeline.filter((entry) => entry.state === 'NOTIFIED' || entry.state === 'DUE').length - 1;
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Policy: {policy.name}
+      </Typography>
+      <Stepper orientation="vertical" activeStep={activeStep}>
+        {timeline.map((entry) => {
+          const stateChip = STATE_CHIPS[entry.state];
+          return (
+            <Step key={entry.level} expanded completed={entry.state === 'NOTIFIED'}>
+              <StepLabel
+                optional={
+                  <Typography variant="caption" color="text.secondary">
+                    {entry.level === 1 ? 'When raised' : 'Due'} · {new Date(entry.dueAt).toLocaleString()}
+                  </Typography>
+                }
+              >
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  Level {entry.level}
+                  <Chip label={stateChip.label} color={stateChip.color} size="small" />
+                </Box>
+              </StepLabel>
+              <StepContent>
+                <Typography variant="body2">
+                  {users.length > 0
+                    ? entry.recipients.map(getUserName).join(', ')
+                    : `${entry.recipients.length} recipient${entry.recipients.length === 1 ? '' : 's'}`}
+                  {' via '}
+                  {entry.channels.map((channel) => NOTIFICATION_CHANNELS[channel]?.label || channel).join(', ')}
+                </Typography>
+                {entry.notifications.map((notification, index) => (
+                  <Typography key={notification.id || index} variant="caption" color="text.secondary" display="block">
+                    {NOTIFICATION_CHANNELS[notification.channel]?.label || notification.channel}
+                    {' to '}
+                    {notification.userId && users.length > 0 ? getUserName(notification.userId) : notification.to}
+                    {' · '}
+                    {new Date(notification.sentAt).toLocaleString()}
+                    {notification.status && notification.status !== 'DELIVERED' && ` · ${notification.status}`}
+                  </Typography>
+                ))}
+              </StepContent>
+            </Step>
+          );
+        })}
+      </Stepper>
+    </Box>
+  );
+};
+
+export default EscalationTimeline;
@@ -0,0 +1,175 @@
+/**
+ * Maintenance Masks Dialog
+ * Lists active maintenance masks and creates new ones for a device or its subtree
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+  FormControlLabel,
+  Checkbox,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Alert,
+  Divider,
+} from '@mui/material';
+import { isMaskActive } from '../../utils/alarms';
+
+// Mask durations in minutes (null = until ended manually)
+const MASK_DURATIONS = [
+  { value: 60, label: '1 hour' },
+  { value: 240, label: '4 hours' },
+  { value: 480, label: '8 hours' },
+  { value: 1440, label: '24 hours' },
+  { value: 4320, label: '3 days' },
+  { value: null, label: 'Until ended manually' },
+];
+
+const EMPTY_FORM = { device: null, includeChildren: true, duration: 480, reason: '' };
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog visibility
+ * @param {Array} props.masks - Maintenance masks
+ * @param {Array} props.devices - Devices available for masking
+ * @param {boolean} props.canManage - Allow creating and ending masks
+ * @param {Function} props.onCreate - Called with the mask payload; resolves true once created
+ * @param {Function} props.onEnd - Called with a mask to end it
+ * @param {Function} props.onClose - Close handler
+ */
+const MaintenanceMasksDialog = ({ open, masks = [], devices = [], canManage = false, onCreate, onEnd, onClose }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    if (open) setForm(EMPTY_FORM);
+  }, [open]);
+
+  const activeMasks = masks.filter((mask) => isMaskActive(mask));
+  const getDeviceName = (mask) =>
+    mask.device?.name || devices.find((device) => device.id === mask.deviceId)?.name || mask.deviceId;
+
+  const handleCreate = async () => {
+    const startsAt = new Date();
+    const created = await onCreate({
+      deviceId: form.device.id,
+      includeChildren: form.includeChildren,
+      startsAt: startsAt.toISOString(),
+      endsAt: form.duration ? new Date(startsAt.getTime() + form.duration * 60 * 1000).toISOString() : null,
+      reason: form.reason.trim(),
+    });
+    if (created) setForm(EMPTY_FORM);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Maintenance Masks</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Alarms from a masked device are moved to the Shelved / Masked tab until the mask ends.
+          Plants with status Maintenance are masked automatically.
+        </Typography>
+
+        {activeMasks.length === 0 ? (
+          <Alert severity="info" sx={{ mb: 2 }}>No active maintenance masks.</Alert>
+        ) : (
+          <Table size="small" sx={{ mb: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Device</TableCell>
+                <TableCell>Scope</TableCell>
+                <TableCell>Until</TableCell>
+                <TableCell>Reason</TableCell>
+                {canManage && <TableCell align="right">Actions</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {activeMasks.map((mask) => (
+                <TableRow key={mask.id}>
+                  <TableCell>{getDeviceName(mask)}</TableCell>
+                  <TableCell>{mask.includeChildren ? 'Device and children' : 'Device only'}</TableCell>
+                  <TableCell>{mask.endsAt ? new Date(mask.endsAt).toLocaleString() : 'Until ended'}</TableCell>
+                  <TableCell>{mask.reason || '-'}</TableCell>
+                  {canManage && (
+                    <TableCell align="right">
+                      <Button size="small" color="error" onClick={() => onEnd(mask)}>
+                        End
+                      </Button>
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {canManage && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle1" gutterBottom>
+              New Mask
+            </Typography>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Autocomplete
+                options={devices}
+                getOptionLabel={(option) => `${option.name} (${option.deviceType})`}
+                value={form.device}
+                onChange={(_event, device) => setForm((prev) => ({ ...prev, device }))}
+                renderInput={(params) => <TextField {...params} label="Device" placeholder="Search for a device..." />}
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={form.includeChildren}
+                    onChange={(e) => setForm((prev) => ({ ...prev, includeChildren: e.target.checked }))}
+                  />
+                }
+                label="Include all child devices"
+              />
+              <TextField
+                select
+                label="Duration"
+                value={form.duration ?? ''}
+                onChange={(e) => setForm((prev) => ({ ...prev, duration: e.target.value || null }))}
+              >
+                {MASK_DURATIONS.map((option) => (
+                  <MenuItem key={option.label} value={option.value ?? ''}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                label="Reason"
+                required
+                value={form.reason}
+                onChange={(e) => setForm((prev) => ({ ...prev, reason: e.target.value }))}
+                placeholder="e.g., Inverter firmware upgrade"
+              />
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {canManage && (
+          <Button variant="contained" onClick={handleCreate} disabled={!form.device || !form.reason.trim()}>
+            Start Mask
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MaintenanceMasksDialog;
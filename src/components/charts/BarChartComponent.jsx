@@ -1,12 +1,14 @@
 /**
  * Reusable Bar Chart Component
- * Uses Recharts for rendering categorical data
+ * Uses Recharts for rendering categorical data, optionally with overlay lines
+ * (e.g. a cumulative percentage on a right-hand axis for Pareto charts)
  */
 
-import React from 'react';
+import React, { useRef } from 'react';
 import {
-  BarChart,
+  ComposedChart,
   Bar,
+  Line,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -14,8 +16,10 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
-import { Paper, Typography, Box } from '@mui/material';
+import { Paper, Typography, Box, CircularProgress, Alert } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
+import { getChartExportColumns } from '../../utils/export';
+import ExportMenu from '../ExportMenu';
 
 const BarChartComponent = ({
   data = [],
@@ -25,19 +29,56 @@ const BarChartComponent = ({
   height = 300,
   showLegend = true,
   showGrid = true,
+  loading = false,
+  error = null,
+  lines = [],
+  rightAxisUnit,
+  exportable = true,
 }) => {
   const theme = useTheme();
+  const chartRef = useRef(null);
+  const hasRightAxis = lines.some((line) => line.axis === 'right');
 
   return (
     <Paper sx={{ p: 3 }}>
-      {title && (
-        <Typography variant="h6" gutterBottom>
-          {title}
-        </Typography>
+      {(title || exportable) && (
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <Typography variant="h6" gutterBottom>
+            {title}
+          </Typography>
+          {exportable && (
+            <ExportMenu
+              name={title || 'chart'}
+              columns={getChartExportColumns(data, xDataKey, [...bars, ...lines])}
+              rows={data}
+              chartRef={chartRef}
+              disabled={data.length === 0}
+            />
+          )}
+        </Box>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
       )}
-      <Box sx={{ width: '100%', height }}>
+      <Box ref={chartRef} sx={{ width: '100%', height, position: 'relative' }}>
+        {loading && (
+          <Box
+            sx={{
+              position: 'absolute',
+              inset: 0,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              zIndex: 1,
+            }}
+          >
+            <CircularProgress size={32} />
+          </Box>
+        )}
         <ResponsiveContainer>
-          <BarChart data={data}>
+          <ComposedChart data={data}>
             {showGrid && <CartesianGrid strokeDasharray="3 3" stroke={theme.palette.divider} />}
             <XAxis
               dataKey={xDataKey}
@@ -45,9 +86,19 @@ const BarChartComponent = ({
               style={{ fontSize: '12px' }}
             />
             <YAxis
+              yAxisId="left"
               stroke={theme.palette.text.secondary}
               style={{ fontSize: '12px' }}
             />
+            {hasRightAxis && (
+              <YAxis
+                yAxisId="right"
+                orientation="right"
+                unit={rightAxisUnit}
+                stroke={theme.palette.text.secondary}
+                style={{ fontSize: '12px' }}
+              />
+            )}
             <Tooltip
               contentStyle={{
                 backgroundColor: theme.palette.background.paper,
@@ -59,12 +110,25 @@ const BarChartComponent = ({
             {bars.map((bar, index) => (
               <Bar
                 key={bar.dataKey}
+                yAxisId="left"
                 dataKey={bar.dataKey}
                 name={bar.name || bar.dataKey}
                 fill={bar.color || theme.palette.primary.main}
               />
             ))}
-          </BarChart>
+            {lines.map((line) => (
+              <Line
+                key={line.dataKey}
+                yAxisId={line.axis === 'right' ? 'right' : 'left'}
+                type="monotone"
+                dataKey={line.dataKey}
+                name={line.name || line.dataKey}
+                stroke={line.color || theme.palette.secondary.main}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+              />
+            ))}
+          </ComposedChart>
         </ResponsiveContainer>
       </Box>
     </Paper>
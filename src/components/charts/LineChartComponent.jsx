@@ -3,7 +3,7 @@
  * Uses Recharts for rendering time-series data
  */
 
-import React from 'react';
+import React, { useRef } from 'react';
 import {
   LineChart,
   Line,
@@ -13,9 +13,12 @@ import {
   Tooltip,
   Legend,
   ResponsiveContainer,
+  ReferenceArea,
 } from 'recharts';
-import { Paper, Typography, Box } from '@mui/material';
+import { Paper, Typography, Box, CircularProgress, Alert } from '@mui/material';
 import { useTheme } from '@mui/material/styles';
+import { getChartExportColumns } from '../../utils/export';
+import ExportMenu from '../ExportMenu';
 
 const LineChartComponent = ({
   data = [],
@@ -25,17 +28,52 @@ const LineChartComponent = ({
   height = 300,
   showLegend = true,
   showGrid = true,
+  loading = false,
+  error = null,
+  shadedRanges = [],
+  exportable = true,
 }) => {
   const theme = useTheme();
+  const chartRef = useRef(null);
 
   return (
     <Paper sx={{ p: 3 }}>
-      {title && (
-        <Typography variant="h6" gutterBottom>
-          {title}
-        </Typography>
+      {(title || exportable) && (
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+          <Typography variant="h6" gutterBottom>
+            {title}
+          </Typography>
+          {exportable && (
+            <ExportMenu
+              name={title || 'chart'}
+              columns={getChartExportColumns(data, xDataKey, lines)}
+              rows={data}
+              chartRef={chartRef}
+              disabled={data.length === 0}
+            />
+          )}
+        </Box>
+      )}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
       )}
-      <Box sx={{ width: '100%', height }}>
+      <Box ref={chartRef} sx={{ width: '100%', height, position: 'relative' }}>
+        {loading && (
+          <Box
+            sx={{
+              position: 'absolute',
+              inset: 0,
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              zIndex: 1,
+            }}
+          >
+            <CircularProgress size={32} />
+          </Box>
+        )}
         <ResponsiveContainer>
           <LineChart data={data}>
             {showGrid && <CartesianGrid strokeDasharray="3 3" stroke={theme.palette.divider} />}
@@ -56,6 +94,16 @@ const LineChartComponent = ({
               }}
             />
             {showLegend && <Legend />}
+            {shadedRanges.map((range) => (
+              <ReferenceArea
+                key={`${range.x1}-${range.x2}`}
+                x1={range.x1}
+                x2={range.x2}
+                fill={range.color || theme.palette.text.primary}
+                fillOpacity={range.opacity ?? 0.06}
+                ifOverflow="extendDomain"
+              />
+            ))}
             {lines.map((line, index) => (
               <Line
                 key={line.dataKey}
@@ -64,6 +112,7 @@ const LineChartComponent = ({
                 name={line.name || line.dataKey}
                 stroke={line.color || theme.palette.primary.main}
                 strokeWidth={2}
+                strokeDasharray={line.dashed ? '6 4' : undefined}
                 dot={false}
                 activeDot={{ r: 6 }}
               />
@@ -0,0 +1,228 @@
+/**
+ * Google Map View
+ * Google Maps implementation of the plant map: status markers, info window, fit-bounds,
+ * status-coloured marker clusters and an optional heatmap layer
+ */
+
+import React, { useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  GoogleMap,
+  LoadScript,
+  Marker,
+  InfoWindow,
+  MarkerClustererF,
+  HeatmapLayerF,
+} from '@react-google-maps/api';
+import { getGoogleMapsApiKey } from '../../utils/mapProvider';
+import {
+  CLUSTER_STYLES,
+  CLUSTER_MAX_ZOOM,
+  HEATMAP_GRADIENT,
+  getClusterIcon,
+} from '../../utils/plantMap';
+
+// Map container styling
+const mapContainerStyle = {
+  width: '100%',
+  height: '100%',
+};
+
+// Map options
+const mapOptions = {
+  disableDefaultUI: false,
+  zoomControl: true,
+  mapTypeControl: true,
+  scaleControl: true,
+  streetViewControl: false,
+  rotateControl: false,
+  fullscreenControl: true,
+  styles: [], // Can add custom map styling here
+};
+
+// Google Maps libraries to load (constant so LoadScript does not reload)
+const MAP_LIBRARIES = ['visualization'];
+
+// Zoom cap when fitting the map to a single plant
+const SINGLE_PLANT_MAX_ZOOM = 12;
+
+const getPosition = (plant) => ({
+  lat: parseFloat(plant.location.latitude),
+  lng: parseFloat(plant.location.longitude),
+});
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.plants - Plants to show (with location)
+ * @param {Object} props.center - Map center { lat, lng }
+ * @param {number} props.zoom - Map zoom
+ * @param {number} props.fitBoundsKey - Changing it fits the map to all plants again
+ * @param {Object|null} props.selectedPlant - Plant whose info window is open
+ * @param {Function} props.getMarkerStyle - (plant) => { color, opacity, radius, strokeWeight }
+ * @param {Function} props.renderInfo - (plant) => info window content
+ * @param {Function} props.onMarkerClick - Called with the clicked plant
+ * @param {Function} props.onMarkerHover - Called with the hovered plant ID, or null
+ * @param {Function} props.onInfoClose - Info window closed
+ * @param {Function} props.onLoad - Map ready
+ * @param {boolean} props.clustering - Group nearby markers into clusters
+ * @param {Function} props.onClusterClick - Called with the plant IDs of a cluster clicked at full zoom
+ * @param {Array<Object>} props.heatmapPoints - [{ plant, weight }]; empty hides the heatmap
+ * @param {number} props.heatmapMax - Weight shown at full intensity
+ */
+const GoogleMapView = ({
+  plants,
+  center,
+  zoom,
+  fitBoundsKey,
+  selectedPlant,
+  getMarkerStyle,
+  renderInfo,
+  onMarkerClick,
+  onMarkerHover,
+  onInfoClose,
+  onLoad,
+  clustering = false,
+  onClusterClick,
+  heatmapPoints = [],
+  heatmapMax = 0,
+}) => {
+  const mapRef = useRef(null);
+  const clustererRef = useRef(null);
+
+  const fitBounds = useCallback(() => {
+    const map = mapRef.current;
+    if (!map || plants.length === 0) return;
+
+    const bounds = new window.google.maps.LatLngBounds();
+    plants.forEach((plant) => bounds.extend(getPosition(plant)));
+    map.fitBounds(bounds);
+
+    // Adjust zoom if only one plant
+    if (plants.length === 1) {
+      window.google.maps.event.addListenerOnce(map, 'bounds_changed', () => {
+        map.setZoom(Math.min(map.getZoom(), SINGLE_PLANT_MAX_ZOOM));
+      });
+    }
+  }, [plants]);
+
+  // Fit map bounds to show all markers
+  useEffect(() => {
+    fitBounds();
+  }, [fitBounds, fitBoundsKey]);
+
+  // Cluster badges depend on plant statuses, which change without markers being added or removed
+  useEffect(() => {
+    if (clustererRef.current) clustererRef.current.repaint();
+  }, [plants]);
+
+  const handleMapLoad = (map) => {
+    mapRef.current = map;
+    fitBounds();
+    if (onLoad) onLoad();
+  };
+
+  const plantsById = useMemo(() => new Map(plants.map((plant) => [plant.id, plant])), [plants]);
+
+  // Cluster badge colour follows the worst status among the cluster's plants
+  const clusterCalculator = useCallback(
+    (markers) => getClusterIcon(markers.map((marker) => plantsById.get(marker.get('plantId'))).filter(Boolean)),
+    [plantsById]
+  );
+
+  // Zoom into a cluster while it can still split; at full zoom hand its plants to the page
+  const handleClusterClick = (cluster) => {
+    const map = mapRef.current;
+    if (map && map.getZoom() < CLUSTER_MAX_ZOOM) {
+      map.fitBounds(cluster.getBounds());
+      return;
+    }
+    if (onClusterClick) onClusterClick(cluster.getMarkers().map((marker) => marker.get('plantId')));
+  };
+
+  const getMarkerIcon = (plant) => {
+    const { color, opacity, radius, strokeWeight } = getMarkerStyle(plant);
+    return {
+      path: window.google.maps.SymbolPath.CIRCLE,
+      fillColor: color,
+      fillOpacity: opacity,
+      strokeColor: '#ffffff',
+      strokeWeight,
+      scale: radius,
+    };
+  };
+
+  const renderMarker = (plant, clusterer) => (
+    <Marker
+      key={plant.id}
+      position={getPosition(plant)}
+      onClick={() => onMarkerClick(plant)}
+      onMouseOver={() => onMarkerHover(plant.id)}
+      onMouseOut={() => onMarkerHover(null)}
+      icon={getMarkerIcon(plant)}
+      title={plant.name}
+      clusterer={clusterer}
+      options={{ plantId: plant.id }}
+    />
+  );
+
+  const heatmapData = mapRef.current
+    ? heatmapPoints.map(({ plant, weight }) => {
+      const { lat, lng } = getPosition(plant);
+      return { location: new window.google.maps.LatLng(lat, lng), weight };
+    })
+    : [];
+
+  return (
+    <LoadScript googleMapsApiKey={getGoogleMapsApiKey()} libraries={MAP_LIBRARIES}>
+      <GoogleMap
+        mapContainerStyle={mapContainerStyle}
+        center={center}
+        zoom={zoom}
+        options={mapOptions}
+        onLoad={handleMapLoad}
+      >
+        {/* Plant Markers */}
+        {clustering ? (
+          <MarkerClustererF
+            calculator={clusterCalculator}
+            styles={CLUSTER_STYLES}
+            maxZoom={CLUSTER_MAX_ZOOM}
+            zoomOnClick={false}
+            averageCenter
+            onClick={handleClusterClick}
+            onLoad={(clusterer) => {
+              clustererRef.current = clusterer;
+            }}
+            onUnmount={() => {
+              clustererRef.current = null;
+            }}
+          >
+            {(clusterer) => (
+              <>
+                {plants.map((plant) => renderMarker(plant, clusterer))}
+              </>
+            )}
+          </MarkerClustererF>
+        ) : (
+          plants.map((plant) => renderMarker(plant))
+        )}
+
+        {/* Heatmap */}
+        {heatmapData.length > 0 && (
+          <HeatmapLayerF
+            data={heatmapData}
+            options={{ gradient: HEATMAP_GRADIENT, radius: 30, maxIntensity: heatmapMax || undefined }}
+          />
+        )}
+
+        {/* Info Window */}
+        {selectedPlant && (
+          <InfoWindow position={getPosition(selectedPlant)} onCloseClick={onInfoClose}>
+            {renderInfo(selectedPlant)}
+          </InfoWindow>
+        )}
+      </GoogleMap>
+    </LoadScript>
+  );
+};
+
+export default GoogleMapView;
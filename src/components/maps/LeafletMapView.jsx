@@ -0,0 +1,188 @@
+/**
+ * Leaflet Map View
+ * Leaflet implementation of the plant map on OpenStreetMap or self-hosted tiles: status markers,
+ * info window and fit-bounds, with the same props as the Google Maps view
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Box } from '@mui/material';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { getTileLayerConfig } from '../../utils/mapProvider';
+
+// Zoom cap when fitting the map to a single plant
+const SINGLE_PLANT_MAX_ZOOM = 12;
+
+const getLatLng = (plant) => [parseFloat(plant.location.latitude), parseFloat(plant.location.longitude)];
+
+const getCircleStyle = ({ color, opacity, radius, strokeWeight }) => ({
+  radius,
+  fillColor: color,
+  fillOpacity: opacity,
+  color: '#ffffff',
+  weight: strokeWeight,
+  opacity: 1,
+});
+
+/**
+ * @param {Object} props - Same as GoogleMapView; clustering and heatmap props are not supported
+ * @param {Array<Object>} props.plants - Plants to show (with location)
+ * @param {Object} props.center - Map center { lat, lng }
+ * @param {number} props.zoom - Map zoom
+ * @param {number} props.fitBoundsKey - Changing it fits the map to all plants again
+ * @param {Object|null} props.selectedPlant - Plant whose info window is open
+ * @param {Function} props.getMarkerStyle - (plant) => { color, opacity, radius, strokeWeight }
+ * @param {Function} props.renderInfo - (plant) => info window content
+ * @param {Function} props.onMarkerClick - Called with the clicked plant
+ * @param {Function} props.onMarkerHover - Called with the hovered plant ID, or null
+ * @param {Function} props.onInfoClose - Info window closed
+ * @param {Function} props.onLoad - Map ready
+ */
+const LeafletMapView = ({
+  plants,
+  center,
+  zoom,
+  fitBoundsKey,
+  selectedPlant,
+  getMarkerStyle,
+  renderInfo,
+  onMarkerClick,
+  onMarkerHover,
+  onInfoClose,
+  onLoad,
+}) => {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const markersRef = useRef(new Map());
+  const popupRef = useRef(null);
+  const initialViewRef = useRef({ center, zoom });
+  const [popupContainer] = useState(() => document.createElement('div'));
+  const [ready, setReady] = useState(false);
+
+  // Leaflet listeners are bound once, so they read the latest plants and callbacks from here
+  const latestRef = useRef({});
+  useEffect(() => {
+    latestRef.current = {
+      plantsById: new Map(plants.map((plant) => [plant.id, plant])),
+      onMarkerClick,
+      onMarkerHover,
+      onInfoClose,
+      onLoad,
+    };
+  });
+
+  // Create the map once its container is mounted
+  useEffect(() => {
+    const markers = markersRef.current;
+    const { url, attribution, maxZoom } = getTileLayerConfig();
+    const { center: initialCenter, zoom: initialZoom } = initialViewRef.current;
+    const map = L.map(containerRef.current).setView([initialCenter.lat, initialCenter.lng], initialZoom);
+    L.tileLayer(url, { attribution, maxZoom }).addTo(map);
+    mapRef.current = map;
+    setReady(true);
+    if (latestRef.current.onLoad) latestRef.current.onLoad();
+
+    return () => {
+      markers.clear();
+      if (mapRef.current) {
+        mapRef.current.remove();
+        mapRef.current = null;
+      }
+    };
+  }, []);
+
+  // Keep markers in sync with the plants and their styles
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!ready || !map) return;
+
+    const markers = markersRef.current;
+    const plantIds = new Set(plants.map((plant) => plant.id));
+    markers.forEach((marker, plantId) => {
+      if (!plantIds.has(plantId)) {
+        marker.remove();
+        markers.delete(plantId);
+      }
+    });
+
+    plants.forEach((plant) => {
+      const style = getCircleStyle(getMarkerStyle(plant));
+      const existing = markers.get(plant.id);
+      if (existing) {
+        existing.setLatLng(getLatLng(plant)).setStyle(style).setRadius(style.radius);
+        existing.setTooltipContent(plant.name);
+        return;
+      }
+
+      const marker = L.circleMarker(getLatLng(plant), style).addTo(map);
+      marker.bindTooltip(plant.name, { direction: 'top' });
+      marker.on('click', () => {
+        const latest = latestRef.current;
+        latest.onMarkerClick(latest.plantsById.get(plant.id) || plant);
+      });
+      marker.on('mouseover', () => latestRef.current.onMarkerHover(plant.id));
+      marker.on('mouseout', () => latestRef.current.onMarkerHover(null));
+      markers.set(plant.id, marker);
+    });
+  }, [ready, plants, getMarkerStyle]);
+
+  // Follow center and zoom changes from the page (e.g. a plant picked in the list)
+  useEffect(() => {
+    if (ready) mapRef.current.panTo([center.lat, center.lng], { animate: false });
+  }, [ready, center]);
+
+  useEffect(() => {
+    if (ready) mapRef.current.setZoom(zoom);
+  }, [ready, zoom]);
+
+  const fitBounds = useCallback(() => {
+    const map = mapRef.current;
+    if (!map || plants.length === 0) return;
+    map.fitBounds(
+      L.latLngBounds(plants.map(getLatLng)),
+      { padding: [40, 40], maxZoom: plants.length === 1 ? SINGLE_PLANT_MAX_ZOOM : undefined }
+    );
+  }, [plants]);
+
+  // Fit map bounds to show all markers
+  useEffect(() => {
+    if (ready) fitBounds();
+  }, [ready, fitBounds, fitBoundsKey]);
+
+  // Info window: a Leaflet popup whose content is rendered by React through a portal
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!ready || !map || !selectedPlant) return undefined;
+
+    const popup = L.popup({ minWidth: 250, maxWidth: 320 })
+      .setLatLng(getLatLng(selectedPlant))
+      .setContent(popupContainer)
+      .openOn(map);
+    const handleClose = () => latestRef.current.onInfoClose();
+    popup.on('remove', handleClose);
+    popupRef.current = popup;
+
+    return () => {
+      popup.off('remove', handleClose);
+      popup.remove();
+      popupRef.current = null;
+    };
+  }, [ready, selectedPlant, popupContainer]);
+
+  // Resize the popup to its rendered content
+  useEffect(() => {
+    if (popupRef.current) popupRef.current.update();
+  });
+
+  return (
+    // zIndex keeps Leaflet's panes below overlays drawn on top of the map
+    <Box sx={{ width: '100%', height: '100%', position: 'relative', zIndex: 0 }}>
+      <Box ref={containerRef} sx={{ width: '100%', height: '100%' }} />
+
+      {selectedPlant && createPortal(renderInfo(selectedPlant), popupContainer)}
+    </Box>
+  );
+};
+
+export default LeafletMapView;
@@ -0,0 +1,350 @@
+/**
+ * Plant Import Dialog
+ * Bulk plant onboarding from a CSV/XLSX file: validation and dry run first, then
+ * plants are created one by one with per-row progress and a downloadable error report
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import {
+  UploadFile as UploadIcon,
+  FileDownload as DownloadIcon,
+} from '@mui/icons-material';
+import { createPlant, getAllPlants } from '../../services/plantService';
+import { getAllTemplates, getTemplateById } from '../../services/templateService';
+import { exportRows } from '../../utils/export';
+import {
+  IMPORT_FILE_TYPES,
+  IMPORT_COLUMNS,
+  IMPORT_EXAMPLE_ROWS,
+  IMPORT_REPORT_COLUMNS,
+  readImportFile,
+  validatePlantImport,
+  getImportSummary,
+  buildImportPayload,
+} from '../../utils/plantImport';
+
+const ACTION_CHIPS = {
+  create: { label: 'Create', color: 'primary' },
+  skip: { label: 'Exists - skip', color: 'default' },
+  error: { label: 'Error', color: 'error' },
+};
+
+const RESULT_CHIPS = {
+  creating: { label: 'Creating...', color: 'info' },
+  created: { label: 'Created', color: 'success' },
+  failed: { label: 'Failed', color: 'error' },
+};
+
+const PAGE_SIZE = 100;
+
+// Every page of a paged list, so rows are validated against all templates and plants
+const fetchAllPages = async (fetchPage, getItems) => {
+  const items = [];
+  for (let page = 1; ; page += 1) {
+    const data = await fetchPage({ page, limit: PAGE_SIZE });
+    items.push(...getItems(data));
+    const totalPages = data?.pagination?.totalPages;
+    if (!totalPages || page >= totalPages) return items;
+  }
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog open state
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onImported - Called with the number of created plants once an import finishes
+ */
+const PlantImportDialog = ({ open, onClose, onImported }) => {
+  const [templates, setTemplates] = useState([]);
+  const [existingPlants, setExistingPlants] = useState([]);
+  const [loadingContext, setLoadingContext] = useState(false);
+  const [contextError, setContextError] = useState('');
+  const [contextAttempt, setContextAttempt] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [results, setResults] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [finished, setFinished] = useState(false);
+  const [error, setError] = useState('');
+
+  // Templates and existing plants are needed to validate rows
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setLoadingContext(true);
+    setContextError('');
+    Promise.all([
+      fetchAllPages((params) => getAllTemplates({ ...params, isActive: true }), (data) => data.data || []),
+      fetchAllPages(getAllPlants, (data) => data.plants || []),
+    ])
+      .then(([templateList, plantList]) => {
+        if (cancelled) return;
+        setTemplates(templateList);
+        setExistingPlants(plantList);
+      })
+      .catch((err) => {
+        if (!cancelled) setContextError(err.response?.data?.message || 'Failed to load device templates and plants');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingContext(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, contextAttempt]);
+
+  const summary = getImportSummary(entries);
+  const completed = Object.values(results).filter((result) => result.status !== 'creating').length;
+  const failedCount = Object.values(results).filter((result) => result.status === 'failed').length;
+
+  const handleClose = () => {
+    if (importing) return;
+    setFileName('');
+    setEntries([]);
+    setResults({});
+    setFinished(false);
+    setError('');
+    onClose();
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setResults({});
+    setFinished(false);
+    setFileName(file.name);
+    try {
+      const records = await readImportFile(file);
+      setEntries(validatePlantImport(records, { existingPlants, templates }));
+    } catch (err) {
+      setEntries([]);
+      setError(err.message || 'Failed to read file');
+    }
+  };
+
+  const handleDownloadExample = () => {
+    exportRows('CSV', IMPORT_EXAMPLE_ROWS, IMPORT_COLUMNS, 'plant-import-template');
+  };
+
+  const handleDownloadReport = () => {
+    const rows = entries
+      .filter((entry) => entry.action === 'error' || results[entry.key]?.status === 'failed')
+      .map((entry) => ({
+        ...entry,
+        status: entry.action === 'error' ? 'Invalid' : 'Failed',
+        message: entry.action === 'error' ? entry.errors.join('; ') : results[entry.key].message,
+      }));
+    exportRows('CSV', rows, IMPORT_REPORT_COLUMNS, 'plant-import-errors');
+  };
+
+  const handleImport = async () => {
+    const toCreate = entries.filter((entry) => entry.action === 'create');
+    const templateTagIds = {};
+    let created = 0;
+
+    setImporting(true);
+    setError('');
+    for (const entry of toCreate) {
+      setResults((prev) => ({ ...prev, [entry.key]: { status: 'creating' } }));
+      try {
+        // New devices get all tags of their template, as in the plant form
+        for (const device of entry.devices) {
+          const templateId = device.template.id;
+          if (!templateTagIds[templateId]) {
+            const template = await getTemplateById(templateId);
+            templateTagIds[templateId] = (template.tags || []).map((tag) => tag.id);
+          }
+        }
+        const plant = await createPlant(buildImportPayload(entry, templateTagIds));
+        created += 1;
+        setExistingPlants((prev) => [...prev, plant]);
+        setResults((prev) => ({ ...prev, [entry.key]: { status: 'created' } }));
+      } catch (err) {
+        const message = err.response?.data?.message || err.message || 'Failed to create plant';
+        setResults((prev) => ({ ...prev, [entry.key]: { status: 'failed', message } }));
+      }
+    }
+    setImporting(false);
+    setFinished(true);
+    if (onImported) onImported(created);
+  };
+
+  const renderDetails = (entry) => {
+    const result = results[entry.key];
+    if (result?.message) return result.message;
+    if (entry.errors.length > 0) {
+      return entry.errors.map((message) => (
+        <Typography key={message} variant="caption" color="error" sx={{ display: 'block' }}>
+          {message}
+        </Typography>
+      ));
+    }
+    if (entry.action === 'skip') {
+      return entry.changes.length > 0
+        ? entry.changes.map((change) => (
+          <Typography key={change.field} variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+            {change.label}: {String(change.from)} → {String(change.to)} (not updated)
+          </Typography>
+        ))
+        : 'Already exists, no differences';
+    }
+    return entry.devices.length > 0 ? entry.devices.map((device) => device.name).join(', ') : 'No devices';
+  };
+
+  const renderStatus = (entry) => {
+    const chip = RESULT_CHIPS[results[entry.key]?.status] || ACTION_CHIPS[entry.action];
+    return <Chip label={chip.label} color={chip.color} size="small" />;
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Plants</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Upload a CSV or Excel file with one row per plant (name, plantId, capacity, timezone, lat, lng, address,
+          mqttBaseTopic). To add devices, add rows with the plant&apos;s plantId and a deviceName, deviceTemplate
+          (shortform or name) and optional parentDevice. Nothing is created until you confirm the import.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+          <Button
+            variant="contained"
+            component="label"
+            startIcon={loadingContext ? <CircularProgress size={20} /> : <UploadIcon />}
+            disabled={loadingContext || Boolean(contextError) || importing}
+          >
+            Choose File
+            <input type="file" hidden accept={IMPORT_FILE_TYPES} onChange={handleFileChange} />
+          </Button>
+          <Button startIcon={<DownloadIcon />} onClick={handleDownloadExample}>
+            Download Template
+          </Button>
+          {fileName && (
+            <Typography variant="body2" color="text.secondary">
+              {fileName}
+            </Typography>
+          )}
+        </Box>
+
+        {contextError && (
+          <Alert
+            severity="error"
+            sx={{ mb: 2 }}
+            action={
+              <Button color="inherit" size="small" onClick={() => setContextAttempt((attempt) => attempt + 1)}>
+                Retry
+              </Button>
+            }
+          >
+            {contextError}. Rows cannot be validated until they are loaded.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {entries.length > 0 && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+              <Chip label={`${summary.create} to create (${summary.devices} devices)`} color="primary" variant="outlined" />
+              <Chip label={`${summary.skip} already exist`} variant="outlined" />
+              <Chip label={`${summary.error} with errors`} color={summary.error > 0 ? 'error' : 'default'} variant="outlined" />
+            </Box>
+
+            {(importing || finished) && (
+              <Box sx={{ mb: 2 }}>
+                <LinearProgress variant="determinate" value={summary.create ? (completed / summary.create) * 100 : 100} />
+                <Typography variant="caption" color="text.secondary">
+                  {completed} of {summary.create} plants processed
+                  {failedCount > 0 && `, ${failedCount} failed`}
+                </Typography>
+              </Box>
+            )}
+
+            {finished && (
+              <Alert severity={failedCount > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+                Import finished: {summary.create - failedCount} plants created
+                {failedCount > 0 && `, ${failedCount} failed`}.
+              </Alert>
+            )}
+
+            <TableContainer sx={{ maxHeight: 420 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Row</TableCell>
+                    <TableCell>Plant ID</TableCell>
+                    <TableCell>Name</TableCell>
+                    <TableCell align="right">Devices</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Details</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {entries.map((entry) => (
+                    <TableRow key={entry.key}>
+                      <TableCell>{entry.rowNumber}</TableCell>
+                      <TableCell>{entry.plantId || '-'}</TableCell>
+                      <TableCell>{entry.name || '-'}</TableCell>
+                      <TableCell align="right">{entry.devices.length}</TableCell>
+                      <TableCell>{renderStatus(entry)}</TableCell>
+                      <TableCell>{renderDetails(entry)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {(summary.error > 0 || failedCount > 0) && (
+          <Button startIcon={<DownloadIcon />} onClick={handleDownloadReport} disabled={importing}>
+            Download Error Report
+          </Button>
+        )}
+        <Box sx={{ flexGrow: 1 }} />
+        <Button onClick={handleClose} disabled={importing}>
+          {finished ? 'Close' : 'Cancel'}
+        </Button>
+        {!finished && (
+          <Button
+            variant="contained"
+            onClick={handleImport}
+            disabled={importing || summary.create === 0}
+            startIcon={importing ? <CircularProgress size={20} /> : null}
+          >
+            {importing ? 'Importing...' : `Import ${summary.create} Plant${summary.create === 1 ? '' : 's'}`}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PlantImportDialog;
@@ -0,0 +1,623 @@
+/**
+ * Site Layout
+ * Per-plant layout view: a site plan image or GeoJSON with the plant's devices placed on it,
+ * colour-coded by live status or output. Plant managers upload the plan and place devices.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Divider,
+  Grid,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Edit as EditIcon,
+  UploadFile as UploadIcon,
+  Save as SaveIcon,
+  CheckCircle as PlacedIcon,
+  RadioButtonUnchecked as UnplacedIcon,
+  Close as RemoveIcon,
+  Warning as FaultIcon,
+} from '@mui/icons-material';
+import { getPlantHierarchy } from '../../services/hierarchyService';
+import {
+  getPlantLayout,
+  savePlantLayout,
+  uploadPlantLayoutImage,
+  getPlantLayoutImage,
+} from '../../services/plantService';
+import * as socketService from '../../services/socketService';
+import { selectAllDeviceLatestValues } from '../../store/slices/realtimeSlice';
+import { flattenHierarchy, getDeviceTypeName } from '../../utils/deviceComparison';
+import {
+  LAYOUT_FILE_TYPES,
+  DEVICE_STATUS_COLORS,
+  FAULT_STATUSES,
+  COLOR_MODES,
+  NO_DATA_COLOR,
+  normalizeLayout,
+  readLayoutFile,
+  getGeoJsonPlan,
+  getPlanSize,
+  matchFeatureDevice,
+  getDeviceOutput,
+  getDeviceColors,
+} from '../../utils/siteLayout';
+
+const EMPTY_LAYOUT = normalizeLayout(null);
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+const formatOutput = (value) =>
+  value === null ? 'No live value' : `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} kW`;
+
+/**
+ * @param {Object} props
+ * @param {string} props.plantId - Plant ID
+ * @param {boolean} props.canModify - Whether the user may upload a plan and place devices
+ */
+const SiteLayout = ({ plantId, canModify = false }) => {
+  const navigate = useNavigate();
+  const svgRef = useRef(null);
+
+  // Redux selectors
+  const latestValues = useSelector(selectAllDeviceLatestValues);
+
+  // Local UI state
+  const [devices, setDevices] = useState([]);
+  const [layout, setLayout] = useState(EMPTY_LAYOUT);
+  const [imageUrl, setImageUrl] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [colorMode, setColorMode] = useState('status');
+  const [selectedDeviceId, setSelectedDeviceId] = useState(null);
+
+  // Editing: a draft of the layout, the device waiting to be placed and the marker being dragged
+  const [draft, setDraft] = useState(null);
+  const [placingDeviceId, setPlacingDeviceId] = useState(null);
+  const [draggingDeviceId, setDraggingDeviceId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // Devices come from the plant hierarchy; a plant without a saved layout starts empty
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    Promise.all([
+      getPlantHierarchy(plantId),
+      getPlantLayout(plantId).catch((err) => {
+        if (err.response?.status === 404) return null;
+        throw err;
+      }),
+    ])
+      .then(([hierarchy, savedLayout]) => {
+        if (cancelled) return;
+        setDevices(flattenHierarchy(hierarchy).filter((device) => device.id));
+        setLayout(normalizeLayout(savedLayout));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load site layout');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [plantId]);
+
+  // Saved plan images are served by the API (authenticated), so they are loaded as a blob
+  const savedBackground = layout.background;
+  useEffect(() => {
+    if (savedBackground?.type !== 'image') return undefined;
+    let cancelled = false;
+    let url = '';
+    getPlantLayoutImage(plantId)
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setImageUrl(url);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load the site plan image');
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+      setImageUrl('');
+    };
+  }, [plantId, savedBackground]);
+
+  // Live values for every device of the plant
+  useEffect(() => {
+    const deviceIds = devices.map((device) => device.id);
+    deviceIds.forEach((deviceId) => socketService.subscribe('device', deviceId));
+    return () => deviceIds.forEach((deviceId) => socketService.unsubscribe('device', deviceId));
+  }, [devices]);
+
+  const editing = draft !== null;
+  const current = draft || layout;
+  const background = current.background;
+  const backgroundUrl = background?.url || imageUrl;
+
+  const geoPlan = useMemo(
+    () => (background?.type === 'geojson' ? getGeoJsonPlan(background.geojson) : null),
+    [background]
+  );
+  const { width, height } = getPlanSize(background, geoPlan);
+
+  const devicesById = useMemo(() => new Map(devices.map((device) => [device.id, device])), [devices]);
+  const deviceColors = useMemo(
+    () => getDeviceColors(devices, latestValues, colorMode),
+    [devices, latestValues, colorMode]
+  );
+
+  // GeoJSON blocks linked to a device (by a deviceId/name property)
+  const blocks = useMemo(
+    () => (geoPlan?.features || []).map((feature) => ({
+      ...feature,
+      device: matchFeatureDevice(feature.properties, devices),
+    })),
+    [geoPlan, devices]
+  );
+
+  const placements = current.placements.filter((placement) => devicesById.has(placement.deviceId));
+  const placedIds = new Set([
+    ...placements.map((placement) => placement.deviceId),
+    ...blocks.filter((block) => block.device).map((block) => block.device.id),
+  ]);
+  const faultyDevices = devices.filter((device) => FAULT_STATUSES.includes(device.status));
+  const selectedDevice = devicesById.get(selectedDeviceId) || null;
+
+  // Markers scale with the plan so they stay readable on large images
+  const markerRadius = Math.max(width, height) / 90;
+  const labelSize = markerRadius * 1.1;
+
+  const getPlanPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: clamp(x / width), y: clamp(y / height) };
+  };
+
+  const setPlacement = (deviceId, point) => {
+    setDraft((prev) => ({
+      ...prev,
+      placements: [...prev.placements.filter((placement) => placement.deviceId !== deviceId), { deviceId, ...point }],
+    }));
+  };
+
+  const removePlacement = (deviceId) => {
+    setDraft((prev) => ({
+      ...prev,
+      placements: prev.placements.filter((placement) => placement.deviceId !== deviceId),
+    }));
+  };
+
+  const handlePlanClick = (event) => {
+    if (editing && placingDeviceId) {
+      setPlacement(placingDeviceId, getPlanPoint(event));
+      setSelectedDeviceId(placingDeviceId);
+      setPlacingDeviceId(null);
+    }
+  };
+
+  const handleMarkerPointerDown = (event, deviceId) => {
+    event.stopPropagation();
+    setSelectedDeviceId(deviceId);
+    if (!editing) return;
+    svgRef.current.setPointerCapture(event.pointerId);
+    setDraggingDeviceId(deviceId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (draggingDeviceId) setPlacement(draggingDeviceId, getPlanPoint(event));
+  };
+
+  const handlePointerUp = (event) => {
+    if (!draggingDeviceId) return;
+    svgRef.current.releasePointerCapture(event.pointerId);
+    setDraggingDeviceId(null);
+  };
+
+  const handleStartEditing = () => {
+    setDraft(layout);
+    setColorMode('status');
+  };
+
+  const handleCancelEditing = () => {
+    if (draft?.background?.url) URL.revokeObjectURL(draft.background.url);
+    setDraft(null);
+    setPlacingDeviceId(null);
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      const nextBackground = await readLayoutFile(file);
+      setDraft((prev) => {
+        if (prev.background?.url) URL.revokeObjectURL(prev.background.url);
+        return { ...prev, background: nextBackground };
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to read the site plan');
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      // New images are uploaded first; the layout keeps only their name and size
+      const { file, url, ...nextBackground } = draft.background || {};
+      if (file) await uploadPlantLayoutImage(plantId, file);
+      const saved = await savePlantLayout(plantId, {
+        background: draft.background ? nextBackground : null,
+        placements: draft.placements,
+      });
+      if (url) URL.revokeObjectURL(url);
+      setLayout(normalizeLayout(saved));
+      setDraft(null);
+      setPlacingDeviceId(null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save site layout');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderMarker = ({ deviceId, x, y }) => {
+    const device = devicesById.get(deviceId);
+    const cx = x * width;
+    const cy = y * height;
+    const isFaulty = FAULT_STATUSES.includes(device.status);
+    const isSelected = selectedDeviceId === deviceId;
+    const output = getDeviceOutput(latestValues[deviceId]);
+
+    return (
+      <g
+        key={deviceId}
+        onPointerDown={(event) => handleMarkerPointerDown(event, deviceId)}
+        style={{ cursor: editing ? 'move' : 'pointer' }}
+      >
+        <title>{`${device.name} - ${device.status || 'UNKNOWN'} - ${formatOutput(output)}`}</title>
+        {isFaulty && (
+          <circle cx={cx} cy={cy} r={markerRadius * 1.8} fill="none" stroke={DEVICE_STATUS_COLORS.ERROR} strokeWidth={markerRadius / 3} />
+        )}
+        <circle
+          cx={cx}
+          cy={cy}
+          r={isSelected ? markerRadius * 1.3 : markerRadius}
+          fill={deviceColors.get(deviceId) || NO_DATA_COLOR}
+          stroke={isSelected ? '#212121' : '#ffffff'}
+          strokeWidth={markerRadius / 4}
+        />
+        <text
+          x={cx}
+          y={cy + markerRadius * 2.4}
+          fontSize={labelSize}
+          textAnchor="middle"
+          fill="#212121"
+          stroke="#ffffff"
+          strokeWidth={labelSize / 5}
+          paintOrder="stroke"
+        >
+          {device.deviceId || device.name}
+        </text>
+      </g>
+    );
+  };
+
+  const renderPlan = () => (
+    <Box
+      component="svg"
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      onClick={handlePlanClick}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      sx={{
+        width: '100%',
+        maxHeight: '70vh',
+        display: 'block',
+        bgcolor: 'grey.100',
+        border: 1,
+        borderColor: 'divider',
+        borderRadius: 1,
+        cursor: placingDeviceId ? 'crosshair' : 'default',
+        touchAction: 'none',
+      }}
+    >
+      {background?.type === 'image' && backgroundUrl && (
+        <image href={backgroundUrl} x={0} y={0} width={width} height={height} />
+      )}
+
+      {/* GeoJSON blocks, filled with their device's colour */}
+      {blocks.map((block) => (
+        <g
+          key={block.key}
+          onClick={() => block.device && !editing && setSelectedDeviceId(block.device.id)}
+          style={{ cursor: block.device && !editing ? 'pointer' : 'default' }}
+        >
+          {block.device && <title>{`${block.device.name} - ${block.device.status || 'UNKNOWN'}`}</title>}
+          {block.paths.map((path, index) => (
+            <path
+              key={index}
+              d={path.d}
+              fill={path.closed ? deviceColors.get(block.device?.id) || '#eeeeee' : 'none'}
+              fillOpacity={block.device ? 0.6 : 0.4}
+              stroke={block.device?.id === selectedDeviceId ? '#212121' : '#616161'}
+              strokeWidth={block.device?.id === selectedDeviceId ? 3 : 1}
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          {block.points.map(([x, y], index) => (
+            <circle key={index} cx={x} cy={y} r={markerRadius / 2} fill="#616161" />
+          ))}
+        </g>
+      ))}
+
+      {!background && (
+        <text x={width / 2} y={height / 2} fontSize={24} textAnchor="middle" fill="#9e9e9e">
+          {canModify ? 'Edit the layout to upload a site plan image or GeoJSON' : 'No site plan uploaded yet'}
+        </text>
+      )}
+
+      {placements.map(renderMarker)}
+    </Box>
+  );
+
+  const renderLegend = () => (
+    <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center', mt: 1 }}>
+      {colorMode === 'status' ? (
+        Object.entries(DEVICE_STATUS_COLORS).map(([status, color]) => (
+          <Box key={status} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 12, height: 12, borderRadius: '50%', bgcolor: color }} />
+            <Typography variant="caption">{status}</Typography>
+          </Box>
+        ))
+      ) : (
+        <>
+          <Typography variant="caption">0%</Typography>
+          <Box
+            sx={{
+              width: 160,
+              height: 10,
+              borderRadius: 1,
+              background: 'linear-gradient(to right, hsl(0, 70%, 45%), hsl(60, 70%, 45%), hsl(120, 70%, 45%))',
+            }}
+          />
+          <Typography variant="caption">100% of the best device of the same type</Typography>
+        </>
+      )}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <Box sx={{ width: 12, height: 12, borderRadius: '50%', bgcolor: NO_DATA_COLOR }} />
+        <Typography variant="caption">No data</Typography>
+      </Box>
+    </Box>
+  );
+
+  const renderDeviceDetails = () => (
+    <Box>
+      <Typography variant="subtitle1" fontWeight={500}>
+        {selectedDevice.name}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        {selectedDevice.deviceId} · {getDeviceTypeName(selectedDevice)}
+        {selectedDevice.parentName && ` · under ${selectedDevice.parentName}`}
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+        <Chip
+          label={selectedDevice.status || 'UNKNOWN'}
+          size="small"
+          sx={{ bgcolor: DEVICE_STATUS_COLORS[selectedDevice.status] || NO_DATA_COLOR, color: '#fff' }}
+        />
+        <Typography variant="body2">{formatOutput(getDeviceOutput(latestValues[selectedDevice.id]))}</Typography>
+      </Box>
+      {!placedIds.has(selectedDevice.id) && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+          Not placed on the site plan yet.
+        </Typography>
+      )}
+      <Button size="small" variant="outlined" onClick={() => navigate(`/devices/${selectedDevice.id}`)}>
+        Open Device
+      </Button>
+    </Box>
+  );
+
+  const renderFaultyDevices = () => (
+    <>
+      <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+        <FaultIcon fontSize="small" color={faultyDevices.length > 0 ? 'error' : 'disabled'} />
+        Faulty / Offline ({faultyDevices.length})
+      </Typography>
+      {faultyDevices.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ py: 1 }}>
+          All devices are reporting.
+        </Typography>
+      ) : (
+        <List dense disablePadding>
+          {faultyDevices.map((device) => (
+            <ListItemButton
+              key={device.id}
+              selected={device.id === selectedDeviceId}
+              onClick={() => setSelectedDeviceId(device.id)}
+            >
+              <ListItemText
+                primary={device.name}
+                secondary={`${device.status} · ${placedIds.has(device.id) ? getDeviceTypeName(device) : 'not on plan'}`}
+              />
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </>
+  );
+
+  const renderDeviceList = () => (
+    <>
+      <Typography variant="subtitle2">Devices</Typography>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+        {placingDeviceId
+          ? `Click on the plan to place ${devicesById.get(placingDeviceId)?.name}.`
+          : 'Pick a device, then click on the plan to place it. Drag placed devices to move them.'}
+      </Typography>
+      <List dense disablePadding sx={{ maxHeight: '50vh', overflow: 'auto' }}>
+        {devices.map((device) => {
+          const placed = current.placements.some((placement) => placement.deviceId === device.id);
+          return (
+            <ListItemButton
+              key={device.id}
+              selected={device.id === placingDeviceId}
+              onClick={() => setPlacingDeviceId(device.id === placingDeviceId ? null : device.id)}
+              sx={{ pl: 1 + device.depth * 2 }}
+            >
+              <ListItemIcon sx={{ minWidth: 32 }}>
+                {placed ? <PlacedIcon fontSize="small" color="success" /> : <UnplacedIcon fontSize="small" />}
+              </ListItemIcon>
+              <ListItemText primary={device.name} secondary={getDeviceTypeName(device)} />
+              {placed && (
+                <Tooltip title="Remove from plan">
+                  <IconButton
+                    size="small"
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      removePlacement(device.id);
+                    }}
+                  >
+                    <RemoveIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+            </ListItemButton>
+          );
+        })}
+      </List>
+    </>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+          <Box>
+            <Typography variant="h6">Site Layout</Typography>
+            {background?.name && (
+              <Typography variant="caption" color="text.secondary">
+                {background.name}
+              </Typography>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            {!editing && (
+              <ToggleButtonGroup
+                exclusive
+                size="small"
+                value={colorMode}
+                onChange={(_event, value) => value && setColorMode(value)}
+              >
+                {COLOR_MODES.map((mode) => (
+                  <ToggleButton key={mode.value} value={mode.value}>
+                    {mode.label}
+                  </ToggleButton>
+                ))}
+              </ToggleButtonGroup>
+            )}
+            {canModify && !editing && (
+              <Button variant="outlined" startIcon={<EditIcon />} onClick={handleStartEditing}>
+                Edit Layout
+              </Button>
+            )}
+            {editing && (
+              <>
+                <Button component="label" startIcon={<UploadIcon />} disabled={saving}>
+                  Upload Plan
+                  <input type="file" hidden accept={LAYOUT_FILE_TYPES} onChange={handleFileChange} />
+                </Button>
+                <Button onClick={handleCancelEditing} disabled={saving}>
+                  Cancel
+                </Button>
+                <Button
+                  variant="contained"
+                  startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
+                  onClick={handleSave}
+                  disabled={saving}
+                >
+                  Save Layout
+                </Button>
+              </>
+            )}
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={8}>
+            {renderPlan()}
+            {renderLegend()}
+            {background?.type === 'geojson' && editing && (
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                Blocks with a deviceId or name property matching a device are coloured automatically.
+              </Typography>
+            )}
+          </Grid>
+          <Grid item xs={12} md={4}>
+            {editing ? (
+              renderDeviceList()
+            ) : (
+              <>
+                {selectedDevice ? (
+                  renderDeviceDetails()
+                ) : (
+                  <Typography variant="body2" color="text.secondary">
+                    Select a device on the plan to see its status and output.
+                  </Typography>
+                )}
+                <Divider sx={{ my: 2 }} />
+                {renderFaultyDevices()}
+              </>
+            )}
+          </Grid>
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SiteLayout;
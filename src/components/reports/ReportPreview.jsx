@@ -0,0 +1,195 @@
+/**
+ * Report Preview
+ * In-browser rendering of a report's summary numbers, tables and charts before the file is generated
+ */
+
+import React, { useMemo } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Grid,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { Refresh as RefreshIcon } from '@mui/icons-material';
+import { useTheme } from '@mui/material/styles';
+import LineChartComponent from '../charts/LineChartComponent';
+import BarChartComponent from '../charts/BarChartComponent';
+import { normalizeReportPreview } from '../../utils/reports';
+
+// Tables are cut off in the preview; the generated file has every row
+const PREVIEW_TABLE_ROWS = 50;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+/**
+ * @param {Object} props
+ * @param {Object} props.preview - Response of getReportPreview
+ * @param {string} props.period - Date range the preview covers, for the heading
+ * @param {boolean} props.loading - Whether the preview is being (re)loaded
+ * @param {boolean} props.stale - Whether the form has changed since the preview was loaded
+ * @param {Function} props.onRefresh - Reload the preview with the current form values
+ * @param {boolean} props.canRefresh - Whether the current form values are valid for a preview
+ */
+const ReportPreview = ({ preview, period, loading = false, stale = false, onRefresh, canRefresh = true }) => {
+  const theme = useTheme();
+  const { title, summary, tables, charts, pageCount } = useMemo(() => normalizeReportPreview(preview), [preview]);
+
+  const seriesColors = [
+    theme.palette.primary.main,
+    theme.palette.secondary.main,
+    theme.palette.success.main,
+    theme.palette.warning.main,
+    theme.palette.error.main,
+  ];
+  const withColors = (series) =>
+    series.map((item, index) => ({ ...item, color: item.color || seriesColors[index % seriesColors.length] }));
+
+  const isEmpty = summary.length === 0 && tables.length === 0 && charts.length === 0;
+
+  return (
+    <Paper variant="outlined" sx={{ p: 3, position: 'relative', opacity: loading ? 0.6 : 1 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">{title || 'Report Preview'}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {period}
+            {pageCount !== null && ` · about ${pageCount} page${pageCount === 1 ? '' : 's'}`}
+          </Typography>
+        </Box>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={loading ? <CircularProgress size={16} /> : <RefreshIcon />}
+          onClick={onRefresh}
+          disabled={loading || !canRefresh}
+        >
+          Refresh Preview
+        </Button>
+      </Box>
+
+      {stale && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          The report settings have changed since this preview was loaded. Refresh the preview to see the new range and plants.
+        </Alert>
+      )}
+
+      {isEmpty && (
+        <Typography color="text.secondary" align="center" sx={{ py: 4 }}>
+          No data for the selected range and plants.
+        </Typography>
+      )}
+
+      {/* Summary */}
+      {summary.length > 0 && (
+        <Grid container spacing={2} sx={{ mb: 3 }}>
+          {summary.map((item) => (
+            <Grid item xs={12} sm={6} md={3} key={item.key || item.label}>
+              <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                  {item.label}
+                </Typography>
+                <Typography variant="h5">
+                  {formatValue(item.value)}
+                  {item.unit && (
+                    <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 0.5 }}>
+                      {item.unit}
+                    </Typography>
+                  )}
+                </Typography>
+              </Paper>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {/* Charts */}
+      {charts.length > 0 && (
+        <Grid container spacing={3} sx={{ mb: 3 }}>
+          {charts.map((chart, index) => (
+            <Grid item xs={12} md={charts.length > 1 ? 6 : 12} key={chart.title || index}>
+              {chart.type === 'bar' ? (
+                <BarChartComponent
+                  data={chart.data}
+                  title={chart.title}
+                  xDataKey={chart.xDataKey}
+                  bars={withColors(chart.series)}
+                  height={260}
+                  exportable={false}
+                />
+              ) : (
+                <LineChartComponent
+                  data={chart.data}
+                  title={chart.title}
+                  xDataKey={chart.xDataKey}
+                  lines={withColors(chart.series)}
+                  height={260}
+                  exportable={false}
+                />
+              )}
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {/* Tables */}
+      {tables.map((table, index) => (
+        <Box key={table.title || index} sx={{ mb: 3 }}>
+          {table.title && (
+            <Typography variant="subtitle1" fontWeight={500} gutterBottom>
+              {table.title}
+            </Typography>
+          )}
+          <TableContainer component={Paper} variant="outlined">
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  {table.columns.map((column) => (
+                    <TableCell key={column.key}>{column.label}</TableCell>
+                  ))}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {table.rows.length === 0 ? (
+                  <TableRow>
+                    <TableCell colSpan={table.columns.length} align="center">
+                      No rows
+                    </TableCell>
+                  </TableRow>
+                ) : (
+                  table.rows.slice(0, PREVIEW_TABLE_ROWS).map((row, rowIndex) => (
+                    <TableRow key={row.id || rowIndex}>
+                      {table.columns.map((column) => (
+                        <TableCell key={column.key}>{formatValue(row[column.key])}</TableCell>
+                      ))}
+                    </TableRow>
+                  ))
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          {table.rows.length > PREVIEW_TABLE_ROWS && (
+            <Typography variant="caption" color="text.secondary">
+              Showing {PREVIEW_TABLE_ROWS} of {table.rows.length} rows. The generated report includes all rows.
+            </Typography>
+          )}
+        </Box>
+      ))}
+    </Paper>
+  );
+};
+
+export default ReportPreview;
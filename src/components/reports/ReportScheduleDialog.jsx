@@ -0,0 +1,351 @@
+/**
+ * Report Schedule Dialog
+ * Create/edit form for a recurring report: what to generate, when (in the plant's timezone),
+ * who receives it and how long the generated files are kept
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Grid,
+  Button,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+  Chip,
+  Alert,
+  FormControlLabel,
+  Switch,
+  Typography,
+} from '@mui/material';
+import {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  SCHEDULE_FREQUENCIES,
+  WEEKDAYS,
+  MAX_DAY_OF_MONTH,
+  RETENTION_OPTIONS,
+  DEFAULT_SCHEDULE,
+  validateSchedule,
+  getNextRunAt,
+  formatZonedDateTime,
+} from '../../utils/reports';
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+// Schedules are scoped to a plant, so per-device reports stay on demand
+const SCHEDULABLE_TYPES = REPORT_TYPES.filter((type) => type.value !== 'DEVICE_PERFORMANCE');
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog visibility
+ * @param {Object|null} props.schedule - Schedule to edit (null to create)
+ * @param {Array} props.plants - Plants
+ * @param {Array} props.templates - Report templates for custom reports
+ * @param {boolean} props.saving - Disables the save button while a request is in flight
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSave - Called with the schedule payload
+ */
+const ReportScheduleDialog = ({ open, schedule, plants = [], templates = [], saving = false, onClose, onSave }) => {
+  const [formData, setFormData] = useState(DEFAULT_SCHEDULE);
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setFormData(
+      schedule
+        ? { ...DEFAULT_SCHEDULE, ...schedule, templateId: schedule.templateId || '', severity: schedule.severity || '' }
+        : DEFAULT_SCHEDULE
+    );
+    setSubmitted(false);
+  }, [open, schedule]);
+
+  const problems = validateSchedule(formData);
+  const plant = plants.find((item) => item.id === formData.plantId);
+  const timeZone = plant?.timezone || 'UTC';
+  const nextRunAt = formData.plantId ? getNextRunAt(formData, timeZone) : null;
+  const frequency = SCHEDULE_FREQUENCIES.find((item) => item.value === formData.frequency);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = () => {
+    setSubmitted(true);
+    if (problems.length > 0) return;
+
+    onSave({
+      name: formData.name.trim(),
+      reportType: formData.reportType,
+      format: formData.format,
+      plantId: formData.plantId,
+      templateId: formData.reportType === 'CUSTOM' ? formData.templateId : null,
+      severity: formData.reportType === 'ALARM' ? formData.severity || null : null,
+      frequency: formData.frequency,
+      timeOfDay: formData.timeOfDay,
+      dayOfWeek: formData.frequency === 'WEEKLY' ? Number(formData.dayOfWeek) : null,
+      dayOfMonth: formData.frequency === 'MONTHLY' ? Number(formData.dayOfMonth) : null,
+      timezone: timeZone,
+      recipients: formData.recipients,
+      retentionDays: Number(formData.retentionDays),
+      enabled: formData.enabled,
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{schedule ? 'Edit Report Schedule' : 'Create Report Schedule'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ pt: 2 }}>
+          {submitted && problems.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {problems.join('. ')}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                required
+                label="Schedule Name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="e.g., North Site daily generation"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                select
+                label="Report Type"
+                name="reportType"
+                value={formData.reportType}
+                onChange={handleChange}
+              >
+                {SCHEDULABLE_TYPES.map((type) => (
+                  <MenuItem key={type.value} value={type.value}>
+                    {type.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                select
+                label="Format"
+                name="format"
+                value={formData.format}
+                onChange={handleChange}
+              >
+                {REPORT_FORMATS.map((fmt) => (
+                  <MenuItem key={fmt.value} value={fmt.value}>
+                    {fmt.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                select
+                required
+                label="Plant"
+                name="plantId"
+                value={formData.plantId}
+                onChange={handleChange}
+                helperText={plant ? `Runs on ${timeZone} time` : ' '}
+              >
+                {plants.map((item) => (
+                  <MenuItem key={item.id} value={item.id}>
+                    {item.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {formData.reportType === 'CUSTOM' && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  select
+                  required
+                  label="Template"
+                  name="templateId"
+                  value={formData.templateId}
+                  onChange={handleChange}
+                  helperText={templates.length === 0 ? 'Create a template on the Templates tab first' : ' '}
+                >
+                  {templates.map((item) => (
+                    <MenuItem key={item.id} value={item.id}>
+                      {item.name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            {formData.reportType === 'ALARM' && (
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  select
+                  label="Severity"
+                  name="severity"
+                  value={formData.severity}
+                  onChange={handleChange}
+                >
+                  <MenuItem value="">All Severities</MenuItem>
+                  {SEVERITIES.map((severity) => (
+                    <MenuItem key={severity} value={severity}>
+                      {severity}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+          </Grid>
+
+          {/* Timing */}
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Schedule
+          </Typography>
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                select
+                label="Frequency"
+                name="frequency"
+                value={formData.frequency}
+                onChange={handleChange}
+                helperText={frequency ? `Covers the ${frequency.period}` : ' '}
+              >
+                {SCHEDULE_FREQUENCIES.map((item) => (
+                  <MenuItem key={item.value} value={item.value}>
+                    {item.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {formData.frequency === 'WEEKLY' && (
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  select
+                  label="Day of Week"
+                  name="dayOfWeek"
+                  value={formData.dayOfWeek}
+                  onChange={handleChange}
+                >
+                  {WEEKDAYS.map((day, index) => (
+                    <MenuItem key={day} value={index}>
+                      {day}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            {formData.frequency === 'MONTHLY' && (
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  fullWidth
+                  select
+                  label="Day of Month"
+                  name="dayOfMonth"
+                  value={formData.dayOfMonth}
+                  onChange={handleChange}
+                >
+                  {Array.from({ length: MAX_DAY_OF_MONTH }, (_value, index) => index + 1).map((day) => (
+                    <MenuItem key={day} value={day}>
+                      {day}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                type="time"
+                label="Run At (plant time)"
+                name="timeOfDay"
+                value={formData.timeOfDay}
+                onChange={handleChange}
+                InputLabelProps={{ shrink: true }}
+                helperText={nextRunAt ? `Next run ${formatZonedDateTime(nextRunAt, timeZone)}` : ' '}
+              />
+            </Grid>
+          </Grid>
+
+          {/* Delivery */}
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Delivery
+          </Typography>
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <Autocomplete
+                multiple
+                freeSolo
+                options={[]}
+                value={formData.recipients}
+                onChange={(_event, recipients) =>
+                  setFormData((prev) => ({ ...prev, recipients: recipients.map((email) => email.trim()) }))
+                }
+                renderTags={(selected, getTagProps) =>
+                  selected.map((email, index) => (
+                    <Chip {...getTagProps({ index })} key={email} size="small" label={email} />
+                  ))
+                }
+                renderInput={(params) => (
+                  <TextField {...params} label="Email Recipients" placeholder="Type an address and press Enter" />
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                select
+                label="Keep Generated Files"
+                name="retentionDays"
+                value={formData.retentionDays}
+                onChange={handleChange}
+                helperText="Older files from this schedule are removed from report history"
+              >
+                {RETENTION_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={formData.enabled}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, enabled: e.target.checked }))}
+                  />
+                }
+                label={formData.enabled ? 'Active' : 'Paused'}
+              />
+            </Grid>
+          </Grid>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={saving}>
+          {schedule ? 'Save' : 'Create'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReportScheduleDialog;
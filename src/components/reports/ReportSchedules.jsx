@@ -0,0 +1,305 @@
+/**
+ * Report Schedules
+ * Recurring reports with their next run (plant-local time), last run result and pause switch
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Link,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import {
+  fetchReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  selectReportSchedules,
+  selectReportSchedulesLoading,
+  selectReportSchedulesError,
+  clearError,
+} from '../../store/slices/reportSchedulesSlice';
+import { selectReportTemplates } from '../../store/slices/reportTemplatesSlice';
+import {
+  RETENTION_OPTIONS,
+  describeSchedule,
+  getNextRunAt,
+  getReportTypeLabel,
+  formatZonedDateTime,
+} from '../../utils/reports';
+import ReportScheduleDialog from './ReportScheduleDialog';
+
+// Last run status colors
+const RUN_STATUS_COLORS = {
+  SUCCESS: 'success',
+  FAILED: 'error',
+  RUNNING: 'info',
+};
+
+/**
+ * @param {Object} props
+ * @param {Array} props.plants - Plants
+ * @param {boolean} props.canManage - Whether the user can create, edit, pause and delete schedules
+ * @param {Function} props.onOpenReport - Called with a report ID to show it in report history
+ */
+const ReportSchedules = ({ plants = [], canManage = false, onOpenReport }) => {
+  const dispatch = useDispatch();
+
+  // Redux selectors
+  const schedules = useSelector(selectReportSchedules);
+  const loading = useSelector(selectReportSchedulesLoading);
+  const reduxError = useSelector(selectReportSchedulesError);
+  const templates = useSelector(selectReportTemplates);
+
+  // Local UI state
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchReportSchedules());
+  }, [dispatch]);
+
+  const getPlant = (plantId) => plants.find((plant) => plant.id === plantId);
+
+  const getRetentionLabel = (days) =>
+    RETENTION_OPTIONS.find((option) => option.value === days)?.label || `${days} days`;
+
+  const handleAdd = () => {
+    setEditing(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (schedule) => {
+    setEditing(schedule);
+    setDialogOpen(true);
+  };
+
+  const handleSave = async (scheduleData) => {
+    setSuccess('');
+    setSaving(true);
+    try {
+      if (editing) {
+        await dispatch(updateReportSchedule({ id: editing.id, scheduleData })).unwrap();
+        setSuccess('Report schedule updated successfully');
+      } else {
+        await dispatch(createReportSchedule(scheduleData)).unwrap();
+        setSuccess('Report schedule created successfully');
+      }
+      setDialogOpen(false);
+    } catch {
+      setSuccess('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    setSuccess('');
+    try {
+      await dispatch(updateReportSchedule({ id: schedule.id, scheduleData: { enabled: !schedule.enabled } })).unwrap();
+      setSuccess(`Report schedule ${schedule.enabled ? 'paused' : 'resumed'}`);
+    } catch {
+      setSuccess('');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Are you sure you want to delete report schedule "${schedule.name}"?`)) {
+      return;
+    }
+
+    try {
+      await dispatch(deleteReportSchedule(schedule.id)).unwrap();
+      setSuccess('Report schedule deleted successfully');
+    } catch {
+      setSuccess('');
+    }
+  };
+
+  const renderLastRun = (schedule) => {
+    const { lastRun } = schedule;
+    if (!lastRun) {
+      return (
+        <Typography variant="body2" color="text.secondary">
+          Not run yet
+        </Typography>
+      );
+    }
+
+    const timeZone = getPlant(schedule.plantId)?.timezone || schedule.timezone || 'UTC';
+    return (
+      <Box>
+        <Tooltip title={lastRun.message || ''}>
+          <Chip label={lastRun.status} size="small" color={RUN_STATUS_COLORS[lastRun.status] || 'default'} />
+        </Tooltip>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+          {lastRun.reportId && onOpenReport ? (
+            <Link component="button" variant="caption" onClick={() => onOpenReport(lastRun.reportId)}>
+              {formatZonedDateTime(lastRun.runAt, timeZone)}
+            </Link>
+          ) : (
+            formatZonedDateTime(lastRun.runAt, timeZone)
+          )}
+        </Typography>
+      </Box>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Scheduled reports are emailed to their recipients and kept in report history for the retention period.
+        </Typography>
+        {canManage && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd}>
+            Add Schedule
+          </Button>
+        )}
+      </Box>
+
+      {reduxError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => dispatch(clearError())}>
+          {reduxError}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Report</TableCell>
+              <TableCell>Plant</TableCell>
+              <TableCell>Schedule</TableCell>
+              <TableCell>Recipients</TableCell>
+              <TableCell>Retention</TableCell>
+              <TableCell>Last Run</TableCell>
+              <TableCell>Active</TableCell>
+              {canManage && <TableCell align="right">Actions</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading && schedules.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center" sx={{ py: 4 }}>
+                  <CircularProgress />
+                </TableCell>
+              </TableRow>
+            ) : schedules.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center">
+                  No report schedules defined. {canManage && 'Click "Add Schedule" to create one.'}
+                </TableCell>
+              </TableRow>
+            ) : (
+              schedules.map((schedule) => {
+                const plant = getPlant(schedule.plantId);
+                const timeZone = plant?.timezone || schedule.timezone || 'UTC';
+                const nextRunAt = schedule.enabled ? getNextRunAt(schedule, timeZone) : null;
+                return (
+                  <TableRow key={schedule.id} hover>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight={500}>
+                        {schedule.name}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {schedule.reportType === 'CUSTOM'
+                          ? schedule.template?.name || templates.find((item) => item.id === schedule.templateId)?.name || 'Custom report'
+                          : getReportTypeLabel(schedule.reportType)}
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {schedule.format}
+                        {schedule.severity && ` · ${schedule.severity}`}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{schedule.plant?.name || plant?.name || 'Unknown plant'}</TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{describeSchedule(schedule)}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {timeZone}
+                        {nextRunAt && ` · next ${formatZonedDateTime(nextRunAt, timeZone)}`}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title={schedule.recipients.join(', ')}>
+                        <Typography variant="body2">
+                          {schedule.recipients.length === 1
+                            ? schedule.recipients[0]
+                            : `${schedule.recipients.length} recipients`}
+                        </Typography>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>{getRetentionLabel(schedule.retentionDays)}</TableCell>
+                    <TableCell>{renderLastRun(schedule)}</TableCell>
+                    <TableCell>
+                      <Switch
+                        size="small"
+                        checked={schedule.enabled}
+                        onChange={() => handleToggle(schedule)}
+                        disabled={!canManage}
+                      />
+                    </TableCell>
+                    {canManage && (
+                      <TableCell align="right">
+                        <IconButton size="small" onClick={() => handleEdit(schedule)}>
+                          <EditIcon />
+                        </IconButton>
+                        <IconButton size="small" color="error" onClick={() => handleDelete(schedule)}>
+                          <DeleteIcon />
+                        </IconButton>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                );
+              })
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Dialog */}
+      <ReportScheduleDialog
+        open={dialogOpen}
+        schedule={editing}
+        plants={plants}
+        templates={templates}
+        saving={saving}
+        onClose={() => setDialogOpen(false)}
+        onSave={handleSave}
+      />
+    </Box>
+  );
+};
+
+export default ReportSchedules;
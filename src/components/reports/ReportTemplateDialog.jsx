@@ -0,0 +1,437 @@
+/**
+ * Report Template Dialog
+ * Designer for a reusable report: header with logo, then an ordered list of sections,
+ * each with its own tags, aggregation and display settings
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Grid,
+  Button,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Paper,
+  Typography,
+  IconButton,
+  Alert,
+  Chip,
+  Menu,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  ArrowUpward as MoveUpIcon,
+  ArrowDownward as MoveDownIcon,
+  Image as LogoIcon,
+} from '@mui/icons-material';
+import {
+  AGGREGATIONS,
+  GROUP_BY_OPTIONS,
+  CHART_TYPES,
+  REPORT_KPIS,
+  SECTION_TYPES,
+  SECTION_TYPE_OPTIONS,
+  DEFAULT_TEMPLATE,
+  createSection,
+  moveSection,
+  validateTemplate,
+  readLogoFile,
+} from '../../utils/reportTemplates';
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open - Dialog visibility
+ * @param {Object|null} props.template - Template to edit (null to create)
+ * @param {Array<string>} props.tagNames - Tag names offered for tag-based sections
+ * @param {boolean} props.saving - Disables the save button while a request is in flight
+ * @param {Function} props.onClose - Close handler
+ * @param {Function} props.onSave - Called with the template payload
+ */
+const ReportTemplateDialog = ({ open, template, tagNames = [], saving = false, onClose, onSave }) => {
+  const [formData, setFormData] = useState(DEFAULT_TEMPLATE);
+  const [submitted, setSubmitted] = useState(false);
+  const [logoError, setLogoError] = useState('');
+  const [addAnchorEl, setAddAnchorEl] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setFormData(
+      template
+        ? { ...DEFAULT_TEMPLATE, ...template, header: { ...DEFAULT_TEMPLATE.header, ...template.header } }
+        : DEFAULT_TEMPLATE
+    );
+    setSubmitted(false);
+    setLogoError('');
+  }, [open, template]);
+
+  const problems = validateTemplate(formData);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const updateHeader = (changes) => {
+    setFormData((prev) => ({ ...prev, header: { ...prev.header, ...changes } }));
+  };
+
+  const handleLogoChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setLogoError('');
+      updateHeader({ logo: await readLogoFile(file) });
+    } catch (err) {
+      setLogoError(err.message);
+    }
+  };
+
+  const updateSection = (index, changes) => {
+    setFormData((prev) => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, ...changes } : section)),
+    }));
+  };
+
+  const addSection = (type) => {
+    setAddAnchorEl(null);
+    setFormData((prev) => ({ ...prev, sections: [...prev.sections, createSection(type)] }));
+  };
+
+  const removeSection = (index) => {
+    setFormData((prev) => ({ ...prev, sections: prev.sections.filter((_section, i) => i !== index) }));
+  };
+
+  const toggleKpi = (index, key, checked) => {
+    const kpis = formData.sections[index].kpis;
+    updateSection(index, { kpis: checked ? [...kpis, key] : kpis.filter((item) => item !== key) });
+  };
+
+  const handleSave = () => {
+    setSubmitted(true);
+    if (problems.length > 0) return;
+
+    onSave({
+      name: formData.name.trim(),
+      description: formData.description.trim(),
+      header: {
+        title: formData.header.title.trim(),
+        subtitle: formData.header.subtitle.trim(),
+        logo: formData.header.logo,
+      },
+      sections: formData.sections.map((section) => ({ ...section, title: section.title.trim() })),
+    });
+  };
+
+  // Settings specific to each section type
+  const renderSectionSettings = (section, index) => {
+    const tagField = (
+      <Autocomplete
+        multiple
+        freeSolo
+        options={tagNames}
+        value={section.tags || []}
+        onChange={(_event, tags) => updateSection(index, { tags })}
+        renderTags={(selected, getTagProps) =>
+          selected.map((tag, tagIndex) => (
+            <Chip {...getTagProps({ index: tagIndex })} key={tag} size="small" label={tag} />
+          ))
+        }
+        renderInput={(params) => <TextField {...params} size="small" label="Tags" />}
+      />
+    );
+    const aggregationField = (
+      <TextField
+        fullWidth
+        select
+        size="small"
+        label="Aggregation"
+        value={section.aggregation}
+        onChange={(e) => updateSection(index, { aggregation: e.target.value })}
+      >
+        {AGGREGATIONS.map((item) => (
+          <MenuItem key={item.value} value={item.value}>
+            {item.label}
+          </MenuItem>
+        ))}
+      </TextField>
+    );
+    const groupByField = (
+      <TextField
+        fullWidth
+        select
+        size="small"
+        label="Group By"
+        value={section.groupBy}
+        onChange={(e) => updateSection(index, { groupBy: e.target.value })}
+      >
+        {GROUP_BY_OPTIONS.map((item) => (
+          <MenuItem key={item.value} value={item.value}>
+            {item.label}
+          </MenuItem>
+        ))}
+      </TextField>
+    );
+
+    switch (section.type) {
+      case 'KPI_SUMMARY':
+        return (
+          <FormGroup row>
+            {REPORT_KPIS.map((kpi) => (
+              <FormControlLabel
+                key={kpi.key}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={section.kpis.includes(kpi.key)}
+                    onChange={(e) => toggleKpi(index, kpi.key, e.target.checked)}
+                  />
+                }
+                label={kpi.title}
+              />
+            ))}
+          </FormGroup>
+        );
+      case 'ENERGY_TABLE':
+        return (
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={4}>
+              {groupByField}
+            </Grid>
+          </Grid>
+        );
+      case 'ALARM_TABLE':
+        return (
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={8}>
+              <Autocomplete
+                multiple
+                options={SEVERITIES}
+                value={section.severities}
+                onChange={(_event, severities) => updateSection(index, { severities })}
+                renderInput={(params) => (
+                  <TextField {...params} size="small" label="Severities" placeholder="All severities" />
+                )}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                type="number"
+                size="small"
+                label="Max Rows"
+                value={section.limit}
+                onChange={(e) => updateSection(index, { limit: Number(e.target.value) })}
+                inputProps={{ min: 1 }}
+              />
+            </Grid>
+          </Grid>
+        );
+      case 'INVERTER_COMPARISON':
+        return (
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={8}>
+              {tagField}
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              {aggregationField}
+            </Grid>
+          </Grid>
+        );
+      case 'CHART':
+        return (
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              {tagField}
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                select
+                size="small"
+                label="Chart Type"
+                value={section.chartType}
+                onChange={(e) => updateSection(index, { chartType: e.target.value })}
+              >
+                {CHART_TYPES.map((item) => (
+                  <MenuItem key={item.value} value={item.value}>
+                    {item.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              {aggregationField}
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              {groupByField}
+            </Grid>
+          </Grid>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{template ? 'Edit Report Template' : 'Create Report Template'}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ pt: 2 }}>
+          {submitted && problems.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {problems.join('. ')}
+            </Alert>
+          )}
+
+          <Grid container spacing={2}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                required
+                label="Template Name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                placeholder="e.g., Monthly investor report"
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                fullWidth
+                label="Description"
+                name="description"
+                value={formData.description}
+                onChange={handleChange}
+              />
+            </Grid>
+          </Grid>
+
+          {/* Header */}
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Header
+          </Typography>
+          {logoError && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setLogoError('')}>
+              {logoError}
+            </Alert>
+          )}
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Title"
+                value={formData.header.title}
+                onChange={(e) => updateHeader({ title: e.target.value })}
+                placeholder="e.g., Acme Solar"
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                label="Subtitle"
+                value={formData.header.subtitle}
+                onChange={(e) => updateHeader({ subtitle: e.target.value })}
+                placeholder="e.g., Prepared for investors"
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                {formData.header.logo && (
+                  <Box
+                    component="img"
+                    src={formData.header.logo}
+                    alt="Logo"
+                    sx={{ maxHeight: 48, maxWidth: 120, objectFit: 'contain' }}
+                  />
+                )}
+                <Button component="label" size="small" startIcon={<LogoIcon />}>
+                  {formData.header.logo ? 'Change Logo' : 'Add Logo'}
+                  <input hidden type="file" accept="image/*" onChange={handleLogoChange} />
+                </Button>
+                {formData.header.logo && (
+                  <IconButton size="small" color="error" onClick={() => updateHeader({ logo: null })}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                )}
+              </Box>
+            </Grid>
+          </Grid>
+
+          {/* Sections */}
+          <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+            Sections
+          </Typography>
+          {formData.sections.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              No sections yet. Sections appear in the report in the order listed here.
+            </Typography>
+          )}
+          {formData.sections.map((section, index) => (
+            <Paper key={section.id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                <Chip label={SECTION_TYPES[section.type]?.label || section.type} size="small" color="primary" variant="outlined" />
+                <TextField
+                  size="small"
+                  label="Section Title"
+                  value={section.title}
+                  onChange={(e) => updateSection(index, { title: e.target.value })}
+                  sx={{ flexGrow: 1 }}
+                />
+                <IconButton
+                  size="small"
+                  onClick={() => setFormData((prev) => ({ ...prev, sections: moveSection(prev.sections, index, -1) }))}
+                  disabled={index === 0}
+                >
+                  <MoveUpIcon fontSize="small" />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  onClick={() => setFormData((prev) => ({ ...prev, sections: moveSection(prev.sections, index, 1) }))}
+                  disabled={index === formData.sections.length - 1}
+                >
+                  <MoveDownIcon fontSize="small" />
+                </IconButton>
+                <IconButton size="small" color="error" onClick={() => removeSection(index)}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+              {renderSectionSettings(section, index)}
+            </Paper>
+          ))}
+          <Button startIcon={<AddIcon />} onClick={(e) => setAddAnchorEl(e.currentTarget)}>
+            Add Section
+          </Button>
+          <Menu anchorEl={addAnchorEl} open={Boolean(addAnchorEl)} onClose={() => setAddAnchorEl(null)}>
+            {SECTION_TYPE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} onClick={() => addSection(option.value)}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Menu>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={saving}>
+          {template ? 'Save' : 'Create'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReportTemplateDialog;
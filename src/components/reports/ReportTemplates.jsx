@@ -0,0 +1,242 @@
+/**
+ * Report Templates
+ * Saved report designs that custom reports and schedules are generated from
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  ContentCopy as DuplicateIcon,
+} from '@mui/icons-material';
+import {
+  fetchReportTemplates,
+  createReportTemplate,
+  updateReportTemplate,
+  deleteReportTemplate,
+  selectReportTemplates,
+  selectReportTemplatesLoading,
+  selectReportTemplatesError,
+  clearError,
+} from '../../store/slices/reportTemplatesSlice';
+import { fetchTags, selectTags } from '../../store/slices/tagsSlice';
+import { SECTION_TYPES } from '../../utils/reportTemplates';
+import ReportTemplateDialog from './ReportTemplateDialog';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.canManage - Whether the user can create, edit and delete templates
+ */
+const ReportTemplates = ({ canManage = false }) => {
+  const dispatch = useDispatch();
+
+  // Redux selectors
+  const templates = useSelector(selectReportTemplates);
+  const loading = useSelector(selectReportTemplatesLoading);
+  const reduxError = useSelector(selectReportTemplatesError);
+  const tags = useSelector(selectTags);
+
+  // Local UI state
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchReportTemplates());
+    dispatch(fetchTags({ page: 1, limit: 1000 }));
+  }, [dispatch]);
+
+  const tagNames = [...new Set(tags.map((tag) => tag.name))];
+
+  const handleAdd = () => {
+    setEditing(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (template) => {
+    setEditing(template);
+    setDialogOpen(true);
+  };
+
+  const handleDuplicate = async (template) => {
+    setSuccess('');
+    try {
+      const { name, description, header, sections } = template;
+      await dispatch(createReportTemplate({ name: `${name} (copy)`, description, header, sections })).unwrap();
+      setSuccess('Report template duplicated successfully');
+    } catch {
+      setSuccess('');
+    }
+  };
+
+  const handleSave = async (templateData) => {
+    setSuccess('');
+    setSaving(true);
+    try {
+      if (editing) {
+        await dispatch(updateReportTemplate({ id: editing.id, templateData })).unwrap();
+        setSuccess('Report template updated successfully');
+      } else {
+        await dispatch(createReportTemplate(templateData)).unwrap();
+        setSuccess('Report template created successfully');
+      }
+      setDialogOpen(false);
+    } catch {
+      setSuccess('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Are you sure you want to delete report template "${template.name}"?`)) {
+      return;
+    }
+
+    try {
+      await dispatch(deleteReportTemplate(template.id)).unwrap();
+      setSuccess('Report template deleted successfully');
+    } catch {
+      setSuccess('');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Templates pick the sections, KPIs and charts of a custom report and can be reused for on-demand and scheduled reports.
+        </Typography>
+        {canManage && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd}>
+            Add Template
+          </Button>
+        )}
+      </Box>
+
+      {reduxError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => dispatch(clearError())}>
+          {reduxError}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Header</TableCell>
+              <TableCell>Sections</TableCell>
+              {canManage && <TableCell align="right">Actions</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading && templates.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={4} align="center" sx={{ py: 4 }}>
+                  <CircularProgress />
+                </TableCell>
+              </TableRow>
+            ) : templates.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={4} align="center">
+                  No report templates defined. {canManage && 'Click "Add Template" to create one.'}
+                </TableCell>
+              </TableRow>
+            ) : (
+              templates.map((template) => (
+                <TableRow key={template.id} hover>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight={500}>
+                      {template.name}
+                    </Typography>
+                    {template.description && (
+                      <Typography variant="caption" color="text.secondary">
+                        {template.description}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {template.header?.logo && (
+                        <Box
+                          component="img"
+                          src={template.header.logo}
+                          alt=""
+                          sx={{ maxHeight: 24, maxWidth: 60, objectFit: 'contain' }}
+                        />
+                      )}
+                      <Typography variant="body2">{template.header?.title || '-'}</Typography>
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                      {template.sections.map((section) => (
+                        <Chip
+                          key={section.id}
+                          size="small"
+                          variant="outlined"
+                          label={section.title || SECTION_TYPES[section.type]?.label || section.type}
+                        />
+                      ))}
+                    </Box>
+                  </TableCell>
+                  {canManage && (
+                    <TableCell align="right">
+                      <IconButton size="small" onClick={() => handleEdit(template)}>
+                        <EditIcon />
+                      </IconButton>
+                      <IconButton size="small" onClick={() => handleDuplicate(template)} title="Duplicate">
+                        <DuplicateIcon />
+                      </IconButton>
+                      <IconButton size="small" color="error" onClick={() => handleDelete(template)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </TableCell>
+                  )}
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Add/Edit Dialog */}
+      <ReportTemplateDialog
+        open={dialogOpen}
+        template={editing}
+        tagNames={tagNames}
+        saving={saving}
+        onClose={() => setDialogOpen(false)}
+        onSave={handleSave}
+      />
+    </Box>
+  );
+};
+
+export default ReportTemplates;
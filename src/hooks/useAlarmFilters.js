@@ -0,0 +1,50 @@
+/**
+ * useAlarmFilters Hook
+ * Keeps the Alarms page filters and the URL in step, so a filtered list can be shared as a link
+ */
+
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigationType, useSearchParams } from 'react-router-dom';
+import { selectAlarmsFilters, setFilters, setPagination } from '../store/slices/alarmsSlice';
+import {
+  DEFAULT_ALARM_FILTERS,
+  parseAlarmFilterParams,
+  writeAlarmFilterParams,
+} from '../utils/alarmFilters';
+
+/**
+ * Redux is the source of truth; the URL is read when the page opens (a shared link)
+ * and on browser back/forward.
+ */
+export const useAlarmFilterUrlSync = () => {
+  const dispatch = useDispatch();
+  const navigationType = useNavigationType();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useSelector(selectAlarmsFilters);
+  const openedRef = useRef(false);
+
+  // URL -> Redux when the page opens and on back/forward navigation
+  useEffect(() => {
+    const opening = !openedRef.current;
+    openedRef.current = true;
+    if (!opening && navigationType !== 'POP') return;
+
+    const fromUrl = parseAlarmFilterParams(searchParams);
+    // Opening without filters in the URL keeps the filters from the last visit
+    if (!fromUrl && opening) return;
+
+    dispatch(setFilters(fromUrl || DEFAULT_ALARM_FILTERS));
+    dispatch(setPagination({ page: 1 }));
+  }, [dispatch, navigationType, searchParams]);
+
+  // Redux -> URL whenever the filters change
+  useEffect(() => {
+    const next = writeAlarmFilterParams(searchParams, filters);
+    if (next.toString() !== searchParams.toString()) {
+      setSearchParams(next, { replace: true });
+    }
+  }, [filters, searchParams, setSearchParams]);
+};
+
+export default useAlarmFilterUrlSync;
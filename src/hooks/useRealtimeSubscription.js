@@ -0,0 +1,25 @@
+/**
+ * useRealtimeSubscription Hook
+ * Subscribes to live updates for a device or plant while the component is mounted
+ */
+
+import { useEffect } from 'react';
+import * as socketService from '../services/socketService';
+
+/**
+ * @param {string} type - 'device' or 'plant'
+ * @param {string} id - Entity ID (subscription is skipped while falsy)
+ */
+export const useRealtimeSubscription = (type, id) => {
+  useEffect(() => {
+    if (!id) return undefined;
+
+    socketService.subscribe(type, id);
+
+    return () => {
+      socketService.unsubscribe(type, id);
+    };
+  }, [type, id]);
+};
+
+export default useRealtimeSubscription;
@@ -0,0 +1,49 @@
+/**
+ * useTelemetry Hook
+ * Fetches a cached telemetry query and returns its { data, loading, error } entry
+ */
+
+import { useCallback, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchDeviceData,
+  fetchPlantData,
+  fetchPlantEnergySummary,
+  fetchDevicePerformance,
+  getTelemetryKey,
+  selectTelemetryEntry,
+} from '../store/slices/telemetrySlice';
+
+const QUERIES = {
+  deviceData: (entityId, params, force) => fetchDeviceData({ deviceId: entityId, params, force }),
+  plantData: (entityId, params, force) => fetchPlantData({ plantId: entityId, params, force }),
+  plantEnergy: (entityId, params, force) => fetchPlantEnergySummary({ plantId: entityId, params, force }),
+  devicePerformance: (entityId, params, force) => fetchDevicePerformance({ deviceId: entityId, params, force }),
+};
+
+/**
+ * @param {string} kind - deviceData | plantData | plantEnergy | devicePerformance
+ * @param {string} entityId - Device or plant ID (query is skipped while falsy)
+ * @param {Object} params - Query parameters passed to dataService
+ * @returns {{ data: any, loading: boolean, error: string|null, refetch: Function }}
+ */
+export const useTelemetry = (kind, entityId, params = {}) => {
+  const dispatch = useDispatch();
+  const paramsKey = JSON.stringify(params);
+  const key = getTelemetryKey(kind, entityId, params);
+  const entry = useSelector((state) => selectTelemetryEntry(state, key));
+
+  useEffect(() => {
+    if (!entityId) return;
+    dispatch(QUERIES[kind](entityId, JSON.parse(paramsKey), false));
+  }, [dispatch, kind, entityId, paramsKey]);
+
+  const refetch = useCallback(() => {
+    if (!entityId) return;
+    dispatch(QUERIES[kind](entityId, JSON.parse(paramsKey), true));
+  }, [dispatch, kind, entityId, paramsKey]);
+
+  return { ...entry, refetch };
+};
+
+export default useTelemetry;
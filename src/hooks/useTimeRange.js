@@ -0,0 +1,110 @@
+/**
+ * useTimeRange Hook
+ * Resolves the global time range into the query parameters used by dataService
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigationType, useSearchParams } from 'react-router-dom';
+import { selectTimeRange, setTimeRange } from '../store/slices/timeRangeSlice';
+import {
+  resolveTimeRange,
+  pickInterval,
+  pickGroupBy,
+  getTimeRangeLabel,
+  parseTimeRangeParams,
+  writeTimeRangeParams,
+  getRoundedNow,
+} from '../utils/timeRange';
+
+// How often relative presets ("today", "last 7 days") check whether "now" has moved on
+const CLOCK_INTERVAL_MS = 60 * 1000;
+
+// Comparable form of a range selection
+const getRangeKey = (range) => writeTimeRangeParams(new URLSearchParams(), range).toString();
+
+/**
+ * @returns {{
+ *   range: Object,
+ *   label: string,
+ *   startTime: string,
+ *   endTime: string,
+ *   interval: string,
+ *   dataParams: { startTime: string, endTime: string, interval: string },
+ *   energyParams: { startDate: string, endDate: string, groupBy: string },
+ *   now: number,
+ * }} - `now` is the rounded time (epoch ms) relative presets were resolved at
+ */
+export const useTimeRange = () => {
+  const range = useSelector(selectTimeRange);
+  const isRelative = range.preset !== 'custom';
+
+  // Rounded "now" of relative presets; only a new step re-resolves the range (and refetches)
+  const [now, setNow] = useState(getRoundedNow);
+  useEffect(() => {
+    if (!isRelative) return undefined;
+    const update = () => setNow(getRoundedNow());
+    update();
+    // Background tabs throttle timers, so also catch up when the page becomes visible
+    const timer = setInterval(update, CLOCK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', update);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', update);
+    };
+  }, [isRelative]);
+
+  return useMemo(() => {
+    const { startTime, endTime } = resolveTimeRange(range);
+    const interval = pickInterval(startTime, endTime);
+
+    return {
+      range,
+      label: getTimeRangeLabel(range),
+      startTime,
+      endTime,
+      interval,
+      dataParams: { startTime, endTime, interval },
+      energyParams: { startDate: startTime, endDate: endTime, groupBy: pickGroupBy(startTime, endTime) },
+      now,
+    };
+  }, [range, now]);
+};
+
+/**
+ * Keep the global time range and the URL (?range=...&from=...&to=...) in step.
+ * Redux is the source of truth; the URL is read back on browser back/forward.
+ */
+export const useTimeRangeUrlSync = () => {
+  const dispatch = useDispatch();
+  const navigationType = useNavigationType();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const range = useSelector(selectTimeRange);
+  // Range read from the URL that Redux has not caught up with yet
+  const pendingFromUrlRef = useRef(null);
+
+  // URL -> Redux on back/forward navigation (our own URL writes are REPLACE navigations)
+  useEffect(() => {
+    if (navigationType !== 'POP') return;
+    const fromUrl = parseTimeRangeParams(searchParams);
+    if (fromUrl) {
+      pendingFromUrlRef.current = getRangeKey(fromUrl);
+      dispatch(setTimeRange(fromUrl));
+    }
+  }, [dispatch, navigationType, searchParams]);
+
+  // Redux -> URL whenever the range or the page changes
+  useEffect(() => {
+    // Until the store holds the URL's range, writing would put the old range back into the URL
+    if (pendingFromUrlRef.current) {
+      if (pendingFromUrlRef.current !== getRangeKey(range)) return;
+      pendingFromUrlRef.current = null;
+    }
+    const next = writeTimeRangeParams(searchParams, range);
+    if (next.toString() !== searchParams.toString()) {
+      setSearchParams(next, { replace: true });
+    }
+  }, [range, searchParams, setSearchParams]);
+};
+
+export default useTimeRange;
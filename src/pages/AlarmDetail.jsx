@@ -0,0 +1,369 @@
+/**
+ * Alarm Detail Page
+ * Displays a single alarm: lifecycle, triggering tag trend, field comments and attachments,
+ * and how it has escalated
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Typography,
+  Grid,
+  Chip,
+  Button,
+  CircularProgress,
+  Alert,
+  Card,
+  CardContent,
+  Divider,
+  Link,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import {
+  ArrowBack as BackIcon,
+  Info as InfoIcon,
+  Campaign as EscalationIcon,
+  Timeline as LifecycleIcon,
+  ShowChart as TrendIcon,
+  Comment as CommentIcon,
+  AttachFile as AttachmentIcon,
+} from '@mui/icons-material';
+import {
+  fetchAlarmById,
+  selectCurrentAlarm,
+  selectAlarmsLoading,
+  selectAlarmsError,
+  clearError,
+  clearCurrentAlarm,
+} from '../store/slices/alarmsSlice';
+import {
+  fetchEscalationPolicies,
+  fetchAlarmEscalations,
+  selectEscalationPolicies,
+  selectAlarmNotifications,
+} from '../store/slices/escalationSlice';
+import { fetchUsers, selectUsers } from '../store/slices/usersSlice';
+import { selectUser, selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
+import { useTelemetry } from '../hooks/useTelemetry';
+import { findEscalationPolicy } from '../utils/escalation';
+import { getAlarmTagName, getAlarmTrendWindow } from '../utils/alarms';
+import { pickInterval } from '../utils/timeRange';
+import { getRowLabelAt } from '../utils/timeSeries';
+import LineChartComponent from '../components/charts/LineChartComponent';
+import AlarmLifecycle from '../components/alarms/AlarmLifecycle';
+import AlarmComments from '../components/alarms/AlarmComments';
+import AlarmAttachments from '../components/alarms/AlarmAttachments';
+import EscalationTimeline from '../components/alarms/EscalationTimeline';
+
+// Severity colors
+const SEVERITY_COLORS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'info',
+  INFO: 'default',
+};
+
+// Status colors
+const STATUS_COLORS = {
+  ACTIVE: 'error',
+  ACKNOWLEDGED: 'warning',
+  RESOLVED: 'success',
+};
+
+// Escalation due times are re-evaluated once a minute
+const CLOCK_INTERVAL_MS = 60 * 1000;
+
+const AlarmDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const theme = useTheme();
+
+  // Redux selectors
+  const currentUser = useSelector(selectUser);
+  const isAdmin = useSelector(selectIsAdmin);
+  const isPlantManager = useSelector(selectIsPlantManager);
+  const alarm = useSelector(selectCurrentAlarm);
+  const loading = useSelector(selectAlarmsLoading);
+  const error = useSelector(selectAlarmsError);
+  const policies = useSelector(selectEscalationPolicies);
+  const notifications = useSelector((state) => selectAlarmNotifications(state, id));
+  const users = useSelector(selectUsers);
+
+  // Local UI state
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    dispatch(fetchAlarmById(id));
+    dispatch(fetchAlarmEscalations(id));
+
+    // Cleanup on unmount
+    return () => {
+      dispatch(clearCurrentAlarm());
+    };
+  }, [id, dispatch]);
+
+  useEffect(() => {
+    dispatch(fetchEscalationPolicies());
+  }, [dispatch]);
+
+  // Recipient names come from the user list, which only admins can read
+  useEffect(() => {
+    if (isAdmin) {
+      dispatch(fetchUsers({ page: 1, limit: 100 }));
+    }
+  }, [isAdmin, dispatch]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Triggering tag around the alarm time
+  const tagName = alarm ? getAlarmTagName(alarm) : null;
+  const deviceId = alarm?.deviceId || alarm?.device?.id;
+  const plantId = alarm?.plantId || alarm?.plant?.id;
+  const trendParams = useMemo(() => {
+    if (!alarm) return {};
+    const { startTime, endTime } = getAlarmTrendWindow(alarm);
+    return { tagName, startTime, endTime, interval: pickInterval(startTime, endTime) };
+  }, [alarm, tagName]);
+  const trend = useTelemetry('deviceData', tagName ? deviceId : null, trendParams);
+  const trendRows = useMemo(() => trend.data || [], [trend.data]);
+  const alarmRange = useMemo(
+    () => !alarm || trendRows.length === 0 ? [] : [{
+      x1: getRowLabelAt(trendRows, alarm.triggeredAt),
+      x2: getRowLabelAt(trendRows, alarm.resolvedAt || trendParams.endTime),
+      color: theme.palette.error.main,
+      opacity: 0.12,
+    }],
+    [trendRows, alarm, trendParams.endTime, theme]
+  );
+
+  if (loading && !alarm) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '60vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (error && !alarm) {
+    return (
+      <Box sx={{ p: 3 }}>
+        <Alert severity="error" onClose={() => dispatch(clearError())}>
+          {error}
+        </Alert>
+        <Button
+          startIcon={<BackIcon />}
+          onClick={() => navigate('/alarms')}
+          sx={{ mt: 2 }}
+        >
+          Back to Alarms
+        </Button>
+      </Box>
+    );
+  }
+
+  if (!alarm) {
+    return (
+      <Box sx={{ p: 3 }}>
+        <Alert severity="warning">Alarm not found</Alert>
+        <Button
+          startIcon={<BackIcon />}
+          onClick={() => navigate('/alarms')}
+          sx={{ mt: 2 }}
+        >
+          Back to Alarms
+        </Button>
+      </Box>
+    );
+  }
+
+  const policy = findEscalationPolicy(policies, alarm);
+
+  return (
+    <Box sx={{ p: 3 }}>
+      {/* Header */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Button
+          startIcon={<BackIcon />}
+          onClick={() => navigate('/alarms')}
+        >
+          Back
+        </Button>
+        <Typography variant="h4" component="h1">
+          {alarm.message}
+        </Typography>
+        <Chip label={alarm.severity} color={SEVERITY_COLORS[alarm.severity]} />
+        <Chip label={alarm.status} color={STATUS_COLORS[alarm.status]} />
+      </Box>
+
+      <Grid container spacing={3}>
+        {/* Alarm Information */}
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <InfoIcon />
+                Alarm Information
+              </Typography>
+              <Divider sx={{ my: 2 }} />
+              <Grid container spacing={2}>
+                <Grid item xs={6}>
+                  <Typography color="text.secondary" variant="body2">
+                    Plant
+                  </Typography>
+                  {plantId ? (
+                    <Link component="button" variant="body1" onClick={() => navigate(`/plants/${plantId}`)}>
+                      {alarm.plant?.name || 'View plant'}
+                    </Link>
+                  ) : (
+                    <Typography variant="body1">N/A</Typography>
+                  )}
+                </Grid>
+                <Grid item xs={6}>
+                  <Typography color="text.secondary" variant="body2">
+                    Device
+                  </Typography>
+                  {deviceId ? (
+                    <Link component="button" variant="body1" onClick={() => navigate(`/devices/${deviceId}`)}>
+                      {alarm.device?.name || 'View device'}
+                    </Link>
+                  ) : (
+                    <Typography variant="body1">N/A</Typography>
+                  )}
+                </Grid>
+                <Grid item xs={6}>
+                  <Typography color="text.secondary" variant="body2">
+                    Triggered
+                  </Typography>
+                  <Typography variant="body1">
+                    {new Date(alarm.triggeredAt).toLocaleString()}
+                  </Typography>
+                </Grid>
+                <Grid item xs={6}>
+                  <Typography color="text.secondary" variant="body2">
+                    Tag
+                  </Typography>
+                  <Typography variant="body1">
+                    {tagName || 'N/A'}
+                    {alarm.value !== undefined && alarm.value !== null && ` (${alarm.value})`}
+                  </Typography>
+                </Grid>
+                {alarm.description && (
+                  <Grid item xs={12}>
+                    <Typography color="text.secondary" variant="body2">
+                      Description
+                    </Typography>
+                    <Typography variant="body1">
+                      {alarm.description}
+                    </Typography>
+                  </Grid>
+                )}
+              </Grid>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Lifecycle */}
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <LifecycleIcon />
+                Lifecycle
+              </Typography>
+              <Divider sx={{ my: 2 }} />
+              <AlarmLifecycle alarm={alarm} />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Tag Trend */}
+        <Grid item xs={12}>
+          {tagName ? (
+            <LineChartComponent
+              title={`${tagName} around the alarm`}
+              data={trendRows}
+              lines={[{ dataKey: tagName, name: tagName, color: theme.palette.primary.main }]}
+              height={300}
+              loading={trend.loading}
+              error={trend.error}
+              shadedRanges={alarmRange}
+            />
+          ) : (
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <TrendIcon />
+                  Trend
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  This alarm is not linked to a tag. Open the device to see its telemetry.
+                </Typography>
+              </CardContent>
+            </Card>
+          )}
+        </Grid>
+
+        {/* Comments */}
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <CommentIcon />
+                Comments
+              </Typography>
+              <Divider sx={{ my: 2 }} />
+              <AlarmComments alarmId={alarm.id} />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Attachments */}
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <AttachmentIcon />
+                Attachments
+              </Typography>
+              <Divider sx={{ my: 2 }} />
+              <AlarmAttachments
+                alarmId={alarm.id}
+                currentUserId={currentUser?.id}
+                canManage={isAdmin || isPlantManager}
+              />
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Escalation */}
+        <Grid item xs={12} md={6}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <EscalationIcon />
+                Escalation
+              </Typography>
+              <Divider sx={{ my: 2 }} />
+              <EscalationTimeline
+                alarm={alarm}
+                policy={policy}
+                notifications={notifications}
+                users={isAdmin ? users : []}
+                now={now}
+              />
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default AlarmDetail;
@@ -0,0 +1,312 @@
+/**
+ * Alarm Rules Page
+ * Define alarm rules per device template or tag and preview them against history
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Button,
+  Card,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Alert,
+  Chip,
+  Switch,
+  Tooltip,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Visibility as PreviewIcon,
+} from '@mui/icons-material';
+import {
+  fetchAlarmRules,
+  createAlarmRule,
+  updateAlarmRule,
+  toggleAlarmRule,
+  deleteAlarmRule,
+  selectAlarmRules,
+  selectAlarmRulesLoading,
+  selectAlarmRulesError,
+  clearError,
+} from '../store/slices/alarmRulesSlice';
+import { fetchTags, selectTags } from '../store/slices/tagsSlice';
+import { fetchTemplates, selectTemplates } from '../store/slices/templatesSlice';
+import { fetchDevices, selectDevices } from '../store/slices/deviceSlice';
+import { selectIsAdmin } from '../store/slices/authSlice';
+import { getRuleType, getRuleDevices } from '../utils/alarmRules';
+import AlarmRuleDialog from '../components/alarms/AlarmRuleDialog';
+import AlarmRulePreview from '../components/alarms/AlarmRulePreview';
+
+// Severity colors
+const SEVERITY_COLORS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'info',
+  INFO: 'default',
+};
+
+/**
+ * One-line summary of a rule's condition
+ */
+const describeCondition = (rule) => {
+  const delay = rule.delaySeconds ? ` for ${rule.delaySeconds}s` : '';
+  switch (rule.type) {
+    case 'HIGH_THRESHOLD':
+      return `> ${rule.threshold}${delay}${rule.deadband ? ` (deadband ${rule.deadband})` : ''}`;
+    case 'LOW_THRESHOLD':
+      return `< ${rule.threshold}${delay}${rule.deadband ? ` (deadband ${rule.deadband})` : ''}`;
+    case 'RATE_OF_CHANGE':
+      return `Δ > ${rule.threshold}/min${delay}`;
+    case 'STALE_DATA':
+      return `No data for ${rule.staleMinutes} min`;
+    case 'SIBLING_DEVIATION':
+      return `${rule.threshold}% below sibling median${delay}`;
+    default:
+      return '-';
+  }
+};
+
+const AlarmRules = () => {
+  const dispatch = useDispatch();
+
+  // Redux selectors
+  const isAdmin = useSelector(selectIsAdmin);
+  const rules = useSelector(selectAlarmRules);
+  const loading = useSelector(selectAlarmRulesLoading);
+  const reduxError = useSelector(selectAlarmRulesError);
+  const tags = useSelector(selectTags);
+  const templates = useSelector(selectTemplates);
+  const devices = useSelector(selectDevices);
+
+  // Local UI state
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [previewRule, setPreviewRule] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchAlarmRules());
+    dispatch(fetchTags({ page: 1, limit: 1000 }));
+    dispatch(fetchTemplates({ limit: 100 }));
+    dispatch(fetchDevices({ page: 1, limit: 1000 }));
+  }, [dispatch]);
+
+  const previewDevices = useMemo(
+    () => (previewRule ? getRuleDevices(previewRule, devices, tags) : []),
+    [previewRule, devices, tags]
+  );
+
+  const getTemplateName = (templateId) =>
+    templates.find((template) => template.id === templateId)?.name || 'Unknown template';
+
+  const handleAdd = () => {
+    setEditing(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (rule) => {
+    setEditing(rule);
+    setDialogOpen(true);
+  };
+
+  const handleSave = async (ruleData) => {
+    setSuccess('');
+    setSaving(true);
+    try {
+      if (editing) {
+        await dispatch(updateAlarmRule({ id: editing.id, ruleData })).unwrap();
+        setSuccess('Alarm rule updated successfully');
+      } else {
+        await dispatch(createAlarmRule(ruleData)).unwrap();
+        setSuccess('Alarm rule created successfully');
+      }
+      setDialogOpen(false);
+    } catch {
+      setSuccess('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = (rule, enabled) => {
+    setSuccess('');
+    dispatch(toggleAlarmRule({ id: rule.id, enabled }));
+  };
+
+  const handleEnableFromPreview = async (rule) => {
+    try {
+      await dispatch(toggleAlarmRule({ id: rule.id, enabled: true })).unwrap();
+      setSuccess(`Alarm rule "${rule.name}" enabled`);
+      setPreviewRule(null);
+    } catch {
+      setSuccess('');
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Are you sure you want to delete alarm rule "${rule.name}"?`)) {
+      return;
+    }
+
+    try {
+      await dispatch(deleteAlarmRule(rule.id)).unwrap();
+      setSuccess('Alarm rule deleted successfully');
+    } catch {
+      setSuccess('');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4">Alarm Rules</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Rules are evaluated by the server for every matching device. Preview a rule before enabling it.
+          </Typography>
+        </Box>
+        {isAdmin && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd}>
+            Add Rule
+          </Button>
+        )}
+      </Box>
+
+      {reduxError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => dispatch(clearError())}>
+          {reduxError}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Card>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Applies To</TableCell>
+                <TableCell>Tag</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Condition</TableCell>
+                <TableCell>Severity</TableCell>
+                <TableCell>Auto-clear</TableCell>
+                <TableCell>Enabled</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading && rules.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={9} align="center" sx={{ py: 4 }}>
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : rules.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={9} align="center">
+                    No alarm rules defined. {isAdmin && 'Click "Add Rule" to create one.'}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                rules.map((rule) => (
+                  <TableRow key={rule.id} hover>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight={500}>
+                        {rule.name}
+                      </Typography>
+                      {rule.description && (
+                        <Typography variant="caption" color="text.secondary">
+                          {rule.description}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {rule.scope === 'TEMPLATE' ? getTemplateName(rule.templateId) : 'All devices with tag'}
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={rule.tagName} size="small" variant="outlined" />
+                    </TableCell>
+                    <TableCell>{getRuleType(rule.type).label}</TableCell>
+                    <TableCell>{describeCondition(rule)}</TableCell>
+                    <TableCell>
+                      <Chip label={rule.severity} size="small" color={SEVERITY_COLORS[rule.severity]} />
+                    </TableCell>
+                    <TableCell>{rule.autoClear ? 'Yes' : 'No'}</TableCell>
+                    <TableCell>
+                      <Switch
+                        size="small"
+                        checked={Boolean(rule.enabled)}
+                        disabled={!isAdmin}
+                        onChange={(e) => handleToggle(rule, e.target.checked)}
+                      />
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Preview against history">
+                        <IconButton size="small" onClick={() => setPreviewRule(rule)}>
+                          <PreviewIcon />
+                        </IconButton>
+                      </Tooltip>
+                      {isAdmin && (
+                        <>
+                          <IconButton size="small" onClick={() => handleEdit(rule)}>
+                            <EditIcon />
+                          </IconButton>
+                          <IconButton size="small" color="error" onClick={() => handleDelete(rule)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Card>
+
+      {/* Add/Edit Dialog */}
+      <AlarmRuleDialog
+        open={dialogOpen}
+        rule={editing}
+        tags={tags}
+        templates={templates}
+        saving={saving}
+        onClose={() => setDialogOpen(false)}
+        onSave={handleSave}
+      />
+
+      {/* Historical Preview */}
+      <AlarmRulePreview
+        open={Boolean(previewRule)}
+        rule={previewRule}
+        devices={previewDevices}
+        allDevices={devices}
+        canEnable={isAdmin}
+        onEnable={handleEnableFromPreview}
+        onClose={() => setPreviewRule(null)}
+      />
+    </Box>
+  );
+};
+
+export default AlarmRules;
@@ -4,7 +4,8 @@
  * Refactored to use Redux for state management
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Box,
@@ -35,6 +36,12 @@ import {
   DialogActions,
   IconButton,
   Tooltip,
+  FormControlLabel,
+  Switch,
+  Tabs,
+  Tab,
+  Link,
+  Checkbox,
 } from '@mui/material';
 import {
   Warning as WarningIcon,
@@ -43,13 +50,30 @@ import {
   Info as InfoIcon,
   Refresh as RefreshIcon,
   FilterList as FilterIcon,
+  Bedtime as NightIcon,
+  Snooze as ShelveIcon,
+  AlarmOn as UnshelveIcon,
+  Construction as MaintenanceIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+  SubdirectoryArrowRight as ConsequenceIcon,
+  DoneAll as BulkAcknowledgeIcon,
+  TaskAlt as BulkResolveIcon,
 } from '@mui/icons-material';
 import {
   fetchAlarms,
   fetchAlarmStatistics,
   acknowledgeAlarm,
   resolveAlarm,
+  bulkAcknowledgeAlarms,
+  bulkResolveAlarms,
+  shelveAlarm,
+  unshelveAlarm,
+  fetchAlarmMasks,
+  createAlarmMask,
+  deleteAlarmMask,
   selectAlarms,
+  selectAlarmMasks,
   selectAlarmStatistics,
   selectAlarmsPagination,
   selectAlarmsFilters,
@@ -59,7 +83,32 @@ import {
   setPagination,
   clearError,
 } from '../store/slices/alarmsSlice';
-import { selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
+import { fetchPlants, selectPlants } from '../store/slices/plantSlice';
+import { fetchDevices, selectDevices } from '../store/slices/deviceSlice';
+import { fetchPlantDeviceHierarchy, selectDeviceHierarchies } from '../store/slices/hierarchySlice';
+import { selectUser, selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
+import { setTimeRange } from '../store/slices/timeRangeSlice';
+import { useTimeRange } from '../hooks/useTimeRange';
+import { useAlarmFilterUrlSync } from '../hooks/useAlarmFilters';
+import {
+  DEFAULT_ALARM_FILTERS,
+  getAlarmListQuery,
+  getAlarmTotal,
+} from '../utils/alarmFilters';
+import {
+  isNightProductionAlarm,
+  getAlarmSuppression,
+  getNextSuppressionChange,
+  addHierarchyLinks,
+  groupAlarmsByRootCause,
+  ROOT_CAUSE_WINDOW_MINUTES,
+} from '../utils/alarms';
+import MaintenanceMasksDialog from '../components/alarms/MaintenanceMasksDialog';
+import AlarmFilterPresets from '../components/alarms/AlarmFilterPresets';
+import AlarmAnalytics from '../components/alarms/AlarmAnalytics';
+import ExportMenu from '../components/ExportMenu';
+import { getAllAlarms } from '../services/alarmService';
+import { EXPORT_ROW_LIMIT } from '../utils/export';
 
 // Severity colors
 const SEVERITY_COLORS = {
@@ -87,10 +136,64 @@ const STATUS_COLORS = {
   IGNORED: 'default',
 };
 
+const ALARM_EXPORT_COLUMNS = [
+  { key: 'severity', header: 'Severity' },
+  { key: 'status', header: 'Status' },
+  { key: 'message', header: 'Message' },
+  { header: 'Plant', value: (alarm) => alarm.plant?.name || '' },
+  { header: 'Device', value: (alarm) => alarm.device?.name || '' },
+  { key: 'triggeredAt', header: 'Triggered At' },
+  { key: 'acknowledgedAt', header: 'Acknowledged At' },
+  { key: 'resolvedAt', header: 'Resolved At' },
+];
+
+// Shelve durations in minutes
+const SHELVE_DURATIONS = [
+  { value: 15, label: '15 minutes' },
+  { value: 60, label: '1 hour' },
+  { value: 240, label: '4 hours' },
+  { value: 480, label: '8 hours' },
+  { value: 1440, label: '24 hours' },
+];
+
+// Suppression labels
+const SUPPRESSION_LABELS = {
+  SHELVED: 'Shelved',
+  MASKED: 'Device maintenance',
+  PLANT_MAINTENANCE: 'Plant maintenance',
+};
+
+// Why and until when an alarm is shelved or masked
+const SuppressionInfo = ({ suppression }) => {
+  if (!suppression) return null;
+  return (
+    <>
+      <Chip
+        icon={suppression.type === 'SHELVED' ? <ShelveIcon /> : <MaintenanceIcon />}
+        label={SUPPRESSION_LABELS[suppression.type]}
+        size="small"
+        variant="outlined"
+      />
+      <Typography variant="caption" color="text.secondary" component="div">
+        {suppression.until
+          ? `Until ${new Date(suppression.until).toLocaleString()}`
+          : 'Until maintenance ends'}
+      </Typography>
+      {suppression.reason && (
+        <Typography variant="caption" color="text.secondary" component="div">
+          {suppression.reason}
+        </Typography>
+      )}
+    </>
+  );
+};
+
 const Alarms = () => {
+  const navigate = useNavigate();
   const dispatch = useDispatch();
 
   // Redux selectors
+  const user = useSelector(selectUser);
   const isAdmin = useSelector(selectIsAdmin);
   const isPlantManager = useSelector(selectIsPlantManager);
   const alarms = useSelector(selectAlarms);
@@ -99,6 +202,14 @@ const Alarms = () => {
   const filters = useSelector(selectAlarmsFilters);
   const loading = useSelector(selectAlarmsLoading);
   const error = useSelector(selectAlarmsError);
+  const plants = useSelector(selectPlants);
+  const devices = useSelector(selectDevices);
+  const masks = useSelector(selectAlarmMasks);
+  const deviceHierarchies = useSelector(selectDeviceHierarchies);
+  const { range: timeRange, startTime, endTime } = useTimeRange();
+
+  // Filters are mirrored into the URL so a filtered list can be shared
+  useAlarmFilterUrlSync();
 
   const canManage = isAdmin || isPlantManager;
 
@@ -106,25 +217,161 @@ const Alarms = () => {
   const [acknowledgeDialog, setAcknowledgeDialog] = useState({ open: false, alarm: null });
   const [resolveDialog, setResolveDialog] = useState({ open: false, alarm: null });
   const [note, setNote] = useState('');
+  const [hideNightAlarms, setHideNightAlarms] = useState(true);
+  const [activeTab, setActiveTab] = useState('alarms');
+  const [shelveDialog, setShelveDialog] = useState({ open: false, alarm: null });
+  const [shelveDuration, setShelveDuration] = useState(60);
+  const [masksDialogOpen, setMasksDialogOpen] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const [groupByRootCause, setGroupByRootCause] = useState(true);
+  const [expandedIncidents, setExpandedIncidents] = useState(new Set());
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkDialog, setBulkDialog] = useState({ open: false, action: null });
+  const [otherTabTotal, setOtherTabTotal] = useState(null);
+  const [acknowledgeFailures, setAcknowledgeFailures] = useState(null);
+
+  // Plant locations are needed to tell night-time "no production" alarms apart;
+  // plant status, device parents and masks decide which alarms are masked
+  useEffect(() => {
+    dispatch(fetchPlants({ limit: 100 }));
+    dispatch(fetchDevices({ page: 1, limit: 1000 }));
+    dispatch(fetchAlarmMasks());
+  }, [dispatch]);
+
+  // Device hierarchy of every plant on the page, for root-cause grouping
+  useEffect(() => {
+    new Set(alarms.map((alarm) => alarm.plantId || alarm.plant?.id).filter(Boolean))
+      .forEach((plantId) => dispatch(fetchPlantDeviceHierarchy(plantId)));
+  }, [alarms, dispatch]);
+
+  // Re-evaluate exactly when the next shelve or mask runs out (or starts)
+  useEffect(() => {
+    const next = getNextSuppressionChange(alarms, masks, now);
+    if (!next) return undefined;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(next - now + 500, 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [alarms, masks, now]);
+
+  const nightAlarmIds = useMemo(() => {
+    const plantsById = new Map(plants.map((plant) => [plant.id, plant]));
+    return new Set(
+      alarms
+        .filter((alarm) => isNightProductionAlarm(alarm, plantsById.get(alarm.plantId || alarm.plant?.id)))
+        .map((alarm) => alarm.id)
+    );
+  }, [alarms, plants]);
+
+  // Device parent links from the device list, completed by the plant hierarchies
+  const parentById = useMemo(() => {
+    const links = new Map(
+      devices.filter((device) => device.parentDeviceId).map((device) => [device.id, device.parentDeviceId])
+    );
+    Object.values(deviceHierarchies).forEach((hierarchy) => addHierarchyLinks(hierarchy, links));
+    return links;
+  }, [devices, deviceHierarchies]);
+
+  const suppressionById = useMemo(() => {
+    const plantsById = new Map(plants.map((plant) => [plant.id, plant]));
+    return new Map(
+      alarms
+        .map((alarm) => [
+          alarm.id,
+          getAlarmSuppression(alarm, {
+            plant: plantsById.get(alarm.plantId || alarm.plant?.id) || alarm.plant,
+            masks,
+            parentById,
+            now,
+          }),
+        ])
+        .filter(([, suppression]) => suppression)
+    );
+  }, [alarms, plants, parentById, masks, now]);
+
+  // The server splits shelved / masked alarms from the rest and hides night-time alarms, so
+  // `alarms` is the current tab's page; suppressionById only explains why an alarm is suppressed
+  const showSuppressed = activeTab === 'suppressed';
+  const alarmsTabTotal = showSuppressed ? otherTabTotal : pagination.total;
+  const suppressedTabTotal = showSuppressed ? pagination.total : otherTabTotal;
+  const columnCount = 6 + (showSuppressed ? 1 : 0) + (canManage ? 2 : 0);
+
+  // Incidents: upstream alarm with its downstream consequences (suppressed alarms are listed flat)
+  const alarmGroups = groupByRootCause && !showSuppressed
+    ? groupAlarmsByRootCause(alarms, parentById)
+    : alarms.map((alarm) => ({ alarm, consequences: [] }));
 
-  // Load alarms and statistics when component mounts or filters/pagination change
+  const toggleIncident = (alarmId) => {
+    setExpandedIncidents((prev) => {
+      const next = new Set(prev);
+      if (next.has(alarmId)) {
+        next.delete(alarmId);
+      } else {
+        next.add(alarmId);
+      }
+      return next;
+    });
+  };
+
+  // Load alarms and statistics when component mounts, filters/pagination change, or a shelve or mask changes
   useEffect(() => {
     loadAlarms();
     loadStatistics();
-  }, [pagination.page, pagination.limit, filters.severity, filters.status, filters.plantId]);
+  }, [pagination.page, pagination.limit, filters.severity, filters.status, filters.plantId, filters.deviceId, startTime, endTime, showSuppressed, hideNightAlarms, now]);
+
+  // Count of the tab that is not shown, for its label
+  useEffect(() => {
+    let cancelled = false;
+    getAllAlarms({
+      page: 1,
+      limit: 1,
+      ...getAlarmListQuery(filters, { startTime, endTime }, {
+        suppressed: !showSuppressed,
+        hideNightProduction: hideNightAlarms && showSuppressed,
+      }),
+    })
+      .then((data) => {
+        if (!cancelled) setOtherTabTotal(getAlarmTotal(data));
+      })
+      .catch(() => {
+        if (!cancelled) setOtherTabTotal(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, startTime, endTime, showSuppressed, hideNightAlarms, now]);
+
+  // A selection only applies to the list it was made on
+  useEffect(() => {
+    setSelectedIds(new Set());
+    setSelectAllMatching(false);
+  }, [pagination.page, pagination.limit, filters, startTime, endTime, activeTab, hideNightAlarms]);
+
+  // Query of the list on screen; bulk "all matching" actions and exports send the same one
+  const getListQuery = () => getAlarmListQuery(filters, { startTime, endTime }, {
+    suppressed: showSuppressed,
+    hideNightProduction: hideNightAlarms && !showSuppressed,
+  });
 
   const loadAlarms = () => {
     const params = {
       page: pagination.page,
       limit: pagination.limit,
-      ...Object.fromEntries(
-        Object.entries(filters).filter(([_, value]) => value !== '')
-      ),
+      ...getListQuery(),
     };
 
     dispatch(fetchAlarms(params));
   };
 
+  // Export covers every alarm of the current tab matching the filters, not just the current page
+  const getExportRows = async () => {
+    const data = await getAllAlarms({
+      page: 1,
+      limit: EXPORT_ROW_LIMIT,
+      ...getListQuery(),
+    });
+    return data?.alarms || data || [];
+  };
+
   const loadStatistics = () => {
     dispatch(fetchAlarmStatistics());
   };
@@ -146,38 +393,112 @@ const Alarms = () => {
     }));
   };
 
+  // Each list tab pages on its own
+  const handleTabChange = (_event, value) => {
+    setActiveTab(value);
+    dispatch(setPagination({ page: 1 }));
+  };
+
   const handleFilterChange = (field, value) => {
-    dispatch(setFilters({ [field]: value }));
+    // A device belongs to one plant, so changing the plant clears the device
+    dispatch(setFilters(field === 'plantId' ? { plantId: value, deviceId: '' } : { [field]: value }));
     dispatch(setPagination({ page: 1 }));
   };
 
-  const handleAcknowledge = (alarm) => {
-    setAcknowledgeDialog({ open: true, alarm });
-    setNote('');
+  const handleApplyPreset = (preset) => {
+    dispatch(setFilters({ ...DEFAULT_ALARM_FILTERS, ...preset.filters }));
+    if (preset.timeRange) {
+      dispatch(setTimeRange(preset.timeRange));
+    }
+    dispatch(setPagination({ page: 1 }));
   };
 
-  const handleResolve = (alarm) => {
-    setResolveDialog({ open: true, alarm });
-    setNote('');
+  const toggleSelected = (alarmId) => {
+    setSelectAllMatching(false);
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(alarmId)) {
+        next.delete(alarmId);
+      } else {
+        next.add(alarmId);
+      }
+      return next;
+    });
   };
 
-  const confirmAcknowledge = async () => {
+  const allVisibleSelected = alarms.length > 0 && alarms.every((alarm) => selectedIds.has(alarm.id));
+
+  const toggleAllVisible = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(allVisibleSelected ? new Set() : new Set(alarms.map((alarm) => alarm.id)));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectAllMatching(false);
+  };
+
+  const selectionCount = selectAllMatching ? pagination.total : selectedIds.size;
+
+  const confirmBulkAction = async () => {
+    // "All matching" sends the list's own query so the server covers exactly the alarms paged
+    // through on this tab, including other pages, and no shelved, masked or hidden ones
+    const target = selectAllMatching
+      ? { filter: getListQuery() }
+      : { alarmIds: [...selectedIds] };
+
     try {
-      await dispatch(acknowledgeAlarm({
-        id: acknowledgeDialog.alarm.id,
-        acknowledgedBy: 'current-user', // Should be taken from auth context
-        notes: note
-      })).unwrap();
+      if (bulkDialog.action === 'acknowledge') {
+        await dispatch(bulkAcknowledgeAlarms({ ...target, notes: note })).unwrap();
+      } else {
+        await dispatch(bulkResolveAlarms({ ...target, resolution: note })).unwrap();
+      }
 
-      setAcknowledgeDialog({ open: false, alarm: null });
+      setBulkDialog({ open: false, action: null });
       setNote('');
+      clearSelection();
       loadAlarms();
       loadStatistics();
-    } catch (err) {
+    } catch {
       // Error is handled by Redux
     }
   };
 
+  const handleAcknowledge = (alarm, consequences = []) => {
+    setAcknowledgeDialog({ open: true, alarm, consequences });
+    setNote('');
+  };
+
+  const handleResolve = (alarm) => {
+    setResolveDialog({ open: true, alarm });
+    setNote('');
+  };
+
+  const confirmAcknowledge = async () => {
+    // Acknowledging an incident acknowledges every active alarm grouped under it
+    const targets = [acknowledgeDialog.alarm, ...(acknowledgeDialog.consequences || [])]
+      .filter((alarm) => alarm.status === 'ACTIVE');
+
+    // Some alarms of an incident may fail while the rest go through, so reload either way
+    const results = await Promise.allSettled(targets.map((alarm) => dispatch(acknowledgeAlarm({
+      id: alarm.id,
+      acknowledgedBy: 'current-user', // Should be taken from auth context
+      notes: note
+    })).unwrap()));
+    const failed = targets
+      .map((alarm, index) => ({ alarm, result: results[index] }))
+      .filter(({ result }) => result.status === 'rejected')
+      .map(({ alarm, result }) => ({ alarm, reason: result.reason?.message || result.reason }));
+
+    setAcknowledgeFailures(failed.length > 0 ? { total: targets.length, failed } : null);
+    // The failures alert lists every message, not just the last one stored in Redux
+    if (failed.length > 0) dispatch(clearError());
+    setAcknowledgeDialog({ open: false, alarm: null });
+    setNote('');
+    loadAlarms();
+    loadStatistics();
+  };
+
   const confirmResolve = async () => {
     try {
       await dispatch(resolveAlarm({
@@ -195,6 +516,198 @@ const Alarms = () => {
     }
   };
 
+  const handleShelve = (alarm) => {
+    setShelveDialog({ open: true, alarm });
+    setShelveDuration(60);
+    setNote('');
+  };
+
+  const confirmShelve = async () => {
+    try {
+      await dispatch(shelveAlarm({
+        id: shelveDialog.alarm.id,
+        durationMinutes: shelveDuration,
+        reason: note.trim(),
+      })).unwrap();
+
+      setShelveDialog({ open: false, alarm: null });
+      setNote('');
+      setNow(Date.now());
+    } catch {
+      // Error is handled by Redux
+    }
+  };
+
+  const handleUnshelve = async (alarm) => {
+    try {
+      await dispatch(unshelveAlarm(alarm.id)).unwrap();
+      setNow(Date.now());
+    } catch {
+      // Error is handled by Redux
+    }
+  };
+
+  const handleCreateMask = async (maskData) => {
+    try {
+      await dispatch(createAlarmMask(maskData)).unwrap();
+      setNow(Date.now());
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const handleEndMask = async (mask) => {
+    if (!window.confirm('End this maintenance mask? Its alarms will return to the main list.')) {
+      return;
+    }
+
+    try {
+      await dispatch(deleteAlarmMask(mask.id)).unwrap();
+      setNow(Date.now());
+    } catch {
+      // Error is handled by Redux
+    }
+  };
+
+  // Table row for an alarm; incident parents carry their consequences, which render indented
+  const renderAlarmRow = (alarm, consequences = [], isConsequence = false) => (
+    <TableRow
+      key={alarm.id}
+      hover
+      selected={selectAllMatching || selectedIds.has(alarm.id)}
+      sx={isConsequence ? { bgcolor: 'action.hover' } : undefined}
+    >
+      {canManage && (
+        <TableCell padding="checkbox">
+          <Checkbox
+            size="small"
+            checked={selectAllMatching || selectedIds.has(alarm.id)}
+            onChange={() => toggleSelected(alarm.id)}
+          />
+        </TableCell>
+      )}
+      <TableCell>
+        <Chip
+          icon={SEVERITY_ICONS[alarm.severity]}
+          label={alarm.severity}
+          color={SEVERITY_COLORS[alarm.severity]}
+          size="small"
+        />
+      </TableCell>
+      <TableCell>
+        <Chip
+          label={alarm.status}
+          color={STATUS_COLORS[alarm.status]}
+          size="small"
+        />
+      </TableCell>
+      <TableCell sx={isConsequence ? { pl: 5 } : undefined}>
+        <Typography variant="body2" component="div">
+          {isConsequence && (
+            <ConsequenceIcon fontSize="small" color="action" sx={{ verticalAlign: 'middle', mr: 0.5 }} />
+          )}
+          <Link
+            component="button"
+            variant="body2"
+            color="inherit"
+            underline="hover"
+            onClick={() => navigate(`/alarms/${alarm.id}`)}
+            sx={{ textAlign: 'left', verticalAlign: 'baseline' }}
+          >
+            {alarm.message}
+          </Link>
+          {consequences.length > 0 && (
+            <Tooltip title={`Upstream fault: ${consequences.length} downstream alarms raised within ${ROOT_CAUSE_WINDOW_MINUTES} min`}>
+              <Chip
+                label={`Incident · ${consequences.length} downstream`}
+                size="small"
+                color="primary"
+                variant="outlined"
+                onClick={() => toggleIncident(alarm.id)}
+                onDelete={() => toggleIncident(alarm.id)}
+                deleteIcon={expandedIncidents.has(alarm.id) ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                sx={{ ml: 1 }}
+              />
+            </Tooltip>
+          )}
+          {nightAlarmIds.has(alarm.id) && (
+            <Tooltip title="Raised while the sun was down at the plant">
+              <Chip icon={<NightIcon />} label="Night" size="small" sx={{ ml: 1 }} />
+            </Tooltip>
+          )}
+        </Typography>
+        {alarm.description && (
+          <Typography variant="caption" color="text.secondary">
+            {alarm.description}
+          </Typography>
+        )}
+      </TableCell>
+      <TableCell>
+        <Typography variant="body2">
+          {alarm.plant?.name || 'N/A'}
+        </Typography>
+      </TableCell>
+      <TableCell>
+        <Typography variant="body2">
+          {alarm.device?.name || 'N/A'}
+        </Typography>
+      </TableCell>
+      <TableCell>
+        <Typography variant="body2">
+          {new Date(alarm.triggeredAt).toLocaleString()}
+        </Typography>
+      </TableCell>
+      {showSuppressed && (
+        <TableCell>
+          <SuppressionInfo suppression={suppressionById.get(alarm.id)} />
+        </TableCell>
+      )}
+      {canManage && (
+        <TableCell align="right">
+          <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
+            {[alarm, ...consequences].some((item) => item.status === 'ACTIVE') && (
+              <Tooltip title={consequences.length > 0 ? 'Acknowledge incident' : 'Acknowledge'}>
+                <IconButton
+                  size="small"
+                  color="warning"
+                  onClick={() => handleAcknowledge(alarm, consequences)}
+                >
+                  <CheckIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            {(alarm.status === 'ACTIVE' || alarm.status === 'ACKNOWLEDGED') && (
+              <Tooltip title="Resolve">
+                <IconButton
+                  size="small"
+                  color="success"
+                  onClick={() => handleResolve(alarm)}
+                >
+                  <CheckIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            {!suppressionById.has(alarm.id) && alarm.status !== 'RESOLVED' && (
+              <Tooltip title="Shelve">
+                <IconButton size="small" onClick={() => handleShelve(alarm)}>
+                  <ShelveIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            {suppressionById.get(alarm.id)?.type === 'SHELVED' && (
+              <Tooltip title="Unshelve">
+                <IconButton size="small" color="primary" onClick={() => handleUnshelve(alarm)}>
+                  <UnshelveIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+          </Box>
+        </TableCell>
+      )}
+    </TableRow>
+  );
+
   return (
     <Box>
       {/* Header */}
@@ -202,14 +715,23 @@ const Alarms = () => {
         <Typography variant="h4" component="h1">
           Alarms
         </Typography>
-        <Button
-          variant="outlined"
-          startIcon={<RefreshIcon />}
-          onClick={handleRefresh}
-          disabled={loading}
-        >
-          Refresh
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<MaintenanceIcon />}
+            onClick={() => setMasksDialogOpen(true)}
+          >
+            Maintenance Masks
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<RefreshIcon />}
+            onClick={handleRefresh}
+            disabled={loading}
+          >
+            Refresh
+          </Button>
+        </Box>
       </Box>
 
       {error && (
@@ -218,6 +740,19 @@ const Alarms = () => {
         </Alert>
       )}
 
+      {acknowledgeFailures && (
+        <Alert severity="warning" sx={{ mb: 3 }} onClose={() => setAcknowledgeFailures(null)}>
+          {acknowledgeFailures.failed.length} of {acknowledgeFailures.total} alarms could not be acknowledged:
+          <Box component="ul" sx={{ m: 0, pl: 2 }}>
+            {acknowledgeFailures.failed.map(({ alarm, reason }) => (
+              <li key={alarm.id}>
+                {alarm.device?.name ? `${alarm.device.name}: ` : ''}{alarm.message} ({reason})
+              </li>
+            ))}
+          </Box>
+        </Alert>
+      )}
+
       {/* Statistics Cards */}
       {statistics && (
         <Grid container spacing={3} sx={{ mb: 3 }}>
@@ -275,10 +810,16 @@ const Alarms = () => {
         <CardContent>
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
             <FilterIcon />
-            <Typography variant="h6">Filters</Typography>
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>Filters</Typography>
+            <AlarmFilterPresets
+              userId={user?.id}
+              filters={filters}
+              timeRange={timeRange}
+              onApply={handleApplyPreset}
+            />
           </Box>
           <Grid container spacing={2}>
-            <Grid item xs={12} sm={4}>
+            <Grid item xs={12} sm={3}>
               <FormControl fullWidth size="small">
                 <InputLabel>Severity</InputLabel>
                 <Select
@@ -295,7 +836,7 @@ const Alarms = () => {
                 </Select>
               </FormControl>
             </Grid>
-            <Grid item xs={12} sm={4}>
+            <Grid item xs={12} sm={3}>
               <FormControl fullWidth size="small">
                 <InputLabel>Status</InputLabel>
                 <Select
@@ -310,122 +851,184 @@ const Alarms = () => {
                 </Select>
               </FormControl>
             </Grid>
+            <Grid item xs={12} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Plant</InputLabel>
+                <Select
+                  value={filters.plantId}
+                  label="Plant"
+                  onChange={(e) => handleFilterChange('plantId', e.target.value)}
+                >
+                  <MenuItem value="">All</MenuItem>
+                  {plants.map((plant) => (
+                    <MenuItem key={plant.id} value={plant.id}>
+                      {plant.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Device</InputLabel>
+                <Select
+                  value={filters.deviceId}
+                  label="Device"
+                  onChange={(e) => handleFilterChange('deviceId', e.target.value)}
+                >
+                  <MenuItem value="">All</MenuItem>
+                  {devices
+                    .filter((device) => !filters.plantId || device.plantId === filters.plantId)
+                    .map((device) => (
+                      <MenuItem key={device.id} value={device.id}>
+                        {device.name}
+                      </MenuItem>
+                    ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={hideNightAlarms}
+                    onChange={(e) => setHideNightAlarms(e.target.checked)}
+                  />
+                }
+                label="Hide night-time production alarms"
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={groupByRootCause}
+                    onChange={(e) => setGroupByRootCause(e.target.checked)}
+                  />
+                }
+                label="Group by root cause"
+              />
+            </Grid>
           </Grid>
         </CardContent>
       </Card>
 
       {/* Alarms Table */}
       <Card>
-        <TableContainer>
-          <Table>
-            <TableHead>
-              <TableRow>
-                <TableCell>Severity</TableCell>
-                <TableCell>Status</TableCell>
-                <TableCell>Message</TableCell>
-                <TableCell>Plant</TableCell>
-                <TableCell>Device</TableCell>
-                <TableCell>Triggered At</TableCell>
-                {canManage && <TableCell align="right">Actions</TableCell>}
-              </TableRow>
-            </TableHead>
-            <TableBody>
-              {loading ? (
-                <TableRow>
-                  <TableCell colSpan={canManage ? 7 : 6} align="center">
-                    <CircularProgress size={24} />
-                  </TableCell>
-                </TableRow>
-              ) : alarms.length === 0 ? (
-                <TableRow>
-                  <TableCell colSpan={canManage ? 7 : 6} align="center">
-                    <Typography color="text.secondary">No alarms found</Typography>
-                  </TableCell>
-                </TableRow>
-              ) : (
-                alarms.map((alarm) => (
-                  <TableRow key={alarm.id} hover>
-                    <TableCell>
-                      <Chip
-                        icon={SEVERITY_ICONS[alarm.severity]}
-                        label={alarm.severity}
-                        color={SEVERITY_COLORS[alarm.severity]}
-                        size="small"
-                      />
-                    </TableCell>
-                    <TableCell>
-                      <Chip
-                        label={alarm.status}
-                        color={STATUS_COLORS[alarm.status]}
-                        size="small"
-                      />
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2">{alarm.message}</Typography>
-                      {alarm.description && (
-                        <Typography variant="caption" color="text.secondary">
-                          {alarm.description}
-                        </Typography>
-                      )}
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2">
-                        {alarm.plant?.name || 'N/A'}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2">
-                        {alarm.device?.name || 'N/A'}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2">
-                        {new Date(alarm.triggeredAt).toLocaleString()}
-                      </Typography>
-                    </TableCell>
+        <Box sx={{ borderBottom: 1, borderColor: 'divider', display: 'flex', alignItems: 'center', pr: 2 }}>
+          <Tabs value={activeTab} onChange={handleTabChange} sx={{ flexGrow: 1 }}>
+            <Tab value="alarms" label={`Alarms${alarmsTabTotal !== null ? ` (${alarmsTabTotal})` : ''}`} />
+            <Tab
+              value="suppressed"
+              label={`Shelved / Masked${suppressedTabTotal !== null ? ` (${suppressedTabTotal})` : ''}`}
+            />
+            <Tab value="analytics" label="Analytics" />
+          </Tabs>
+          {activeTab !== 'analytics' && (
+            <ExportMenu name="Alarms" columns={ALARM_EXPORT_COLUMNS} getRows={getExportRows} />
+          )}
+        </Box>
+        {activeTab === 'analytics' ? (
+          <AlarmAnalytics plantId={filters.plantId} />
+        ) : (
+          <>
+            {canManage && selectionCount > 0 && (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, px: 2, py: 1, bgcolor: 'action.selected' }}>
+                <Typography variant="body2">
+                  {selectAllMatching
+                    ? `All ${pagination.total} alarms matching the filter are selected.`
+                    : `${selectedIds.size} selected.`}
+                </Typography>
+                {!selectAllMatching && allVisibleSelected && pagination.total > selectedIds.size && (
+                  <Link component="button" variant="body2" onClick={() => setSelectAllMatching(true)}>
+                    Select all {pagination.total} alarms matching the filter
+                  </Link>
+                )}
+                <Box sx={{ flexGrow: 1 }} />
+                <Button
+                  size="small"
+                  color="warning"
+                  startIcon={<BulkAcknowledgeIcon />}
+                  onClick={() => {
+                    setNote('');
+                    setBulkDialog({ open: true, action: 'acknowledge' });
+                  }}
+                >
+                  Acknowledge
+                </Button>
+                <Button
+                  size="small"
+                  color="success"
+                  startIcon={<BulkResolveIcon />}
+                  onClick={() => {
+                    setNote('');
+                    setBulkDialog({ open: true, action: 'resolve' });
+                  }}
+                >
+                  Resolve
+                </Button>
+                <Button size="small" onClick={clearSelection}>
+                  Clear
+                </Button>
+              </Box>
+            )}
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow>
                     {canManage && (
-                      <TableCell align="right">
-                        <Box sx={{ display: 'flex', gap: 1, justifyContent: 'flex-end' }}>
-                          {alarm.status === 'ACTIVE' && (
-                            <Tooltip title="Acknowledge">
-                              <IconButton
-                                size="small"
-                                color="warning"
-                                onClick={() => handleAcknowledge(alarm)}
-                              >
-                                <CheckIcon />
-                              </IconButton>
-                            </Tooltip>
-                          )}
-                          {(alarm.status === 'ACTIVE' || alarm.status === 'ACKNOWLEDGED') && (
-                            <Tooltip title="Resolve">
-                              <IconButton
-                                size="small"
-                                color="success"
-                                onClick={() => handleResolve(alarm)}
-                              >
-                                <CheckIcon />
-                              </IconButton>
-                            </Tooltip>
-                          )}
-                        </Box>
+                      <TableCell padding="checkbox">
+                        <Checkbox
+                          size="small"
+                          checked={selectAllMatching || allVisibleSelected}
+                          indeterminate={!selectAllMatching && !allVisibleSelected && selectedIds.size > 0}
+                          onChange={toggleAllVisible}
+                        />
                       </TableCell>
                     )}
+                    <TableCell>Severity</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell>Message</TableCell>
+                    <TableCell>Plant</TableCell>
+                    <TableCell>Device</TableCell>
+                    <TableCell>Triggered At</TableCell>
+                    {showSuppressed && <TableCell>Suppressed</TableCell>}
+                    {canManage && <TableCell align="right">Actions</TableCell>}
                   </TableRow>
-                ))
-              )}
-            </TableBody>
-          </Table>
-        </TableContainer>
-        <TablePagination
-          rowsPerPageOptions={[5, 10, 25, 50]}
-          component="div"
-          count={pagination.total}
-          rowsPerPage={pagination.limit}
-          page={pagination.page - 1}
-          onPageChange={handleChangePage}
-          onRowsPerPageChange={handleChangeRowsPerPage}
-        />
+                </TableHead>
+                <TableBody>
+                  {loading ? (
+                    <TableRow>
+                      <TableCell colSpan={columnCount} align="center">
+                        <CircularProgress size={24} />
+                      </TableCell>
+                    </TableRow>
+                  ) : alarms.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={columnCount} align="center">
+                        <Typography color="text.secondary">No alarms found</Typography>
+                      </TableCell>
+                    </TableRow>
+                  ) : (
+                    alarmGroups.map(({ alarm, consequences }) => [
+                      renderAlarmRow(alarm, consequences),
+                      ...(expandedIncidents.has(alarm.id)
+                        ? consequences.map((consequence) => renderAlarmRow(consequence, [], true))
+                        : []),
+                    ])
+                  )}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <TablePagination
+              rowsPerPageOptions={[5, 10, 25, 50]}
+              component="div"
+              count={pagination.total}
+              rowsPerPage={pagination.limit}
+              page={pagination.page - 1}
+              onPageChange={handleChangePage}
+              onRowsPerPageChange={handleChangeRowsPerPage}
+            />
+          </>
+        )}
       </Card>
 
       {/* Acknowledge Dialog */}
@@ -440,6 +1043,11 @@ const Alarms = () => {
               <Typography variant="body2">
                 <strong>Message:</strong> {acknowledgeDialog.alarm.message}
               </Typography>
+              {acknowledgeDialog.consequences?.length > 0 && (
+                <Typography variant="body2" sx={{ mt: 1 }}>
+                  <strong>Downstream alarms:</strong> {acknowledgeDialog.consequences.length} will also be acknowledged
+                </Typography>
+              )}
             </Box>
           )}
           <TextField
@@ -495,6 +1103,105 @@ const Alarms = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Bulk Acknowledge / Resolve Dialog */}
+      <Dialog open={bulkDialog.open} onClose={() => setBulkDialog({ open: false, action: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          {bulkDialog.action === 'acknowledge' ? 'Acknowledge Alarms' : 'Resolve Alarms'}
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            {bulkDialog.action === 'acknowledge'
+              ? `Acknowledge ${selectionCount} selected alarms? Alarms that are not active are skipped.`
+              : `Resolve ${selectionCount} selected alarms? Alarms that are already resolved are skipped.`}
+            {selectAllMatching && !showSuppressed && (hideNightAlarms
+              ? ' Shelved, masked and hidden night-time alarms are left out.'
+              : ' Shelved and masked alarms are left out.')}
+          </Typography>
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label="Note for all alarms (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="e.g., Grid outage at 14:05, inverters tripped on undervoltage"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBulkDialog({ open: false, action: null })}>
+            Cancel
+          </Button>
+          <Button
+            onClick={confirmBulkAction}
+            variant="contained"
+            color={bulkDialog.action === 'acknowledge' ? 'warning' : 'success'}
+            disabled={loading}
+          >
+            {bulkDialog.action === 'acknowledge' ? 'Acknowledge' : 'Resolve'} {selectionCount}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Shelve Dialog */}
+      <Dialog open={shelveDialog.open} onClose={() => setShelveDialog({ open: false, alarm: null })} maxWidth="sm" fullWidth>
+        <DialogTitle>Shelve Alarm</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            The alarm moves to the Shelved / Masked tab and returns automatically when the time runs out.
+          </Typography>
+          {shelveDialog.alarm && (
+            <Box sx={{ mb: 2, p: 2, bgcolor: 'grey.100', borderRadius: 1 }}>
+              <Typography variant="body2">
+                <strong>Message:</strong> {shelveDialog.alarm.message}
+              </Typography>
+            </Box>
+          )}
+          <TextField
+            select
+            fullWidth
+            label="Shelve For"
+            value={shelveDuration}
+            onChange={(e) => setShelveDuration(e.target.value)}
+            sx={{ mb: 2 }}
+          >
+            {SHELVE_DURATIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            fullWidth
+            required
+            multiline
+            rows={3}
+            label="Reason"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Why is this alarm being shelved?"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShelveDialog({ open: false, alarm: null })}>
+            Cancel
+          </Button>
+          <Button onClick={confirmShelve} variant="contained" disabled={!note.trim()}>
+            Shelve
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Maintenance Masks Dialog */}
+      <MaintenanceMasksDialog
+        open={masksDialogOpen}
+        masks={masks}
+        devices={devices}
+        canManage={canManage}
+        onCreate={handleCreateMask}
+        onEnd={handleEndMask}
+        onClose={() => setMasksDialogOpen(false)}
+      />
     </Box>
   );
 };
@@ -4,7 +4,7 @@
  * Refactored to use Redux for state management
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import {
@@ -40,6 +40,9 @@ import {
   Add as AddIcon,
   Delete as DeleteIcon,
   CheckCircle as AcknowledgeIcon,
+  Snooze as ShelveIcon,
+  AlarmOn as UnshelveIcon,
+  Construction as MaskIcon,
 } from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -55,13 +58,14 @@ import {
   getAuditLogs,
   getAuditStats,
   exportAuditLogs,
-  downloadBlob,
   getActionColor,
   getRelativeTime,
 } from '../services/auditService';
+import { downloadBlob } from '../utils/export';
+import ExportMenu from '../components/ExportMenu';
 
 const ENTITY_TYPES = ['User', 'Plant', 'Device', 'Tag', 'Alarm'];
-const ACTION_TYPES = ['CREATE', 'UPDATE', 'DELETE', 'ACKNOWLEDGE'];
+const ACTION_TYPES = ['CREATE', 'UPDATE', 'DELETE', 'ACKNOWLEDGE', 'SHELVE', 'UNSHELVE', 'MASK', 'UNMASK'];
 
 const ENTITY_ICONS = {
   User: PersonIcon,
@@ -76,10 +80,24 @@ const ACTION_ICONS = {
   UPDATE: EditIcon,
   DELETE: DeleteIcon,
   ACKNOWLEDGE: AcknowledgeIcon,
+  SHELVE: ShelveIcon,
+  UNSHELVE: UnshelveIcon,
+  MASK: MaskIcon,
+  UNMASK: MaskIcon,
 };
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8'];
 
+const ACTION_EXPORT_COLUMNS = [
+  { key: 'name', header: 'Action' },
+  { key: 'value', header: 'Logs' },
+];
+
+const USER_ACTIVITY_EXPORT_COLUMNS = [
+  { key: 'name', header: 'User' },
+  { key: 'count', header: 'Logs' },
+];
+
 const AuditLog = () => {
   const dispatch = useDispatch();
 
@@ -89,6 +107,8 @@ const AuditLog = () => {
   const users = useSelector(selectUsers);
 
   const navigate = useNavigate();
+  const actionChartRef = useRef(null);
+  const userChartRef = useRef(null);
 
   // Redirect if not admin
   useEffect(() => {
@@ -311,29 +331,40 @@ const AuditLog = () => {
         <Grid item xs={12} md={4}>
           <Card>
             <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Logs by Action
-              </Typography>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <Typography variant="h6" gutterBottom>
+                  Logs by Action
+                </Typography>
+                <ExportMenu
+                  name="Logs by Action"
+                  columns={ACTION_EXPORT_COLUMNS}
+                  rows={actionData}
+                  chartRef={actionChartRef}
+                  disabled={actionData.length === 0}
+                />
+              </Box>
               {actionData.length > 0 ? (
-                <ResponsiveContainer width="100%" height={200}>
-                  <PieChart>
-                    <Pie
-                      data={actionData}
-                      cx="50%"
-                      cy="50%"
-                      labelLine={false}
-                      label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
-                      outerRadius={60}
-                      fill="#8884d8"
-                      dataKey="value"
-                    >
-                      {actionData.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                      ))}
-                    </Pie>
-                    <Tooltip />
-                  </PieChart>
-                </ResponsiveContainer>
+                <Box ref={actionChartRef}>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <PieChart>
+                      <Pie
+                        data={actionData}
+                        cx="50%"
+                        cy="50%"
+                        labelLine={false}
+                        label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+                        outerRadius={60}
+                        fill="#8884d8"
+                        dataKey="value"
+                      >
+                        {actionData.map((entry, index) => (
+                          <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                        ))}
+                      </Pie>
+                      <Tooltip />
+                    </PieChart>
+                  </ResponsiveContainer>
+                </Box>
               ) : (
                 <Typography color="text.secondary">No data</Typography>
               )}
@@ -344,18 +375,29 @@ const AuditLog = () => {
         <Grid item xs={12} md={4}>
           <Card>
             <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Most Active Users
-              </Typography>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <Typography variant="h6" gutterBottom>
+                  Most Active Users
+                </Typography>
+                <ExportMenu
+                  name="Most Active Users"
+                  columns={USER_ACTIVITY_EXPORT_COLUMNS}
+                  rows={userActivityData}
+                  chartRef={userChartRef}
+                  disabled={userActivityData.length === 0}
+                />
+              </Box>
               {userActivityData.length > 0 ? (
-                <ResponsiveContainer width="100%" height={200}>
-                  <BarChart data={userActivityData}>
-                    <XAxis dataKey="name" />
-                    <YAxis />
-                    <Tooltip />
-                    <Bar dataKey="count" fill="#8884d8" />
-                  </BarChart>
-                </ResponsiveContainer>
+                <Box ref={userChartRef}>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <BarChart data={userActivityData}>
+                      <XAxis dataKey="name" />
+                      <YAxis />
+                      <Tooltip />
+                      <Bar dataKey="count" fill="#8884d8" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </Box>
               ) : (
                 <Typography color="text.secondary">No data</Typography>
               )}
@@ -4,8 +4,8 @@
  * Refactored to use Redux for state management
  */
 
-import { useState, useEffect } from 'react';
-import { useDispatch, useSelector } from 'react-redux';
+import { useEffect, useMemo } from 'react';
+import { useDispatch, useSelector, shallowEqual } from 'react-redux';
 import {
   Grid,
   Card,
@@ -29,7 +29,22 @@ import {
   selectPlantsError,
   clearError,
 } from '../store/slices/plantSlice';
-import { generateMockTimeSeriesData, generateMockEnergySummary } from '../services/dataService';
+import {
+  fetchPlantData,
+  fetchPlantEnergySummary,
+  getTelemetryKey,
+  selectTelemetryEntry,
+} from '../store/slices/telemetrySlice';
+import { useTimeRange } from '../hooks/useTimeRange';
+import { sumSeries } from '../utils/timeSeries';
+import {
+  calculatePlantKpis,
+  calculatePortfolioKpis,
+  getPeriodHours,
+  formatKpi,
+} from '../utils/kpi';
+import { getDaylightHours, getPlantCoordinates } from '../utils/solarGeometry';
+import KpiCards from '../components/KpiCards';
 import LineChartComponent from '../components/charts/LineChartComponent';
 import BarChartComponent from '../components/charts/BarChartComponent';
 
@@ -69,19 +84,63 @@ const Dashboard = () => {
   const loading = useSelector(selectPlantsLoading);
   const error = useSelector(selectPlantsError);
 
-  // Local state for chart data (UI-specific)
-  const [timeSeriesData, setTimeSeriesData] = useState([]);
-  const [energySummaryData, setEnergySummaryData] = useState([]);
+  // Portfolio chart queries (one cached query per plant) for the global time range
+  const { label: rangeLabel, dataParams: powerParams, energyParams, startTime, endTime } = useTimeRange();
+
+  const powerEntries = useSelector(
+    (state) => plants.map((plant) =>
+      selectTelemetryEntry(state, getTelemetryKey('plantData', plant.id, powerParams))
+    ),
+    shallowEqual
+  );
+  const energyEntries = useSelector(
+    (state) => plants.map((plant) =>
+      selectTelemetryEntry(state, getTelemetryKey('plantEnergy', plant.id, energyParams))
+    ),
+    shallowEqual
+  );
 
   useEffect(() => {
     // Fetch plants data
     dispatch(fetchPlants({}));
-
-    // Generate mock data for charts
-    setTimeSeriesData(generateMockTimeSeriesData(24));
-    setEnergySummaryData(generateMockEnergySummary(7));
   }, [dispatch]);
 
+  useEffect(() => {
+    plants.forEach((plant) => {
+      dispatch(fetchPlantData({ plantId: plant.id, params: powerParams }));
+      dispatch(fetchPlantEnergySummary({ plantId: plant.id, params: energyParams }));
+    });
+  }, [plants, powerParams, energyParams, dispatch]);
+
+  // Sum the per-plant series into portfolio totals
+  const timeSeriesData = useMemo(
+    () => sumSeries(powerEntries.map((entry) => entry.data), 'timestamp'),
+    [powerEntries]
+  );
+  const energySummaryData = useMemo(
+    () => sumSeries(energyEntries.map((entry) => entry.data), 'date'),
+    [energyEntries]
+  );
+  const powerError = powerEntries.find((entry) => entry.error)?.error;
+  const energyError = energyEntries.find((entry) => entry.error)?.error;
+
+  // Per-plant and portfolio KPIs for the selected period
+  const periodHours = getPeriodHours(startTime, endTime);
+  const plantDaylightHours = useMemo(
+    () => plants.map((plant) => getDaylightHours(startTime, endTime, getPlantCoordinates(plant))),
+    [plants, startTime, endTime]
+  );
+  const plantKpis = useMemo(
+    () => plants.map((plant, index) =>
+      calculatePlantKpis(plant, energyEntries[index]?.data || [], periodHours, plantDaylightHours[index])
+    ),
+    [plants, energyEntries, periodHours, plantDaylightHours]
+  );
+  const portfolioKpis = useMemo(
+    () => calculatePortfolioKpis(plantKpis, periodHours),
+    [plantKpis, periodHours]
+  );
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
@@ -152,41 +211,39 @@ const Dashboard = () => {
         </Grid>
       </Grid>
 
+      {/* Portfolio KPIs */}
+      <Typography variant="h6" gutterBottom>
+        Portfolio KPIs ({rangeLabel})
+      </Typography>
+      <Box sx={{ mb: 4 }}>
+        <KpiCards kpis={portfolioKpis} loading={energyEntries.some((entry) => entry.loading)} />
+      </Box>
+
       {/* Real-time Data Visualization */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12} md={8}>
-          <Card>
-            <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Power Generation (24 Hours)
-              </Typography>
-              <Box sx={{ height: 300 }}>
-                <LineChartComponent
-                  data={timeSeriesData}
-                  dataKey="value"
-                  xAxisKey="time"
-                  color="#1976d2"
-                />
-              </Box>
-            </CardContent>
-          </Card>
+          <LineChartComponent
+            data={timeSeriesData}
+            title={`Power Generation (${rangeLabel})`}
+            xDataKey="time"
+            lines={[
+              { dataKey: 'activePower', name: 'Active Power (kW)', color: '#1976d2' },
+            ]}
+            loading={powerEntries.some((entry) => entry.loading)}
+            error={powerError}
+          />
         </Grid>
         <Grid item xs={12} md={4}>
-          <Card>
-            <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Energy Summary (7 Days)
-              </Typography>
-              <Box sx={{ height: 300 }}>
-                <BarChartComponent
-                  data={energySummaryData}
-                  dataKey="energy"
-                  xAxisKey="day"
-                  color="#2e7d32"
-                />
-              </Box>
-            </CardContent>
-          </Card>
+          <BarChartComponent
+            data={energySummaryData}
+            title={`Energy Summary (${rangeLabel})`}
+            xDataKey="label"
+            bars={[
+              { dataKey: 'energy', name: 'Energy (kWh)', color: '#2e7d32' },
+            ]}
+            loading={energyEntries.some((entry) => entry.loading)}
+            error={energyError}
+          />
         </Grid>
       </Grid>
 
@@ -202,7 +259,7 @@ const Dashboard = () => {
             </Typography>
           ) : (
             <Grid container spacing={2}>
-              {plants.map((plant) => (
+              {plants.map((plant, index) => (
                 <Grid item xs={12} sm={6} md={4} key={plant.id}>
                   <Card variant="outlined">
                     <CardContent>
@@ -218,6 +275,10 @@ const Dashboard = () => {
                       <Typography variant="body2" color="text.secondary">
                         Alarms: {plant._count?.alarms || 0}
                       </Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        PR: {formatKpi(plantKpis[index]?.performanceRatio)}% • Yield:{' '}
+                        {formatKpi(plantKpis[index]?.specificYield, 2)} kWh/kWp
+                      </Typography>
                     </CardContent>
                   </Card>
                 </Grid>
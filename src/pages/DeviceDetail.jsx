@@ -4,7 +4,7 @@
  * Refactored to use Redux for state management
  */
 
-import { useState, useEffect } from 'react';
+import { useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
@@ -41,10 +41,18 @@ import {
   clearError,
   clearCurrentDevice,
 } from '../store/slices/deviceSlice';
+import { fetchPlantById, selectCurrentPlant, clearCurrentPlant } from '../store/slices/plantSlice';
 import { selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
-import { generateMockTimeSeriesData } from '../services/dataService';
+import { selectDeviceLatestValues, selectDeviceLiveSeries } from '../store/slices/realtimeSlice';
+import { useRealtimeSubscription } from '../hooks/useRealtimeSubscription';
+import { useTelemetry } from '../hooks/useTelemetry';
+import { useTimeRange } from '../hooks/useTimeRange';
+import { getPvConfig, buildExpectedPowerSeries, summarizeDeviation } from '../utils/pvModel';
+import { getNightRanges, getPlantCoordinates } from '../utils/solarGeometry';
 import LineChartComponent from '../components/charts/LineChartComponent';
 import BarChartComponent from '../components/charts/BarChartComponent';
+import LiveValuesCard from '../components/LiveValuesCard';
+import PerformanceDeviationAlert from '../components/PerformanceDeviationAlert';
 
 const STATUS_COLORS = {
   ONLINE: 'success',
@@ -53,6 +61,10 @@ const STATUS_COLORS = {
   ERROR: 'error',
 };
 
+// Human-readable labels for device performance metrics
+const formatMetricLabel = (key) =>
+  key.replace(/([A-Z])/g, ' $1').replace(/^./, (char) => char.toUpperCase());
+
 const DeviceDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -65,32 +77,59 @@ const DeviceDetail = () => {
   const children = useSelector(selectDeviceChildren);
   const loading = useSelector(selectDevicesLoading);
   const error = useSelector(selectDevicesError);
+  const plant = useSelector(selectCurrentPlant);
+  const latestValues = useSelector((state) => selectDeviceLatestValues(state, id));
+  const liveSeries = useSelector((state) => selectDeviceLiveSeries(state, id));
 
-  // Local state for chart data (UI-specific)
-  const [performanceData, setPerformanceData] = useState([]);
-  const [temperatureData, setTemperatureData] = useState([]);
+  // Historical telemetry for the global time range (cached in the telemetry slice)
+  const { label: rangeLabel, dataParams, startTime, endTime } = useTimeRange();
+  const deviceData = useTelemetry('deviceData', id, dataParams);
+  const performance = useTelemetry('devicePerformance', id, { startTime, endTime });
+  // Plant series supplies weather tags when the device has no irradiance sensor of its own
+  const plantData = useTelemetry('plantData', device?.plantId, dataParams);
 
   useEffect(() => {
     // Fetch device data and children
     dispatch(fetchDeviceById(id));
     dispatch(fetchDeviceChildren(id));
 
-    // Generate mock performance data for charts
-    setPerformanceData(generateMockTimeSeriesData(24));
-    // Generate temperature and voltage data
-    const tempData = generateMockTimeSeriesData(24).map(item => ({
-      time: item.time,
-      temperature: item.temperature,
-      voltage: item.voltage,
-    }));
-    setTemperatureData(tempData);
-
     // Cleanup on unmount
     return () => {
       dispatch(clearCurrentDevice());
     };
   }, [id, dispatch]);
 
+  // Plant metadata (location, orientation) for the PV model
+  useEffect(() => {
+    if (!device?.plantId) return undefined;
+    dispatch(fetchPlantById(device.plantId));
+    return () => {
+      dispatch(clearCurrentPlant());
+    };
+  }, [device?.plantId, dispatch]);
+
+  // Live updates are appended to the historical series
+  useRealtimeSubscription('device', id);
+
+  // Actual power overlaid with the PV model's expected power for the device's rated capacity
+  const deviceCapacity = device?.capacity ?? device?.ratedPower;
+  const chartData = useMemo(
+    () => buildExpectedPowerSeries(
+      [...(deviceData.data || []), ...liveSeries],
+      getPvConfig(plant, deviceCapacity),
+      plantData.data || []
+    ),
+    [deviceData.data, liveSeries, plant, deviceCapacity, plantData.data]
+  );
+  const deviationSummary = useMemo(() => summarizeDeviation(chartData), [chartData]);
+  const nightRanges = useMemo(
+    () => getNightRanges(chartData, getPlantCoordinates(plant)),
+    [chartData, plant]
+  );
+  const performanceMetrics = Object.entries(performance.data || {}).filter(
+    ([, value]) => typeof value === 'number'
+  );
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '60vh' }}>
@@ -260,6 +299,11 @@ const DeviceDetail = () => {
           </Card>
         </Grid>
 
+        {/* Live Values */}
+        <Grid item xs={12}>
+          <LiveValuesCard values={latestValues} tags={device.tags} />
+        </Grid>
+
         {/* Performance Charts */}
         <Grid item xs={12}>
           <Typography variant="h5" gutterBottom sx={{ mt: 2, mb: 1 }}>
@@ -268,19 +312,35 @@ const DeviceDetail = () => {
         </Grid>
         <Grid item xs={12} lg={8}>
           <LineChartComponent
-            data={performanceData}
-            title="Power Generation - Last 24 Hours"
+            data={chartData}
+            title={`Power Generation - ${rangeLabel}`}
             xDataKey="time"
             lines={[
               { dataKey: 'activePower', name: 'Active Power (kW)', color: '#f59e0b' },
+              { dataKey: 'expectedPower', name: 'Expected Power (kW)', color: '#6366f1', dashed: true },
               { dataKey: 'energy', name: 'Energy (kWh)', color: '#10b981' },
             ]}
             height={350}
+            loading={deviceData.loading}
+            error={deviceData.error}
+            shadedRanges={nightRanges}
           />
+          {!deviceData.loading && (
+            <Box sx={{ mt: 2 }}>
+              <PerformanceDeviationAlert
+                summary={deviationSummary}
+                missingModelMessage={
+                  deviceCapacity
+                    ? 'No irradiance tag on this device or its plant, so expected power cannot be modelled.'
+                    : 'This device has no rated capacity, so expected power cannot be modelled.'
+                }
+              />
+            </Box>
+          )}
         </Grid>
         <Grid item xs={12} lg={4}>
           <LineChartComponent
-            data={temperatureData}
+            data={chartData}
             title="Temperature & Voltage"
             xDataKey="time"
             lines={[
@@ -288,9 +348,47 @@ const DeviceDetail = () => {
               { dataKey: 'voltage', name: 'Voltage (V)', color: '#3b82f6' },
             ]}
             height={350}
+            loading={deviceData.loading}
+            shadedRanges={nightRanges}
           />
         </Grid>
 
+        {/* Performance Metrics */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Performance ({rangeLabel})
+              </Typography>
+              <Divider sx={{ my: 2 }} />
+              {performance.loading ? (
+                <CircularProgress size={24} />
+              ) : performance.error ? (
+                <Alert severity="error">{performance.error}</Alert>
+              ) : performanceMetrics.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No performance data available
+                </Typography>
+              ) : (
+                <Grid container spacing={2}>
+                  {performanceMetrics.map(([key, value]) => (
+                    <Grid item xs={6} sm={4} md={3} key={key}>
+                      <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="body2" color="text.secondary">
+                          {formatMetricLabel(key)}
+                        </Typography>
+                        <Typography variant="h6">
+                          {value.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                        </Typography>
+                      </Paper>
+                    </Grid>
+                  ))}
+                </Grid>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
         {/* Tags */}
         {device.tags && device.tags.length > 0 && (
           <Grid item xs={12}>
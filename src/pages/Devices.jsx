@@ -52,6 +52,9 @@ import {
   selectPlants,
 } from '../store/slices/plantSlice';
 import { selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
+import { getAllDevices } from '../services/deviceService';
+import { EXPORT_ROW_LIMIT } from '../utils/export';
+import ExportMenu from '../components/ExportMenu';
 
 const DEVICE_TYPES = [
   'INVERTER',
@@ -73,6 +76,17 @@ const STATUS_COLORS = {
   ERROR: 'error',
 };
 
+const DEVICE_EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { header: 'Plant', value: (device) => device.plant?.name || '' },
+  { key: 'deviceType', header: 'Type' },
+  { key: 'manufacturer', header: 'Manufacturer' },
+  { key: 'model', header: 'Model' },
+  { key: 'serialNumber', header: 'Serial Number' },
+  { key: 'status', header: 'Status' },
+  { key: 'lastCommunication', header: 'Last Communication' },
+];
+
 const Devices = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
@@ -109,6 +123,18 @@ const Devices = () => {
     dispatch(fetchDevices(params));
   };
 
+  // Export covers every device matching the filters, not just the current page
+  const getExportRows = async () => {
+    const data = await getAllDevices({
+      page: 1,
+      limit: EXPORT_ROW_LIMIT,
+      ...(filters.plantId && { plantId: filters.plantId }),
+      ...(filters.deviceType && { deviceType: filters.deviceType }),
+      ...(filters.status && { status: filters.status }),
+    });
+    return data.data || [];
+  };
+
   const handleChangePage = (_event, newPage) => {
     dispatch(setPagination({ page: newPage + 1 }));
   };
@@ -175,7 +201,8 @@ const Devices = () => {
             Manage devices across all solar plants
           </Typography>
         </div>
-        <Box sx={{ display: 'flex', gap: 2 }}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <ExportMenu name="Devices" columns={DEVICE_EXPORT_COLUMNS} getRows={getExportRows} />
           <Button
             variant="outlined"
             startIcon={<RefreshIcon />}
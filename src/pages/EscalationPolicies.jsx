@@ -0,0 +1,242 @@
+/**
+ * Escalation Policies Page
+ * Define who is notified about unacknowledged alarms, per plant and severity
+ */
+
+import { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  Box,
+  Button,
+  Card,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Alert,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import {
+  fetchEscalationPolicies,
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+  selectEscalationPolicies,
+  selectEscalationLoading,
+  selectEscalationError,
+  clearError,
+} from '../store/slices/escalationSlice';
+import { fetchPlants, selectPlants } from '../store/slices/plantSlice';
+import { fetchUsers, selectUsers } from '../store/slices/usersSlice';
+import { selectIsAdmin } from '../store/slices/authSlice';
+import { NOTIFICATION_CHANNELS } from '../services/notificationChannels';
+import EscalationPolicyDialog from '../components/alarms/EscalationPolicyDialog';
+
+// Severity colors
+const SEVERITY_COLORS = {
+  CRITICAL: 'error',
+  HIGH: 'error',
+  MEDIUM: 'warning',
+  LOW: 'info',
+  INFO: 'default',
+};
+
+const EscalationPolicies = () => {
+  const dispatch = useDispatch();
+
+  // Redux selectors
+  const isAdmin = useSelector(selectIsAdmin);
+  const policies = useSelector(selectEscalationPolicies);
+  const loading = useSelector(selectEscalationLoading);
+  const reduxError = useSelector(selectEscalationError);
+  const plants = useSelector(selectPlants);
+  const users = useSelector(selectUsers);
+
+  // Local UI state
+  const [success, setSuccess] = useState('');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchEscalationPolicies());
+    dispatch(fetchPlants({ page: 1, limit: 1000 }));
+    dispatch(fetchUsers({ page: 1, limit: 100 }));
+  }, [dispatch]);
+
+  const getPlantName = (plantId) =>
+    plants.find((plant) => plant.id === plantId)?.name || 'Unknown plant';
+
+  const getUserName = (userId) =>
+    users.find((user) => user.id === userId)?.name || 'Unknown user';
+
+  const handleAdd = () => {
+    setEditing(null);
+    setDialogOpen(true);
+  };
+
+  const handleEdit = (policy) => {
+    setEditing(policy);
+    setDialogOpen(true);
+  };
+
+  const handleSave = async (policyData) => {
+    setSuccess('');
+    setSaving(true);
+    try {
+      if (editing) {
+        await dispatch(updateEscalationPolicy({ id: editing.id, policyData })).unwrap();
+        setSuccess('Escalation policy updated successfully');
+      } else {
+        await dispatch(createEscalationPolicy(policyData)).unwrap();
+        setSuccess('Escalation policy created successfully');
+      }
+      setDialogOpen(false);
+    } catch {
+      setSuccess('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Are you sure you want to delete escalation policy "${policy.name}"?`)) {
+      return;
+    }
+
+    try {
+      await dispatch(deleteEscalationPolicy(policy.id)).unwrap();
+      setSuccess('Escalation policy deleted successfully');
+    } catch {
+      setSuccess('');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4">Escalation Policies</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Unacknowledged alarms move to the next level once its wait time has passed.
+          </Typography>
+        </Box>
+        {isAdmin && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={handleAdd}>
+            Add Policy
+          </Button>
+        )}
+      </Box>
+
+      {reduxError && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => dispatch(clearError())}>
+          {reduxError}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>
+          {success}
+        </Alert>
+      )}
+
+      <Card>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Plant</TableCell>
+                <TableCell>Severity</TableCell>
+                <TableCell>Levels</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading && policies.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center" sx={{ py: 4 }}>
+                    <CircularProgress />
+                  </TableCell>
+                </TableRow>
+              ) : policies.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
+                    No escalation policies defined. {isAdmin && 'Click "Add Policy" to create one.'}
+                  </TableCell>
+                </TableRow>
+              ) : (
+                policies.map((policy) => (
+                  <TableRow key={policy.id} hover>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight={500}>
+                        {policy.name}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{policy.plant?.name || getPlantName(policy.plantId)}</TableCell>
+                    <TableCell>
+                      {policy.severity ? (
+                        <Chip label={policy.severity} size="small" color={SEVERITY_COLORS[policy.severity]} />
+                      ) : (
+                        <Chip label="Any" size="small" variant="outlined" />
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {policy.levels.map((level, index) => (
+                        <Typography key={index} variant="body2">
+                          <strong>L{index + 1}:</strong> {level.userIds.map(getUserName).join(', ')}
+                          {' · '}
+                          {level.channels.map((channel) => NOTIFICATION_CHANNELS[channel]?.label || channel).join(', ')}
+                          {index < policy.levels.length - 1 && (
+                            <Typography component="span" variant="caption" color="text.secondary">
+                              {' '}→ after {level.waitMinutes} min
+                            </Typography>
+                          )}
+                        </Typography>
+                      ))}
+                    </TableCell>
+                    <TableCell align="right">
+                      {isAdmin && (
+                        <>
+                          <IconButton size="small" onClick={() => handleEdit(policy)}>
+                            <EditIcon />
+                          </IconButton>
+                          <IconButton size="small" color="error" onClick={() => handleDelete(policy)}>
+                            <DeleteIcon />
+                          </IconButton>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Card>
+
+      {/* Add/Edit Dialog */}
+      <EscalationPolicyDialog
+        open={dialogOpen}
+        policy={editing}
+        plants={plants}
+        users={users}
+        saving={saving}
+        onClose={() => setDialogOpen(false)}
+        onSave={handleSave}
+      />
+    </Box>
+  );
+};
+
+export default EscalationPolicies;
@@ -1,10 +1,12 @@
 /**
- * Hierarchy Viewer Page
- * Simple tree visualization of plant device hierarchy
+ * Hierarchy Editor Page
+ * Tree of a plant's device hierarchy. Plant managers reparent devices by drag and drop;
+ * moves are checked against template hierarchy rules and cycles, collected as pending
+ * changes with undo/redo and committed in one batch.
  * Refactored to use Redux for state management
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Box,
@@ -15,11 +17,23 @@ import {
   CircularProgress,
   Alert,
   Chip,
+  Button,
+  Grid,
+  IconButton,
+  Tooltip,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
 } from '@mui/material';
 import {
   AccountTree as TreeIcon,
   SubdirectoryArrowRight as ChildIcon,
   Power as GridIcon,
+  Undo as UndoIcon,
+  Redo as RedoIcon,
+  Save as SaveIcon,
+  DragIndicator as DragIcon,
 } from '@mui/icons-material';
 import {
   fetchPlants,
@@ -38,6 +52,27 @@ import {
   selectDevicesError,
   clearError as clearDeviceError,
 } from '../store/slices/deviceSlice';
+import { selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
+import { validateHierarchy, bulkAssignParent, bulkRemoveParent } from '../services/hierarchyService';
+import { getHierarchyRules } from '../services/templateService';
+import {
+  getTemplateId,
+  normalizeHierarchyRules,
+  mergeHierarchyRules,
+  buildParentMap,
+  applyMoves,
+  checkMove,
+  hasPendingAncestry,
+  getPendingChanges,
+  groupChangesByParent,
+} from '../utils/hierarchyEditor';
+
+// Colours of a drop target by check result
+const DROP_COLORS = {
+  ok: 'success.main',
+  warning: 'warning.main',
+  error: 'error.main',
+};
 
 const HierarchyBuilder = () => {
   const dispatch = useDispatch();
@@ -50,10 +85,27 @@ const HierarchyBuilder = () => {
   const devicesLoading = useSelector(selectDevicesLoading);
   const plantsError = useSelector(selectPlantsError);
   const devicesError = useSelector(selectDevicesError);
+  const isAdmin = useSelector(selectIsAdmin);
+  const isPlantManager = useSelector(selectIsPlantManager);
 
   // Local UI state
   const [selectedPlant, setSelectedPlant] = useState('');
 
+  // Editing state: hierarchy rules per template, the move history (undo/redo position),
+  // the selected devices and the drag in progress
+  const [rulesByTemplate, setRulesByTemplate] = useState({});
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [dragIds, setDragIds] = useState([]);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [committing, setCommitting] = useState(false);
+  const [editError, setEditError] = useState('');
+  const [editSuccess, setEditSuccess] = useState('');
+
+  const canModify = isAdmin || isPlantManager;
+
   const loading = plantsLoading || devicesLoading;
   const error = plantsError || devicesError;
 
@@ -75,6 +127,181 @@ const HierarchyBuilder = () => {
     }
   }, [selectedPlant, dispatch]);
 
+  const devicesById = useMemo(() => new Map(devices.map((device) => [device.id, device])), [devices]);
+  const savedParents = useMemo(() => buildParentMap(devices), [devices]);
+  const parents = useMemo(
+    () => applyMoves(savedParents, history, historyIndex),
+    [savedParents, history, historyIndex]
+  );
+  const rules = useMemo(() => mergeHierarchyRules(rulesByTemplate), [rulesByTemplate]);
+  const changes = useMemo(() => getPendingChanges(savedParents, parents), [savedParents, parents]);
+
+  // Hierarchy rules of every template used by the plant's devices (fetched once per template)
+  useEffect(() => {
+    const templateIds = [...new Set(devices.map(getTemplateId).filter(Boolean))]
+      .filter((templateId) => !(templateId in rulesByTemplate));
+    if (templateIds.length === 0) return undefined;
+
+    let cancelled = false;
+    Promise.all(
+      templateIds.map((templateId) =>
+        getHierarchyRules(templateId)
+          .then((data) => [templateId, normalizeHierarchyRules(data)])
+          .catch(() => [templateId, []])
+      )
+    ).then((entries) => {
+      if (!cancelled) setRulesByTemplate((prev) => ({ ...prev, ...Object.fromEntries(entries) }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [devices, rulesByTemplate]);
+
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) step through the move history
+  useEffect(() => {
+    if (!canModify) return undefined;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.target.closest?.('input, textarea')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        setHistoryIndex((index) => Math.max(index - 1, 0));
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        setHistoryIndex((index) => Math.min(index + 1, history.length));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [canModify, history.length]);
+
+  const resetEditing = () => {
+    setHistory([]);
+    setHistoryIndex(0);
+    setSelectedIds([]);
+  };
+
+  const handlePlantChange = (plantId) => {
+    if (changes.length > 0 && !window.confirm(`Discard ${changes.length} pending hierarchy change(s)?`)) {
+      return;
+    }
+    resetEditing();
+    setEditError('');
+    setEditSuccess('');
+    setSelectedPlant(plantId);
+  };
+
+  const getDeviceName = (deviceId) => (deviceId ? devicesById.get(deviceId)?.name || deviceId : 'Plant level');
+
+  const getMoveCheck = (targetId, deviceIds = dragIds) =>
+    checkMove({ deviceIds, targetId, devicesById, parentMap: parents, rules });
+
+  // Click selects a device; Ctrl/Cmd+click adds it to or removes it from the selection
+  const handleDeviceClick = (event, deviceId) => {
+    if (!canModify) return;
+    if (event.ctrlKey || event.metaKey) {
+      setSelectedIds((prev) =>
+        prev.includes(deviceId) ? prev.filter((id) => id !== deviceId) : [...prev, deviceId]
+      );
+    } else {
+      setSelectedIds((prev) => (prev.length === 1 && prev[0] === deviceId ? [] : [deviceId]));
+    }
+  };
+
+  // Dragging a selected device moves the whole selection
+  const handleDragStart = (event, deviceId) => {
+    const ids = selectedIds.includes(deviceId) ? selectedIds : [deviceId];
+    setDragIds(ids);
+    setEditError('');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', ids.join(','));
+  };
+
+  const handleDragEnd = () => {
+    setDragIds([]);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (event, targetId) => {
+    if (dragIds.length === 0) return;
+    event.stopPropagation();
+    const check = dropTarget?.targetId === targetId ? dropTarget.check : getMoveCheck(targetId);
+    if (dropTarget?.targetId !== targetId) setDropTarget({ targetId, check });
+    if (check.status !== 'error') {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'move';
+    }
+  };
+
+  const handleDrop = async (event, targetId) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const ids = dragIds.filter((deviceId) => (parents.get(deviceId) || null) !== targetId);
+    const check = getMoveCheck(targetId);
+    setDragIds([]);
+    setDropTarget(null);
+    if (check.status === 'error' || ids.length === 0) return;
+
+    // The server also checks for cycles (and any rules it enforces) before the move is queued.
+    // It only knows the saved hierarchy, so a target whose ancestry pending moves have changed
+    // is left to the client-side check on the pending hierarchy above
+    if (targetId && !hasPendingAncestry(savedParents, parents, targetId)) {
+      setValidating(true);
+      try {
+        const results = await Promise.all(ids.map((deviceId) => validateHierarchy(deviceId, targetId)));
+        const rejected = results.find((result) => result?.valid === false || result?.isValid === false);
+        if (rejected) {
+          setEditError(rejected.message || rejected.reason || 'The move was rejected by hierarchy validation');
+          return;
+        }
+      } catch (err) {
+        setEditError(err.response?.data?.message || 'Failed to validate the move');
+        return;
+      } finally {
+        setValidating(false);
+      }
+    }
+
+    setHistory([...history.slice(0, historyIndex), { deviceIds: ids, parentId: targetId }]);
+    setHistoryIndex(historyIndex + 1);
+    setEditSuccess('');
+  };
+
+  // Groups are sent top-down (see groupChangesByParent); failed ones stay pending for a retry
+  const handleCommit = async () => {
+    const groups = groupChangesByParent(changes, parents);
+    const failures = [];
+    const failedGroups = [];
+
+    setCommitting(true);
+    setEditError('');
+    setEditSuccess('');
+    for (const { parentId, deviceIds } of groups) {
+      try {
+        if (parentId) {
+          await bulkAssignParent(deviceIds, parentId);
+        } else {
+          await bulkRemoveParent(deviceIds);
+        }
+      } catch (err) {
+        const message = err.response?.data?.message || 'request failed';
+        failures.push(`${deviceIds.map(getDeviceName).join(', ')} → ${getDeviceName(parentId)}: ${message}`);
+        failedGroups.push({ deviceIds, parentId });
+      }
+    }
+
+    setHistory(failedGroups);
+    setHistoryIndex(failedGroups.length);
+    setSelectedIds([]);
+    await dispatch(fetchDevices({ plantId: selectedPlant, limit: 1000 }));
+    setCommitting(false);
+    if (failures.length > 0) {
+      setEditError(`Some changes were not saved and are still pending. ${failures.join('; ')}`);
+    } else {
+      setEditSuccess(`${changes.length} hierarchy change${changes.length === 1 ? '' : 's'} saved`);
+    }
+  };
+
   const buildDeviceTree = () => {
     if (!selectedPlantData) return null;
 
@@ -97,26 +324,30 @@ const HierarchyBuilder = () => {
       ],
     };
 
-    // Add devices that have no parent (root level devices under plant)
-    const rootDevices = devices.filter((d) => !d.parentDeviceId);
+    // Add devices that have no parent (root level devices under plant); parents include pending moves
+    const rootDevices = devices.filter((d) => !parents.get(d.id));
 
     const addChildren = (parentId) => {
       return devices
-        .filter((d) => d.parentDeviceId === parentId)
+        .filter((d) => parents.get(d.id) === parentId)
         .map((device) => ({
+          id: device.id,
           name: device.name,
           deviceId: device.deviceId,
           type: device.deviceType?.name || device.deviceType,
           status: device.status,
+          moved: (savedParents.get(device.id) || null) !== parents.get(device.id),
           children: addChildren(device.id),
         }));
     };
 
     tree.children[0].children = rootDevices.map((device) => ({
+      id: device.id,
       name: device.name,
       deviceId: device.deviceId,
       type: device.deviceType?.name || device.deviceType,
       status: device.status,
+      moved: (savedParents.get(device.id) || null) !== null,
       children: addChildren(device.id),
     }));
 
@@ -128,9 +359,22 @@ const HierarchyBuilder = () => {
     const isPlant = node.isPlant;
     const isDevice = !isGrid && !isPlant;
 
+    // Devices and the plant (plant level) accept drops; devices can be dragged
+    const dropId = isPlant ? null : node.id;
+    const acceptsDrop = canModify && !isGrid;
+    const isDropTarget = acceptsDrop && dropTarget && dropTarget.targetId === dropId;
+    const isSelected = isDevice && selectedIds.includes(node.id);
+    const isDragged = isDevice && dragIds.includes(node.id);
+
     return (
       <Box key={`${level}-${node.deviceId}`} sx={{ mb: 1 }}>
         <Box
+          draggable={canModify && isDevice}
+          onClick={isDevice ? (event) => handleDeviceClick(event, node.id) : undefined}
+          onDragStart={canModify && isDevice ? (event) => handleDragStart(event, node.id) : undefined}
+          onDragEnd={canModify && isDevice ? handleDragEnd : undefined}
+          onDragOver={acceptsDrop ? (event) => handleDragOver(event, dropId) : undefined}
+          onDrop={acceptsDrop ? (event) => handleDrop(event, dropId) : undefined}
           sx={{
             display: 'flex',
             alignItems: 'center',
@@ -141,13 +385,22 @@ const HierarchyBuilder = () => {
               ? 'success.light'
               : isPlant
               ? 'primary.light'
+              : isSelected
+              ? 'action.selected'
               : 'background.paper',
-            border: 1,
-            borderColor: 'divider',
+            border: isDropTarget || isSelected ? 2 : 1,
+            borderColor: isDropTarget
+              ? DROP_COLORS[dropTarget.check.status]
+              : isSelected
+              ? 'primary.main'
+              : 'divider',
             borderRadius: 1,
             boxShadow: isGrid || isPlant ? 2 : 1,
+            opacity: isDragged ? 0.5 : 1,
+            cursor: canModify && isDevice ? 'grab' : 'default',
           }}
         >
+          {canModify && isDevice && <DragIcon sx={{ mr: 0.5, color: 'text.disabled' }} />}
           {isDevice && <ChildIcon sx={{ mr: 1, color: 'text.secondary' }} />}
           {isPlant && <TreeIcon sx={{ mr: 1, color: 'white' }} />}
           {isGrid && <GridIcon sx={{ mr: 1, color: 'white' }} />}
@@ -193,6 +446,10 @@ const HierarchyBuilder = () => {
             </Box>
           </Box>
 
+          {node.moved && (
+            <Chip label="Moved" size="small" color="info" variant="outlined" sx={{ ml: 2 }} />
+          )}
+
           {node.status && (
             <Chip
               label={node.status}
@@ -228,10 +485,11 @@ const HierarchyBuilder = () => {
       <Box sx={{ mb: 3 }}>
         <Typography variant="h4" component="h1" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
           <TreeIcon fontSize="large" />
-          Device Hierarchy Viewer
+          Device Hierarchy
         </Typography>
         <Typography variant="body2" color="text.secondary">
           View the complete device hierarchy from Grid to individual devices
+          {canModify && '. Drag devices onto a new parent to reorganize it'}
         </Typography>
       </Box>
 
@@ -258,8 +516,8 @@ const HierarchyBuilder = () => {
           fullWidth
           label="Plant"
           value={selectedPlant}
-          onChange={(e) => setSelectedPlant(e.target.value)}
-          disabled={loading}
+          onChange={(e) => handlePlantChange(e.target.value)}
+          disabled={loading || committing}
           helperText="Choose a plant to view its device hierarchy"
         >
           <MenuItem value="">
@@ -326,9 +584,113 @@ const HierarchyBuilder = () => {
               </Box>
             </Box>
 
-            <Box sx={{ backgroundColor: 'background.default', p: 2, borderRadius: 1 }}>
-              {renderTree(buildDeviceTree())}
-            </Box>
+            {editError && (
+              <Alert severity="error" sx={{ mb: 2 }} onClose={() => setEditError('')}>
+                {editError}
+              </Alert>
+            )}
+            {editSuccess && (
+              <Alert severity="success" sx={{ mb: 2 }} onClose={() => setEditSuccess('')}>
+                {editSuccess}
+              </Alert>
+            )}
+
+            {canModify && (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                <Tooltip title="Undo (Ctrl+Z)">
+                  <span>
+                    <IconButton
+                      size="small"
+                      onClick={() => setHistoryIndex(historyIndex - 1)}
+                      disabled={historyIndex === 0 || committing}
+                    >
+                      <UndoIcon />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                <Tooltip title="Redo (Ctrl+Y)">
+                  <span>
+                    <IconButton
+                      size="small"
+                      onClick={() => setHistoryIndex(historyIndex + 1)}
+                      disabled={historyIndex === history.length || committing}
+                    >
+                      <RedoIcon />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+                {selectedIds.length > 0 && (
+                  <Chip
+                    label={`${selectedIds.length} selected`}
+                    size="small"
+                    color="primary"
+                    onDelete={() => setSelectedIds([])}
+                  />
+                )}
+                {validating && <CircularProgress size={18} />}
+                <Typography
+                  variant="body2"
+                  color={dropTarget ? DROP_COLORS[dropTarget.check.status] : 'text.secondary'}
+                >
+                  {dropTarget
+                    ? dropTarget.check.message
+                    : 'Drag a device onto its new parent, or onto the plant for plant level. Ctrl+click selects several devices.'}
+                </Typography>
+              </Box>
+            )}
+
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={canModify ? 8 : 12}>
+                <Box sx={{ backgroundColor: 'background.default', p: 2, borderRadius: 1 }}>
+                  {renderTree(buildDeviceTree())}
+                </Box>
+              </Grid>
+
+              {/* Pending Changes */}
+              {canModify && (
+                <Grid item xs={12} md={4}>
+                  <Paper variant="outlined" sx={{ p: 2, position: 'sticky', top: 16 }}>
+                    <Typography variant="subtitle1" fontWeight={500}>
+                      Pending Changes ({changes.length})
+                    </Typography>
+                    <Divider sx={{ my: 1 }} />
+                    {changes.length === 0 ? (
+                      <Typography variant="body2" color="text.secondary" sx={{ py: 2 }}>
+                        No pending changes. Moves are collected here and saved together.
+                      </Typography>
+                    ) : (
+                      <List dense disablePadding sx={{ maxHeight: '40vh', overflow: 'auto' }}>
+                        {changes.map((change) => (
+                          <ListItem key={change.deviceId} disableGutters>
+                            <ListItemText
+                              primary={getDeviceName(change.deviceId)}
+                              secondary={`${getDeviceName(change.from)} → ${getDeviceName(change.to)}`}
+                            />
+                          </ListItem>
+                        ))}
+                      </List>
+                    )}
+                    <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                      <Button
+                        onClick={resetEditing}
+                        disabled={history.length === 0 || committing}
+                      >
+                        Discard
+                      </Button>
+                      <Button
+                        fullWidth
+                        variant="contained"
+                        startIcon={committing ? <CircularProgress size={20} /> : <SaveIcon />}
+                        onClick={handleCommit}
+                        disabled={changes.length === 0 || committing}
+                      >
+                        Commit {changes.length > 0 ? changes.length : ''} Change{changes.length === 1 ? '' : 's'}
+                      </Button>
+                    </Box>
+                  </Paper>
+                </Grid>
+              )}
+            </Grid>
           </>
         )}
       </Paper>
@@ -0,0 +1,319 @@
+/**
+ * Inverter Comparison Page
+ * Normalised yield of every inverter or string under a plant, with a daily heatmap
+ * and outliers highlighted against the plant median
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector, shallowEqual } from 'react-redux';
+import {
+  Box,
+  Button,
+  Card,
+  Chip,
+  Grid,
+  Typography,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Paper,
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import { ArrowBack as BackIcon } from '@mui/icons-material';
+import { fetchPlantById, selectCurrentPlant, clearCurrentPlant } from '../store/slices/plantSlice';
+import {
+  fetchHierarchyTree,
+  selectHierarchyTree,
+  selectHierarchyLoading,
+  selectHierarchyError,
+  clearError,
+} from '../store/slices/hierarchySlice';
+import { fetchDeviceData, getTelemetryKey, selectTelemetryEntry } from '../store/slices/telemetrySlice';
+import { useTimeRange } from '../hooks/useTimeRange';
+import {
+  COMPARISON_LEVELS,
+  DEFAULT_OUTLIER_THRESHOLD,
+  getComparableDevices,
+  getDeviceTypeName,
+  enumerateDays,
+  buildYieldComparison,
+} from '../utils/deviceComparison';
+import { formatKpi } from '../utils/kpi';
+import YieldHeatmap from '../components/YieldHeatmap';
+
+const OUTLIER_THRESHOLDS = [5, 10, 15, 20, 30];
+
+const SummaryCard = ({ title, value, color }) => (
+  <Paper sx={{ p: 2, textAlign: 'center' }}>
+    <Typography variant="body2" color="text.secondary" gutterBottom>
+      {title}
+    </Typography>
+    <Typography variant="h5" color={color}>
+      {value}
+    </Typography>
+  </Paper>
+);
+
+const InverterComparison = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  // Redux selectors
+  const plant = useSelector(selectCurrentPlant);
+  const tree = useSelector((state) => selectHierarchyTree(state, id));
+  const hierarchyLoading = useSelector(selectHierarchyLoading);
+  const hierarchyError = useSelector(selectHierarchyError);
+  const { label: rangeLabel, startTime, endTime } = useTimeRange();
+
+  // Local UI state
+  const [level, setLevel] = useState(COMPARISON_LEVELS[0].value);
+  const [threshold, setThreshold] = useState(DEFAULT_OUTLIER_THRESHOLD);
+
+  useEffect(() => {
+    dispatch(fetchPlantById(id));
+    dispatch(fetchHierarchyTree(id));
+
+    // Cleanup on unmount
+    return () => {
+      dispatch(clearCurrentPlant());
+    };
+  }, [id, dispatch]);
+
+  const devices = useMemo(() => getComparableDevices(tree, level), [tree, level]);
+
+  // Daily energy per device for the global time range (one cached query per device)
+  const energyParams = useMemo(
+    () => ({ tagName: 'energy', startTime, endTime, interval: '1d' }),
+    [startTime, endTime]
+  );
+  const energyEntries = useSelector(
+    (state) => devices.map((device) =>
+      selectTelemetryEntry(state, getTelemetryKey('deviceData', device.id, energyParams))
+    ),
+    shallowEqual
+  );
+
+  useEffect(() => {
+    devices.forEach((device) => {
+      dispatch(fetchDeviceData({ deviceId: device.id, params: energyParams }));
+    });
+  }, [devices, energyParams, dispatch]);
+
+  const timeZone = plant?.timezone || 'UTC';
+  const days = useMemo(() => enumerateDays(startTime, endTime, timeZone), [startTime, endTime, timeZone]);
+
+  const comparison = useMemo(() => {
+    const seriesById = Object.fromEntries(
+      devices.map((device, index) => [device.id, energyEntries[index]?.data || []])
+    );
+    return buildYieldComparison({
+      devices,
+      seriesById,
+      days,
+      timeZone,
+      plantCapacity: plant?.capacity,
+      threshold,
+    });
+  }, [devices, energyEntries, days, timeZone, plant, threshold]);
+
+  // Worst performers first
+  const sortedRows = useMemo(
+    () => [...comparison.rows].sort((a, b) => (a.deviation ?? Infinity) - (b.deviation ?? Infinity)),
+    [comparison.rows]
+  );
+
+  const dataLoading = energyEntries.some((entry) => entry.loading);
+  const dataError = energyEntries.find((entry) => entry.error)?.error;
+  const outlierCount = comparison.rows.filter((row) => row.isOutlier).length;
+  const anyCapacityAssumed = comparison.rows.some((row) => row.capacityAssumed);
+
+  return (
+    <Box>
+      {/* Header */}
+      <Box sx={{ mb: 3 }}>
+        <Button startIcon={<BackIcon />} onClick={() => navigate(`/plants/${id}`)} sx={{ mb: 2 }}>
+          Back to Plant
+        </Button>
+        <Typography variant="h4" gutterBottom>
+          Inverter Comparison{plant ? ` - ${plant.name}` : ''}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Normalised yield for {rangeLabel}
+        </Typography>
+      </Box>
+
+      {hierarchyError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => dispatch(clearError())}>
+          {hierarchyError}
+        </Alert>
+      )}
+      {dataError && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {dataError}
+        </Alert>
+      )}
+
+      {/* Controls */}
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 3 }}>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={level}
+          onChange={(_event, value) => value && setLevel(value)}
+        >
+          {COMPARISON_LEVELS.map((item) => (
+            <ToggleButton key={item.value} value={item.value}>
+              {item.label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <TextField
+          select
+          size="small"
+          label="Outlier Threshold"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          sx={{ minWidth: 180 }}
+        >
+          {OUTLIER_THRESHOLDS.map((value) => (
+            <MenuItem key={value} value={value}>
+              ±{value}% from median
+            </MenuItem>
+          ))}
+        </TextField>
+        {dataLoading && <CircularProgress size={24} />}
+      </Box>
+
+      {hierarchyLoading && !tree ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : devices.length === 0 ? (
+        <Alert severity="info">
+          No {COMPARISON_LEVELS.find((item) => item.value === level).label.toLowerCase()} found in this
+          plant's device hierarchy.
+        </Alert>
+      ) : (
+        <>
+          {/* Summary */}
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            <Grid item xs={12} sm={4}>
+              <SummaryCard title="Devices Compared" value={devices.length} />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <SummaryCard
+                title="Median Yield (kWh/kWp)"
+                value={formatKpi(comparison.medianYield, 2)}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <SummaryCard
+                title="Outliers"
+                value={outlierCount}
+                color={outlierCount > 0 ? 'error.main' : 'success.main'}
+              />
+            </Grid>
+          </Grid>
+
+          {anyCapacityAssumed && (
+            <Alert severity="info" sx={{ mb: 3 }}>
+              Some devices have no rated capacity, so the plant capacity is split equally between them.
+            </Alert>
+          )}
+
+          {/* Comparison Table */}
+          <Card sx={{ mb: 3 }}>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Device</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Parent</TableCell>
+                    <TableCell align="right">Capacity (kWp)</TableCell>
+                    <TableCell align="right">Energy (kWh)</TableCell>
+                    <TableCell align="right">Yield (kWh/kWp)</TableCell>
+                    <TableCell align="right">vs Median</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {sortedRows.map((row) => (
+                    <TableRow
+                      key={row.device.id}
+                      hover
+                      onClick={() => navigate(`/devices/${row.device.id}`)}
+                      sx={{
+                        cursor: 'pointer',
+                        ...(row.isOutlier && {
+                          bgcolor: (theme) => alpha(
+                            row.deviation < 0 ? theme.palette.error.main : theme.palette.warning.main,
+                            0.08
+                          ),
+                        }),
+                      }}
+                    >
+                      <TableCell>
+                        <Typography variant="body2" fontWeight={row.isOutlier ? 600 : 400}>
+                          {row.device.name}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {row.device.deviceId}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>{getDeviceTypeName(row.device)}</TableCell>
+                      <TableCell>{row.device.parentName || '-'}</TableCell>
+                      <TableCell align="right">
+                        {formatKpi(row.capacity, 1)}
+                        {row.capacityAssumed && (
+                          <Tooltip title="No rated capacity; equal share of the plant capacity">
+                            <Typography component="span" variant="caption" color="text.secondary"> *</Typography>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{row.hasData ? formatKpi(row.energy, 0) : '—'}</TableCell>
+                      <TableCell align="right">{formatKpi(row.specificYield, 2)}</TableCell>
+                      <TableCell align="right">
+                        {row.deviation === null ? (
+                          '—'
+                        ) : (
+                          <Chip
+                            size="small"
+                            label={`${row.deviation > 0 ? '+' : ''}${row.deviation.toFixed(1)}%`}
+                            color={row.isOutlier ? (row.deviation < 0 ? 'error' : 'warning') : 'default'}
+                            variant={row.isOutlier ? 'filled' : 'outlined'}
+                          />
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Card>
+
+          {/* Daily Heatmap */}
+          <YieldHeatmap
+            rows={sortedRows}
+            days={days}
+            dailyMedians={comparison.dailyMedians}
+            onDeviceClick={(device) => navigate(`/devices/${device.id}`)}
+          />
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default InverterComparison;
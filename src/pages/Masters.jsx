@@ -15,10 +15,14 @@ import {
   Category as TemplateIcon,
   AccountTree as HierarchyIcon,
   Label as TagIcon,
+  NotificationsActive as AlarmRuleIcon,
+  Campaign as EscalationIcon,
 } from '@mui/icons-material';
 import DeviceTypes from './DeviceTypes';
 import HierarchyBuilder from './HierarchyBuilder';
 import TagManagement from './TagManagement';
+import AlarmRules from './AlarmRules';
+import EscalationPolicies from './EscalationPolicies';
 
 // Tab Panel Component
 function TabPanel({ children, value, index, ...other }) {
@@ -54,7 +58,7 @@ const Masters = () => {
           Master Data Management
         </Typography>
         <Typography variant="body2" color="text.secondary">
-          Manage device templates, hierarchy rules, and tags
+          Manage device templates, hierarchy rules, tags, alarm rules, and escalation policies
         </Typography>
       </Box>
 
@@ -77,7 +81,7 @@ const Masters = () => {
             <Tab
               icon={<HierarchyIcon />}
               iconPosition="start"
-              label="Hierarchy Viewer"
+              label="Device Hierarchy"
               id="masters-tab-1"
               aria-controls="masters-tabpanel-1"
             />
@@ -88,6 +92,20 @@ const Masters = () => {
               id="masters-tab-2"
               aria-controls="masters-tabpanel-2"
             />
+            <Tab
+              icon={<AlarmRuleIcon />}
+              iconPosition="start"
+              label="Alarm Rules"
+              id="masters-tab-3"
+              aria-controls="masters-tabpanel-3"
+            />
+            <Tab
+              icon={<EscalationIcon />}
+              iconPosition="start"
+              label="Escalation"
+              id="masters-tab-4"
+              aria-controls="masters-tabpanel-4"
+            />
           </Tabs>
         </Box>
 
@@ -103,6 +121,14 @@ const Masters = () => {
         <TabPanel value={activeTab} index={2}>
           <TagManagement />
         </TabPanel>
+
+        <TabPanel value={activeTab} index={3}>
+          <AlarmRules />
+        </TabPanel>
+
+        <TabPanel value={activeTab} index={4}>
+          <EscalationPolicies />
+        </TabPanel>
       </Paper>
     </Box>
   );
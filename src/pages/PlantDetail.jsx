@@ -1,10 +1,10 @@
 /**
  * Plant Detail Page
- * View detailed information about a specific plant
+ * View detailed information about a specific plant and its site layout
  * Refactored to use Redux for state management
  */
 
-import { useState, useEffect } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
@@ -19,6 +19,8 @@ import {
   Alert,
   Divider,
   Paper,
+  Tab,
+  Tabs,
 } from '@mui/material';
 import {
   ArrowBack as BackIcon,
@@ -27,6 +29,8 @@ import {
   Bolt as BoltIcon,
   DeviceHub as DeviceIcon,
   Warning as WarningIcon,
+  CompareArrows as CompareIcon,
+  ContentCopy as DuplicateIcon,
 } from '@mui/icons-material';
 import {
   fetchPlantById,
@@ -39,9 +43,19 @@ import {
   clearCurrentPlant,
 } from '../store/slices/plantSlice';
 import { selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
-import { generateMockTimeSeriesData, generateMockEnergySummary } from '../services/dataService';
+import { selectPlantLatestValues, selectPlantLiveSeries } from '../store/slices/realtimeSlice';
+import { useRealtimeSubscription } from '../hooks/useRealtimeSubscription';
+import { useTelemetry } from '../hooks/useTelemetry';
+import { useTimeRange } from '../hooks/useTimeRange';
+import { calculatePlantKpis, getPeriodHours } from '../utils/kpi';
+import { getPvConfig, buildExpectedPowerSeries, summarizeDeviation } from '../utils/pvModel';
+import { getDaylightHours, getNightRanges, getPlantCoordinates } from '../utils/solarGeometry';
 import LineChartComponent from '../components/charts/LineChartComponent';
 import BarChartComponent from '../components/charts/BarChartComponent';
+import LiveValuesCard from '../components/LiveValuesCard';
+import KpiCards from '../components/KpiCards';
+import PerformanceDeviationAlert from '../components/PerformanceDeviationAlert';
+import SiteLayout from '../components/plants/SiteLayout';
 
 const InfoRow = ({ label, value }) => (
   <Box sx={{ py: 1.5, display: 'flex', justifyContent: 'space-between' }}>
@@ -89,26 +103,53 @@ const PlantDetail = () => {
   const stats = useSelector(selectCurrentPlantStats);
   const loading = useSelector(selectPlantsLoading);
   const error = useSelector(selectPlantsError);
+  const latestValues = useSelector((state) => selectPlantLatestValues(state, id));
+  const liveSeries = useSelector((state) => selectPlantLiveSeries(state, id));
 
-  // Local state for chart data (UI-specific)
-  const [powerData, setPowerData] = useState([]);
-  const [energySummary, setEnergySummary] = useState([]);
+  // Local UI state
+  const [activeTab, setActiveTab] = useState('overview');
+
+  // Historical telemetry for the global time range (cached in the telemetry slice)
+  const { label: rangeLabel, dataParams, energyParams, startTime, endTime } = useTimeRange();
+  const plantData = useTelemetry('plantData', id, dataParams);
+  const energySummary = useTelemetry('plantEnergy', id, energyParams);
 
   useEffect(() => {
     // Fetch plant data and stats
     dispatch(fetchPlantById(id));
     dispatch(fetchPlantStats(id));
 
-    // Generate mock chart data
-    setPowerData(generateMockTimeSeriesData(24));
-    setEnergySummary(generateMockEnergySummary(30));
-
     // Cleanup on unmount
     return () => {
       dispatch(clearCurrentPlant());
     };
   }, [id, dispatch]);
 
+  // Live updates are appended to the historical series
+  useRealtimeSubscription('plant', id);
+
+  // Availability only counts daylight hours, so no production at night is not downtime
+  const kpis = useMemo(
+    () => calculatePlantKpis(
+      plant,
+      energySummary.data || [],
+      getPeriodHours(startTime, endTime),
+      getDaylightHours(startTime, endTime, getPlantCoordinates(plant))
+    ),
+    [plant, energySummary.data, startTime, endTime]
+  );
+
+  // Actual power overlaid with the PV model's expected power
+  const powerChartData = useMemo(
+    () => buildExpectedPowerSeries([...(plantData.data || []), ...liveSeries], getPvConfig(plant)),
+    [plantData.data, liveSeries, plant]
+  );
+  const deviationSummary = useMemo(() => summarizeDeviation(powerChartData), [powerChartData]);
+  const nightRanges = useMemo(
+    () => getNightRanges(powerChartData, getPlantCoordinates(plant)),
+    [powerChartData, plant]
+  );
+
   if (loading) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
@@ -130,6 +171,7 @@ const PlantDetail = () => {
   }
 
   const canModify = isAdmin || isPlantManager;
+  const pvConfig = getPvConfig(plant);
   const statusColors = {
     ACTIVE: 'success',
     INACTIVE: 'default',
@@ -158,195 +200,259 @@ const PlantDetail = () => {
             sx={{ mt: 1 }}
           />
         </Box>
-        {canModify && (
+        <Box sx={{ display: 'flex', gap: 1 }}>
           <Button
-            variant="contained"
-            startIcon={<EditIcon />}
-            onClick={() => navigate(`/plants/${id}/edit`)}
+            variant="outlined"
+            startIcon={<CompareIcon />}
+            onClick={() => navigate(`/plants/${id}/compare`)}
           >
-            Edit Plant
+            Compare Inverters
           </Button>
-        )}
+          {canModify && (
+            <Button
+              variant="outlined"
+              startIcon={<DuplicateIcon />}
+              onClick={() => navigate(`/plants/new?cloneFrom=${id}`)}
+            >
+              Duplicate Plant
+            </Button>
+          )}
+          {canModify && (
+            <Button
+              variant="contained"
+              startIcon={<EditIcon />}
+              onClick={() => navigate(`/plants/${id}/edit`)}
+            >
+              Edit Plant
+            </Button>
+          )}
+        </Box>
       </Box>
 
-      {/* Statistics Cards */}
-      {stats && (
-        <Grid container spacing={3} sx={{ mb: 4 }}>
-          <Grid item xs={12} sm={6} md={3}>
-            <StatCard
-              icon={<DeviceIcon sx={{ fontSize: 32 }} />}
-              title="Total Devices"
-              value={stats.deviceStats?.total || 0}
-              color="primary"
-            />
-          </Grid>
-          <Grid item xs={12} sm={6} md={3}>
-            <StatCard
-              icon={<DeviceIcon sx={{ fontSize: 32 }} />}
-              title="Online Devices"
-              value={stats.deviceStats?.online || 0}
-              color="success"
-            />
-          </Grid>
-          <Grid item xs={12} sm={6} md={3}>
-            <StatCard
-              icon={<WarningIcon sx={{ fontSize: 32 }} />}
-              title="Active Alarms"
-              value={stats.alarmStats?.active || 0}
-              color="error"
-            />
-          </Grid>
-          <Grid item xs={12} sm={6} md={3}>
-            <StatCard
-              icon={<BoltIcon sx={{ fontSize: 32 }} />}
-              title="Energy (kWh)"
-              value={(stats.energyStats?.totalGenerated || 0).toLocaleString()}
-              color="warning"
-            />
-          </Grid>
-        </Grid>
-      )}
+      <Tabs
+        value={activeTab}
+        onChange={(_event, value) => setActiveTab(value)}
+        sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}
+      >
+        <Tab value="overview" label="Overview" />
+        <Tab value="layout" label="Site Layout" />
+      </Tabs>
 
-      <Grid container spacing={3}>
-        {/* Plant Information */}
-        <Grid item xs={12} md={6}>
-          <Card>
-            <CardContent>
-              <Typography variant="h6" gutterBottom>
-                Plant Information
-              </Typography>
-              <Divider sx={{ mb: 2 }} />
+      {activeTab === 'layout' ? (
+        <SiteLayout plantId={id} canModify={canModify} />
+      ) : (
+        <>
+          {/* Statistics Cards */}
+          {stats && (
+            <Grid container spacing={3} sx={{ mb: 4 }}>
+              <Grid item xs={12} sm={6} md={3}>
+                <StatCard
+                  icon={<DeviceIcon sx={{ fontSize: 32 }} />}
+                  title="Total Devices"
+                  value={stats.deviceStats?.total || 0}
+                  color="primary"
+                />
+              </Grid>
+              <Grid item xs={12} sm={6} md={3}>
+                <StatCard
+                  icon={<DeviceIcon sx={{ fontSize: 32 }} />}
+                  title="Online Devices"
+                  value={stats.deviceStats?.online || 0}
+                  color="success"
+                />
+              </Grid>
+              <Grid item xs={12} sm={6} md={3}>
+                <StatCard
+                  icon={<WarningIcon sx={{ fontSize: 32 }} />}
+                  title="Active Alarms"
+                  value={stats.alarmStats?.active || 0}
+                  color="error"
+                />
+              </Grid>
+              <Grid item xs={12} sm={6} md={3}>
+                <StatCard
+                  icon={<BoltIcon sx={{ fontSize: 32 }} />}
+                  title="Energy (kWh)"
+                  value={(stats.energyStats?.totalGenerated || 0).toLocaleString()}
+                  color="warning"
+                />
+              </Grid>
+            </Grid>
+          )}
 
-              <InfoRow label="Capacity" value={`${(plant.capacity / 1000).toFixed(1)} MW`} />
-              <InfoRow label="Status" value={plant.status} />
-              <InfoRow
-                label="Installation Date"
-                value={plant.installationDate ? new Date(plant.installationDate).toLocaleDateString() : 'N/A'}
-              />
-              <InfoRow label="Timezone" value={plant.timezone || 'UTC'} />
-              <InfoRow label="Owner" value={plant.createdBy?.name || 'N/A'} />
-              <InfoRow
-                label="Created"
-                value={new Date(plant.createdAt).toLocaleDateString()}
-              />
-              <InfoRow
-                label="Last Updated"
-                value={new Date(plant.updatedAt).toLocaleDateString()}
-              />
-            </CardContent>
-          </Card>
-        </Grid>
+          {/* Performance KPIs */}
+          <Typography variant="h6" gutterBottom>
+            Performance KPIs ({rangeLabel})
+          </Typography>
+          <Box sx={{ mb: 4 }}>
+            <KpiCards kpis={kpis} loading={energySummary.loading} />
+          </Box>
 
-        {/* Location */}
-        <Grid item xs={12} md={6}>
-          <Card>
-            <CardContent>
-              <Typography variant="h6" gutterBottom>
-                <LocationIcon sx={{ verticalAlign: 'middle', mr: 1 }} />
-                Location
-              </Typography>
-              <Divider sx={{ mb: 2 }} />
+          <Grid container spacing={3}>
+            {/* Plant Information */}
+            <Grid item xs={12} md={6}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    Plant Information
+                  </Typography>
+                  <Divider sx={{ mb: 2 }} />
 
-              <InfoRow label="Address" value={plant.location?.address || 'N/A'} />
-              <InfoRow label="Latitude" value={plant.location?.lat || 'N/A'} />
-              <InfoRow label="Longitude" value={plant.location?.lng || 'N/A'} />
-              <InfoRow label="Coordinates" value={plant.coordinates || 'N/A'} />
+                  <InfoRow label="Capacity" value={`${(plant.capacity / 1000).toFixed(1)} MW`} />
+                  <InfoRow label="Status" value={plant.status} />
+                  <InfoRow
+                    label="Installation Date"
+                    value={plant.installationDate ? new Date(plant.installationDate).toLocaleDateString() : 'N/A'}
+                  />
+                  <InfoRow label="Timezone" value={plant.timezone || 'UTC'} />
+                  <InfoRow
+                    label="Array Orientation"
+                    value={`${pvConfig.tilt}° tilt, ${pvConfig.azimuth}° azimuth`}
+                  />
+                  <InfoRow label="Owner" value={plant.createdBy?.name || 'N/A'} />
+                  <InfoRow
+                    label="Created"
+                    value={new Date(plant.createdAt).toLocaleDateString()}
+                  />
+                  <InfoRow
+                    label="Last Updated"
+                    value={new Date(plant.updatedAt).toLocaleDateString()}
+                  />
+                </CardContent>
+              </Card>
+            </Grid>
 
-              {/* Map placeholder */}
-              <Box
-                sx={{
-                  mt: 2,
-                  height: 200,
-                  bgcolor: 'grey.200',
-                  borderRadius: 1,
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                }}
-              >
-                <Typography variant="body2" color="text.secondary">
-                  Map view (Google Maps integration)
-                </Typography>
-              </Box>
-            </CardContent>
-          </Card>
-        </Grid>
+            {/* Location */}
+            <Grid item xs={12} md={6}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" gutterBottom>
+                    <LocationIcon sx={{ verticalAlign: 'middle', mr: 1 }} />
+                    Location
+                  </Typography>
+                  <Divider sx={{ mb: 2 }} />
 
-        {/* Energy Production Charts */}
-        <Grid item xs={12}>
-          <Typography variant="h5" gutterBottom sx={{ mt: 2, mb: 1 }}>
-            Energy Production Analysis
-          </Typography>
-        </Grid>
-        <Grid item xs={12} lg={8}>
-          <LineChartComponent
-            data={powerData}
-            title="Plant Power Generation - Last 24 Hours"
-            xDataKey="time"
-            lines={[
-              { dataKey: 'activePower', name: 'Active Power (kW)', color: '#f59e0b' },
-              { dataKey: 'energy', name: 'Energy (kWh)', color: '#10b981' },
-            ]}
-            height={350}
-          />
-        </Grid>
-        <Grid item xs={12} lg={4}>
-          <BarChartComponent
-            data={energySummary}
-            title="Monthly Energy Production"
-            xDataKey="label"
-            bars={[
-              { dataKey: 'energy', name: 'Energy (kWh)', color: '#f59e0b' },
-            ]}
-            height={350}
-          />
-        </Grid>
+                  <InfoRow label="Address" value={plant.location?.address || 'N/A'} />
+                  <InfoRow label="Latitude" value={plant.location?.lat || 'N/A'} />
+                  <InfoRow label="Longitude" value={plant.location?.lng || 'N/A'} />
+                  <InfoRow label="Coordinates" value={plant.coordinates || 'N/A'} />
+
+                  {/* Map placeholder */}
+                  <Box
+                    sx={{
+                      mt: 2,
+                      height: 200,
+                      bgcolor: 'grey.200',
+                      borderRadius: 1,
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                    }}
+                  >
+                    <Typography variant="body2" color="text.secondary">
+                      Map view (Google Maps integration)
+                    </Typography>
+                  </Box>
+                </CardContent>
+              </Card>
+            </Grid>
 
-        {/* Device Statistics */}
-        {stats && stats.deviceStats?.byType && stats.deviceStats.byType.length > 0 && (
-          <Grid item xs={12}>
-            <Card>
-              <CardContent>
-                <Typography variant="h6" gutterBottom>
-                  Devices by Type
-                </Typography>
-                <Divider sx={{ mb: 2 }} />
-                <Grid container spacing={2}>
-                  {stats.deviceStats.byType.map((item, index) => (
-                    <Grid item xs={12} sm={6} md={3} key={index}>
-                      <Paper variant="outlined" sx={{ p: 2 }}>
-                        <Typography variant="body2" color="text.secondary">
-                          {item.deviceType}
-                        </Typography>
-                        <Typography variant="h6">
-                          {item._count} {item.status}
-                        </Typography>
-                      </Paper>
+            {/* Live Values */}
+            <Grid item xs={12}>
+              <LiveValuesCard values={latestValues} />
+            </Grid>
+
+            {/* Energy Production Charts */}
+            <Grid item xs={12}>
+              <Typography variant="h5" gutterBottom sx={{ mt: 2, mb: 1 }}>
+                Energy Production Analysis
+              </Typography>
+            </Grid>
+            <Grid item xs={12} lg={8}>
+              <LineChartComponent
+                data={powerChartData}
+                title={`Plant Power Generation - ${rangeLabel}`}
+                xDataKey="time"
+                lines={[
+                  { dataKey: 'activePower', name: 'Active Power (kW)', color: '#f59e0b' },
+                  { dataKey: 'expectedPower', name: 'Expected Power (kW)', color: '#6366f1', dashed: true },
+                  { dataKey: 'energy', name: 'Energy (kWh)', color: '#10b981' },
+                ]}
+                height={350}
+                loading={plantData.loading}
+                error={plantData.error}
+                shadedRanges={nightRanges}
+              />
+              {!plantData.loading && (
+                <Box sx={{ mt: 2 }}>
+                  <PerformanceDeviationAlert
+                    summary={deviationSummary}
+                    missingModelMessage="No irradiance tag in the plant data, so expected power cannot be modelled."
+                  />
+                </Box>
+              )}
+            </Grid>
+            <Grid item xs={12} lg={4}>
+              <BarChartComponent
+                data={energySummary.data || []}
+                title={`Energy Production - ${rangeLabel}`}
+                xDataKey="label"
+                bars={[
+                  { dataKey: 'energy', name: 'Energy (kWh)', color: '#f59e0b' },
+                ]}
+                height={350}
+                loading={energySummary.loading}
+                error={energySummary.error}
+              />
+            </Grid>
+
+            {/* Device Statistics */}
+            {stats && stats.deviceStats?.byType && stats.deviceStats.byType.length > 0 && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      Devices by Type
+                    </Typography>
+                    <Divider sx={{ mb: 2 }} />
+                    <Grid container spacing={2}>
+                      {stats.deviceStats.byType.map((item, index) => (
+                        <Grid item xs={12} sm={6} md={3} key={index}>
+                          <Paper variant="outlined" sx={{ p: 2 }}>
+                            <Typography variant="body2" color="text.secondary">
+                              {item.deviceType}
+                            </Typography>
+                            <Typography variant="h6">
+                              {item._count} {item.status}
+                            </Typography>
+                          </Paper>
+                        </Grid>
+                      ))}
                     </Grid>
-                  ))}
-                </Grid>
-              </CardContent>
-            </Card>
-          </Grid>
-        )}
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
 
-        {/* AWS IoT Information */}
-        {plant.iotThingName && (
-          <Grid item xs={12}>
-            <Card>
-              <CardContent>
-                <Typography variant="h6" gutterBottom>
-                  AWS IoT Configuration
-                </Typography>
-                <Divider sx={{ mb: 2 }} />
-                <InfoRow label="IoT Thing Name" value={plant.iotThingName || 'Not configured'} />
-                <InfoRow label="MQTT Topic" value={plant.mqttTopic || 'Not configured'} />
-                <InfoRow label="IoT Thing ARN" value={plant.iotThingArn || 'Not configured'} />
-              </CardContent>
-            </Card>
+            {/* AWS IoT Information */}
+            {plant.iotThingName && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" gutterBottom>
+                      AWS IoT Configuration
+                    </Typography>
+                    <Divider sx={{ mb: 2 }} />
+                    <InfoRow label="IoT Thing Name" value={plant.iotThingName || 'Not configured'} />
+                    <InfoRow label="MQTT Topic" value={plant.mqttTopic || 'Not configured'} />
+                    <InfoRow label="IoT Thing ARN" value={plant.iotThingArn || 'Not configured'} />
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
           </Grid>
-        )}
-      </Grid>
+        </>
+      )}
     </Box>
   );
 };
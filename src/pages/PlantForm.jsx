@@ -5,7 +5,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Box,
@@ -62,6 +62,16 @@ import {
   fetchTemplateById,
   selectTemplates,
 } from '../store/slices/templatesSlice';
+import {
+  DEFAULT_DEVICE_NAME_PATTERN,
+  NAMING_PATTERN_TOKENS,
+  cloneDeviceTree,
+  renameClonedDevices,
+  getClonedMqttTopic,
+  getClonedTagAssignments,
+} from '../utils/plantClone';
+import * as plantService from '../services/plantService';
+import * as tagService from '../services/tagService';
 
 const STEPS = ['Plant Details', 'Device Hierarchy', 'Review & Submit'];
 
@@ -71,6 +81,10 @@ const PlantForm = () => {
   const dispatch = useDispatch();
   const isEditMode = !!id;
 
+  // Duplicating a plant: /plants/new?cloneFrom=<plant id>
+  const [searchParams] = useSearchParams();
+  const cloneFromId = isEditMode ? null : searchParams.get('cloneFrom');
+
   // Redux selectors
   const plant = useSelector(selectCurrentPlant);
   const templates = useSelector(selectTemplates);
@@ -94,6 +108,9 @@ const PlantForm = () => {
     lat: '',
     lng: '',
     address: '',
+    tilt: '',
+    azimuth: '',
+    temperatureCoefficient: '',
   });
 
   // Device Hierarchy (Step 2) - Form input state
@@ -110,10 +127,22 @@ const PlantForm = () => {
   });
   const [availableTags, setAvailableTags] = useState([]);
 
+  // Clone state: source plant, naming patterns for the copied devices, and the plant ID
+  // the patterns were last applied with (so they are re-applied when the plant ID changes)
+  const [cloneSource, setCloneSource] = useState(null);
+  const [namePattern, setNamePattern] = useState(DEFAULT_DEVICE_NAME_PATTERN);
+  const [serialPattern, setSerialPattern] = useState('');
+  const [patternAppliedFor, setPatternAppliedFor] = useState(null);
+  const [mqttTopicEdited, setMqttTopicEdited] = useState(false);
+  // Tag MQTT paths of a created duplicate that could not be set; saving again retries only these
+  const [pendingTagAssignments, setPendingTagAssignments] = useState([]);
+
   // Load plant data in edit mode using Redux
   useEffect(() => {
     if (isEditMode) {
       dispatch(fetchPlantById(id));
+    } else if (cloneFromId) {
+      dispatch(fetchPlantById(cloneFromId));
     }
     // Always load templates for device hierarchy step
     dispatch(fetchTemplates({ isActive: true, limit: 100 }));
@@ -122,7 +151,30 @@ const PlantForm = () => {
     return () => {
       dispatch(clearCurrentPlant());
     };
-  }, [id, dispatch, isEditMode]);
+  }, [id, dispatch, isEditMode, cloneFromId]);
+
+  // Pre-fill from the source plant when duplicating; plant ID and MQTT topic must be new
+  useEffect(() => {
+    if (!plant || !cloneFromId || cloneSource || plant.id !== cloneFromId) return;
+
+    setCloneSource(plant);
+    setPlantData({
+      name: `${plant.name} (copy)`,
+      plantId: '',
+      mqttBaseTopic: '',
+      capacity: plant.capacity || '',
+      status: plant.status || 'ACTIVE',
+      timezone: plant.timezone || 'Asia/Kolkata',
+      installationDate: '',
+      lat: plant.location?.lat || '',
+      lng: plant.location?.lng || '',
+      address: plant.location?.address || '',
+      tilt: plant.tilt ?? '',
+      azimuth: plant.azimuth ?? '',
+      temperatureCoefficient: plant.temperatureCoefficient ?? '',
+    });
+    setDevices(cloneDeviceTree(plant.devices || []));
+  }, [plant, cloneFromId, cloneSource]);
 
   // Populate form when plant data is loaded from Redux
   useEffect(() => {
@@ -140,6 +192,9 @@ const PlantForm = () => {
         lat: plant.location?.lat || '',
         lng: plant.location?.lng || '',
         address: plant.location?.address || '',
+        tilt: plant.tilt ?? '',
+        azimuth: plant.azimuth ?? '',
+        temperatureCoefficient: plant.temperatureCoefficient ?? '',
       });
 
       // Load existing devices if any
@@ -173,7 +228,17 @@ const PlantForm = () => {
     setPlantData((prev) => ({
       ...prev,
       [name]: name === 'plantId' ? value.toUpperCase() : value,
+      // A duplicate follows the source plant's topic layout until the topic is edited by hand
+      ...(name === 'plantId' && cloneSource && !mqttTopicEdited && {
+        mqttBaseTopic: getClonedMqttTopic(cloneSource.mqttBaseTopic, cloneSource.plantId, value.toUpperCase()),
+      }),
     }));
+    if (name === 'mqttBaseTopic') setMqttTopicEdited(true);
+  };
+
+  const applyNamingPatterns = () => {
+    setDevices((prev) => renameClonedDevices(prev, { plantId: plantData.plantId, namePattern, serialPattern }));
+    setPatternAppliedFor(plantData.plantId);
   };
 
   const handleNext = () => {
@@ -194,6 +259,11 @@ const PlantForm = () => {
         setError(`Please fill in the following required fields: ${missingFields.join(', ')}`);
         return;
       }
+
+      // Name the copied devices after the new plant ID on the way to the hierarchy step
+      if (cloneSource && patternAppliedFor !== plantData.plantId) {
+        applyNamingPatterns();
+      }
     }
 
     setActiveStep((prev) => prev + 1);
@@ -390,11 +460,30 @@ const PlantForm = () => {
     setError('');
   };
 
+  // Set tag MQTT paths; failed ones are kept for a retry. Resolves true when all were set.
+  const assignTagPaths = async (assignments) => {
+    const results = await Promise.allSettled(
+      assignments.map(({ deviceId, tagId, mqttPath }) => tagService.assignTagToDevice(deviceId, tagId, mqttPath))
+    );
+    const failed = assignments.filter((_, index) => results[index].status === 'rejected');
+    setPendingTagAssignments(failed);
+    if (failed.length > 0) {
+      setError(`The plant was created, but the MQTT paths of ${failed.length} tags could not be set. Save again to retry them.`);
+    }
+    return failed.length === 0;
+  };
+
   const handleSubmit = async () => {
     setError('');
     setSaving(true);
 
     try {
+      // The plant already exists; only its failed tag paths are left
+      if (pendingTagAssignments.length > 0) {
+        if (await assignTagPaths(pendingTagAssignments)) navigate('/plants');
+        return;
+      }
+
       const payload = {
         name: plantData.name,
         plantId: plantData.plantId,
@@ -410,6 +499,11 @@ const PlantForm = () => {
           lng: parseFloat(plantData.lng),
           address: plantData.address,
         },
+        ...(plantData.tilt !== '' && { tilt: parseFloat(plantData.tilt) }),
+        ...(plantData.azimuth !== '' && { azimuth: parseFloat(plantData.azimuth) }),
+        ...(plantData.temperatureCoefficient !== '' && {
+          temperatureCoefficient: parseFloat(plantData.temperatureCoefficient),
+        }),
       };
 
       console.log('Submitting plant with payload:', payload);
@@ -425,12 +519,19 @@ const PlantForm = () => {
       }));
 
       // Create or update plant using Redux actions
+      let tagAssignments = [];
       if (isEditMode) {
         await dispatch(updatePlantAction({ id, plantData: payload })).unwrap();
       } else {
-        await dispatch(createPlantAction(payload)).unwrap();
+        const createdPlant = await dispatch(createPlantAction(payload)).unwrap();
+        // Duplicated devices keep the source plant's per-tag MQTT paths, set once their tags exist
+        if (cloneSource) {
+          const { devices: createdDevices } = await plantService.getPlantById(createdPlant.id);
+          tagAssignments = getClonedTagAssignments(createdDevices, devices, cloneSource.plantId, plantData.plantId);
+        }
       }
 
+      if (!(await assignTagPaths(tagAssignments))) return;
       navigate('/plants');
     } catch (err) {
       setError(err || 'Failed to save plant');
@@ -568,7 +669,7 @@ const PlantForm = () => {
           Back to Plants
         </Button>
         <Typography variant="h4">
-          {isEditMode ? 'Edit Plant' : 'Create New Plant'}
+          {isEditMode ? 'Edit Plant' : cloneSource ? `Duplicate ${cloneSource.name}` : 'Create New Plant'}
         </Typography>
       </Box>
 
@@ -756,6 +857,54 @@ const PlantForm = () => {
                   inputProps={{ min: -180, max: 180, step: 0.0001 }}
                 />
               </Grid>
+
+              <Grid item xs={12}>
+                <Typography variant="h6" gutterBottom sx={{ mt: 2 }}>
+                  PV Array
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Used to model expected power. Leave blank to assume a latitude tilt facing the equator.
+                </Typography>
+              </Grid>
+
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Tilt (°)"
+                  name="tilt"
+                  value={plantData.tilt}
+                  onChange={handlePlantChange}
+                  helperText="Module tilt from horizontal (0 to 90)"
+                  inputProps={{ min: 0, max: 90, step: 0.1 }}
+                />
+              </Grid>
+
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Azimuth (°)"
+                  name="azimuth"
+                  value={plantData.azimuth}
+                  onChange={handlePlantChange}
+                  helperText="Direction the modules face, clockwise from north (180 = south)"
+                  inputProps={{ min: 0, max: 360, step: 0.1 }}
+                />
+              </Grid>
+
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Temperature Coefficient (%/°C)"
+                  name="temperatureCoefficient"
+                  value={plantData.temperatureCoefficient}
+                  onChange={handlePlantChange}
+                  helperText="Power temperature coefficient from the module datasheet (e.g. -0.4)"
+                  inputProps={{ min: -1, max: 0, step: 0.01 }}
+                />
+              </Grid>
             </Grid>
           )}
 
@@ -775,6 +924,43 @@ const PlantForm = () => {
                 </Button>
               </Box>
 
+              {cloneSource && (
+                <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+                  <Typography variant="body2" sx={{ mb: 2 }}>
+                    {devices.filter((device) => device.cloned).length} devices were copied from{' '}
+                    <strong>{cloneSource.name}</strong> with their parents and tag selections. Their names and
+                    serial numbers are generated from the patterns below.
+                  </Typography>
+                  <Grid container spacing={2} alignItems="center">
+                    <Grid item xs={12} md={5}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label="Device Name Pattern"
+                        value={namePattern}
+                        onChange={(e) => setNamePattern(e.target.value)}
+                        helperText={`Tokens: ${NAMING_PATTERN_TOKENS.join(' ')}`}
+                      />
+                    </Grid>
+                    <Grid item xs={12} md={5}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        label="Serial Number Pattern"
+                        value={serialPattern}
+                        onChange={(e) => setSerialPattern(e.target.value)}
+                        helperText="Leave empty to enter serial numbers per device"
+                      />
+                    </Grid>
+                    <Grid item xs={12} md={2}>
+                      <Button fullWidth variant="outlined" onClick={applyNamingPatterns} sx={{ mb: 2.5 }}>
+                        Apply
+                      </Button>
+                    </Grid>
+                  </Grid>
+                </Paper>
+              )}
+
               {devices.length === 0 ? (
                 <Alert severity="info">
                   No devices added yet. Click "Add Device" to add Transformers, Inverters, etc.
@@ -932,7 +1118,11 @@ const PlantForm = () => {
                   startIcon={saving ? <CircularProgress size={20} /> : <SaveIcon />}
                   disabled={saving}
                 >
-                  {saving ? 'Creating...' : isEditMode ? 'Update Plant' : 'Create Plant'}
+                  {saving
+                    ? 'Creating...'
+                    : isEditMode
+                      ? 'Update Plant'
+                      : pendingTagAssignments.length > 0 ? 'Retry Tag Paths' : 'Create Plant'}
                 </Button>
               )}
             </Box>
@@ -1,10 +1,11 @@
 /**
  * Plant Map Page
- * Interactive Google Maps view showing all solar plants with location markers
+ * Interactive map (Google Maps or Leaflet, see utils/mapProvider) showing all solar plants with
+ * location markers, status-coloured marker clusters and an optional capacity/output heatmap
  * Refactored to use Redux for state management
  */
 
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
@@ -27,6 +28,9 @@ import {
   ListItemText,
   ListItemIcon,
   Divider,
+  FormControlLabel,
+  Switch,
+  Paper,
   useTheme,
   useMediaQuery,
 } from '@mui/material';
@@ -38,20 +42,32 @@ import {
   Close as CloseIcon,
   Factory as PlantIcon,
   Refresh as RefreshIcon,
+  WbSunny as SunIcon,
+  Bedtime as NightIcon,
 } from '@mui/icons-material';
-import { GoogleMap, LoadScript, Marker, InfoWindow } from '@react-google-maps/api';
 import {
   fetchPlants,
   selectPlants,
   selectPlantsLoading,
   selectPlantsError,
 } from '../store/slices/plantSlice';
-
-// Map container styling
-const mapContainerStyle = {
-  width: '100%',
-  height: '100%',
-};
+import { selectAllPlantLatestValues } from '../store/slices/realtimeSlice';
+import * as socketService from '../services/socketService';
+import {
+  getPlantCoordinates,
+  isDaylight,
+  getSunTimes,
+  formatLocalTime,
+} from '../utils/solarGeometry';
+import {
+  PLANT_STATUS_COLORS,
+  HEATMAP_METRICS,
+  HEATMAP_GRADIENT,
+  getHeatmapWeight,
+} from '../utils/plantMap';
+import { MAP_PROVIDERS, getMapProvider, hasGoogleMapsApiKey } from '../utils/mapProvider';
+import GoogleMapView from '../components/maps/GoogleMapView';
+import LeafletMapView from '../components/maps/LeafletMapView';
 
 // Default center (India center coordinates as fallback)
 const defaultCenter = {
@@ -59,17 +75,21 @@ const defaultCenter = {
   lng: 78.9629,
 };
 
-// Map options
-const mapOptions = {
-  disableDefaultUI: false,
-  zoomControl: true,
-  mapTypeControl: true,
-  scaleControl: true,
-  streetViewControl: false,
-  rotateControl: false,
-  fullscreenControl: true,
-  styles: [], // Can add custom map styling here
-};
+// Map provider, fixed by configuration
+const MAP_PROVIDER = getMapProvider();
+const MAP_FEATURES = MAP_PROVIDERS[MAP_PROVIDER];
+const MapView = MAP_PROVIDER === 'google' ? GoogleMapView : LeafletMapView;
+
+// How often day/night indicators are re-evaluated
+const DAYLIGHT_REFRESH_MS = 60 * 1000;
+
+// Legend entries, least to most severe
+const STATUS_LEGEND = [
+  { status: 'ACTIVE', label: 'Active' },
+  { status: 'INACTIVE', label: 'Inactive' },
+  { status: 'MAINTENANCE', label: 'Maintenance' },
+  { status: 'OFFLINE', label: 'Offline' },
+];
 
 // Status color mapping
 const statusColors = {
@@ -84,12 +104,12 @@ const PlantMap = () => {
   const dispatch = useDispatch();
   const theme = useTheme();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
-  const mapRef = useRef(null);
 
   // Redux selectors
   const plants = useSelector(selectPlants);
   const loading = useSelector(selectPlantsLoading);
   const reduxError = useSelector(selectPlantsError);
+  const latestValues = useSelector(selectAllPlantLatestValues);
 
   // Local UI state
   const [filteredPlants, setFilteredPlants] = useState([]);
@@ -105,9 +125,18 @@ const PlantMap = () => {
   const [mapCenter, setMapCenter] = useState(defaultCenter);
   const [mapZoom, setMapZoom] = useState(5);
   const [hoveredPlantId, setHoveredPlantId] = useState(null);
+  const [fitBoundsKey, setFitBoundsKey] = useState(0);
+  const [now, setNow] = useState(() => new Date());
 
-  // Google Maps API key
-  const googleMapsApiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || '';
+  // Map layers: clustering, heatmap metric and the plants of a clicked cluster (listed in the drawer)
+  const [clusterMarkers, setClusterMarkers] = useState(true);
+  const [heatmapMetric, setHeatmapMetric] = useState('');
+  const [clusterPlantIds, setClusterPlantIds] = useState(null);
+  const clustering = clusterMarkers && MAP_FEATURES.clustering;
+
+  const loadPlants = () => {
+    dispatch(fetchPlants({ page: 1, limit: 1000 }));
+  };
 
   // Load plants data using Redux
   useEffect(() => {
@@ -144,44 +173,18 @@ const PlantMap = () => {
     setFilteredPlants(filtered);
   }, [plants, statusFilter, searchQuery]);
 
-  // Fit map bounds to show all markers
+  // Live output heatmap needs realtime values for every plant on the map
   useEffect(() => {
-    if (mapRef.current && filteredPlants.length > 0 && mapLoaded) {
-      fitMapBounds();
-    }
-  }, [filteredPlants, mapLoaded]);
-
-  const fitMapBounds = useCallback(() => {
-    if (!mapRef.current || filteredPlants.length === 0) return;
-
-    const bounds = new window.google.maps.LatLngBounds();
-    filteredPlants.forEach((plant) => {
-      if (plant.location?.latitude && plant.location?.longitude) {
-        bounds.extend({
-          lat: parseFloat(plant.location.latitude),
-          lng: parseFloat(plant.location.longitude),
-        });
-      }
-    });
-
-    mapRef.current.fitBounds(bounds);
-
-    // Adjust zoom if only one plant
-    if (filteredPlants.length === 1) {
-      window.google.maps.event.addListenerOnce(
-        mapRef.current,
-        'bounds_changed',
-        () => {
-          mapRef.current.setZoom(Math.min(mapRef.current.getZoom(), 12));
-        }
-      );
-    }
-  }, [filteredPlants]);
-
-  const handleMapLoad = useCallback((map) => {
-    mapRef.current = map;
-    setMapLoaded(true);
-  }, []);
+    if (heatmapMetric !== 'output') return undefined;
+    const plantIds = filteredPlants.map((plant) => plant.id);
+    plantIds.forEach((plantId) => socketService.subscribe('plant', plantId));
+    return () => plantIds.forEach((plantId) => socketService.unsubscribe('plant', plantId));
+  }, [heatmapMetric, filteredPlants]);
+
+  // Fit the map to all markers again (the map also does this whenever the plant list changes)
+  const fitMapBounds = () => {
+    setFitBoundsKey((key) => key + 1);
+  };
 
   const handleMarkerClick = (plant) => {
     setSelectedPlant(plant);
@@ -211,27 +214,45 @@ const PlantMap = () => {
   const clearFilters = () => {
     setSearchQuery('');
     setStatusFilter('');
+    setClusterPlantIds(null);
+  };
+
+  // A cluster clicked at full zoom lists its plants in the drawer
+  const handleClusterClick = (plantIds) => {
+    setClusterPlantIds(plantIds);
+    setDrawerOpen(true);
+  };
+
+  // Keep day/night indicators current while the map stays open
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), DAYLIGHT_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const isPlantInDaylight = (plant) => isDaylight(now, getPlantCoordinates(plant));
+
+  const getSunTimesLabel = (plant) => {
+    const timeZone = plant.timezone || 'UTC';
+    const { sunrise, sunset, polar } = getSunTimes(now, getPlantCoordinates(plant), timeZone);
+    if (polar === 'day') return 'Sun up all day';
+    if (polar === 'night') return 'Sun down all day';
+    return `Sunrise ${formatLocalTime(sunrise, timeZone)} • Sunset ${formatLocalTime(sunset, timeZone)} (${timeZone})`;
   };
 
-  // Custom marker icon (using SVG path for solar panel)
-  const getMarkerIcon = (plant) => {
+  // Marker appearance, drawn as a circle by either map provider
+  const getMarkerStyle = (plant) => {
     const isHovered = hoveredPlantId === plant.id;
     const isSelected = selectedPlant?.id === plant.id;
 
-    let color = '#4CAF50'; // Default green
-    if (plant.status === 'OFFLINE') color = '#f44336';
-    else if (plant.status === 'MAINTENANCE') color = '#ff9800';
-    else if (plant.status === 'INACTIVE') color = '#9e9e9e';
+    const color = PLANT_STATUS_COLORS[plant.status] || PLANT_STATUS_COLORS.ACTIVE;
 
     const scale = isHovered || isSelected ? 1.3 : 1;
 
     return {
-      path: window.google.maps.SymbolPath.CIRCLE,
-      fillColor: color,
-      fillOpacity: 1,
-      strokeColor: '#ffffff',
+      color,
+      opacity: isPlantInDaylight(plant) ? 1 : 0.5,
+      radius: scale * 8,
       strokeWeight: isSelected ? 3 : 2,
-      scale: scale * 8,
     };
   };
 
@@ -242,8 +263,81 @@ const PlantMap = () => {
     offline: filteredPlants.filter((p) => p.status === 'OFFLINE').length,
     maintenance: filteredPlants.filter((p) => p.status === 'MAINTENANCE').length,
     totalCapacity: filteredPlants.reduce((sum, p) => sum + (p.capacity || 0), 0),
+    daylight: filteredPlants.filter(isPlantInDaylight).length,
   };
 
+  // Plants listed in the drawer: the clicked cluster's plants, otherwise all filtered plants
+  const listedPlants = clusterPlantIds
+    ? filteredPlants.filter((plant) => clusterPlantIds.includes(plant.id))
+    : filteredPlants;
+
+  // Heatmap points and legend scale
+  const heatmapPoints = heatmapMetric && MAP_FEATURES.heatmap
+    ? filteredPlants
+      .map((plant) => ({ plant, weight: getHeatmapWeight(plant, heatmapMetric, latestValues) }))
+      .filter(({ weight }) => weight !== null)
+    : [];
+  const heatmapMax = heatmapPoints.reduce((max, { weight }) => Math.max(max, weight), 0);
+  const heatmapOption = HEATMAP_METRICS.find((option) => option.value === heatmapMetric);
+
+  // Info window content for the selected plant
+  const renderInfo = (plant) => (
+    <Card elevation={0} sx={{ minWidth: 250 }}>
+      <CardContent sx={{ p: 2, '&:last-child': { pb: 2 } }}>
+        <Typography variant="h6" gutterBottom>
+          {plant.name}
+        </Typography>
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          {plant.location.address}
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+          <Chip
+            label={plant.status}
+            size="small"
+            color={statusColors[plant.status]}
+          />
+          <Chip
+            label={`${(plant.capacity / 1000).toFixed(1)} MW`}
+            size="small"
+            variant="outlined"
+          />
+          <Chip
+            icon={isPlantInDaylight(plant) ? <SunIcon /> : <NightIcon />}
+            label={isPlantInDaylight(plant) ? 'Daylight' : 'Night'}
+            size="small"
+            variant="outlined"
+          />
+        </Box>
+
+        <Typography variant="caption" display="block" color="text.secondary" sx={{ mb: 1 }}>
+          {getSunTimesLabel(plant)}
+        </Typography>
+
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="caption" display="block" color="text.secondary">
+            Devices: {plant._count?.devices || 0}
+          </Typography>
+          {plant._count?.alarms > 0 && (
+            <Typography variant="caption" display="block" color="error.main">
+              Active Alarms: {plant._count.alarms}
+            </Typography>
+          )}
+        </Box>
+
+        <Button
+          fullWidth
+          variant="contained"
+          size="small"
+          onClick={() => handleViewDetails(plant.id)}
+        >
+          View Details
+        </Button>
+      </CardContent>
+    </Card>
+  );
+
   // Sidebar content
   const renderSidebar = () => (
     <Box sx={{ width: 320, height: '100%', display: 'flex', flexDirection: 'column' }}>
@@ -312,6 +406,7 @@ const PlantMap = () => {
           <Chip label={`${stats.active} Active`} size="small" color="success" />
           <Chip label={`${stats.offline} Offline`} size="small" color="error" />
           <Chip label={`${stats.maintenance} Maintenance`} size="small" color="warning" />
+          <Chip icon={<SunIcon />} label={`${stats.daylight} In Daylight`} size="small" variant="outlined" />
         </Box>
         <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
           Total Capacity: {(stats.totalCapacity / 1000).toFixed(1)} MW
@@ -320,11 +415,21 @@ const PlantMap = () => {
 
       {/* Plant List */}
       <Box sx={{ flexGrow: 1, overflow: 'auto' }}>
+        {clusterPlantIds && (
+          <Box sx={{ px: 2, pt: 1 }}>
+            <Chip
+              label={`${listedPlants.length} plants in cluster`}
+              size="small"
+              color="primary"
+              onDelete={() => setClusterPlantIds(null)}
+            />
+          </Box>
+        )}
         {loading ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
             <CircularProgress size={32} />
           </Box>
-        ) : filteredPlants.length === 0 ? (
+        ) : listedPlants.length === 0 ? (
           <Box sx={{ p: 2 }}>
             <Typography variant="body2" color="text.secondary" align="center">
               No plants found
@@ -332,7 +437,7 @@ const PlantMap = () => {
           </Box>
         ) : (
           <List dense>
-            {filteredPlants.map((plant) => (
+            {listedPlants.map((plant) => (
               <React.Fragment key={plant.id}>
                 <ListItemButton
                   selected={selectedPlant?.id === plant.id}
@@ -363,6 +468,13 @@ const PlantMap = () => {
                             variant="outlined"
                             sx={{ height: 18, fontSize: '0.65rem' }}
                           />
+                          <Chip
+                            icon={isPlantInDaylight(plant) ? <SunIcon /> : <NightIcon />}
+                            label={isPlantInDaylight(plant) ? 'Day' : 'Night'}
+                            size="small"
+                            variant="outlined"
+                            sx={{ height: 18, fontSize: '0.65rem', '& .MuiChip-icon': { fontSize: 12 } }}
+                          />
                         </Box>
                       </>
                     }
@@ -390,15 +502,16 @@ const PlantMap = () => {
     </Box>
   );
 
-  // Check if API key is configured
-  if (!googleMapsApiKey || googleMapsApiKey === 'YOUR_GOOGLE_MAPS_API_KEY_HERE') {
+  // Google Maps explicitly configured but without an API key
+  if (MAP_PROVIDER === 'google' && !hasGoogleMapsApiKey()) {
     return (
       <Box>
         <Typography variant="h4" gutterBottom>
           Plant Locations
         </Typography>
         <Alert severity="error">
-          Google Maps API key is not configured. Please add your API key to the .env file as VITE_GOOGLE_MAPS_API_KEY.
+          Google Maps API key is not configured. Please add your API key to the .env file as VITE_GOOGLE_MAPS_API_KEY,
+          or set VITE_MAP_PROVIDER=leaflet to use OpenStreetMap tiles.
         </Alert>
       </Box>
     );
@@ -409,7 +522,38 @@ const PlantMap = () => {
       {/* Header */}
       <Box sx={{ mb: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
         <Typography variant="h4">Plant Locations</Typography>
-        <Box sx={{ display: 'flex', gap: 1 }}>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          {MAP_FEATURES.clustering && (
+            <FormControlLabel
+              control={
+                <Switch
+                  size="small"
+                  checked={clusterMarkers}
+                  onChange={(e) => {
+                    setClusterMarkers(e.target.checked);
+                    setClusterPlantIds(null);
+                  }}
+                />
+              }
+              label="Cluster"
+            />
+          )}
+          {MAP_FEATURES.heatmap && (
+            <TextField
+              select
+              size="small"
+              label="Heatmap"
+              value={heatmapMetric}
+              onChange={(e) => setHeatmapMetric(e.target.value)}
+              sx={{ minWidth: 140 }}
+            >
+              {HEATMAP_METRICS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </TextField>
+          )}
           {isMobile && (
             <IconButton onClick={() => setDrawerOpen(!drawerOpen)}>
               <FilterIcon />
@@ -462,89 +606,73 @@ const PlantMap = () => {
           </Box>
         )}
 
-        {/* Google Map */}
+        {/* Map */}
         <Box sx={{ flexGrow: 1, position: 'relative' }}>
-          <LoadScript googleMapsApiKey={googleMapsApiKey}>
-            <GoogleMap
-              mapContainerStyle={mapContainerStyle}
-              center={mapCenter}
-              zoom={mapZoom}
-              options={mapOptions}
-              onLoad={handleMapLoad}
+          <MapView
+            plants={filteredPlants}
+            center={mapCenter}
+            zoom={mapZoom}
+            fitBoundsKey={fitBoundsKey}
+            selectedPlant={selectedPlant}
+            getMarkerStyle={getMarkerStyle}
+            renderInfo={renderInfo}
+            onMarkerClick={handleMarkerClick}
+            onMarkerHover={setHoveredPlantId}
+            onInfoClose={() => setSelectedPlant(null)}
+            onLoad={() => setMapLoaded(true)}
+            clustering={clustering}
+            onClusterClick={handleClusterClick}
+            heatmapPoints={heatmapPoints}
+            heatmapMax={heatmapMax}
+          />
+
+          {/* Legend */}
+          {mapLoaded && (
+            <Paper
+              elevation={2}
+              sx={{ position: 'absolute', left: 10, bottom: 24, p: 1.5, zIndex: 1, minWidth: 180 }}
             >
-              {/* Plant Markers */}
-              {filteredPlants.map((plant) => (
-                <Marker
-                  key={plant.id}
-                  position={{
-                    lat: parseFloat(plant.location.latitude),
-                    lng: parseFloat(plant.location.longitude),
-                  }}
-                  onClick={() => handleMarkerClick(plant)}
-                  onMouseOver={() => setHoveredPlantId(plant.id)}
-                  onMouseOut={() => setHoveredPlantId(null)}
-                  icon={getMarkerIcon(plant)}
-                  title={plant.name}
-                />
+              <Typography variant="caption" fontWeight={500} sx={{ display: 'block', mb: 0.5 }}>
+                Plant Status
+              </Typography>
+              {STATUS_LEGEND.map(({ status, label }) => (
+                <Box key={status} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: PLANT_STATUS_COLORS[status] }} />
+                  <Typography variant="caption">{label}</Typography>
+                </Box>
               ))}
+              {clustering && (
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                  Clusters show their worst status
+                </Typography>
+              )}
 
-              {/* Info Window */}
-              {selectedPlant && (
-                <InfoWindow
-                  position={{
-                    lat: parseFloat(selectedPlant.location.latitude),
-                    lng: parseFloat(selectedPlant.location.longitude),
-                  }}
-                  onCloseClick={() => setSelectedPlant(null)}
-                >
-                  <Card elevation={0} sx={{ minWidth: 250 }}>
-                    <CardContent sx={{ p: 2, '&:last-child': { pb: 2 } }}>
-                      <Typography variant="h6" gutterBottom>
-                        {selectedPlant.name}
-                      </Typography>
-
-                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                        {selectedPlant.location.address}
-                      </Typography>
-
-                      <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
-                        <Chip
-                          label={selectedPlant.status}
-                          size="small"
-                          color={statusColors[selectedPlant.status]}
-                        />
-                        <Chip
-                          label={`${(selectedPlant.capacity / 1000).toFixed(1)} MW`}
-                          size="small"
-                          variant="outlined"
-                        />
-                      </Box>
-
-                      <Box sx={{ mb: 2 }}>
-                        <Typography variant="caption" display="block" color="text.secondary">
-                          Devices: {selectedPlant._count?.devices || 0}
-                        </Typography>
-                        {selectedPlant._count?.alarms > 0 && (
-                          <Typography variant="caption" display="block" color="error.main">
-                            Active Alarms: {selectedPlant._count.alarms}
-                          </Typography>
-                        )}
-                      </Box>
-
-                      <Button
-                        fullWidth
-                        variant="contained"
-                        size="small"
-                        onClick={() => handleViewDetails(selectedPlant.id)}
-                      >
-                        View Details
-                      </Button>
-                    </CardContent>
-                  </Card>
-                </InfoWindow>
+              {heatmapOption?.value && (
+                <Box sx={{ mt: 1 }}>
+                  <Typography variant="caption" fontWeight={500} sx={{ display: 'block', mb: 0.5 }}>
+                    Heatmap: {heatmapOption.label}
+                  </Typography>
+                  <Box
+                    sx={{
+                      height: 8,
+                      borderRadius: 1,
+                      background: `linear-gradient(to right, ${HEATMAP_GRADIENT.slice(1).join(', ')})`,
+                    }}
+                  />
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                    <Typography variant="caption" color="text.secondary">0</Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {heatmapMax.toLocaleString(undefined, { maximumFractionDigits: 1 })} {heatmapOption.unit}
+                    </Typography>
+                  </Box>
+                  <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                    {heatmapPoints.length} of {filteredPlants.length} plants
+                    {heatmapMetric === 'output' ? ' reporting' : ' with capacity'}
+                  </Typography>
+                </Box>
               )}
-            </GoogleMap>
-          </LoadScript>
+            </Paper>
+          )}
 
           {/* Loading Overlay */}
           {loading && (
@@ -4,7 +4,7 @@
  * Refactored to use Redux for state management
  */
 
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
@@ -34,6 +34,7 @@ import {
   Edit as EditIcon,
   Delete as DeleteIcon,
   Refresh as RefreshIcon,
+  UploadFile as ImportIcon,
 } from '@mui/icons-material';
 import {
   fetchPlants,
@@ -48,6 +49,10 @@ import {
   clearError,
 } from '../store/slices/plantSlice';
 import { selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
+import { getAllPlants } from '../services/plantService';
+import { EXPORT_ROW_LIMIT } from '../utils/export';
+import ExportMenu from '../components/ExportMenu';
+import PlantImportDialog from '../components/plants/PlantImportDialog';
 
 const statusColors = {
   ACTIVE: 'success',
@@ -56,6 +61,16 @@ const statusColors = {
   OFFLINE: 'error',
 };
 
+const PLANT_EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { header: 'Location', value: (plant) => plant.location?.address || '' },
+  { key: 'capacity', header: 'Capacity (kW)' },
+  { key: 'status', header: 'Status' },
+  { key: 'timezone', header: 'Timezone' },
+  { header: 'Devices', value: (plant) => plant._count?.devices || 0 },
+  { header: 'Alarms', value: (plant) => plant._count?.alarms || 0 },
+];
+
 const Plants = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
@@ -71,6 +86,9 @@ const Plants = () => {
 
   const canModify = isAdmin || isPlantManager;
 
+  // Local UI state
+  const [importOpen, setImportOpen] = useState(false);
+
   // Load plants when component mounts or filters/pagination change
   useEffect(() => {
     loadPlants();
@@ -86,6 +104,16 @@ const Plants = () => {
     dispatch(fetchPlants(params));
   };
 
+  // Export covers every plant matching the filters, not just the current page
+  const getExportRows = async () => {
+    const data = await getAllPlants({
+      page: 1,
+      limit: EXPORT_ROW_LIMIT,
+      ...(filters.status && { status: filters.status }),
+    });
+    return data.plants || [];
+  };
+
   const handleChangePage = (_event, newPage) => {
     dispatch(setPagination({ page: newPage + 1 }));
   };
@@ -132,7 +160,8 @@ const Plants = () => {
             Manage solar plants and their configurations
           </Typography>
         </div>
-        <Box sx={{ display: 'flex', gap: 2 }}>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <ExportMenu name="Plants" columns={PLANT_EXPORT_COLUMNS} getRows={getExportRows} />
           <Button
             variant="outlined"
             startIcon={<RefreshIcon />}
@@ -141,6 +170,15 @@ const Plants = () => {
           >
             Refresh
           </Button>
+          {canModify && (
+            <Button
+              variant="outlined"
+              startIcon={<ImportIcon />}
+              onClick={() => setImportOpen(true)}
+            >
+              Import
+            </Button>
+          )}
           {canModify && (
             <Button
               variant="contained"
@@ -295,6 +333,13 @@ const Plants = () => {
           )}
         </CardContent>
       </Card>
+
+      {/* Import Dialog */}
+      <PlantImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={(created) => created > 0 && loadPlants()}
+      />
     </Box>
   );
 };
@@ -5,6 +5,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import {
   Box,
@@ -40,12 +41,14 @@ import {
   Assessment as ReportIcon,
   PictureAsPdf as PdfIcon,
   TableChart as ExcelIcon,
+  Schedule as ScheduleIcon,
+  Visibility as PreviewIcon,
 } from '@mui/icons-material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDayjs } from '@mui/x-date-pickers/AdapterDayjs';
 import dayjs from 'dayjs';
-import { selectUser } from '../store/slices/authSlice';
+import { selectUser, selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
 import {
   fetchPlants,
   selectPlants,
@@ -56,24 +59,25 @@ import {
 } from '../store/slices/deviceSlice';
 import {
   generateReport,
+  getReportPreview,
   getReportHistory,
   downloadReport,
   deleteReport,
-  downloadBlob,
   generateReportFilename,
 } from '../services/reportService';
+import { downloadBlob } from '../utils/export';
+import { fetchReportTemplates, selectReportTemplates } from '../store/slices/reportTemplatesSlice';
+import { REPORT_TYPES, REPORT_FORMATS } from '../utils/reports';
+import ReportSchedules from '../components/reports/ReportSchedules';
+import ReportTemplates from '../components/reports/ReportTemplates';
+import ReportPreview from '../components/reports/ReportPreview';
+
+const FORMAT_ICONS = {
+  PDF: <PdfIcon />,
+  EXCEL: <ExcelIcon />,
+};
 
-const REPORT_TYPES = [
-  { value: 'PLANT_PERFORMANCE', label: 'Plant Performance Report' },
-  { value: 'DEVICE_PERFORMANCE', label: 'Device Performance Report' },
-  { value: 'ALARM', label: 'Alarm Report' },
-  { value: 'ENERGY_PRODUCTION', label: 'Energy Production Report' },
-];
-
-const FORMATS = [
-  { value: 'PDF', label: 'PDF', icon: <PdfIcon /> },
-  { value: 'EXCEL', label: 'Excel', icon: <ExcelIcon /> },
-];
+const FORMATS = REPORT_FORMATS.map((fmt) => ({ ...fmt, icon: FORMAT_ICONS[fmt.value] }));
 
 const SEVERITY_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
 
@@ -84,9 +88,17 @@ const Reports = () => {
   const user = useSelector(selectUser);
   const plants = useSelector(selectPlants);
   const devices = useSelector(selectDevices);
+  const isAdmin = useSelector(selectIsAdmin);
+  const isPlantManager = useSelector(selectIsPlantManager);
+  const templates = useSelector(selectReportTemplates);
+  const canManage = isAdmin || isPlantManager;
+
+  // Report opened from a notification (?reportId=...) is highlighted in the history tab
+  const [searchParams, setSearchParams] = useSearchParams();
+  const highlightedReportId = searchParams.get('reportId');
 
   // Local UI state
-  const [activeTab, setActiveTab] = useState(0);
+  const [activeTab, setActiveTab] = useState(highlightedReportId ? 1 : 0);
 
   // Generate Report Tab State
   const [reportType, setReportType] = useState('PLANT_PERFORMANCE');
@@ -95,11 +107,17 @@ const Reports = () => {
   const [endDate, setEndDate] = useState(dayjs());
   const [selectedPlants, setSelectedPlants] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState(null);
+  const [templateId, setTemplateId] = useState('');
   const [severity, setSeverity] = useState('');
   const [generating, setGenerating] = useState(false);
   const [generateError, setGenerateError] = useState('');
   const [generateSuccess, setGenerateSuccess] = useState('');
 
+  // Preview State (previewParams are the report parameters the preview was loaded with)
+  const [preview, setPreview] = useState(null);
+  const [previewParams, setPreviewParams] = useState('');
+  const [previewLoading, setPreviewLoading] = useState(false);
+
   // Report History Tab State
   const [reportHistory, setReportHistory] = useState([]);
   const [loadingHistory, setLoadingHistory] = useState(false);
@@ -113,6 +131,7 @@ const Reports = () => {
   useEffect(() => {
     dispatch(fetchPlants({ page: 1, limit: 1000 }));
     dispatch(fetchDevices({ page: 1, limit: 1000 }));
+    dispatch(fetchReportTemplates());
   }, [dispatch]);
 
   useEffect(() => {
@@ -134,43 +153,65 @@ const Reports = () => {
     }
   };
 
+  // Report parameters shared by the preview and the generated file
+  const buildReportData = () => {
+    const reportData = {
+      reportType,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+    };
+
+    // Add type-specific parameters
+    if (reportType === 'PLANT_PERFORMANCE' || reportType === 'ENERGY_PRODUCTION' || reportType === 'CUSTOM') {
+      if (selectedPlants.length === 1) {
+        reportData.plantId = selectedPlants[0].plantId;
+      } else if (selectedPlants.length > 1) {
+        reportData.plantIds = selectedPlants.map(p => p.plantId);
+      }
+    }
+
+    if (reportType === 'DEVICE_PERFORMANCE' && selectedDevice) {
+      reportData.deviceId = selectedDevice.deviceId;
+      reportData.plantId = selectedDevice.plantId;
+    }
+
+    if (reportType === 'CUSTOM') {
+      reportData.templateId = templateId;
+    }
+
+    if (reportType === 'ALARM' && severity) {
+      reportData.severity = severity;
+      if (selectedPlants.length > 0) {
+        reportData.plantIds = selectedPlants.map(p => p.plantId);
+      }
+    }
+
+    return reportData;
+  };
+
+  const handlePreviewReport = async () => {
+    const reportData = buildReportData();
+    try {
+      setPreviewLoading(true);
+      setGenerateError('');
+      const data = await getReportPreview(reportData);
+      setPreview(data || {});
+      setPreviewParams(JSON.stringify(reportData));
+    } catch (err) {
+      setGenerateError(err.response?.data?.message || err.message || 'Failed to load report preview');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
   const handleGenerateReport = async () => {
     try {
       setGenerating(true);
       setGenerateError('');
       setGenerateSuccess('');
 
-      // Build report data
-      const reportData = {
-        reportType,
-        format,
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString(),
-      };
-
-      // Add type-specific parameters
-      if (reportType === 'PLANT_PERFORMANCE' || reportType === 'ENERGY_PRODUCTION') {
-        if (selectedPlants.length === 1) {
-          reportData.plantId = selectedPlants[0].plantId;
-        } else if (selectedPlants.length > 1) {
-          reportData.plantIds = selectedPlants.map(p => p.plantId);
-        }
-      }
-
-      if (reportType === 'DEVICE_PERFORMANCE' && selectedDevice) {
-        reportData.deviceId = selectedDevice.deviceId;
-        reportData.plantId = selectedDevice.plantId;
-      }
-
-      if (reportType === 'ALARM' && severity) {
-        reportData.severity = severity;
-        if (selectedPlants.length > 0) {
-          reportData.plantIds = selectedPlants.map(p => p.plantId);
-        }
-      }
-
       // Generate report
-      const blob = await generateReport(reportData);
+      const blob = await generateReport({ ...buildReportData(), format });
 
       // Download the file
       const filename = generateReportFilename(reportType, format);
@@ -199,6 +240,12 @@ const Reports = () => {
     }
   };
 
+  // Show a report (e.g. a schedule's last run) highlighted in the history tab
+  const handleOpenReport = (reportId) => {
+    setSearchParams({ reportId });
+    setActiveTab(1);
+  };
+
   const handleDeleteReport = async (reportId) => {
     if (!window.confirm('Are you sure you want to delete this report?')) {
       return;
@@ -214,15 +261,28 @@ const Reports = () => {
 
   const isFormValid = () => {
     if (!startDate || !endDate) return false;
+    if (!startDate.isValid() || !endDate.isValid()) return false;
     if (startDate.isAfter(endDate)) return false;
 
     if (reportType === 'DEVICE_PERFORMANCE' && !selectedDevice) {
       return false;
     }
 
+    if (reportType === 'CUSTOM' && !templateId) {
+      return false;
+    }
+
     return true;
   };
 
+  // The preview is out of date once the range, plants or other parameters change
+  const previewStale = Boolean(preview) && (!isFormValid() || JSON.stringify(buildReportData()) !== previewParams);
+
+  const getPreviewPeriod = () => {
+    const { startDate: from, endDate: to } = JSON.parse(previewParams);
+    return `${dayjs(from).format('MMM D, YYYY')} – ${dayjs(to).format('MMM D, YYYY')}`;
+  };
+
   // Filter report history
   const filteredHistory = reportHistory.filter(report => {
     if (filterType && report.reportType !== filterType) return false;
@@ -267,6 +327,7 @@ const Reports = () => {
               setReportType(e.target.value);
               setSelectedPlants([]);
               setSelectedDevice(null);
+              setTemplateId('');
               setSeverity('');
             }}
           >
@@ -321,10 +382,32 @@ const Reports = () => {
           </LocalizationProvider>
         </Grid>
 
-        {/* Plant Selection (for Plant Performance, Energy Production, Alarm Reports) */}
+        {/* Template Selection (for Custom Reports) */}
+        {reportType === 'CUSTOM' && (
+          <Grid item xs={12}>
+            <TextField
+              select
+              fullWidth
+              required
+              label="Template"
+              value={templateId}
+              onChange={(e) => setTemplateId(e.target.value)}
+              helperText={templates.length === 0 ? 'Create a template on the Templates tab first' : ''}
+            >
+              {templates.map((template) => (
+                <MenuItem key={template.id} value={template.id}>
+                  {template.name}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        )}
+
+        {/* Plant Selection (for Plant Performance, Energy Production, Alarm and Custom Reports) */}
         {(reportType === 'PLANT_PERFORMANCE' ||
           reportType === 'ENERGY_PRODUCTION' ||
-          reportType === 'ALARM') && (
+          reportType === 'ALARM' ||
+          reportType === 'CUSTOM') && (
           <Grid item xs={12}>
             <Autocomplete
               multiple
@@ -386,8 +469,20 @@ const Reports = () => {
           </Grid>
         )}
 
-        {/* Generate Button */}
-        <Grid item xs={12}>
+        {/* Preview and Generate Buttons */}
+        <Grid item xs={12} md={4}>
+          <Button
+            variant="outlined"
+            size="large"
+            startIcon={previewLoading ? <CircularProgress size={20} /> : <PreviewIcon />}
+            onClick={handlePreviewReport}
+            disabled={!isFormValid() || previewLoading}
+            fullWidth
+          >
+            {preview ? 'Refresh Preview' : 'Preview'}
+          </Button>
+        </Grid>
+        <Grid item xs={12} md={8}>
           <Button
             variant="contained"
             size="large"
@@ -400,6 +495,20 @@ const Reports = () => {
           </Button>
         </Grid>
       </Grid>
+
+      {/* Preview */}
+      {preview && (
+        <Box sx={{ mt: 3 }}>
+          <ReportPreview
+            preview={preview}
+            period={getPreviewPeriod()}
+            loading={previewLoading}
+            stale={previewStale}
+            onRefresh={handlePreviewReport}
+            canRefresh={isFormValid()}
+          />
+        </Box>
+      )}
     </Box>
   );
 
@@ -470,10 +579,12 @@ const Reports = () => {
                   </TableRow>
                 ) : (
                   paginatedHistory.map((report) => (
-                    <TableRow key={report.reportId}>
+                    <TableRow key={report.reportId} selected={report.reportId === highlightedReportId}>
                       <TableCell>
                         <Chip
-                          label={report.reportType.replace(/_/g, ' ')}
+                          label={report.reportType === 'CUSTOM' && report.template?.name
+                            ? report.template.name
+                            : report.reportType.replace(/_/g, ' ')}
                           size="small"
                           color="primary"
                           variant="outlined"
@@ -485,8 +596,24 @@ const Reports = () => {
                       </TableCell>
                       <TableCell>
                         {dayjs(report.createdAt).format('MMM D, YYYY HH:mm')}
+                        {report.expiresAt && (
+                          <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                            Kept until {dayjs(report.expiresAt).format('MMM D, YYYY')}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {report.scheduleId ? (
+                          <Chip
+                            icon={<ScheduleIcon />}
+                            label={report.schedule?.name || 'Scheduled'}
+                            size="small"
+                            variant="outlined"
+                          />
+                        ) : (
+                          report.generatedBy?.name || 'Unknown'
+                        )}
                       </TableCell>
-                      <TableCell>{report.generatedBy?.name || 'Unknown'}</TableCell>
                       <TableCell>
                         <Chip
                           icon={report.format === 'PDF' ? <PdfIcon /> : <ExcelIcon />}
@@ -545,11 +672,17 @@ const Reports = () => {
           <Tabs value={activeTab} onChange={(e, newValue) => setActiveTab(newValue)}>
             <Tab label="Generate Report" />
             <Tab label="Report History" />
+            <Tab label="Schedules" />
+            <Tab label="Templates" />
           </Tabs>
 
           <Box sx={{ mt: 3 }}>
             {activeTab === 0 && renderGenerateReportForm()}
             {activeTab === 1 && renderReportHistory()}
+            {activeTab === 2 && (
+              <ReportSchedules plants={plants} canManage={canManage} onOpenReport={handleOpenReport} />
+            )}
+            {activeTab === 3 && <ReportTemplates canManage={canManage} />}
           </Box>
         </CardContent>
       </Card>
@@ -64,6 +64,15 @@ import {
 } from '../store/slices/deviceSlice';
 import { selectIsAdmin, selectIsPlantManager } from '../store/slices/authSlice';
 import MqttPayloadTester from '../components/tags/MqttPayloadTester';
+import ExportMenu from '../components/ExportMenu';
+
+const TAG_EXPORT_COLUMNS = [
+  { key: 'name', header: 'Tag Name' },
+  { key: 'dataType', header: 'Data Type' },
+  { key: 'unit', header: 'Unit' },
+  { key: 'deviceType', header: 'Device Type' },
+  { key: 'description', header: 'Description' },
+];
 
 // Tab Panel Component
 function TabPanel({ children, value, index, ...other }) {
@@ -348,7 +357,8 @@ const TagManagement = () => {
                 ))}
               </TextField>
             </Grid>
-            <Grid item xs={12} sm={12} md={6} sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+            <Grid item xs={12} sm={12} md={6} sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 2 }}>
+              <ExportMenu name="Tags" columns={TAG_EXPORT_COLUMNS} rows={filteredTags} />
               {canModify && (
                 <Button
                   variant="contained"
@@ -50,6 +50,9 @@ import {
   clearError,
 } from '../store/slices/usersSlice';
 import { selectIsAdmin } from '../store/slices/authSlice';
+import { getAllUsers } from '../services/userService';
+import { EXPORT_ROW_LIMIT } from '../utils/export';
+import ExportMenu from '../components/ExportMenu';
 
 const roleColors = {
   ADMIN: 'error',
@@ -57,6 +60,15 @@ const roleColors = {
   VIEWER: 'default',
 };
 
+const USER_EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'role', header: 'Role' },
+  { header: 'Status', value: (user) => (user.isActive ? 'Active' : 'Inactive') },
+  { header: 'Plants', value: (user) => user._count?.plantMaps || 0 },
+  { key: 'lastLogin', header: 'Last Login' },
+];
+
 const Users = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
@@ -86,6 +98,18 @@ const Users = () => {
     dispatch(fetchUsers(params));
   };
 
+  // Export covers every user matching the filters, not just the current page
+  const getExportRows = async () => {
+    const data = await getAllUsers({
+      page: 1,
+      limit: EXPORT_ROW_LIMIT,
+      ...(filters.role && { role: filters.role }),
+      ...(filters.status !== '' && { isActive: filters.status === 'active' }),
+      ...(filters.search && { search: filters.search }),
+    });
+    return data.data?.users || [];
+  };
+
   const handleChangePage = (_event, newPage) => {
     dispatch(setPagination({ page: newPage + 1 }));
   };
@@ -168,13 +192,16 @@ const Users = () => {
             Manage system users and their access levels
           </Typography>
         </div>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={handleCreate}
-        >
-          Create User
-        </Button>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <ExportMenu name="Users" columns={USER_EXPORT_COLUMNS} getRows={getExportRows} />
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={handleCreate}
+          >
+            Create User
+          </Button>
+        </Box>
       </Box>
 
       {/* Filters */}
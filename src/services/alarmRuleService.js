@@ -0,0 +1,62 @@
+/**
+ * Alarm Rule API Service
+ * Handles HTTP requests for alarm rule configuration
+ */
+
+import api from './api';
+
+/**
+ * Get all alarm rules
+ * @param {Object} params - Query parameters (templateId, tagId, enabled)
+ */
+export const getAllAlarmRules = async (params = {}) => {
+  const response = await api.get('/alarm-rules', { params });
+  return response.data.data;
+};
+
+/**
+ * Get alarm rule by ID
+ * @param {string} ruleId - Rule ID
+ */
+export const getAlarmRuleById = async (ruleId) => {
+  const response = await api.get(`/alarm-rules/${ruleId}`);
+  return response.data.data;
+};
+
+/**
+ * Create a new alarm rule
+ * @param {Object} ruleData - Rule definition
+ */
+export const createAlarmRule = async (ruleData) => {
+  const response = await api.post('/alarm-rules', ruleData);
+  return response.data.data;
+};
+
+/**
+ * Update an alarm rule
+ * @param {string} ruleId - Rule ID
+ * @param {Object} ruleData - Updated rule definition
+ */
+export const updateAlarmRule = async (ruleId, ruleData) => {
+  const response = await api.put(`/alarm-rules/${ruleId}`, ruleData);
+  return response.data.data;
+};
+
+/**
+ * Enable or disable an alarm rule
+ * @param {string} ruleId - Rule ID
+ * @param {boolean} enabled - New state
+ */
+export const setAlarmRuleEnabled = async (ruleId, enabled) => {
+  const response = await api.patch(`/alarm-rules/${ruleId}/enabled`, { enabled });
+  return response.data.data;
+};
+
+/**
+ * Delete an alarm rule
+ * @param {string} ruleId - Rule ID
+ */
+export const deleteAlarmRule = async (ruleId) => {
+  const response = await api.delete(`/alarm-rules/${ruleId}`);
+  return response.data;
+};
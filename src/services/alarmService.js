@@ -52,6 +52,93 @@ export const resolveAlarm = async (alarmId, data = {}) => {
   return response.data.data;
 };
 
+/**
+ * Acknowledge many alarms at once
+ * @param {Object} data - { alarmIds } or { filter } (every active alarm matching the filter), plus notes
+ */
+export const bulkAcknowledgeAlarms = async (data) => {
+  const response = await api.put('/alarms/bulk/acknowledge', data);
+  return response.data.data;
+};
+
+/**
+ * Resolve many alarms at once
+ * @param {Object} data - { alarmIds } or { filter } (every open alarm matching the filter), plus resolution
+ */
+export const bulkResolveAlarms = async (data) => {
+  const response = await api.put('/alarms/bulk/resolve', data);
+  return response.data.data;
+};
+
+/**
+ * Get the comment thread of an alarm (oldest first)
+ * @param {string} alarmId - Alarm ID
+ */
+export const getAlarmComments = async (alarmId) => {
+  const response = await api.get(`/alarms/${alarmId}/comments`);
+  return response.data.data;
+};
+
+/**
+ * Add a comment to an alarm
+ * @param {string} alarmId - Alarm ID
+ * @param {string} text - Comment text
+ */
+export const addAlarmComment = async (alarmId, text) => {
+  const response = await api.post(`/alarms/${alarmId}/comments`, { text });
+  return response.data.data;
+};
+
+/**
+ * Get the files attached to an alarm
+ * @param {string} alarmId - Alarm ID
+ */
+export const getAlarmAttachments = async (alarmId) => {
+  const response = await api.get(`/alarms/${alarmId}/attachments`);
+  return response.data.data;
+};
+
+/**
+ * Upload a photo or file to an alarm
+ * @param {string} alarmId - Alarm ID
+ * @param {File} file - File to upload
+ * @param {Function} onProgress - Called with the upload progress (0-100)
+ */
+export const uploadAlarmAttachment = async (alarmId, file, onProgress) => {
+  const body = new FormData();
+  body.append('file', file);
+  const response = await api.post(`/alarms/${alarmId}/attachments`, body, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    onUploadProgress: (event) => {
+      if (onProgress && event.total) onProgress(Math.round((event.loaded / event.total) * 100));
+    },
+  });
+  return response.data.data;
+};
+
+/**
+ * Download an alarm attachment
+ * @param {string} alarmId - Alarm ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Blob} - File blob
+ */
+export const downloadAlarmAttachment = async (alarmId, attachmentId) => {
+  const response = await api.get(`/alarms/${alarmId}/attachments/${attachmentId}`, {
+    responseType: 'blob',
+  });
+  return response.data;
+};
+
+/**
+ * Delete an alarm attachment
+ * @param {string} alarmId - Alarm ID
+ * @param {string} attachmentId - Attachment ID
+ */
+export const deleteAlarmAttachment = async (alarmId, attachmentId) => {
+  const response = await api.delete(`/alarms/${alarmId}/attachments/${attachmentId}`);
+  return response.data;
+};
+
 /**
  * Get alarms for a specific plant
  * @param {string} plantId - Plant ID
@@ -81,3 +168,49 @@ export const getAlarmStatistics = async (plantId = null) => {
   const response = await api.get('/alarms/statistics', { params });
   return response.data.data;
 };
+
+/**
+ * Shelve an alarm for a set time
+ * @param {string} alarmId - Alarm ID
+ * @param {Object} data - { durationMinutes, reason }
+ */
+export const shelveAlarm = async (alarmId, data) => {
+  const response = await api.put(`/alarms/${alarmId}/shelve`, data);
+  return response.data.data;
+};
+
+/**
+ * Return a shelved alarm to the active list before its shelve time runs out
+ * @param {string} alarmId - Alarm ID
+ */
+export const unshelveAlarm = async (alarmId) => {
+  const response = await api.put(`/alarms/${alarmId}/unshelve`);
+  return response.data.data;
+};
+
+/**
+ * Get maintenance masks
+ * @param {Object} params - Query parameters (plantId, deviceId, active)
+ */
+export const getAlarmMasks = async (params = {}) => {
+  const response = await api.get('/alarm-masks', { params });
+  return response.data.data;
+};
+
+/**
+ * Mask alarms from a device (and optionally its subtree) during maintenance
+ * @param {Object} maskData - { deviceId, includeChildren, startsAt, endsAt, reason }
+ */
+export const createAlarmMask = async (maskData) => {
+  const response = await api.post('/alarm-masks', maskData);
+  return response.data.data;
+};
+
+/**
+ * End a maintenance mask
+ * @param {string} maskId - Mask ID
+ */
+export const deleteAlarmMask = async (maskId) => {
+  const response = await api.delete(`/alarm-masks/${maskId}`);
+  return response.data;
+};
@@ -67,22 +67,6 @@ export const exportAuditLogs = async (format, filters = {}) => {
   return response.data;
 };
 
-/**
- * Helper function to download blob as file
- * @param {Blob} blob - File blob
- * @param {string} filename - Filename
- */
-export const downloadBlob = (blob, filename) => {
-  const url = window.URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  window.URL.revokeObjectURL(url);
-};
-
 /**
  * Format change data for display
  * @param {Object} changes - Changes object
@@ -114,6 +98,12 @@ export const getActionColor = (action) => {
       return 'error';
     case 'ACKNOWLEDGE':
       return 'warning';
+    case 'SHELVE':
+    case 'MASK':
+      return 'secondary';
+    case 'UNSHELVE':
+    case 'UNMASK':
+      return 'primary';
     default:
       return 'default';
   }
@@ -4,6 +4,13 @@
  */
 
 import api from './api';
+import { getClearSkyIrradiance } from '../utils/solarGeometry';
+
+/**
+ * Development flag: serve generated mock series instead of calling the data API.
+ * Only enabled explicitly through VITE_USE_MOCK_DATA=true.
+ */
+export const USE_MOCK_DATA = import.meta.env.VITE_USE_MOCK_DATA === 'true';
 
 /**
  * Get time-series data for a device
@@ -54,19 +61,24 @@ export const getDevicePerformance = async (deviceId, params = {}) => {
   return response.data;
 };
 
+// Site used for mock series when the plant's coordinates are unknown
+const MOCK_COORDINATES = { lat: 20.5937, lng: 78.9629 };
+
 /**
  * Mock data generator for development (when backend endpoints are not ready)
+ * @param {number} hours - Hours of hourly points to generate
+ * @param {string} interval - Aggregation interval (unused, kept for API parity)
+ * @param {{ lat: number, lng: number }} coordinates - Plant coordinates for the clear-sky curve
  */
-export const generateMockTimeSeriesData = (hours = 24, interval = 'hour') => {
+export const generateMockTimeSeriesData = (hours = 24, interval = 'hour', coordinates = MOCK_COORDINATES) => {
   const data = [];
   const now = new Date();
 
   for (let i = hours; i >= 0; i--) {
     const timestamp = new Date(now.getTime() - i * 60 * 60 * 1000);
-    const hour = timestamp.getHours();
 
-    // Simulate solar production curve (peak at noon)
-    const sunFactor = Math.max(0, Math.sin((hour - 6) * Math.PI / 12));
+    // Clear-sky production curve at the plant's location
+    const sunFactor = getClearSkyIrradiance(timestamp, coordinates.lat, coordinates.lng).ghi / 1000;
     const randomVariation = 0.9 + Math.random() * 0.2;
 
     data.push({
@@ -77,6 +89,7 @@ export const generateMockTimeSeriesData = (hours = 24, interval = 'hour') => {
       current: Math.round(sunFactor * 50 * randomVariation * 100) / 100,
       energy: Math.round(sunFactor * 25 * randomVariation * 100) / 100,
       temperature: 25 + sunFactor * 15 + Math.random() * 5,
+      irradiance: Math.round(sunFactor * 1000),
     });
   }
 
@@ -109,3 +122,13 @@ export const generateMockEnergySummary = (days = 7) => {
 
   return data;
 };
+
+/**
+ * Generate mock device performance metrics
+ */
+export const generateMockDevicePerformance = () => ({
+  availability: Math.round((95 + Math.random() * 5) * 100) / 100,
+  efficiency: Math.round((90 + Math.random() * 8) * 100) / 100,
+  energyGenerated: Math.round((800 + Math.random() * 400) * 100) / 100,
+  peakPower: Math.round(900 + Math.random() * 300),
+});
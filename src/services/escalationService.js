@@ -0,0 +1,61 @@
+/**
+ * Escalation API Service
+ * Handles HTTP requests for alarm escalation policies and escalation history
+ */
+
+import api from './api';
+
+/**
+ * Get all escalation policies
+ * @param {Object} params - Query parameters (plantId, severity)
+ */
+export const getEscalationPolicies = async (params = {}) => {
+  const response = await api.get('/escalation-policies', { params });
+  return response.data.data;
+};
+
+/**
+ * Create an escalation policy
+ * @param {Object} policyData - { name, plantId, severity, levels, webhookUrl }
+ */
+export const createEscalationPolicy = async (policyData) => {
+  const response = await api.post('/escalation-policies', policyData);
+  return response.data.data;
+};
+
+/**
+ * Update an escalation policy
+ * @param {string} policyId - Policy ID
+ * @param {Object} policyData - Updated policy
+ */
+export const updateEscalationPolicy = async (policyId, policyData) => {
+  const response = await api.put(`/escalation-policies/${policyId}`, policyData);
+  return response.data.data;
+};
+
+/**
+ * Delete an escalation policy
+ * @param {string} policyId - Policy ID
+ */
+export const deleteEscalationPolicy = async (policyId) => {
+  const response = await api.delete(`/escalation-policies/${policyId}`);
+  return response.data;
+};
+
+/**
+ * Get the notifications sent for an alarm while it escalated
+ * @param {string} alarmId - Alarm ID
+ */
+export const getAlarmEscalations = async (alarmId) => {
+  const response = await api.get(`/alarms/${alarmId}/escalations`);
+  return response.data.data;
+};
+
+/**
+ * Deliver a notification through the server-side channel adapter
+ * @param {Object} notification - { channel, to, subject, body }
+ */
+export const sendNotification = async (notification) => {
+  const response = await api.post('/notifications/send', notification);
+  return response.data.data;
+};
@@ -0,0 +1,108 @@
+/**
+ * Notification Channels
+ * Adapters for the channels an escalation policy can notify over (in-app, email, SMS, webhook).
+ * Each adapter resolves a recipient address and formats the message; delivery goes through a
+ * transport, which is the API in production and an in-memory stub for local testing
+ * (VITE_NOTIFICATION_TRANSPORT=stub, or whenever mock data is enabled).
+ */
+
+import { sendNotification } from './escalationService';
+import { USE_MOCK_DATA } from './dataService';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s-]{7,}$/;
+
+const formatSubject = (alarm) => `[${alarm.severity}] ${alarm.message}`;
+
+const formatBody = (alarm, level) =>
+  [
+    alarm.message,
+    alarm.plant?.name && `Plant: ${alarm.plant.name}`,
+    alarm.device?.name && `Device: ${alarm.device.name}`,
+    alarm.triggeredAt && `Raised: ${new Date(alarm.triggeredAt).toLocaleString()}`,
+    level && `Escalation level ${level}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+/**
+ * Channel adapters
+ * getAddress(user, policy) -> recipient address or null when the user cannot be reached
+ * format(alarm, level) -> { subject, body }
+ */
+export const NOTIFICATION_CHANNELS = {
+  IN_APP: {
+    label: 'In-app',
+    getAddress: (user) => user?.id || null,
+    format: (alarm, level) => ({ subject: formatSubject(alarm), body: formatBody(alarm, level) }),
+  },
+  EMAIL: {
+    label: 'Email',
+    getAddress: (user) => (EMAIL_PATTERN.test(user?.email || '') ? user.email : null),
+    format: (alarm, level) => ({ subject: formatSubject(alarm), body: formatBody(alarm, level) }),
+  },
+  SMS: {
+    label: 'SMS',
+    getAddress: (user) => {
+      const phone = user?.phone || user?.phoneNumber || '';
+      return PHONE_PATTERN.test(phone) ? phone : null;
+    },
+    // SMS carries a single short line
+    format: (alarm) => ({ subject: null, body: formatSubject(alarm).slice(0, 160) }),
+  },
+  WEBHOOK: {
+    label: 'Webhook',
+    getAddress: (_user, policy) => (/^https?:\/\//.test(policy?.webhookUrl || '') ? policy.webhookUrl : null),
+    format: (alarm, level) => ({
+      subject: formatSubject(alarm),
+      body: JSON.stringify({ alarmId: alarm.id, severity: alarm.severity, message: alarm.message, level }),
+    }),
+  },
+};
+
+export const CHANNEL_OPTIONS = Object.entries(NOTIFICATION_CHANNELS).map(([value, channel]) => ({
+  value,
+  label: channel.label,
+}));
+
+// Stub transport: keeps sent notifications in memory so they can be inspected while developing
+const stubOutbox = [];
+
+const stubTransport = async (notification) => {
+  const sent = { ...notification, id: `stub-${stubOutbox.length + 1}`, sentAt: new Date().toISOString(), status: 'DELIVERED' };
+  stubOutbox.push(sent);
+  return sent;
+};
+
+const apiTransport = (notification) => sendNotification(notification);
+
+const USE_STUB_TRANSPORT = USE_MOCK_DATA || import.meta.env.VITE_NOTIFICATION_TRANSPORT === 'stub';
+
+export const getTransportName = () => (USE_STUB_TRANSPORT ? 'stub' : 'api');
+
+/**
+ * Notifications delivered by the stub transport (newest last)
+ */
+export const getStubOutbox = () => [...stubOutbox];
+
+/**
+ * Notify one user over one channel
+ * @param {string} channel - Key of NOTIFICATION_CHANNELS
+ * @param {Object} user - Recipient
+ * @param {Object} alarm - Alarm to notify about
+ * @param {Object} options
+ * @param {Object} options.policy - Escalation policy (webhook URL)
+ * @param {number} options.level - Escalation level (1-based)
+ * @returns {Promise<Object>} Delivery record
+ * @throws {Error} When the user has no address for the channel
+ */
+export const notify = async (channel, user, alarm, { policy, level } = {}) => {
+  const adapter = NOTIFICATION_CHANNELS[channel];
+  if (!adapter) throw new Error(`Unknown notification channel: ${channel}`);
+
+  const to = adapter.getAddress(user, policy);
+  if (!to) throw new Error(`${user?.name || 'Recipient'} has no ${adapter.label} address`);
+
+  const transport = USE_STUB_TRANSPORT ? stubTransport : apiTransport;
+  return transport({ channel, to, ...adapter.format(alarm, level) });
+};
@@ -0,0 +1,32 @@
+/**
+ * Notification API Service
+ * Handles HTTP requests for the current user's in-app notifications
+ */
+
+import api from './api';
+
+/**
+ * Get the current user's notifications (newest first)
+ * @param {Object} params - Query parameters (limit, unreadOnly)
+ */
+export const getNotifications = async (params = {}) => {
+  const response = await api.get('/notifications', { params });
+  return response.data.data;
+};
+
+/**
+ * Mark a notification as read
+ * @param {string} notificationId - Notification ID
+ */
+export const markNotificationRead = async (notificationId) => {
+  const response = await api.put(`/notifications/${notificationId}/read`);
+  return response.data.data;
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ */
+export const markAllNotificationsRead = async () => {
+  const response = await api.put('/notifications/read-all');
+  return response.data;
+};
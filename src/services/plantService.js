@@ -54,3 +54,46 @@ export const getPlantStats = async (plantId) => {
   const response = await api.get(`/plants/${plantId}/stats`);
   return response.data.data.stats;
 };
+
+/**
+ * Get the site layout of a plant (plan background and device placements)
+ */
+export const getPlantLayout = async (plantId) => {
+  const response = await api.get(`/plants/${plantId}/layout`);
+  return response.data.data.layout;
+};
+
+/**
+ * Save the site layout of a plant
+ * @param {string} plantId - Plant ID
+ * @param {Object} layout - { background, placements }
+ */
+export const savePlantLayout = async (plantId, layout) => {
+  const response = await api.put(`/plants/${plantId}/layout`, layout);
+  return response.data.data.layout;
+};
+
+/**
+ * Upload a site plan image for a plant's layout
+ * @param {string} plantId - Plant ID
+ * @param {File} file - Image file
+ */
+export const uploadPlantLayoutImage = async (plantId, file) => {
+  const body = new FormData();
+  body.append('file', file);
+  const response = await api.post(`/plants/${plantId}/layout/image`, body, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  });
+  return response.data.data.layout;
+};
+
+/**
+ * Download the site plan image of a plant's layout
+ * @returns {Blob} - Image blob
+ */
+export const getPlantLayoutImage = async (plantId) => {
+  const response = await api.get(`/plants/${plantId}/layout/image`, {
+    responseType: 'blob',
+  });
+  return response.data;
+};
@@ -8,7 +8,8 @@ import api from './api';
 /**
  * Generate a report
  * @param {Object} reportData - Report parameters
- * @param {string} reportData.reportType - Type of report (PLANT_PERFORMANCE, DEVICE_PERFORMANCE, ALARM, ENERGY_PRODUCTION)
+ * @param {string} reportData.reportType - Type of report (PLANT_PERFORMANCE, DEVICE_PERFORMANCE, ALARM, ENERGY_PRODUCTION, CUSTOM)
+ * @param {string} reportData.templateId - Report template for CUSTOM reports (optional)
  * @param {string} reportData.format - Report format (PDF, EXCEL)
  * @param {string} reportData.startDate - Start date (ISO string)
  * @param {string} reportData.endDate - End date (ISO string)
@@ -72,19 +73,79 @@ export const getReportPreview = async (reportData) => {
 };
 
 /**
- * Helper function to download blob as file
- * @param {Blob} blob - File blob
- * @param {string} filename - Filename
+ * Get recurring report schedules
+ * @param {Object} params - Query parameters (plantId)
  */
-export const downloadBlob = (blob, filename) => {
-  const url = window.URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  window.URL.revokeObjectURL(url);
+export const getReportSchedules = async (params = {}) => {
+  const response = await api.get('/report-schedules', { params });
+  return response.data.data;
+};
+
+/**
+ * Create a report schedule
+ * @param {Object} scheduleData - { name, reportType, format, plantId, frequency, timeOfDay, dayOfWeek, dayOfMonth, recipients, retentionDays, enabled }
+ */
+export const createReportSchedule = async (scheduleData) => {
+  const response = await api.post('/report-schedules', scheduleData);
+  return response.data.data;
+};
+
+/**
+ * Update a report schedule (also used to pause and resume it)
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} scheduleData - Updated fields
+ */
+export const updateReportSchedule = async (scheduleId, scheduleData) => {
+  const response = await api.put(`/report-schedules/${scheduleId}`, scheduleData);
+  return response.data.data;
+};
+
+/**
+ * Delete a report schedule
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Object} - Success response
+ */
+export const deleteReportSchedule = async (scheduleId) => {
+  const response = await api.delete(`/report-schedules/${scheduleId}`);
+  return response.data;
+};
+
+/**
+ * Get report templates
+ * @param {Object} params - Query parameters
+ */
+export const getReportTemplates = async (params = {}) => {
+  const response = await api.get('/report-templates', { params });
+  return response.data.data;
+};
+
+/**
+ * Create a report template
+ * @param {Object} templateData - { name, description, header: { title, subtitle, logo }, sections }
+ */
+export const createReportTemplate = async (templateData) => {
+  const response = await api.post('/report-templates', templateData);
+  return response.data.data;
+};
+
+/**
+ * Update a report template
+ * @param {string} templateId - Template ID
+ * @param {Object} templateData - Updated template
+ */
+export const updateReportTemplate = async (templateId, templateData) => {
+  const response = await api.put(`/report-templates/${templateId}`, templateData);
+  return response.data.data;
+};
+
+/**
+ * Delete a report template
+ * @param {string} templateId - Template ID
+ * @returns {Object} - Success response
+ */
+export const deleteReportTemplate = async (templateId) => {
+  const response = await api.delete(`/report-templates/${templateId}`);
+  return response.data;
 };
 
 /**
@@ -0,0 +1,233 @@
+/**
+ * Socket Service
+ * Shared socket.io connection for real-time telemetry
+ *
+ * Protocol:
+ * - client emits `subscribe` / `unsubscribe` with { type: 'device' | 'plant', id }
+ * - server emits `tag:update` with { plantId, deviceId?, timestamp, values: { [tagName]: value } }
+ *   (plant-level aggregates are sent without a deviceId)
+ * - server emits `notification` with a notification for the signed-in user
+ *   (critical alarms, report-ready events, assignment changes; see utils/notifications)
+ */
+
+import { io } from 'socket.io-client';
+
+const SOCKET_URL = import.meta.env.VITE_WEBSOCKET_URL || 'http://localhost:3001';
+const SOCKET_ENABLED = import.meta.env.VITE_ENABLE_WEBSOCKET !== 'false';
+
+// Reconnect backoff (milliseconds)
+const RECONNECT_DELAY = 1000;
+const RECONNECT_DELAY_MAX = 30000;
+
+let socket = null;
+let retryTimer = null;
+let retryAttempt = 0;
+
+// Active subscriptions, reference counted so several components can share one room
+const subscriptions = new Map();
+
+// Event listeners registered through on()
+const listeners = new Map();
+
+/**
+ * Build the subscription key for a room
+ * @param {string} type - 'device' or 'plant'
+ * @param {string} id - Entity ID
+ */
+const roomKey = (type, id) => `${type}:${id}`;
+
+const emitLocal = (event, payload) => {
+  (listeners.get(event) || []).forEach((handler) => handler(payload));
+};
+
+/**
+ * Exponential backoff with jitter, capped at RECONNECT_DELAY_MAX
+ */
+const getBackoffDelay = (attempt) => {
+  const delay = Math.min(RECONNECT_DELAY_MAX, RECONNECT_DELAY * 2 ** attempt);
+  return Math.round(delay * (0.5 + Math.random() * 0.5));
+};
+
+const clearRetryTimer = () => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+};
+
+/**
+ * Schedule a manual reconnect.
+ * socket.io does not retry on its own when the server rejects the handshake
+ * (e.g. an expired token), so those retries are driven from here.
+ */
+const scheduleRetry = () => {
+  clearRetryTimer();
+  const delay = getBackoffDelay(retryAttempt);
+  retryAttempt += 1;
+
+  emitLocal('status', { status: 'reconnecting', attempt: retryAttempt, nextRetryIn: delay });
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    if (socket && !socket.connected) {
+      socket.connect();
+    }
+  }, delay);
+};
+
+const resubscribeAll = () => {
+  subscriptions.forEach((entry) => {
+    socket.emit('subscribe', { type: entry.type, id: entry.id });
+  });
+};
+
+/**
+ * Open the shared connection (no-op if already open or disabled)
+ */
+export const connect = () => {
+  if (!SOCKET_ENABLED) {
+    emitLocal('status', { status: 'disabled' });
+    return;
+  }
+
+  if (socket) {
+    if (!socket.connected && !socket.active) {
+      socket.connect();
+    }
+    return;
+  }
+
+  emitLocal('status', { status: 'connecting' });
+
+  socket = io(SOCKET_URL, {
+    // Read the token on every (re)connect so a refreshed token is picked up
+    auth: (cb) => cb({ token: localStorage.getItem('token') }),
+    transports: ['websocket', 'polling'],
+    reconnection: true,
+    reconnectionDelay: RECONNECT_DELAY,
+    reconnectionDelayMax: RECONNECT_DELAY_MAX,
+    randomizationFactor: 0.5,
+  });
+
+  socket.on('connect', () => {
+    clearRetryTimer();
+    retryAttempt = 0;
+    resubscribeAll();
+    emitLocal('status', { status: 'connected' });
+  });
+
+  socket.on('disconnect', (reason) => {
+    // Client-initiated disconnects are final; everything else is retried by socket.io
+    if (reason === 'io client disconnect') {
+      emitLocal('status', { status: 'disconnected' });
+    } else {
+      emitLocal('status', { status: 'reconnecting', reason });
+    }
+  });
+
+  socket.on('connect_error', (error) => {
+    emitLocal('status', { status: 'error', error: error.message });
+
+    if (!socket.active) {
+      scheduleRetry();
+    }
+  });
+
+  socket.io.on('reconnect_attempt', (attempt) => {
+    emitLocal('status', { status: 'reconnecting', attempt });
+  });
+
+  socket.on('tag:update', (payload) => {
+    emitLocal('tag:update', payload);
+  });
+
+  socket.on('notification', (payload) => {
+    emitLocal('notification', payload);
+  });
+};
+
+/**
+ * Close the shared connection and drop all subscriptions
+ */
+export const disconnect = () => {
+  clearRetryTimer();
+  retryAttempt = 0;
+  subscriptions.clear();
+
+  if (socket) {
+    socket.removeAllListeners();
+    socket.io.removeAllListeners();
+    socket.disconnect();
+    socket = null;
+  }
+
+  emitLocal('status', { status: 'disconnected' });
+};
+
+/**
+ * Force a reconnect now (e.g. from the status indicator)
+ */
+export const reconnect = () => {
+  clearRetryTimer();
+  retryAttempt = 0;
+
+  if (!socket) {
+    connect();
+  } else if (!socket.connected) {
+    socket.connect();
+  }
+};
+
+/**
+ * Subscribe to real-time updates for a device or plant
+ * @param {string} type - 'device' or 'plant'
+ * @param {string} id - Entity ID
+ */
+export const subscribe = (type, id) => {
+  const key = roomKey(type, id);
+  const entry = subscriptions.get(key);
+
+  if (entry) {
+    entry.count += 1;
+    return;
+  }
+
+  subscriptions.set(key, { type, id, count: 1 });
+  if (socket?.connected) {
+    socket.emit('subscribe', { type, id });
+  }
+};
+
+/**
+ * Release a subscription taken with subscribe()
+ * @param {string} type - 'device' or 'plant'
+ * @param {string} id - Entity ID
+ */
+export const unsubscribe = (type, id) => {
+  const key = roomKey(type, id);
+  const entry = subscriptions.get(key);
+  if (!entry) return;
+
+  entry.count -= 1;
+  if (entry.count > 0) return;
+
+  subscriptions.delete(key);
+  if (socket?.connected) {
+    socket.emit('unsubscribe', { type, id });
+  }
+};
+
+/**
+ * Listen to a socket service event ('status', 'tag:update' or 'notification')
+ * @param {string} event - Event name
+ * @param {Function} handler - Event handler
+ * @returns {Function} - Call to remove the listener
+ */
+export const on = (event, handler) => {
+  const handlers = listeners.get(event) || [];
+  listeners.set(event, [...handlers, handler]);
+
+  return () => {
+    listeners.set(event, (listeners.get(event) || []).filter((h) => h !== handler));
+  };
+};
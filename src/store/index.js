@@ -11,6 +11,15 @@ import usersReducer from './slices/usersSlice';
 import alarmsReducer from './slices/alarmsSlice';
 import tagsReducer from './slices/tagsSlice';
 import templatesReducer from './slices/templatesSlice';
+import realtimeReducer from './slices/realtimeSlice';
+import telemetryReducer from './slices/telemetrySlice';
+import timeRangeReducer from './slices/timeRangeSlice';
+import hierarchyReducer from './slices/hierarchySlice';
+import alarmRulesReducer from './slices/alarmRulesSlice';
+import escalationReducer from './slices/escalationSlice';
+import notificationsReducer from './slices/notificationsSlice';
+import reportSchedulesReducer from './slices/reportSchedulesSlice';
+import reportTemplatesReducer from './slices/reportTemplatesSlice';
 
 export const store = configureStore({
   reducer: {
@@ -21,6 +30,15 @@ export const store = configureStore({
     alarms: alarmsReducer,
     tags: tagsReducer,
     templates: templatesReducer,
+    realtime: realtimeReducer,
+    telemetry: telemetryReducer,
+    timeRange: timeRangeReducer,
+    hierarchy: hierarchyReducer,
+    alarmRules: alarmRulesReducer,
+    escalation: escalationReducer,
+    notifications: notificationsReducer,
+    reportSchedules: reportSchedulesReducer,
+    reportTemplates: reportTemplatesReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
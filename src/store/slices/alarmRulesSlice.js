@@ -0,0 +1,176 @@
+/**
+ * Alarm Rules Slice
+ * Redux slice for alarm rule configuration
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as alarmRuleService from '../../services/alarmRuleService';
+
+// Async thunks
+export const fetchAlarmRules = createAsyncThunk(
+  'alarmRules/fetchAlarmRules',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const data = await alarmRuleService.getAllAlarmRules(params);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch alarm rules');
+    }
+  }
+);
+
+export const createAlarmRule = createAsyncThunk(
+  'alarmRules/createAlarmRule',
+  async (ruleData, { rejectWithValue }) => {
+    try {
+      const data = await alarmRuleService.createAlarmRule(ruleData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create alarm rule');
+    }
+  }
+);
+
+export const updateAlarmRule = createAsyncThunk(
+  'alarmRules/updateAlarmRule',
+  async ({ id, ruleData }, { rejectWithValue }) => {
+    try {
+      const data = await alarmRuleService.updateAlarmRule(id, ruleData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update alarm rule');
+    }
+  }
+);
+
+export const toggleAlarmRule = createAsyncThunk(
+  'alarmRules/toggleAlarmRule',
+  async ({ id, enabled }, { rejectWithValue }) => {
+    try {
+      const data = await alarmRuleService.setAlarmRuleEnabled(id, enabled);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update alarm rule');
+    }
+  }
+);
+
+export const deleteAlarmRule = createAsyncThunk(
+  'alarmRules/deleteAlarmRule',
+  async (id, { rejectWithValue }) => {
+    try {
+      await alarmRuleService.deleteAlarmRule(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete alarm rule');
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  rules: [],
+  loading: false,
+  error: null,
+};
+
+const replaceRule = (state, rule) => {
+  const index = state.rules.findIndex((r) => r.id === rule.id);
+  if (index !== -1) {
+    state.rules[index] = rule;
+  }
+};
+
+// Slice
+const alarmRulesSlice = createSlice({
+  name: 'alarmRules',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Alarm Rules
+      .addCase(fetchAlarmRules.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchAlarmRules.fulfilled, (state, action) => {
+        state.loading = false;
+        state.rules = action.payload?.rules || action.payload || [];
+      })
+      .addCase(fetchAlarmRules.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Create Alarm Rule
+      .addCase(createAlarmRule.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createAlarmRule.fulfilled, (state, action) => {
+        state.loading = false;
+        state.rules.unshift(action.payload);
+      })
+      .addCase(createAlarmRule.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Update Alarm Rule
+      .addCase(updateAlarmRule.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateAlarmRule.fulfilled, (state, action) => {
+        state.loading = false;
+        replaceRule(state, action.payload);
+      })
+      .addCase(updateAlarmRule.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Toggle Alarm Rule (optimistic, reverted on failure)
+      .addCase(toggleAlarmRule.pending, (state, action) => {
+        const rule = state.rules.find((r) => r.id === action.meta.arg.id);
+        if (rule) rule.enabled = action.meta.arg.enabled;
+      })
+      .addCase(toggleAlarmRule.fulfilled, (state, action) => {
+        replaceRule(state, action.payload);
+      })
+      .addCase(toggleAlarmRule.rejected, (state, action) => {
+        const rule = state.rules.find((r) => r.id === action.meta.arg.id);
+        if (rule) rule.enabled = !action.meta.arg.enabled;
+        state.error = action.payload;
+      })
+
+      // Delete Alarm Rule
+      .addCase(deleteAlarmRule.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteAlarmRule.fulfilled, (state, action) => {
+        state.loading = false;
+        state.rules = state.rules.filter((r) => r.id !== action.payload);
+      })
+      .addCase(deleteAlarmRule.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Selectors
+export const selectAlarmRules = (state) => state.alarmRules.rules;
+export const selectAlarmRulesLoading = (state) => state.alarmRules.loading;
+export const selectAlarmRulesError = (state) => state.alarmRules.error;
+
+// Actions
+export const { clearError } = alarmRulesSlice.actions;
+
+// Reducer
+export default alarmRulesSlice.reducer;
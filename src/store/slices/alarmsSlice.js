@@ -5,6 +5,7 @@
 
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import * as alarmService from '../../services/alarmService';
+import { DEFAULT_ALARM_FILTERS } from '../../utils/alarmFilters';
 
 // Async thunks
 export const fetchAlarms = createAsyncThunk(
@@ -25,7 +26,7 @@ export const fetchAlarmById = createAsyncThunk(
   async (id, { rejectWithValue }) => {
     try {
       const data = await alarmService.getAlarmById(id);
-      return data.data;
+      return data?.alarm || data;
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to fetch alarm');
     }
@@ -81,6 +82,30 @@ export const resolveAlarm = createAsyncThunk(
   }
 );
 
+export const bulkAcknowledgeAlarms = createAsyncThunk(
+  'alarms/bulkAcknowledgeAlarms',
+  async ({ alarmIds, filter, notes }, { rejectWithValue }) => {
+    try {
+      const data = await alarmService.bulkAcknowledgeAlarms({ alarmIds, filter, notes });
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to acknowledge alarms');
+    }
+  }
+);
+
+export const bulkResolveAlarms = createAsyncThunk(
+  'alarms/bulkResolveAlarms',
+  async ({ alarmIds, filter, resolution }, { rejectWithValue }) => {
+    try {
+      const data = await alarmService.bulkResolveAlarms({ alarmIds, filter, resolution });
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to resolve alarms');
+    }
+  }
+);
+
 export const deleteAlarm = createAsyncThunk(
   'alarms/deleteAlarm',
   async (id, { rejectWithValue }) => {
@@ -93,9 +118,70 @@ export const deleteAlarm = createAsyncThunk(
   }
 );
 
+export const shelveAlarm = createAsyncThunk(
+  'alarms/shelveAlarm',
+  async ({ id, durationMinutes, reason }, { rejectWithValue }) => {
+    try {
+      const data = await alarmService.shelveAlarm(id, { durationMinutes, reason });
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to shelve alarm');
+    }
+  }
+);
+
+export const unshelveAlarm = createAsyncThunk(
+  'alarms/unshelveAlarm',
+  async (id, { rejectWithValue }) => {
+    try {
+      const data = await alarmService.unshelveAlarm(id);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to unshelve alarm');
+    }
+  }
+);
+
+export const fetchAlarmMasks = createAsyncThunk(
+  'alarms/fetchAlarmMasks',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const data = await alarmService.getAlarmMasks(params);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch maintenance masks');
+    }
+  }
+);
+
+export const createAlarmMask = createAsyncThunk(
+  'alarms/createAlarmMask',
+  async (maskData, { rejectWithValue }) => {
+    try {
+      const data = await alarmService.createAlarmMask(maskData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create maintenance mask');
+    }
+  }
+);
+
+export const deleteAlarmMask = createAsyncThunk(
+  'alarms/deleteAlarmMask',
+  async (id, { rejectWithValue }) => {
+    try {
+      await alarmService.deleteAlarmMask(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to end maintenance mask');
+    }
+  }
+);
+
 // Initial state
 const initialState = {
   alarms: [],
+  masks: [],
   currentAlarm: null,
   statistics: null,
   pagination: {
@@ -104,16 +190,21 @@ const initialState = {
     total: 0,
     totalPages: 0,
   },
-  filters: {
-    severity: '',
-    status: '',
-    plantId: '',
-    search: '',
-  },
+  filters: DEFAULT_ALARM_FILTERS,
   loading: false,
   error: null,
 };
 
+const replaceAlarm = (state, alarm) => {
+  const index = state.alarms.findIndex((a) => a.id === alarm.id);
+  if (index !== -1) {
+    state.alarms[index] = alarm;
+  }
+  if (state.currentAlarm?.id === alarm.id) {
+    state.currentAlarm = alarm;
+  }
+};
+
 // Slice
 const alarmsSlice = createSlice({
   name: 'alarms',
@@ -231,6 +322,64 @@ const alarmsSlice = createSlice({
         state.error = action.payload;
       })
 
+      // Shelve / Unshelve Alarm
+      .addCase(shelveAlarm.fulfilled, (state, action) => {
+        replaceAlarm(state, action.payload);
+      })
+      .addCase(shelveAlarm.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(unshelveAlarm.fulfilled, (state, action) => {
+        replaceAlarm(state, action.payload);
+      })
+      .addCase(unshelveAlarm.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Maintenance Masks
+      .addCase(fetchAlarmMasks.fulfilled, (state, action) => {
+        state.masks = action.payload?.masks || action.payload || [];
+      })
+      .addCase(fetchAlarmMasks.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(createAlarmMask.fulfilled, (state, action) => {
+        state.masks.unshift(action.payload);
+      })
+      .addCase(createAlarmMask.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteAlarmMask.fulfilled, (state, action) => {
+        state.masks = state.masks.filter((m) => m.id !== action.payload);
+      })
+      .addCase(deleteAlarmMask.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // Bulk Acknowledge / Resolve (the page reloads the list afterwards)
+      .addCase(bulkAcknowledgeAlarms.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(bulkAcknowledgeAlarms.fulfilled, (state) => {
+        state.loading = false;
+      })
+      .addCase(bulkAcknowledgeAlarms.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(bulkResolveAlarms.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(bulkResolveAlarms.fulfilled, (state) => {
+        state.loading = false;
+      })
+      .addCase(bulkResolveAlarms.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
       // Delete Alarm
       .addCase(deleteAlarm.pending, (state) => {
         state.loading = true;
@@ -253,6 +402,7 @@ export const selectCurrentAlarm = (state) => state.alarms.currentAlarm;
 export const selectAlarmStatistics = (state) => state.alarms.statistics;
 export const selectAlarmsPagination = (state) => state.alarms.pagination;
 export const selectAlarmsFilters = (state) => state.alarms.filters;
+export const selectAlarmMasks = (state) => state.alarms.masks;
 export const selectAlarmsLoading = (state) => state.alarms.loading;
 export const selectAlarmsError = (state) => state.alarms.error;
 
@@ -0,0 +1,171 @@
+/**
+ * Escalation Slice
+ * Redux slice for escalation policies and per-alarm escalation history
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as escalationService from '../../services/escalationService';
+
+// Async thunks
+export const fetchEscalationPolicies = createAsyncThunk(
+  'escalation/fetchEscalationPolicies',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const data = await escalationService.getEscalationPolicies(params);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch escalation policies');
+    }
+  }
+);
+
+export const createEscalationPolicy = createAsyncThunk(
+  'escalation/createEscalationPolicy',
+  async (policyData, { rejectWithValue }) => {
+    try {
+      const data = await escalationService.createEscalationPolicy(policyData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create escalation policy');
+    }
+  }
+);
+
+export const updateEscalationPolicy = createAsyncThunk(
+  'escalation/updateEscalationPolicy',
+  async ({ id, policyData }, { rejectWithValue }) => {
+    try {
+      const data = await escalationService.updateEscalationPolicy(id, policyData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update escalation policy');
+    }
+  }
+);
+
+export const deleteEscalationPolicy = createAsyncThunk(
+  'escalation/deleteEscalationPolicy',
+  async (id, { rejectWithValue }) => {
+    try {
+      await escalationService.deleteEscalationPolicy(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete escalation policy');
+    }
+  }
+);
+
+export const fetchAlarmEscalations = createAsyncThunk(
+  'escalation/fetchAlarmEscalations',
+  async (alarmId, { rejectWithValue }) => {
+    try {
+      const data = await escalationService.getAlarmEscalations(alarmId);
+      return { alarmId, notifications: data?.notifications || data || [] };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch escalation history');
+    }
+  }
+);
+
+// Stable fallback so selectors don't return a new array on every call
+const EMPTY_LIST = [];
+
+// Initial state
+const initialState = {
+  policies: [],
+  notificationsByAlarm: {},
+  loading: false,
+  error: null,
+};
+
+// Slice
+const escalationSlice = createSlice({
+  name: 'escalation',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Escalation Policies
+      .addCase(fetchEscalationPolicies.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchEscalationPolicies.fulfilled, (state, action) => {
+        state.loading = false;
+        state.policies = action.payload?.policies || action.payload || [];
+      })
+      .addCase(fetchEscalationPolicies.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Create Escalation Policy
+      .addCase(createEscalationPolicy.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createEscalationPolicy.fulfilled, (state, action) => {
+        state.loading = false;
+        state.policies.unshift(action.payload);
+      })
+      .addCase(createEscalationPolicy.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Update Escalation Policy
+      .addCase(updateEscalationPolicy.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateEscalationPolicy.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.policies.findIndex((p) => p.id === action.payload.id);
+        if (index !== -1) {
+          state.policies[index] = action.payload;
+        }
+      })
+      .addCase(updateEscalationPolicy.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Delete Escalation Policy
+      .addCase(deleteEscalationPolicy.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteEscalationPolicy.fulfilled, (state, action) => {
+        state.loading = false;
+        state.policies = state.policies.filter((p) => p.id !== action.payload);
+      })
+      .addCase(deleteEscalationPolicy.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Fetch Alarm Escalations
+      .addCase(fetchAlarmEscalations.fulfilled, (state, action) => {
+        state.notificationsByAlarm[action.payload.alarmId] = action.payload.notifications;
+      })
+      .addCase(fetchAlarmEscalations.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
+});
+
+// Selectors
+export const selectEscalationPolicies = (state) => state.escalation.policies;
+export const selectAlarmNotifications = (state, alarmId) => state.escalation.notificationsByAlarm[alarmId] || EMPTY_LIST;
+export const selectEscalationLoading = (state) => state.escalation.loading;
+export const selectEscalationError = (state) => state.escalation.error;
+
+// Actions
+export const { clearError } = escalationSlice.actions;
+
+// Reducer
+export default escalationSlice.reducer;
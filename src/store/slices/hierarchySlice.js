@@ -0,0 +1,96 @@
+/**
+ * Hierarchy Slice
+ * Redux slice for plant device hierarchy trees
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as hierarchyService from '../../services/hierarchyService';
+import * as deviceService from '../../services/deviceService';
+
+// Async thunks
+export const fetchHierarchyTree = createAsyncThunk(
+  'hierarchy/fetchHierarchyTree',
+  async (plantId, { rejectWithValue }) => {
+    try {
+      const data = await hierarchyService.getHierarchyTree(plantId);
+      return { plantId, tree: data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch device hierarchy');
+    }
+  }
+);
+
+// Parent/child device links of a plant, used to correlate alarms by root cause
+export const fetchPlantDeviceHierarchy = createAsyncThunk(
+  'hierarchy/fetchPlantDeviceHierarchy',
+  async (plantId, { rejectWithValue }) => {
+    try {
+      const data = await deviceService.getDeviceHierarchy(plantId);
+      return { plantId, hierarchy: data };
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch device hierarchy');
+    }
+  },
+  {
+    condition: (plantId, { getState }) => !(plantId in getState().hierarchy.deviceHierarchies),
+  }
+);
+
+// Initial state
+const initialState = {
+  trees: {},
+  deviceHierarchies: {},
+  loading: false,
+  error: null,
+};
+
+// Slice
+const hierarchySlice = createSlice({
+  name: 'hierarchy',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Hierarchy Tree
+      .addCase(fetchHierarchyTree.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchHierarchyTree.fulfilled, (state, action) => {
+        state.loading = false;
+        state.trees[action.payload.plantId] = action.payload.tree;
+      })
+      .addCase(fetchHierarchyTree.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Fetch Plant Device Hierarchy (background load, no spinner)
+      .addCase(fetchPlantDeviceHierarchy.pending, (state, action) => {
+        state.deviceHierarchies[action.meta.arg] = null;
+      })
+      .addCase(fetchPlantDeviceHierarchy.fulfilled, (state, action) => {
+        state.deviceHierarchies[action.payload.plantId] = action.payload.hierarchy;
+      })
+      // Left as null on failure: alarms of that plant are simply not grouped
+      .addCase(fetchPlantDeviceHierarchy.rejected, (state, action) => {
+        state.deviceHierarchies[action.meta.arg] = null;
+      });
+  },
+});
+
+// Selectors
+export const selectHierarchyTree = (state, plantId) => state.hierarchy.trees[plantId] || null;
+export const selectDeviceHierarchies = (state) => state.hierarchy.deviceHierarchies;
+export const selectHierarchyLoading = (state) => state.hierarchy.loading;
+export const selectHierarchyError = (state) => state.hierarchy.error;
+
+// Actions
+export const { clearError } = hierarchySlice.actions;
+
+// Reducer
+export default hierarchySlice.reducer;
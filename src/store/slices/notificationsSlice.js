@@ -0,0 +1,173 @@
+/**
+ * Notifications Slice
+ * Redux slice for the in-app notification center
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as notificationService from '../../services/notificationService';
+import {
+  MAX_NOTIFICATIONS,
+  isNotificationRelevant,
+  loadNotificationSettings,
+  saveNotificationSettings,
+  requestDesktopPermission,
+} from '../../utils/notifications';
+
+// Async thunks
+export const fetchNotifications = createAsyncThunk(
+  'notifications/fetchNotifications',
+  async (params = { limit: MAX_NOTIFICATIONS }, { rejectWithValue }) => {
+    try {
+      const data = await notificationService.getNotifications(params);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch notifications');
+    }
+  }
+);
+
+export const markNotificationRead = createAsyncThunk(
+  'notifications/markNotificationRead',
+  async (id, { rejectWithValue }) => {
+    try {
+      await notificationService.markNotificationRead(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to mark notification as read');
+    }
+  }
+);
+
+export const markAllNotificationsRead = createAsyncThunk(
+  'notifications/markAllNotificationsRead',
+  async (_arg, { rejectWithValue }) => {
+    try {
+      await notificationService.markAllNotificationsRead();
+      return true;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  }
+);
+
+// Settings are kept per browser, so a control-room PC can chime while a laptop stays quiet
+export const updateNotificationSettings = (changes) => async (dispatch, getState) => {
+  const next = { ...getState().notifications.settings, ...changes };
+
+  if (changes.desktop && !(await requestDesktopPermission())) {
+    next.desktop = false;
+  }
+
+  saveNotificationSettings(next);
+  dispatch(notificationSettingsChanged(next));
+  return next;
+};
+
+// Initial state
+const initialState = {
+  items: [],
+  settings: loadNotificationSettings(),
+  loading: false,
+  error: null,
+  // Notifications still unread when a mark-all-read request started, by request ID, to undo on failure
+  unreadBeforeReadAll: {},
+};
+
+// Slice
+const notificationsSlice = createSlice({
+  name: 'notifications',
+  initialState,
+  reducers: {
+    notificationReceived: (state, action) => {
+      const notification = action.payload;
+      if (!isNotificationRelevant(notification)) return;
+      if (state.items.some((item) => item.id === notification.id)) return;
+
+      // `live` marks notifications pushed during this session (they may chime / pop up)
+      state.items.unshift({ ...notification, read: Boolean(notification.read), live: true });
+      state.items.splice(MAX_NOTIFICATIONS);
+    },
+    notificationSettingsChanged: (state, action) => {
+      state.settings = action.payload;
+    },
+    clearNotifications: (state) => {
+      state.items = [];
+    },
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Notifications
+      .addCase(fetchNotifications.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchNotifications.fulfilled, (state, action) => {
+        state.loading = false;
+        const fetched = (action.payload?.notifications || action.payload || []).filter(isNotificationRelevant);
+        const fetchedIds = new Set(fetched.map((item) => item.id));
+        // Keep live notifications the server list does not include yet
+        const live = state.items.filter((item) => item.live && !fetchedIds.has(item.id));
+        state.items = [...live, ...fetched]
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .slice(0, MAX_NOTIFICATIONS);
+      })
+      .addCase(fetchNotifications.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Mark Notification Read (optimistic)
+      .addCase(markNotificationRead.pending, (state, action) => {
+        const notification = state.items.find((item) => item.id === action.meta.arg);
+        if (notification) notification.read = true;
+      })
+      .addCase(markNotificationRead.rejected, (state, action) => {
+        const notification = state.items.find((item) => item.id === action.meta.arg);
+        if (notification) notification.read = false;
+        state.error = action.payload;
+      })
+
+      // Mark All Notifications Read (optimistic)
+      .addCase(markAllNotificationsRead.pending, (state, action) => {
+        state.unreadBeforeReadAll[action.meta.requestId] = state.items
+          .filter((item) => !item.read)
+          .map((item) => item.id);
+        state.items.forEach((item) => {
+          item.read = true;
+        });
+      })
+      .addCase(markAllNotificationsRead.fulfilled, (state, action) => {
+        delete state.unreadBeforeReadAll[action.meta.requestId];
+      })
+      .addCase(markAllNotificationsRead.rejected, (state, action) => {
+        const unreadIds = new Set(state.unreadBeforeReadAll[action.meta.requestId] || []);
+        state.items.forEach((item) => {
+          if (unreadIds.has(item.id)) item.read = false;
+        });
+        delete state.unreadBeforeReadAll[action.meta.requestId];
+        state.error = action.payload;
+      });
+  },
+});
+
+// Selectors
+export const selectNotifications = (state) => state.notifications.items;
+export const selectUnreadNotificationCount = (state) =>
+  state.notifications.items.filter((item) => !item.read).length;
+export const selectNotificationSettings = (state) => state.notifications.settings;
+export const selectNotificationsLoading = (state) => state.notifications.loading;
+export const selectNotificationsError = (state) => state.notifications.error;
+
+// Actions
+export const {
+  notificationReceived,
+  notificationSettingsChanged,
+  clearNotifications,
+  clearError,
+} = notificationsSlice.actions;
+
+// Reducer
+export default notificationsSlice.reducer;
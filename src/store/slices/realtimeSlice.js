@@ -0,0 +1,152 @@
+/**
+ * Realtime Slice
+ * Redux slice for live telemetry pushed over the socket connection
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+import * as socketService from '../../services/socketService';
+import { notificationReceived } from './notificationsSlice';
+
+// Maximum number of live points kept per device/plant for charts
+const MAX_SERIES_POINTS = 500;
+
+let detachListeners = null;
+
+// Thunks
+export const connectRealtime = () => (dispatch) => {
+  if (!detachListeners) {
+    const offStatus = socketService.on('status', (payload) => {
+      dispatch(connectionStatusChanged(payload));
+    });
+    const offUpdate = socketService.on('tag:update', (payload) => {
+      dispatch(tagUpdateReceived(payload));
+    });
+    const offNotification = socketService.on('notification', (payload) => {
+      dispatch(notificationReceived(payload));
+    });
+
+    detachListeners = () => {
+      offStatus();
+      offUpdate();
+      offNotification();
+    };
+  }
+
+  socketService.connect();
+};
+
+export const disconnectRealtime = () => (dispatch) => {
+  socketService.disconnect();
+
+  if (detachListeners) {
+    detachListeners();
+    detachListeners = null;
+  }
+
+  dispatch(clearRealtimeData());
+};
+
+export const reconnectRealtime = () => () => {
+  socketService.reconnect();
+};
+
+// Initial state
+const initialState = {
+  status: 'disconnected',
+  reconnectAttempt: 0,
+  lastError: null,
+  lastMessageAt: null,
+  latest: {
+    devices: {},
+    plants: {},
+  },
+  series: {
+    devices: {},
+    plants: {},
+  },
+};
+
+/**
+ * Append values to a live series, merging points that share a timestamp
+ */
+const appendPoint = (series = [], timestamp, values) => {
+  const last = series[series.length - 1];
+
+  if (last && last.timestamp === timestamp) {
+    Object.assign(last, values);
+    return series;
+  }
+
+  series.push({
+    timestamp,
+    time: new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+    ...values,
+  });
+
+  if (series.length > MAX_SERIES_POINTS) {
+    series.splice(0, series.length - MAX_SERIES_POINTS);
+  }
+
+  return series;
+};
+
+// Slice
+const realtimeSlice = createSlice({
+  name: 'realtime',
+  initialState,
+  reducers: {
+    connectionStatusChanged: (state, action) => {
+      const { status, attempt, error } = action.payload;
+      state.status = status;
+      state.reconnectAttempt = status === 'connected' ? 0 : attempt ?? state.reconnectAttempt;
+      state.lastError = status === 'connected' ? null : error ?? state.lastError;
+    },
+    tagUpdateReceived: (state, action) => {
+      const { deviceId, plantId, values = {} } = action.payload;
+      const timestamp = action.payload.timestamp || new Date().toISOString();
+      const scope = deviceId ? 'devices' : 'plants';
+      const entityId = deviceId || plantId;
+
+      if (!entityId) return;
+
+      const latest = state.latest[scope][entityId] || {};
+      Object.entries(values).forEach(([tagName, value]) => {
+        latest[tagName] = { value, timestamp };
+      });
+      state.latest[scope][entityId] = latest;
+
+      state.series[scope][entityId] = appendPoint(state.series[scope][entityId], timestamp, values);
+      state.lastMessageAt = timestamp;
+    },
+    clearRealtimeData: (state) => {
+      state.latest = initialState.latest;
+      state.series = initialState.series;
+      state.lastMessageAt = null;
+    },
+  },
+});
+
+const EMPTY_SERIES = [];
+const EMPTY_LATEST = {};
+
+// Selectors
+export const selectRealtimeStatus = (state) => state.realtime.status;
+export const selectRealtimeReconnectAttempt = (state) => state.realtime.reconnectAttempt;
+export const selectRealtimeLastError = (state) => state.realtime.lastError;
+export const selectRealtimeLastMessageAt = (state) => state.realtime.lastMessageAt;
+export const selectDeviceLatestValues = (state, deviceId) =>
+  state.realtime.latest.devices[deviceId] || EMPTY_LATEST;
+export const selectPlantLatestValues = (state, plantId) =>
+  state.realtime.latest.plants[plantId] || EMPTY_LATEST;
+export const selectAllDeviceLatestValues = (state) => state.realtime.latest.devices;
+export const selectAllPlantLatestValues = (state) => state.realtime.latest.plants;
+export const selectDeviceLiveSeries = (state, deviceId) =>
+  state.realtime.series.devices[deviceId] || EMPTY_SERIES;
+export const selectPlantLiveSeries = (state, plantId) =>
+  state.realtime.series.plants[plantId] || EMPTY_SERIES;
+
+// Actions
+export const { connectionStatusChanged, tagUpdateReceived, clearRealtimeData } = realtimeSlice.actions;
+
+// Reducer
+export default realtimeSlice.reducer;
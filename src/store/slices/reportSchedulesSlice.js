@@ -0,0 +1,146 @@
+/**
+ * Report Schedules Slice
+ * Redux slice for recurring report schedules
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as reportService from '../../services/reportService';
+
+// Async thunks
+export const fetchReportSchedules = createAsyncThunk(
+  'reportSchedules/fetchReportSchedules',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const data = await reportService.getReportSchedules(params);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch report schedules');
+    }
+  }
+);
+
+export const createReportSchedule = createAsyncThunk(
+  'reportSchedules/createReportSchedule',
+  async (scheduleData, { rejectWithValue }) => {
+    try {
+      const data = await reportService.createReportSchedule(scheduleData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create report schedule');
+    }
+  }
+);
+
+export const updateReportSchedule = createAsyncThunk(
+  'reportSchedules/updateReportSchedule',
+  async ({ id, scheduleData }, { rejectWithValue }) => {
+    try {
+      const data = await reportService.updateReportSchedule(id, scheduleData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update report schedule');
+    }
+  }
+);
+
+export const deleteReportSchedule = createAsyncThunk(
+  'reportSchedules/deleteReportSchedule',
+  async (id, { rejectWithValue }) => {
+    try {
+      await reportService.deleteReportSchedule(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete report schedule');
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  schedules: [],
+  loading: false,
+  error: null,
+};
+
+// Slice
+const reportSchedulesSlice = createSlice({
+  name: 'reportSchedules',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Report Schedules
+      .addCase(fetchReportSchedules.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchReportSchedules.fulfilled, (state, action) => {
+        state.loading = false;
+        state.schedules = action.payload?.schedules || action.payload || [];
+      })
+      .addCase(fetchReportSchedules.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Create Report Schedule
+      .addCase(createReportSchedule.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createReportSchedule.fulfilled, (state, action) => {
+        state.loading = false;
+        state.schedules.unshift(action.payload);
+      })
+      .addCase(createReportSchedule.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Update Report Schedule
+      .addCase(updateReportSchedule.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateReportSchedule.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.schedules.findIndex((s) => s.id === action.payload.id);
+        if (index !== -1) {
+          state.schedules[index] = action.payload;
+        }
+      })
+      .addCase(updateReportSchedule.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Delete Report Schedule
+      .addCase(deleteReportSchedule.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteReportSchedule.fulfilled, (state, action) => {
+        state.loading = false;
+        state.schedules = state.schedules.filter((s) => s.id !== action.payload);
+      })
+      .addCase(deleteReportSchedule.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Selectors
+export const selectReportSchedules = (state) => state.reportSchedules.schedules;
+export const selectReportSchedulesLoading = (state) => state.reportSchedules.loading;
+export const selectReportSchedulesError = (state) => state.reportSchedules.error;
+
+// Actions
+export const { clearError } = reportSchedulesSlice.actions;
+
+// Reducer
+export default reportSchedulesSlice.reducer;
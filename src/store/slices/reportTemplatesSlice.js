@@ -0,0 +1,146 @@
+/**
+ * Report Templates Slice
+ * Redux slice for user-designed report templates
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as reportService from '../../services/reportService';
+
+// Async thunks
+export const fetchReportTemplates = createAsyncThunk(
+  'reportTemplates/fetchReportTemplates',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const data = await reportService.getReportTemplates(params);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch report templates');
+    }
+  }
+);
+
+export const createReportTemplate = createAsyncThunk(
+  'reportTemplates/createReportTemplate',
+  async (templateData, { rejectWithValue }) => {
+    try {
+      const data = await reportService.createReportTemplate(templateData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to create report template');
+    }
+  }
+);
+
+export const updateReportTemplate = createAsyncThunk(
+  'reportTemplates/updateReportTemplate',
+  async ({ id, templateData }, { rejectWithValue }) => {
+    try {
+      const data = await reportService.updateReportTemplate(id, templateData);
+      return data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update report template');
+    }
+  }
+);
+
+export const deleteReportTemplate = createAsyncThunk(
+  'reportTemplates/deleteReportTemplate',
+  async (id, { rejectWithValue }) => {
+    try {
+      await reportService.deleteReportTemplate(id);
+      return id;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to delete report template');
+    }
+  }
+);
+
+// Initial state
+const initialState = {
+  templates: [],
+  loading: false,
+  error: null,
+};
+
+// Slice
+const reportTemplatesSlice = createSlice({
+  name: 'reportTemplates',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Report Templates
+      .addCase(fetchReportTemplates.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchReportTemplates.fulfilled, (state, action) => {
+        state.loading = false;
+        state.templates = action.payload?.templates || action.payload || [];
+      })
+      .addCase(fetchReportTemplates.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Create Report Template
+      .addCase(createReportTemplate.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(createReportTemplate.fulfilled, (state, action) => {
+        state.loading = false;
+        state.templates.unshift(action.payload);
+      })
+      .addCase(createReportTemplate.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Update Report Template
+      .addCase(updateReportTemplate.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateReportTemplate.fulfilled, (state, action) => {
+        state.loading = false;
+        const index = state.templates.findIndex((t) => t.id === action.payload.id);
+        if (index !== -1) {
+          state.templates[index] = action.payload;
+        }
+      })
+      .addCase(updateReportTemplate.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Delete Report Template
+      .addCase(deleteReportTemplate.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteReportTemplate.fulfilled, (state, action) => {
+        state.loading = false;
+        state.templates = state.templates.filter((t) => t.id !== action.payload);
+      })
+      .addCase(deleteReportTemplate.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// Selectors
+export const selectReportTemplates = (state) => state.reportTemplates.templates;
+export const selectReportTemplatesLoading = (state) => state.reportTemplates.loading;
+export const selectReportTemplatesError = (state) => state.reportTemplates.error;
+
+// Actions
+export const { clearError } = reportTemplatesSlice.actions;
+
+// Reducer
+export default reportTemplatesSlice.reducer;
@@ -0,0 +1,211 @@
+/**
+ * Telemetry Slice
+ * Redux slice for historical time-series, energy summaries and performance data.
+ * Results are cached per entity, tag, range and interval.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import * as dataService from '../../services/dataService';
+import { normalizeTimeSeries, normalizeEnergySummary } from '../../utils/timeSeries';
+import { getPlantCoordinates } from '../../utils/solarGeometry';
+
+// Cached results younger than this are reused instead of refetched
+const CACHE_TTL = 60 * 1000;
+
+/**
+ * Build the cache key for a telemetry query
+ * @param {string} kind - Query kind (deviceData, plantData, plantEnergy, devicePerformance)
+ * @param {string} entityId - Device or plant ID
+ * @param {Object} params - Query parameters (tagName, startTime/startDate, endTime/endDate, interval/groupBy)
+ */
+export const getTelemetryKey = (kind, entityId, params = {}) =>
+  [
+    kind,
+    entityId,
+    params.tagName || '*',
+    params.startTime || params.startDate || '',
+    params.endTime || params.endDate || '',
+    params.interval || params.groupBy || '',
+  ].join('|');
+
+const getRangeHours = (params) => {
+  const start = new Date(params.startTime || params.startDate);
+  const end = new Date(params.endTime || params.endDate);
+  const hours = Math.round((end - start) / (60 * 60 * 1000));
+  return Number.isFinite(hours) && hours > 0 ? hours : 24;
+};
+
+/**
+ * Coordinates of a loaded plant, so mock series follow its daylight hours
+ */
+const getMockCoordinates = (state, plantId) => {
+  const plant = state.plants.currentPlant?.id === plantId
+    ? state.plants.currentPlant
+    : state.plants.plants.find((item) => item.id === plantId);
+  return getPlantCoordinates(plant) || undefined;
+};
+
+/**
+ * Skip the request when a fresh or in-flight result already exists for the key
+ */
+const isCached = (state, key, force) => {
+  if (force) return false;
+  const entry = state.telemetry.entries[key];
+  if (!entry) return false;
+  if (entry.loading) return true;
+  return Boolean(entry.fetchedAt) && !entry.error && Date.now() - entry.fetchedAt < CACHE_TTL;
+};
+
+// Async thunks
+export const fetchDeviceData = createAsyncThunk(
+  'telemetry/fetchDeviceData',
+  async ({ deviceId, params = {} }, { getState, rejectWithValue }) => {
+    try {
+      if (dataService.USE_MOCK_DATA) {
+        const plantId = getState().devices.currentDevice?.plantId;
+        return dataService.generateMockTimeSeriesData(
+          getRangeHours(params),
+          params.interval,
+          getMockCoordinates(getState(), plantId)
+        );
+      }
+      const data = await dataService.getDeviceData(deviceId, params);
+      return normalizeTimeSeries(data, params.tagName);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch device data');
+    }
+  },
+  {
+    condition: ({ deviceId, params = {}, force }, { getState }) =>
+      !isCached(getState(), getTelemetryKey('deviceData', deviceId, params), force),
+  }
+);
+
+export const fetchPlantData = createAsyncThunk(
+  'telemetry/fetchPlantData',
+  async ({ plantId, params = {} }, { getState, rejectWithValue }) => {
+    try {
+      if (dataService.USE_MOCK_DATA) {
+        return dataService.generateMockTimeSeriesData(
+          getRangeHours(params),
+          params.interval,
+          getMockCoordinates(getState(), plantId)
+        );
+      }
+      const data = await dataService.getPlantData(plantId, params);
+      return normalizeTimeSeries(data, params.tagName);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch plant data');
+    }
+  },
+  {
+    condition: ({ plantId, params = {}, force }, { getState }) =>
+      !isCached(getState(), getTelemetryKey('plantData', plantId, params), force),
+  }
+);
+
+export const fetchPlantEnergySummary = createAsyncThunk(
+  'telemetry/fetchPlantEnergySummary',
+  async ({ plantId, params = {} }, { rejectWithValue }) => {
+    try {
+      if (dataService.USE_MOCK_DATA) {
+        return dataService.generateMockEnergySummary(Math.max(1, Math.round(getRangeHours(params) / 24)));
+      }
+      const data = await dataService.getPlantEnergySummary(plantId, params);
+      return normalizeEnergySummary(data);
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch energy summary');
+    }
+  },
+  {
+    condition: ({ plantId, params = {}, force }, { getState }) =>
+      !isCached(getState(), getTelemetryKey('plantEnergy', plantId, params), force),
+  }
+);
+
+export const fetchDevicePerformance = createAsyncThunk(
+  'telemetry/fetchDevicePerformance',
+  async ({ deviceId, params = {} }, { rejectWithValue }) => {
+    try {
+      if (dataService.USE_MOCK_DATA) {
+        return dataService.generateMockDevicePerformance();
+      }
+      const data = await dataService.getDevicePerformance(deviceId, params);
+      return data?.data ?? data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch device performance');
+    }
+  },
+  {
+    condition: ({ deviceId, params = {}, force }, { getState }) =>
+      !isCached(getState(), getTelemetryKey('devicePerformance', deviceId, params), force),
+  }
+);
+
+// Maps each thunk to the key parts used for caching its results
+const THUNK_KEYS = [
+  [fetchDeviceData, 'deviceData', (arg) => arg.deviceId],
+  [fetchPlantData, 'plantData', (arg) => arg.plantId],
+  [fetchPlantEnergySummary, 'plantEnergy', (arg) => arg.plantId],
+  [fetchDevicePerformance, 'devicePerformance', (arg) => arg.deviceId],
+];
+
+// Initial state
+const initialState = {
+  entries: {},
+};
+
+// Slice
+const telemetrySlice = createSlice({
+  name: 'telemetry',
+  initialState,
+  reducers: {
+    clearTelemetryCache: (state) => {
+      state.entries = {};
+    },
+  },
+  extraReducers: (builder) => {
+    THUNK_KEYS.forEach(([thunk, kind, getEntityId]) => {
+      const keyFor = (action) =>
+        getTelemetryKey(kind, getEntityId(action.meta.arg), action.meta.arg.params);
+
+      builder
+        .addCase(thunk.pending, (state, action) => {
+          const key = keyFor(action);
+          state.entries[key] = {
+            data: state.entries[key]?.data ?? null,
+            loading: true,
+            error: null,
+            fetchedAt: state.entries[key]?.fetchedAt ?? null,
+          };
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.entries[keyFor(action)] = {
+            data: action.payload,
+            loading: false,
+            error: null,
+            fetchedAt: Date.now(),
+          };
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          const key = keyFor(action);
+          state.entries[key] = {
+            ...state.entries[key],
+            loading: false,
+            error: action.payload || action.error.message,
+          };
+        });
+    });
+  },
+});
+
+const EMPTY_ENTRY = { data: null, loading: false, error: null, fetchedAt: null };
+
+// Selectors
+export const selectTelemetryEntry = (state, key) => state.telemetry.entries[key] || EMPTY_ENTRY;
+
+// Actions
+export const { clearTelemetryCache } = telemetrySlice.actions;
+
+// Reducer
+export default telemetrySlice.reducer;
@@ -0,0 +1,34 @@
+/**
+ * Time Range Slice
+ * Redux slice for the global time range shared by all charts and lists
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+import { DEFAULT_TIME_RANGE, parseTimeRangeParams } from '../../utils/timeRange';
+
+// Initial state (a range in the URL wins, so shared links open on the same period)
+const initialState =
+  parseTimeRangeParams(new URLSearchParams(window.location.search)) || DEFAULT_TIME_RANGE;
+
+// Slice
+const timeRangeSlice = createSlice({
+  name: 'timeRange',
+  initialState,
+  reducers: {
+    setTimeRange: (state, action) => {
+      const { preset, start = null, end = null } = action.payload;
+      state.preset = preset;
+      state.start = preset === 'custom' ? start : null;
+      state.end = preset === 'custom' ? end : null;
+    },
+  },
+});
+
+// Selectors
+export const selectTimeRange = (state) => state.timeRange;
+
+// Actions
+export const { setTimeRange } = timeRangeSlice.actions;
+
+// Reducer
+export default timeRangeSlice.reducer;
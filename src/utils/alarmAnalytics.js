@@ -0,0 +1,194 @@
+/**
+ * Alarm Analytics Utilities
+ * Response times, top offenders, chattering detection and alarm load over time
+ */
+
+import { INTERVALS, pickInterval } from './timeRange';
+import { formatTimeLabel } from './timeSeries';
+
+const MINUTE_MS = 60 * 1000;
+
+export const SEVERITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+// An alarm chatters when it is raised this many times within the window
+export const CHATTER_WINDOW_MINUTES = 60;
+export const CHATTER_MIN_CYCLES = 5;
+
+// Buckets on the alarm load chart
+const LOAD_CHART_POINTS = 60;
+
+const toTime = (value) => new Date(value).getTime();
+
+const average = (values) =>
+  values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Alarm type used for grouping (rule type, code or message)
+ */
+export const getAlarmTypeLabel = (alarm) => alarm.alarmType || alarm.type || alarm.code || alarm.message || 'Unknown';
+
+/**
+ * Mean time to acknowledge / resolve, grouped by a key
+ * @param {Array} alarms - Alarms with triggeredAt, acknowledgedAt, resolvedAt
+ * @param {Function} getKey - alarm -> { key, label }
+ * @returns {Array<{ key, label, count, acknowledged, resolved, mttaMinutes: number|null, mttrMinutes: number|null }>}
+ */
+export const computeResponseTimes = (alarms, getKey) => {
+  const groups = new Map();
+
+  alarms.forEach((alarm) => {
+    const { key, label } = getKey(alarm);
+    const group = groups.get(key) || { key, label, count: 0, ackTimes: [], resolveTimes: [] };
+    const raised = toTime(alarm.triggeredAt);
+
+    group.count += 1;
+    if (alarm.acknowledgedAt) group.ackTimes.push((toTime(alarm.acknowledgedAt) - raised) / MINUTE_MS);
+    if (alarm.resolvedAt) group.resolveTimes.push((toTime(alarm.resolvedAt) - raised) / MINUTE_MS);
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].map(({ ackTimes, resolveTimes, ...group }) => ({
+    ...group,
+    acknowledged: ackTimes.length,
+    resolved: resolveTimes.length,
+    mttaMinutes: average(ackTimes),
+    mttrMinutes: average(resolveTimes),
+  }));
+};
+
+/**
+ * Pareto rows: most frequent groups first, with the cumulative share of all alarms
+ * @param {Array} alarms - Alarms
+ * @param {Function} getLabel - alarm -> group label
+ * @param {Object} options
+ * @param {Function} options.getKey - alarm -> group key, when groups are not identified by their label
+ * @param {number} options.limit - Number of groups kept
+ * @returns {Array<{ key, label: string, count: number, cumulativePercent: number }>}
+ */
+export const buildPareto = (alarms, getLabel, { getKey = getLabel, limit = 10 } = {}) => {
+  const groups = new Map();
+  alarms.forEach((alarm) => {
+    const key = getKey(alarm);
+    const group = groups.get(key);
+    if (group) {
+      group.count += 1;
+    } else {
+      groups.set(key, { key, label: getLabel(alarm), count: 1 });
+    }
+  });
+
+  let cumulative = 0;
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map((group) => {
+      cumulative += group.count;
+      return { ...group, cumulativePercent: Math.round((cumulative / alarms.length) * 1000) / 10 };
+    });
+};
+
+/**
+ * Alarms that keep raising and clearing on the same device
+ * @param {Array} alarms - Alarms
+ * @param {Object} options
+ * @param {number} options.windowMinutes - Sliding window length
+ * @param {number} options.minCycles - Raises within the window that count as chattering
+ * @returns {Array<{ key, deviceId, deviceName, plantName, type, total, maxCycles, windowStart, lastRaisedAt }>}
+ */
+export const detectChattering = (
+  alarms,
+  { windowMinutes = CHATTER_WINDOW_MINUTES, minCycles = CHATTER_MIN_CYCLES } = {}
+) => {
+  const windowMs = windowMinutes * MINUTE_MS;
+  const groups = new Map();
+
+  alarms.forEach((alarm) => {
+    const deviceId = alarm.deviceId || alarm.device?.id || null;
+    const type = getAlarmTypeLabel(alarm);
+    const key = `${deviceId}|${type}`;
+    const group = groups.get(key) || {
+      key,
+      deviceId,
+      deviceName: alarm.device?.name || null,
+      plantName: alarm.plant?.name || null,
+      type,
+      times: [],
+    };
+    group.times.push(toTime(alarm.triggeredAt));
+    groups.set(key, group);
+  });
+
+  const chattering = [];
+  groups.forEach(({ times, ...group }) => {
+    times.sort((a, b) => a - b);
+
+    // Two-pointer sweep for the busiest window
+    let maxCycles = 0;
+    let windowStart = null;
+    let first = 0;
+    times.forEach((time, last) => {
+      while (time - times[first] > windowMs) first += 1;
+      if (last - first + 1 > maxCycles) {
+        maxCycles = last - first + 1;
+        windowStart = times[first];
+      }
+    });
+
+    if (maxCycles >= minCycles) {
+      chattering.push({
+        ...group,
+        total: times.length,
+        maxCycles,
+        windowStart: new Date(windowStart).toISOString(),
+        lastRaisedAt: new Date(times[times.length - 1]).toISOString(),
+      });
+    }
+  });
+
+  return chattering.sort((a, b) => b.maxCycles - a.maxCycles || b.total - a.total);
+};
+
+/**
+ * Alarms raised per time bucket, split by severity
+ * @param {Array} alarms - Alarms
+ * @param {string} startTime - ISO start
+ * @param {string} endTime - ISO end
+ * @returns {Array<{ timestamp, time, total, CRITICAL, HIGH, MEDIUM, LOW, INFO }>}
+ */
+export const buildAlarmLoadSeries = (alarms, startTime, endTime) => {
+  const interval = pickInterval(startTime, endTime, LOAD_CHART_POINTS);
+  const bucketMs = INTERVALS.find((item) => item.value === interval).ms;
+  const start = Math.floor(toTime(startTime) / bucketMs) * bucketMs;
+  const end = toTime(endTime);
+  const spansDays = end - start > 24 * 60 * MINUTE_MS;
+
+  const rows = [];
+  for (let time = start; time < end; time += bucketMs) {
+    rows.push({
+      timestamp: new Date(time).toISOString(),
+      time: formatTimeLabel(time, spansDays),
+      total: 0,
+      ...Object.fromEntries(SEVERITY_ORDER.map((severity) => [severity, 0])),
+    });
+  }
+
+  alarms.forEach((alarm) => {
+    const index = Math.floor((toTime(alarm.triggeredAt) - start) / bucketMs);
+    const row = rows[index];
+    if (!row) return;
+    row.total += 1;
+    if (alarm.severity in row) row[alarm.severity] += 1;
+  });
+
+  return rows;
+};
+
+/**
+ * Duration in minutes as a short label (e.g. "42 min", "3.5 h", "2.1 d")
+ */
+export const formatMinutes = (minutes) => {
+  if (minutes === null || minutes === undefined) return '-';
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  if (minutes < 24 * 60) return `${(minutes / 60).toFixed(1)} h`;
+  return `${(minutes / (24 * 60)).toFixed(1)} d`;
+};
@@ -0,0 +1,101 @@
+/**
+ * Alarm Filter Utilities
+ * URL round-tripping and saved presets for the Alarms page filters
+ */
+
+// Filters mirrored into the URL (?severity=CRITICAL&plantId=...)
+export const ALARM_FILTER_KEYS = ['severity', 'status', 'plantId', 'deviceId', 'search'];
+
+export const DEFAULT_ALARM_FILTERS = {
+  severity: '',
+  status: '',
+  plantId: '',
+  deviceId: '',
+  search: '',
+};
+
+const PRESETS_KEY_PREFIX = 'alarmFilterPresets';
+
+/**
+ * Read alarm filters from URL search params
+ * @param {URLSearchParams} searchParams
+ * @returns {Object|null} - Complete filter set, or null when the URL carries no alarm filters
+ */
+export const parseAlarmFilterParams = (searchParams) => {
+  if (!ALARM_FILTER_KEYS.some((key) => searchParams.has(key))) return null;
+  return Object.fromEntries(ALARM_FILTER_KEYS.map((key) => [key, searchParams.get(key) || '']));
+};
+
+/**
+ * Write alarm filters into URL search params (empty filters are removed, other params are kept)
+ * @param {URLSearchParams} searchParams
+ * @param {Object} filters - Alarm filters
+ * @returns {URLSearchParams} - New params instance
+ */
+export const writeAlarmFilterParams = (searchParams, filters) => {
+  const params = new URLSearchParams(searchParams);
+  ALARM_FILTER_KEYS.forEach((key) => {
+    if (filters[key]) {
+      params.set(key, filters[key]);
+    } else {
+      params.delete(key);
+    }
+  });
+  return params;
+};
+
+/**
+ * Query for "everything matching the current filter" (no paging), as sent to bulk actions
+ * @param {Object} filters - Alarm filters
+ * @param {Object} range - { startTime, endTime }
+ */
+export const getAlarmFilterQuery = (filters, { startTime, endTime }) => ({
+  startDate: startTime,
+  endDate: endTime,
+  ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '')),
+});
+
+/**
+ * Query for one list tab: the filter query plus the shelved/masked split and the night-time
+ * hiding, which the server applies so paging, counts and bulk actions cover the same alarms
+ * @param {Object} filters - Alarm filters
+ * @param {Object} range - { startTime, endTime }
+ * @param {Object} options
+ * @param {boolean} options.suppressed - Shelved / masked alarms instead of the main list
+ * @param {boolean} options.hideNightProduction - Leave out "no production" alarms raised while the sun was down
+ */
+export const getAlarmListQuery = (filters, range, { suppressed = false, hideNightProduction = false } = {}) => ({
+  ...getAlarmFilterQuery(filters, range),
+  suppressed,
+  ...(hideNightProduction ? { hideNightProduction } : {}),
+});
+
+/**
+ * Total number of alarms in a getAllAlarms response (plain list or paged envelope)
+ */
+export const getAlarmTotal = (data) =>
+  Array.isArray(data) ? data.length : data?.pagination?.total ?? null;
+
+const getPresetsKey = (userId) => `${PRESETS_KEY_PREFIX}:${userId || 'anonymous'}`;
+
+/**
+ * Saved filter presets of a user ({ id, name, filters, timeRange })
+ * @param {string} userId - User ID
+ */
+export const loadFilterPresets = (userId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getPresetsKey(userId)));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Persist a user's filter presets
+ * @param {string} userId - User ID
+ * @param {Array} presets - Presets
+ */
+export const saveFilterPresets = (userId, presets) => {
+  localStorage.setItem(getPresetsKey(userId), JSON.stringify(presets));
+};
@@ -0,0 +1,255 @@
+/**
+ * Alarm Rules
+ * Rule definitions and a client-side evaluator used to preview rules against
+ * historical data before they are enabled. The backend evaluates enabled rules live;
+ * this mirrors its semantics (deadband, delay before raising, auto-clear).
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export const RULE_TYPES = [
+  {
+    value: 'HIGH_THRESHOLD',
+    label: 'High Threshold',
+    description: 'Raise when the value goes above the threshold; clear once it drops below threshold − deadband',
+    thresholdLabel: 'Threshold',
+    usesDeadband: true,
+  },
+  {
+    value: 'LOW_THRESHOLD',
+    label: 'Low Threshold',
+    description: 'Raise when the value goes below the threshold; clear once it rises above threshold + deadband',
+    thresholdLabel: 'Threshold',
+    usesDeadband: true,
+  },
+  {
+    value: 'RATE_OF_CHANGE',
+    label: 'Rate of Change',
+    description: 'Raise when the value changes faster than the limit (units per minute)',
+    thresholdLabel: 'Max change per minute',
+    usesDeadband: true,
+  },
+  {
+    value: 'STALE_DATA',
+    label: 'Stale / No Data',
+    description: 'Raise when no new value arrives for the configured number of minutes',
+    thresholdLabel: null,
+    usesDeadband: false,
+  },
+  {
+    value: 'SIBLING_DEVIATION',
+    label: 'Sibling Comparison',
+    description: 'Raise when the value is more than the given percentage below the median of sibling devices',
+    thresholdLabel: 'Max deviation below siblings (%)',
+    usesDeadband: true,
+  },
+];
+
+export const RULE_SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+
+export const DEFAULT_RULE = {
+  name: '',
+  description: '',
+  type: 'HIGH_THRESHOLD',
+  scope: 'TEMPLATE',
+  templateId: '',
+  tagId: '',
+  tagName: '',
+  threshold: '',
+  deadband: 0,
+  staleMinutes: 15,
+  severity: 'MEDIUM',
+  delaySeconds: 60,
+  autoClear: true,
+  enabled: false,
+};
+
+export const getRuleType = (type) => RULE_TYPES.find((item) => item.value === type) || RULE_TYPES[0];
+
+/**
+ * Validate a rule definition
+ * @returns {Array<string>} Problems (empty when the rule is valid)
+ */
+export const validateRule = (rule) => {
+  const problems = [];
+  if (!rule.name?.trim()) problems.push('Name is required');
+  if (!rule.tagName) problems.push('Tag is required');
+  if (rule.scope === 'TEMPLATE' && !rule.templateId) problems.push('Template is required');
+
+  if (rule.type === 'STALE_DATA') {
+    if (!(Number(rule.staleMinutes) > 0)) problems.push('Stale period must be greater than zero');
+  } else if (rule.threshold === '' || !Number.isFinite(Number(rule.threshold))) {
+    problems.push(`${getRuleType(rule.type).thresholdLabel} is required`);
+  }
+
+  if (Number(rule.deadband) < 0) problems.push('Deadband cannot be negative');
+  if (Number(rule.delaySeconds) < 0) problems.push('Delay cannot be negative');
+  return problems;
+};
+
+/**
+ * Devices a rule applies to
+ * @param {Object} rule - Rule definition
+ * @param {Array} devices - Device list
+ * @param {Array} tags - Tag library (TAG scope is narrowed to the tag's device type)
+ */
+export const getRuleDevices = (rule, devices, tags = []) => {
+  if (rule.scope === 'TEMPLATE') {
+    return devices.filter((device) => (device.template?.id || device.templateId) === rule.templateId);
+  }
+  const tag = tags.find((t) => t.id === rule.tagId || t.name === rule.tagName);
+  return tag?.deviceType ? devices.filter((device) => device.deviceType === tag.deviceType) : devices;
+};
+
+/**
+ * Other devices under the same parent, used by SIBLING_DEVIATION rules
+ */
+export const getSiblingDevices = (device, devices) =>
+  device?.parentDeviceId
+    ? devices.filter((item) => item.id !== device.id && item.parentDeviceId === device.parentDeviceId)
+    : [];
+
+const toPoints = (series, tagName) =>
+  (series || [])
+    .filter((row) => typeof row[tagName] === 'number')
+    .map((row) => ({ time: new Date(row.timestamp).getTime(), value: row[tagName] }))
+    .sort((a, b) => a.time - b.time);
+
+/**
+ * Per-sample raise/clear conditions for value-based rule types
+ */
+const getConditions = (rule, points, siblingSeries) => {
+  const threshold = Number(rule.threshold);
+  const deadband = Number(rule.deadband) || 0;
+
+  switch (rule.type) {
+    case 'LOW_THRESHOLD':
+      return points.map((point) => ({
+        ...point,
+        raise: point.value < threshold,
+        clear: point.value >= threshold + deadband,
+      }));
+
+    case 'RATE_OF_CHANGE':
+      return points.slice(1).map((point, index) => {
+        const previous = points[index];
+        const minutes = (point.time - previous.time) / MINUTE_MS;
+        const rate = minutes > 0 ? Math.abs(point.value - previous.value) / minutes : 0;
+        return { ...point, raise: rate > threshold, clear: rate <= Math.max(0, threshold - deadband) };
+      });
+
+    case 'SIBLING_DEVIATION': {
+      const siblingValues = new Map();
+      siblingSeries.forEach((series) => {
+        toPoints(series, rule.tagName).forEach(({ time, value }) => {
+          siblingValues.set(time, [...(siblingValues.get(time) || []), value]);
+        });
+      });
+
+      return points
+        .filter((point) => siblingValues.has(point.time))
+        .map((point) => {
+          const values = [...siblingValues.get(point.time)].sort((a, b) => a - b);
+          const middle = Math.floor(values.length / 2);
+          const median = values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+          const deviation = median ? ((point.value - median) / Math.abs(median)) * 100 : 0;
+          return { ...point, raise: deviation < -threshold, clear: deviation >= -(threshold - deadband) };
+        });
+    }
+
+    case 'HIGH_THRESHOLD':
+    default:
+      return points.map((point) => ({
+        ...point,
+        raise: point.value > threshold,
+        clear: point.value <= threshold - deadband,
+      }));
+  }
+};
+
+/**
+ * Stale-data events: gaps between samples (and after the last one) longer than the stale period
+ */
+const evaluateStaleData = (rule, points, endTime) => {
+  const staleMs = Number(rule.staleMinutes) * MINUTE_MS;
+  const delayMs = (Number(rule.delaySeconds) || 0) * 1000;
+  const end = endTime ? new Date(endTime).getTime() : Date.now();
+  const events = [];
+
+  points.forEach((point, index) => {
+    if (!rule.autoClear && events.length > 0) return;
+
+    const nextTime = index + 1 < points.length ? points[index + 1].time : end;
+    const raisedAt = point.time + staleMs + delayMs;
+    if (raisedAt < nextTime) {
+      events.push({
+        raisedAt: new Date(raisedAt).toISOString(),
+        clearedAt: rule.autoClear && index + 1 < points.length ? new Date(nextTime).toISOString() : null,
+        value: point.value,
+      });
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Replay a rule over historical data
+ * @param {Object} rule - Rule definition
+ * @param {Array} series - Chart rows for the device ({ timestamp, [tagName]: value })
+ * @param {Object} options
+ * @param {Array<Array>} options.siblingSeries - Series of sibling devices (SIBLING_DEVIATION)
+ * @param {string} options.endTime - End of the previewed range (STALE_DATA)
+ * @returns {Array<{ raisedAt: string, clearedAt: string|null, value: number }>} Alarms the rule would have raised
+ */
+export const evaluateRule = (rule, series, { siblingSeries = [], endTime } = {}) => {
+  const points = toPoints(series, rule.tagName);
+  if (rule.type === 'STALE_DATA') return evaluateStaleData(rule, points, endTime);
+
+  const delayMs = (Number(rule.delaySeconds) || 0) * 1000;
+  const events = [];
+  let pendingSince = null;
+  let active = null;
+
+  getConditions(rule, points, siblingSeries).forEach((sample) => {
+    if (active) {
+      if (sample.clear && rule.autoClear) {
+        active.clearedAt = new Date(sample.time).toISOString();
+        active = null;
+      }
+      return;
+    }
+
+    if (!sample.raise) {
+      pendingSince = null;
+      return;
+    }
+
+    pendingSince = pendingSince ?? sample.time;
+    if (sample.time - pendingSince >= delayMs) {
+      active = { raisedAt: new Date(sample.time).toISOString(), clearedAt: null, value: sample.value };
+      events.push(active);
+      pendingSince = null;
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Totals for a preview run
+ * @param {Array} events - Output of evaluateRule
+ * @param {string} endTime - End of the previewed range (open alarms count until then)
+ * @returns {{ count: number, open: number, activeMinutes: number }}
+ */
+export const summarizeRuleEvents = (events, endTime) => {
+  const end = endTime ? new Date(endTime).getTime() : Date.now();
+  return {
+    count: events.length,
+    open: events.filter((event) => !event.clearedAt).length,
+    activeMinutes: events.reduce((sum, event) => {
+      const cleared = event.clearedAt ? new Date(event.clearedAt).getTime() : end;
+      return sum + Math.max(0, cleared - new Date(event.raisedAt).getTime()) / MINUTE_MS;
+    }, 0),
+  };
+};
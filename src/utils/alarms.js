@@ -0,0 +1,257 @@
+/**
+ * Alarm Utilities
+ * Client-side classification of alarms received from the API
+ */
+
+import { getPlantCoordinates, isDaylight } from './solarGeometry';
+
+// Alarms about missing or low generation, which are expected while the sun is down
+const PRODUCTION_ALARM_PATTERN = /\b(zero|no|low|under)[\s_-]*(production|generation|power|output|yield)\b/i;
+
+/**
+ * Whether an alarm reports missing or low production
+ * @param {Object} alarm - Alarm (matches on alarmType, type, code and message)
+ */
+export const isProductionAlarm = (alarm) =>
+  PRODUCTION_ALARM_PATTERN.test(
+    [alarm.alarmType, alarm.type, alarm.code, alarm.message].filter(Boolean).join(' ')
+  );
+
+/**
+ * Whether an alarm is a "no production" alarm raised while the sun was down at the plant
+ * @param {Object} alarm - Alarm with triggeredAt
+ * @param {Object} plant - Plant with location (falls back to alarm.plant)
+ */
+export const isNightProductionAlarm = (alarm, plant = alarm.plant) => {
+  const coordinates = getPlantCoordinates(plant);
+  return Boolean(coordinates) && isProductionAlarm(alarm) && !isDaylight(alarm.triggeredAt, coordinates);
+};
+
+const toTime = (value) => new Date(value).getTime();
+
+/**
+ * Whether a maintenance mask is in force at a given time (open-ended masks never expire)
+ * @param {Object} mask - Mask with optional startsAt / endsAt
+ * @param {number} now - Epoch milliseconds
+ */
+export const isMaskActive = (mask, now = Date.now()) =>
+  (!mask.startsAt || toTime(mask.startsAt) <= now) && (!mask.endsAt || toTime(mask.endsAt) > now);
+
+/**
+ * Device ID followed by its ancestors, walking parentById until the root
+ */
+const getDeviceLineage = (deviceId, parentById) => {
+  const lineage = [];
+  let current = deviceId;
+  while (current && !lineage.includes(current)) {
+    lineage.push(current);
+    current = parentById.get(current);
+  }
+  return lineage;
+};
+
+/**
+ * Why an alarm is currently hidden from the main list, or null when it is not.
+ * Shelving takes precedence over device masks, which take precedence over plant maintenance.
+ * @param {Object} alarm - Alarm (shelvedUntil, shelveReason, deviceId)
+ * @param {Object} context
+ * @param {Object} context.plant - The alarm's plant; MAINTENANCE status masks all of its alarms
+ * @param {Array} context.masks - Maintenance masks ({ deviceId, includeChildren, startsAt, endsAt, reason })
+ * @param {Map} context.parentById - Device ID -> parent device ID, used for subtree masks
+ * @param {number} context.now - Epoch milliseconds
+ * @returns {{ type: 'SHELVED'|'MASKED'|'PLANT_MAINTENANCE', until: string|null, reason: string|null }|null}
+ */
+export const getAlarmSuppression = (
+  alarm,
+  { plant = alarm.plant, masks = [], parentById = new Map(), now = Date.now() } = {}
+) => {
+  if (alarm.shelvedUntil && toTime(alarm.shelvedUntil) > now) {
+    return { type: 'SHELVED', until: alarm.shelvedUntil, reason: alarm.shelveReason || null };
+  }
+
+  const deviceId = alarm.deviceId || alarm.device?.id;
+  if (deviceId) {
+    const lineage = getDeviceLineage(deviceId, parentById);
+    const mask = masks.find((item) =>
+      isMaskActive(item, now) &&
+      (item.deviceId === deviceId || (item.includeChildren && lineage.includes(item.deviceId)))
+    );
+    if (mask) {
+      return { type: 'MASKED', until: mask.endsAt || null, reason: mask.reason || null };
+    }
+  }
+
+  if (plant?.status === 'MAINTENANCE') {
+    return { type: 'PLANT_MAINTENANCE', until: null, reason: null };
+  }
+
+  return null;
+};
+
+/**
+ * Next time a shelve or mask starts or ends, so the page can re-sort alarms exactly then
+ * @returns {number|null} Epoch milliseconds
+ */
+export const getNextSuppressionChange = (alarms, masks, now = Date.now()) => {
+  const times = [
+    ...alarms.map((alarm) => alarm.shelvedUntil),
+    ...masks.flatMap((mask) => [mask.startsAt, mask.endsAt]),
+  ]
+    .filter(Boolean)
+    .map(toTime)
+    .filter((time) => time > now);
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+// Downstream alarms within this many minutes of an upstream alarm are treated as its consequences
+export const ROOT_CAUSE_WINDOW_MINUTES = 15;
+
+/**
+ * Add device ID -> parent device ID links from a hierarchy response
+ * @param {Object|Array} hierarchy - getDeviceHierarchy payload: nested `children` or flat `parentDeviceId`
+ * @param {Map} parentById - Map to extend
+ * @returns {Map} parentById
+ */
+export const addHierarchyLinks = (hierarchy, parentById = new Map()) => {
+  const roots = Array.isArray(hierarchy) ? hierarchy : hierarchy?.children || hierarchy?.devices || [];
+
+  const walk = (node, parentId) => {
+    const linkedParentId = parentId || node.parentDeviceId || node.parentId;
+    if (node.id && linkedParentId) parentById.set(node.id, linkedParentId);
+    (node.children || []).forEach((child) => walk(child, node.id));
+  };
+
+  roots.forEach((node) => walk(node, null));
+  return parentById;
+};
+
+const getAlarmDeviceId = (alarm) => alarm.deviceId || alarm.device?.id;
+
+/**
+ * Group alarms into incidents: an alarm on the top-most upstream device becomes the
+ * parent and alarms on its descendants raised within the window become consequences.
+ * @param {Array} alarms - Alarms (order is kept for the parents)
+ * @param {Map} parentById - Device ID -> parent device ID
+ * @param {number} windowMinutes - Max time between the parent and a consequence
+ * @returns {Array<{ alarm: Object, consequences: Array }>}
+ */
+export const groupAlarmsByRootCause = (alarms, parentById, windowMinutes = ROOT_CAUSE_WINDOW_MINUTES) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  const alarmsByDevice = new Map();
+  alarms.forEach((alarm) => {
+    const deviceId = getAlarmDeviceId(alarm);
+    if (deviceId) alarmsByDevice.set(deviceId, [...(alarmsByDevice.get(deviceId) || []), alarm]);
+  });
+
+  // Earliest alarm in the window on the top-most ancestor that has one
+  const findCause = (alarm) => {
+    const deviceId = getAlarmDeviceId(alarm);
+    if (!deviceId) return null;
+    const time = toTime(alarm.triggeredAt);
+    const ancestors = getDeviceLineage(deviceId, parentById).slice(1).reverse();
+
+    for (const ancestorId of ancestors) {
+      const candidates = (alarmsByDevice.get(ancestorId) || [])
+        .filter((candidate) => Math.abs(toTime(candidate.triggeredAt) - time) <= windowMs)
+        .sort((a, b) => toTime(a.triggeredAt) - toTime(b.triggeredAt));
+      if (candidates.length > 0) return candidates[0];
+    }
+    return null;
+  };
+
+  const causeById = new Map();
+  alarms.forEach((alarm) => {
+    const cause = findCause(alarm);
+    if (cause) causeById.set(alarm.id, cause);
+  });
+
+  // Follow causes up to the incident root (an upstream alarm may itself be a consequence)
+  const findRoot = (alarm) => {
+    let root = alarm;
+    const seen = new Set([root.id]);
+    while (causeById.has(root.id) && !seen.has(causeById.get(root.id).id)) {
+      root = causeById.get(root.id);
+      seen.add(root.id);
+    }
+    return root;
+  };
+
+  const groups = new Map();
+  alarms.forEach((alarm) => {
+    if (!causeById.has(alarm.id)) groups.set(alarm.id, { alarm, consequences: [] });
+  });
+  alarms.forEach((alarm) => {
+    if (causeById.has(alarm.id)) groups.get(findRoot(alarm).id)?.consequences.push(alarm);
+  });
+
+  return [...groups.values()];
+};
+
+// Telemetry shown either side of an alarm on its detail page
+export const ALARM_TREND_PADDING_MINUTES = 60;
+
+/**
+ * Tag that triggered an alarm, when the alarm came from a tag rule
+ */
+export const getAlarmTagName = (alarm) => alarm.tagName || alarm.tag?.name || alarm.rule?.tagName || null;
+
+/**
+ * Time window for an alarm's trend: from before it was raised until after it cleared (or now)
+ * @param {Object} alarm - Alarm with triggeredAt and optional resolvedAt
+ * @param {number} now - Epoch milliseconds
+ * @returns {{ startTime: string, endTime: string }}
+ */
+export const getAlarmTrendWindow = (alarm, now = Date.now()) => {
+  const paddingMs = ALARM_TREND_PADDING_MINUTES * 60 * 1000;
+  const start = toTime(alarm.triggeredAt) - paddingMs;
+  const end = alarm.resolvedAt ? Math.min(now, toTime(alarm.resolvedAt) + paddingMs) : now;
+  return { startTime: new Date(start).toISOString(), endTime: new Date(Math.max(end, start + paddingMs)).toISOString() };
+};
+
+const getActorName = (actor) => (typeof actor === 'string' ? actor : actor?.name || actor?.email || null);
+
+/**
+ * Lifecycle of an alarm, oldest first. Uses the server's `history` when present,
+ * otherwise derives the steps from the alarm's own timestamps.
+ * @param {Object} alarm - Alarm
+ * @returns {Array<{ action: 'RAISED'|'ACKNOWLEDGED'|'SHELVED'|'UNSHELVED'|'RESOLVED', at: string, by: string|null, note: string|null }>}
+ */
+export const buildAlarmLifecycle = (alarm) => {
+  if (Array.isArray(alarm.history) && alarm.history.length > 0) {
+    return alarm.history
+      .map((entry) => ({
+        action: entry.action,
+        at: entry.at || entry.createdAt,
+        by: getActorName(entry.user || entry.by),
+        note: entry.note || null,
+      }))
+      .sort((a, b) => toTime(a.at) - toTime(b.at));
+  }
+
+  const steps = [{ action: 'RAISED', at: alarm.triggeredAt, by: null, note: null }];
+  if (alarm.acknowledgedAt) {
+    steps.push({
+      action: 'ACKNOWLEDGED',
+      at: alarm.acknowledgedAt,
+      by: getActorName(alarm.acknowledgedBy),
+      note: alarm.notes || alarm.acknowledgeNote || null,
+    });
+  }
+  if (alarm.shelvedAt) {
+    steps.push({
+      action: 'SHELVED',
+      at: alarm.shelvedAt,
+      by: getActorName(alarm.shelvedBy),
+      note: alarm.shelveReason || null,
+    });
+  }
+  if (alarm.resolvedAt) {
+    steps.push({
+      action: 'RESOLVED',
+      at: alarm.resolvedAt,
+      by: getActorName(alarm.resolvedBy),
+      note: alarm.resolution || null,
+    });
+  }
+  return steps.sort((a, b) => toTime(a.at) - toTime(b.at));
+};
@@ -0,0 +1,154 @@
+/**
+ * Device Comparison
+ * Normalised yield (kWh/kWp) and outlier detection for inverters and strings under a plant
+ */
+
+import { getLocalDateKey } from './timeSeries';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Device levels that can be compared, matched on the device type or template name
+export const COMPARISON_LEVELS = [
+  { value: 'inverter', label: 'Inverters', pattern: /inverter|\binv\b/i },
+  { value: 'string', label: 'Strings / Combiner Boxes', pattern: /string|combiner|\bscb\b|\bsmb\b/i },
+];
+
+// Deviation (%) from the plant median that marks a device as an outlier
+export const DEFAULT_OUTLIER_THRESHOLD = 10;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Median of a list of numbers (null when empty)
+ */
+export const median = (values) => {
+  const sorted = values.filter((value) => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Device type name of a hierarchy node (type relation, plain string or template)
+ */
+export const getDeviceTypeName = (node) =>
+  node.deviceType?.name || node.deviceType || node.template?.name || node.type || '';
+
+/**
+ * Flatten a hierarchy tree (from getHierarchyTree) into a device list.
+ * Each device keeps its parent's name and depth; children are dropped.
+ * @param {Object|Array} tree - Nested tree, or a root with `children`/`devices`
+ */
+export const flattenHierarchy = (tree) => {
+  const roots = Array.isArray(tree) ? tree : tree?.children || tree?.devices || [];
+  const nodes = [];
+
+  const walk = (node, parent, depth) => {
+    const { children = [], ...device } = node;
+    nodes.push({ ...device, parentName: parent?.name || null, depth });
+    children.forEach((child) => walk(child, node, depth + 1));
+  };
+
+  roots.forEach((node) => walk(node, null, 0));
+  return nodes;
+};
+
+/**
+ * Devices of one comparison level (see COMPARISON_LEVELS) under a plant
+ */
+export const getComparableDevices = (tree, level) => {
+  const { pattern } = COMPARISON_LEVELS.find((item) => item.value === level) || COMPARISON_LEVELS[0];
+  return flattenHierarchy(tree).filter((node) => pattern.test(getDeviceTypeName(node)));
+};
+
+/**
+ * Local calendar days (YYYY-MM-DD) covered by a range
+ * @param {string} startTime - ISO start
+ * @param {string} endTime - ISO end (exclusive)
+ * @param {string} timeZone - Plant timezone
+ */
+export const enumerateDays = (startTime, endTime, timeZone) => {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  const days = new Set();
+  for (let time = start; time < end; time += 6 * HOUR_MS) {
+    days.add(getLocalDateKey(time, timeZone));
+  }
+  if (end > start) days.add(getLocalDateKey(end - 1, timeZone));
+  return [...days];
+};
+
+/**
+ * Sum a series field per local calendar day
+ * @returns {Object} { [YYYY-MM-DD]: total }
+ */
+export const aggregateDaily = (rows = [], field = 'energy', timeZone) =>
+  rows.reduce((totals, row) => {
+    if (typeof row[field] !== 'number') return totals;
+    const day = getLocalDateKey(row.timestamp, timeZone);
+    totals[day] = (totals[day] || 0) + row[field];
+    return totals;
+  }, {});
+
+/**
+ * Normalised yield per device and per day, compared with the plant median
+ * @param {Object} options
+ * @param {Array} options.devices - Devices from getComparableDevices
+ * @param {Object} options.seriesById - Energy series per device ID ({ timestamp, energy } rows)
+ * @param {Array<string>} options.days - Day keys from enumerateDays
+ * @param {string} options.timeZone - Plant timezone
+ * @param {number} options.plantCapacity - Plant capacity (kWp), shared equally by devices without a rating
+ * @param {number} options.threshold - Outlier threshold (%)
+ * @returns {{ rows: Array, dailyMedians: Object, medianYield: number|null }}
+ */
+export const buildYieldComparison = ({
+  devices,
+  seriesById,
+  days,
+  timeZone,
+  plantCapacity,
+  threshold = DEFAULT_OUTLIER_THRESHOLD,
+}) => {
+  const sharedCapacity = plantCapacity > 0 && devices.length > 0 ? plantCapacity / devices.length : null;
+
+  const rows = devices.map((device) => {
+    const ratedCapacity = toNumber(device.capacity ?? device.ratedPower);
+    const capacity = ratedCapacity || sharedCapacity;
+    const daily = aggregateDaily(seriesById[device.id] || [], 'energy', timeZone);
+    const energy = Object.values(daily).reduce((sum, value) => sum + value, 0);
+
+    const dailyYield = {};
+    days.forEach((day) => {
+      dailyYield[day] = capacity && typeof daily[day] === 'number' ? daily[day] / capacity : null;
+    });
+
+    return {
+      device,
+      capacity,
+      capacityAssumed: !ratedCapacity && Boolean(capacity),
+      energy,
+      hasData: Object.keys(daily).length > 0,
+      specificYield: capacity ? energy / capacity : null,
+      dailyYield,
+    };
+  });
+
+  const medianYield = median(rows.filter((row) => row.hasData).map((row) => row.specificYield));
+  const dailyMedians = Object.fromEntries(
+    days.map((day) => [day, median(rows.map((row) => row.dailyYield[day]))])
+  );
+
+  return {
+    medianYield,
+    dailyMedians,
+    rows: rows.map((row) => {
+      const deviation = row.hasData && row.specificYield !== null && medianYield > 0
+        ? ((row.specificYield - medianYield) / medianYield) * 100
+        : null;
+      return { ...row, deviation, isOutlier: deviation !== null && Math.abs(deviation) > threshold };
+    }),
+  };
+};
@@ -0,0 +1,94 @@
+/**
+ * Escalation Utilities
+ * Policy matching and escalation timelines for alarms
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+export const DEFAULT_LEVEL = { userIds: [], channels: ['IN_APP', 'EMAIL'], waitMinutes: 15 };
+
+export const DEFAULT_POLICY = {
+  name: '',
+  plantId: '',
+  severity: 'CRITICAL',
+  webhookUrl: '',
+  levels: [DEFAULT_LEVEL],
+};
+
+/**
+ * Escalation policy for an alarm: the plant's policy for the alarm severity,
+ * falling back to the plant's catch-all policy (no severity)
+ * @param {Array} policies - Escalation policies
+ * @param {Object} alarm - Alarm with plantId and severity
+ */
+export const findEscalationPolicy = (policies, alarm) => {
+  const plantId = alarm.plantId || alarm.plant?.id;
+  const plantPolicies = policies.filter((policy) => policy.plantId === plantId);
+  return (
+    plantPolicies.find((policy) => policy.severity === alarm.severity) ||
+    plantPolicies.find((policy) => !policy.severity) ||
+    null
+  );
+};
+
+/**
+ * Validate a policy definition
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export const validatePolicy = (policy) => {
+  const problems = [];
+  if (!policy.name?.trim()) problems.push('Name is required');
+  if (!policy.plantId) problems.push('Plant is required');
+  if (!policy.levels?.length) problems.push('At least one escalation level is required');
+
+  policy.levels?.forEach((level, index) => {
+    if (!level.userIds?.length) problems.push(`Level ${index + 1} has no recipients`);
+    if (!level.channels?.length) problems.push(`Level ${index + 1} has no channels`);
+    if (index < policy.levels.length - 1 && !(Number(level.waitMinutes) > 0)) {
+      problems.push(`Level ${index + 1} needs a wait time before escalating`);
+    }
+  });
+
+  const usesWebhook = policy.levels?.some((level) => level.channels?.includes('WEBHOOK'));
+  if (usesWebhook && !/^https?:\/\//.test(policy.webhookUrl || '')) {
+    problems.push('A webhook URL (http or https) is required for the webhook channel');
+  }
+  return problems;
+};
+
+/**
+ * Escalation timeline of an alarm: when each policy level is (or was) due, and what was sent
+ * @param {Object} alarm - Alarm with triggeredAt and acknowledgedAt
+ * @param {Object|null} policy - Matching escalation policy
+ * @param {Array} notifications - Notifications sent for the alarm ({ level, channel, userId, sentAt, status })
+ * @param {number} now - Epoch milliseconds
+ * @returns {Array<{ level: number, dueAt: string, state: 'NOTIFIED'|'DUE'|'PENDING'|'SKIPPED', notifications: Array, recipients: Array<string>, channels: Array<string> }>}
+ */
+export const buildEscalationTimeline = (alarm, policy, notifications = [], now = Date.now()) => {
+  if (!policy) return [];
+
+  const start = new Date(alarm.triggeredAt).getTime();
+  const stoppedAt = alarm.acknowledgedAt || alarm.resolvedAt;
+  const stopTime = stoppedAt ? new Date(stoppedAt).getTime() : null;
+  let offset = 0;
+
+  return policy.levels.map((level, index) => {
+    const dueTime = start + offset * MINUTE_MS;
+    offset += Number(level.waitMinutes) || 0;
+
+    const sent = notifications.filter((notification) => Number(notification.level) === index + 1);
+    let state = 'PENDING';
+    if (sent.length > 0) state = 'NOTIFIED';
+    else if (stopTime !== null && stopTime <= dueTime) state = 'SKIPPED';
+    else if (dueTime <= now) state = 'DUE';
+
+    return {
+      level: index + 1,
+      dueAt: new Date(dueTime).toISOString(),
+      state,
+      notifications: sent,
+      recipients: level.userIds || [],
+      channels: level.channels || [],
+    };
+  });
+};
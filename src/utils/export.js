@@ -0,0 +1,250 @@
+/**
+ * Export Utilities
+ * File downloads, CSV/TSV/XLSX export of table rows, CSV parsing for imports
+ * and PNG/SVG export of Recharts charts
+ */
+
+import { buildXlsx } from './xlsx';
+
+export const EXPORT_FORMATS = {
+  CSV: { extension: 'csv', label: 'CSV' },
+  XLSX: { extension: 'xlsx', label: 'Excel (XLSX)' },
+  PNG: { extension: 'png', label: 'PNG image' },
+  SVG: { extension: 'svg', label: 'SVG image' },
+};
+
+// Upper bound on rows fetched when exporting a server-paginated table
+export const EXPORT_ROW_LIMIT = 10000;
+
+// Rendered charts are rasterised at twice their on-screen size
+const PNG_SCALE = 2;
+
+/**
+ * Save a blob as a file
+ * @param {Blob} blob - File blob
+ * @param {string} filename - Filename
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Filename for an export, e.g. "plants-2024-05-01.csv"
+ * @param {string} name - Base name (any text; slugified)
+ * @param {string} extension - File extension
+ */
+export const getExportFilename = (name, extension) => {
+  const slug = String(name || 'export').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+  const date = new Date().toISOString().split('T')[0];
+  return `${slug}-${date}.${extension}`;
+};
+
+/**
+ * Cell value of a row for a column
+ * @param {Object} row - Data row
+ * @param {Object} column - { key, header, value?: (row) => any }
+ */
+const getCellValue = (row, column) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Header row plus one array of values per row
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - { key, header, value?: (row) => any }
+ */
+export const toMatrix = (rows, columns) => [
+  columns.map((column) => column.header),
+  ...rows.map((row) => columns.map((column) => getCellValue(row, column))),
+];
+
+/**
+ * Export columns for chart rows: the x value (full timestamp when rows carry one) and each series
+ * @param {Array<Object>} data - Chart rows
+ * @param {string} xDataKey - X axis data key
+ * @param {Array<Object>} series - Lines or bars ({ dataKey, name })
+ */
+export const getChartExportColumns = (data, xDataKey, series) => [
+  data.some((row) => row.timestamp)
+    ? { key: 'timestamp', header: 'Timestamp' }
+    : { key: xDataKey, header: xDataKey.charAt(0).toUpperCase() + xDataKey.slice(1) },
+  ...series.map((item) => ({ key: item.dataKey, header: item.name || item.dataKey })),
+];
+
+// Leading characters that make a spreadsheet evaluate a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatDelimitedValue = (value, delimiter) => {
+  if (value === null || value === undefined) return '';
+  const raw = value instanceof Date ? value.toISOString() : String(value);
+  // Text that would run as a formula gets a leading quote; numbers keep their sign
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Delimited text (CSV or TSV) of a matrix
+ * @param {Array<Array>} matrix - Output of toMatrix
+ * @param {string} delimiter - ',' or '\t'
+ */
+export const toDelimited = (matrix, delimiter = ',') =>
+  matrix.map((row) => row.map((value) => formatDelimitedValue(value, delimiter)).join(delimiter)).join('\r\n');
+
+/**
+ * Parse delimited text (CSV or TSV) into rows of strings; the inverse of toDelimited
+ * @param {string} text - File contents
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {Array<Array<string>>}
+ */
+export const parseDelimited = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Download rows as CSV or XLSX
+ * @param {string} format - 'CSV' or 'XLSX'
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - { key, header, value?: (row) => any }
+ * @param {string} name - Base name for the file and sheet
+ */
+export const exportRows = (format, rows, columns, name) => {
+  const matrix = toMatrix(rows, columns);
+  const blob = format === 'XLSX'
+    ? buildXlsx(matrix, name)
+    // Byte order mark so Excel opens UTF-8 CSV correctly
+    : new Blob(['\uFEFF', toDelimited(matrix, ',')], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, getExportFilename(name, EXPORT_FORMATS[format].extension));
+};
+
+/**
+ * Copy rows to the clipboard as tab-separated values, for pasting into a spreadsheet
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - { key, header, value?: (row) => any }
+ */
+export const copyRowsAsTsv = (rows, columns) =>
+  navigator.clipboard.writeText(toDelimited(toMatrix(rows, columns), '\t'));
+
+/**
+ * Standalone copy of the chart SVG inside a Recharts container, with a background
+ * and explicit size so it renders the same outside the page
+ * @param {HTMLElement} container - Element containing the chart
+ * @param {string} background - Background color
+ * @returns {{ svg: SVGElement, width: number, height: number }|null}
+ */
+const getChartSvg = (container, background) => {
+  // The chart surface is the wrapper's direct child; legend icons are nested svgs
+  const source = container?.querySelector('.recharts-wrapper > svg');
+  if (!source) return null;
+
+  const { width, height } = source.getBoundingClientRect();
+  const svg = source.cloneNode(true);
+  svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.style.fontFamily = window.getComputedStyle(source).fontFamily;
+
+  const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  rect.setAttribute('width', '100%');
+  rect.setAttribute('height', '100%');
+  rect.setAttribute('fill', background);
+  svg.insertBefore(rect, svg.firstChild);
+
+  return { svg, width, height };
+};
+
+/**
+ * Download a rendered Recharts chart as SVG or PNG
+ * @param {string} format - 'SVG' or 'PNG'
+ * @param {HTMLElement} container - Element containing the chart
+ * @param {string} name - Base name for the file
+ * @param {string} background - Background color (defaults to white)
+ * @returns {Promise<void>}
+ */
+export const exportChartImage = (format, container, name, background = '#ffffff') =>
+  new Promise((resolve, reject) => {
+    const chart = getChartSvg(container, background);
+    if (!chart) {
+      reject(new Error('Chart is not rendered yet'));
+      return;
+    }
+
+    const markup = new XMLSerializer().serializeToString(chart.svg);
+    const svgBlob = new Blob([markup], { type: 'image/svg+xml;charset=utf-8' });
+    if (format === 'SVG') {
+      downloadBlob(svgBlob, getExportFilename(name, EXPORT_FORMATS.SVG.extension));
+      resolve();
+      return;
+    }
+
+    const url = window.URL.createObjectURL(svgBlob);
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = chart.width * PNG_SCALE;
+      canvas.height = chart.height * PNG_SCALE;
+      const context = canvas.getContext('2d');
+      context.scale(PNG_SCALE, PNG_SCALE);
+      context.drawImage(image, 0, 0, chart.width, chart.height);
+      window.URL.revokeObjectURL(url);
+
+      canvas.toBlob((pngBlob) => {
+        if (!pngBlob) {
+          reject(new Error('Failed to render chart image'));
+          return;
+        }
+        downloadBlob(pngBlob, getExportFilename(name, EXPORT_FORMATS.PNG.extension));
+        resolve();
+      }, 'image/png');
+    };
+    image.onerror = () => {
+      window.URL.revokeObjectURL(url);
+      reject(new Error('Failed to render chart image'));
+    };
+    image.src = url;
+  });
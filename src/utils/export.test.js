@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { parseDelimited, toDelimited } from './export';
+import { buildXlsx } from './xlsx';
+
+const FORMULAS = ['=HYPERLINK("http://evil","x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd', '\rcmd'];
+
+describe('toDelimited', () => {
+  it('quotes text that a spreadsheet would run as a formula', () => {
+    const csv = parseDelimited(toDelimited([FORMULAS], ','), ',');
+
+    expect(csv[0]).toEqual(FORMULAS.map((value) => `'${value}`));
+  });
+
+  it('quotes formula text in TSV too', () => {
+    const [row] = toDelimited([['=1+1', '@A1', '\tcmd']], '\t').split('\r\n');
+
+    expect(row.split('\t')).toEqual(["'=1+1", "'@A1", "' cmd"]);
+  });
+
+  it('keeps numbers and ordinary text as they are', () => {
+    expect(toDelimited([[-5, 1.5, 'Inverter 1', 'a-b', null]], ',')).toBe('-5,1.5,Inverter 1,a-b,');
+  });
+});
+
+describe('buildXlsx', () => {
+  it('writes formula text as inline strings, never as formulas', async () => {
+    // Entries are stored uncompressed, so the sheet XML is readable in the file
+    const xml = await buildXlsx([FORMULAS, [-5]]).text();
+
+    expect(xml).not.toMatch(/<f>/);
+    expect(xml).toContain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK(&quot;http://evil&quot;,&quot;x&quot;)</t></is></c>');
+    expect(xml).toContain('<c r="D1" t="inlineStr"><is><t xml:space="preserve">@SUM(A1)</t></is></c>');
+    expect(xml).toContain('<c r="A2"><v>-5</v></c>');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Hierarchy Editor Utilities
+ * Pending parent changes with undo/redo history, and checks of a move against
+ * template hierarchy rules and cycles before it is sent to the API
+ */
+
+import { getDeviceTypeName } from './deviceComparison';
+
+const toNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Template ID of a device
+ */
+export const getTemplateId = (device) => device?.templateId || device?.template?.id || null;
+
+/**
+ * Hierarchy rules from getHierarchyRules: a list, or rules grouped by role
+ * (asParent/asChild, parentRules/childRules, allowedChildren/allowedParents)
+ * @returns {Array<{ parentTemplateId, childTemplateId, maxChildren }>}
+ */
+export const normalizeHierarchyRules = (data) => {
+  const list = Array.isArray(data)
+    ? data
+    : ['rules', 'asParent', 'asChild', 'parentRules', 'childRules', 'allowedChildren', 'allowedParents']
+      .map((key) => data?.[key])
+      .filter(Array.isArray)
+      .flat();
+
+  return list
+    .map((rule) => ({
+      parentTemplateId: rule.parentTemplateId || rule.parentTemplate?.id,
+      childTemplateId: rule.childTemplateId || rule.childTemplate?.id,
+      maxChildren: toNumber(rule.maxChildren ?? rule.maxCount),
+    }))
+    .filter((rule) => rule.parentTemplateId && rule.childTemplateId);
+};
+
+/**
+ * Rules of several templates merged, without duplicates
+ * @param {Object} rulesByTemplate - Template ID -> normalized rules
+ */
+export const mergeHierarchyRules = (rulesByTemplate) => {
+  const rules = new Map();
+  Object.values(rulesByTemplate).flat().forEach((rule) => {
+    rules.set(`${rule.parentTemplateId}:${rule.childTemplateId}`, rule);
+  });
+  return [...rules.values()];
+};
+
+/**
+ * Device ID -> parent device ID (null at plant level)
+ */
+export const buildParentMap = (devices) =>
+  new Map(devices.map((device) => [device.id, device.parentDeviceId || null]));
+
+/**
+ * Parent map after the first `count` moves of the history
+ * @param {Map} parentMap - Saved parents
+ * @param {Array<{ deviceIds, parentId }>} history - Moves in order
+ * @param {number} count - Number of moves applied (the undo/redo position)
+ */
+export const applyMoves = (parentMap, history, count) => {
+  const next = new Map(parentMap);
+  history.slice(0, count).forEach(({ deviceIds, parentId }) => {
+    deviceIds.forEach((deviceId) => next.set(deviceId, parentId));
+  });
+  return next;
+};
+
+/**
+ * Whether `deviceId` is `ancestorId` or below it
+ */
+export const isDescendant = (parentMap, deviceId, ancestorId) => {
+  const seen = new Set();
+  let current = deviceId;
+  while (current && !seen.has(current)) {
+    if (current === ancestorId) return true;
+    seen.add(current);
+    current = parentMap.get(current);
+  }
+  return false;
+};
+
+/**
+ * Whether pending moves changed the chain of parents above a device (the device's own parent
+ * included), so the saved hierarchy on the server no longer describes where it sits
+ * @param {Map} savedParents - Saved parents
+ * @param {Map} parentMap - Current (pending) parents
+ * @param {string} deviceId - Device ID
+ */
+export const hasPendingAncestry = (savedParents, parentMap, deviceId) => {
+  const seen = new Set();
+  let current = deviceId;
+  while (current && !seen.has(current)) {
+    if ((savedParents.get(current) || null) !== (parentMap.get(current) || null)) return true;
+    seen.add(current);
+    current = parentMap.get(current);
+  }
+  return false;
+};
+
+// Number of parents above a device (0 at plant level)
+const getDepth = (parentMap, deviceId) => {
+  const seen = new Set();
+  let current = parentMap.get(deviceId);
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    current = parentMap.get(current);
+  }
+  return seen.size;
+};
+
+/**
+ * Check moving devices under a new parent (null = plant level)
+ * @param {Object} options
+ * @param {Array<string>} options.deviceIds - Devices being moved
+ * @param {string|null} options.targetId - New parent device ID
+ * @param {Map} options.devicesById - Device ID -> device
+ * @param {Map} options.parentMap - Current (pending) parents
+ * @param {Array<Object>} options.rules - Merged hierarchy rules
+ * @returns {{ status: 'ok'|'warning'|'error', message: string }}
+ */
+export const checkMove = ({ deviceIds, targetId, devicesById, parentMap, rules }) => {
+  const target = targetId ? devicesById.get(targetId) : null;
+  const targetName = target ? target.name : 'plant level';
+  const moving = deviceIds.map((deviceId) => devicesById.get(deviceId)).filter(Boolean);
+
+  if (moving.every((device) => (parentMap.get(device.id) || null) === targetId)) {
+    return { status: 'error', message: `Already at ${targetName}` };
+  }
+
+  for (const device of moving) {
+    if (targetId && isDescendant(parentMap, targetId, device.id)) {
+      return {
+        status: 'error',
+        message: targetId === device.id
+          ? `${device.name} cannot be its own parent`
+          : `${targetName} is below ${device.name}; this move would create a cycle`,
+      };
+    }
+  }
+
+  if (!target) {
+    return { status: 'ok', message: `Move ${moving.length} device${moving.length === 1 ? '' : 's'} to plant level` };
+  }
+
+  const targetType = getDeviceTypeName(target);
+  const parentRules = rules.filter((rule) => rule.parentTemplateId === getTemplateId(target));
+  if (parentRules.length === 0) {
+    return { status: 'warning', message: `No hierarchy rules for ${targetType}; the move is not checked against templates` };
+  }
+
+  // Children per template under the target once the move is done
+  const childCounts = {};
+  devicesById.forEach((device) => {
+    if (parentMap.get(device.id) === targetId && !deviceIds.includes(device.id)) {
+      const templateId = getTemplateId(device);
+      childCounts[templateId] = (childCounts[templateId] || 0) + 1;
+    }
+  });
+
+  for (const device of moving) {
+    const templateId = getTemplateId(device);
+    const rule = parentRules.find((item) => item.childTemplateId === templateId);
+    if (!rule) {
+      return { status: 'error', message: `${targetType} cannot contain ${getDeviceTypeName(device)}` };
+    }
+    childCounts[templateId] = (childCounts[templateId] || 0) + 1;
+    if (rule.maxChildren && childCounts[templateId] > rule.maxChildren) {
+      return {
+        status: 'error',
+        message: `${targetType} allows at most ${rule.maxChildren} ${getDeviceTypeName(device)} device${rule.maxChildren === 1 ? '' : 's'}`,
+      };
+    }
+  }
+
+  return { status: 'ok', message: `Move ${moving.length} device${moving.length === 1 ? '' : 's'} under ${target.name}` };
+};
+
+/**
+ * Net parent changes between the saved and the pending hierarchy
+ * @returns {Array<{ deviceId, from, to }>}
+ */
+export const getPendingChanges = (savedParents, pendingParents) =>
+  [...pendingParents.entries()]
+    .filter(([deviceId, parentId]) => (savedParents.get(deviceId) || null) !== parentId)
+    .map(([deviceId, parentId]) => ({ deviceId, from: savedParents.get(deviceId) || null, to: parentId }));
+
+/**
+ * Pending changes grouped by new parent, one bulk API call each, in the order they can be sent.
+ * Groups run top-down by the new parent's depth in the pending hierarchy: plant level first,
+ * then parents whose own chain up to the plant is already in place, so no call in the batch
+ * makes the server see a cycle (e.g. "B under C" goes before "A under B" when B was under A).
+ * @param {Array<{ deviceId, to }>} changes - Output of getPendingChanges
+ * @param {Map} parentMap - Pending parents
+ * @returns {Array<{ parentId: string|null, deviceIds: Array<string> }>}
+ */
+export const groupChangesByParent = (changes, parentMap) => {
+  const groups = new Map();
+  changes.forEach(({ deviceId, to }) => {
+    groups.set(to, [...(groups.get(to) || []), deviceId]);
+  });
+  const getGroupDepth = (parentId) => (parentId ? getDepth(parentMap, parentId) + 1 : 0);
+  return [...groups.entries()]
+    .map(([parentId, deviceIds]) => ({ parentId, deviceIds }))
+    .sort((a, b) => getGroupDepth(a.parentId) - getGroupDepth(b.parentId));
+};
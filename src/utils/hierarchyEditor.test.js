@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyMoves,
+  buildParentMap,
+  checkMove,
+  getPendingChanges,
+  groupChangesByParent,
+  hasPendingAncestry,
+} from './hierarchyEditor';
+
+const device = (id, templateId, parentDeviceId = null) => ({
+  id,
+  name: id,
+  templateId,
+  template: { id: templateId, name: templateId },
+  parentDeviceId,
+});
+
+describe('groupChangesByParent', () => {
+  it('sends "B under C" before "A under B" when B was under A', () => {
+    const saved = buildParentMap([device('A', 'T'), device('B', 'T', 'A'), device('C', 'T')]);
+    const pending = applyMoves(saved, [
+      { deviceIds: ['B'], parentId: 'C' },
+      { deviceIds: ['A'], parentId: 'B' },
+    ], 2);
+
+    expect(groupChangesByParent(getPendingChanges(saved, pending), pending)).toEqual([
+      { parentId: 'C', deviceIds: ['B'] },
+      { parentId: 'B', deviceIds: ['A'] },
+    ]);
+  });
+
+  it('sends moves to plant level first and groups devices by new parent', () => {
+    const saved = buildParentMap([device('A', 'T'), device('B', 'T', 'A'), device('C', 'T', 'A'), device('D', 'T', 'A')]);
+    const pending = applyMoves(saved, [
+      { deviceIds: ['C', 'D'], parentId: 'B' },
+      { deviceIds: ['B'], parentId: null },
+    ], 2);
+
+    expect(groupChangesByParent(getPendingChanges(saved, pending), pending)).toEqual([
+      { parentId: null, deviceIds: ['B'] },
+      { parentId: 'B', deviceIds: ['C', 'D'] },
+    ]);
+  });
+});
+
+describe('hasPendingAncestry', () => {
+  const saved = buildParentMap([device('A', 'T'), device('B', 'T', 'A'), device('C', 'T', 'B'), device('D', 'T')]);
+  const pending = applyMoves(saved, [{ deviceIds: ['B'], parentId: null }], 1);
+
+  it('is true for a moved device and the devices below it', () => {
+    expect(hasPendingAncestry(saved, pending, 'B')).toBe(true);
+    expect(hasPendingAncestry(saved, pending, 'C')).toBe(true);
+  });
+
+  it('is false where the chain up to the plant is unchanged', () => {
+    expect(hasPendingAncestry(saved, pending, 'A')).toBe(false);
+    expect(hasPendingAncestry(saved, pending, 'D')).toBe(false);
+  });
+
+  it('is false without pending moves', () => {
+    expect(hasPendingAncestry(saved, saved, 'C')).toBe(false);
+  });
+});
+
+describe('checkMove', () => {
+  const devices = [
+    device('inv1', 'INV'),
+    device('inv2', 'INV'),
+    device('scb1', 'SCB', 'inv1'),
+    device('scb2', 'SCB', 'inv1'),
+    device('scb3', 'SCB', 'inv2'),
+    device('wms', 'WMS'),
+  ];
+  const devicesById = new Map(devices.map((item) => [item.id, item]));
+  const parentMap = buildParentMap(devices);
+  const rules = [{ parentTemplateId: 'INV', childTemplateId: 'SCB', maxChildren: 2 }];
+  const check = (deviceIds, targetId, parents = parentMap) =>
+    checkMove({ deviceIds, targetId, devicesById, parentMap: parents, rules });
+
+  it('allows a move within the rules', () => {
+    expect(check(['scb3'], 'inv1', applyMoves(parentMap, [{ deviceIds: ['scb2'], parentId: 'inv2' }], 1)).status)
+      .toBe('ok');
+  });
+
+  it('rejects a move past the maximum number of children', () => {
+    const result = check(['scb3'], 'inv1');
+
+    expect(result.status).toBe('error');
+    expect(result.message).toBe('INV allows at most 2 SCB devices');
+  });
+
+  it('counts every device of a multi-device move against the maximum', () => {
+    const parents = applyMoves(parentMap, [{ deviceIds: ['scb1', 'scb2'], parentId: null }], 1);
+
+    expect(check(['scb1', 'scb2'], 'inv2', parents).status).toBe('error');
+  });
+
+  it('rejects templates the target cannot contain', () => {
+    expect(check(['wms'], 'inv1')).toEqual({ status: 'error', message: 'INV cannot contain WMS' });
+  });
+
+  it('rejects a move below the device itself', () => {
+    expect(check(['inv1'], 'scb1')).toEqual({
+      status: 'error',
+      message: 'scb1 is below inv1; this move would create a cycle',
+    });
+    expect(check(['inv1'], 'inv1').message).toBe('inv1 cannot be its own parent');
+  });
+
+  it('checks cycles against pending parents', () => {
+    const parents = applyMoves(parentMap, [{ deviceIds: ['inv2'], parentId: 'scb1' }], 1);
+
+    expect(check(['inv1'], 'inv2', parents).message).toBe('inv2 is below inv1; this move would create a cycle');
+  });
+
+  it('warns when the target has no rules', () => {
+    expect(check(['scb1'], 'wms').status).toBe('warning');
+  });
+});
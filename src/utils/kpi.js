@@ -0,0 +1,179 @@
+/**
+ * KPI Calculations
+ * IEC 61724-style performance indicators shared by the dashboard, plant pages and reports
+ *
+ * Units:
+ * - capacity: kWp (plant.capacity)
+ * - energy: kWh (energy summary rows)
+ * - irradiation: kWh/m² in the plane of array (energy summary rows, `irradiation` or `insolation`)
+ */
+
+// Irradiance at Standard Test Conditions (kW/m²)
+export const G_STC = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Headline KPIs, as shown on KPI cards and offered in report templates
+export const KPI_DEFINITIONS = [
+  {
+    key: 'performanceRatio',
+    title: 'Performance Ratio',
+    unit: '%',
+    description: 'Final yield divided by reference yield (needs irradiance data)',
+  },
+  {
+    key: 'specificYield',
+    title: 'Specific Yield',
+    unit: 'kWh/kWp',
+    description: 'Energy produced per kWp of installed capacity',
+  },
+  {
+    key: 'cuf',
+    title: 'CUF',
+    unit: '%',
+    description: 'Capacity utilisation factor: energy divided by capacity × hours in the period',
+  },
+  {
+    key: 'availability',
+    title: 'Availability',
+    unit: '%',
+    description: 'Share of the period the plant was available to generate',
+  },
+];
+
+const sumField = (rows, ...fields) =>
+  rows.reduce((sum, row) => {
+    const field = fields.find((name) => typeof row[name] === 'number');
+    return field ? sum + row[field] : sum;
+  }, 0);
+
+const hasField = (rows, ...fields) =>
+  rows.some((row) => fields.some((name) => typeof row[name] === 'number'));
+
+/**
+ * Length of a period in hours
+ * @param {string} startTime - ISO start
+ * @param {string} endTime - ISO end
+ */
+export const getPeriodHours = (startTime, endTime) =>
+  Math.max(0, (new Date(endTime) - new Date(startTime)) / HOUR_MS);
+
+/**
+ * Final (specific) yield Yf = E / P0, in kWh/kWp
+ */
+export const calculateSpecificYield = (energyKwh, capacityKwp) =>
+  capacityKwp > 0 ? energyKwh / capacityKwp : null;
+
+/**
+ * Reference yield Yr = H / G_STC, in hours
+ */
+export const calculateReferenceYield = (irradiationKwhM2) =>
+  irradiationKwhM2 > 0 ? irradiationKwhM2 / G_STC : null;
+
+/**
+ * Performance Ratio PR = Yf / Yr, as a percentage
+ */
+export const calculatePerformanceRatio = (energyKwh, capacityKwp, irradiationKwhM2) => {
+  const finalYield = calculateSpecificYield(energyKwh, capacityKwp);
+  const referenceYield = calculateReferenceYield(irradiationKwhM2);
+  if (finalYield === null || referenceYield === null) return null;
+  return (finalYield / referenceYield) * 100;
+};
+
+/**
+ * Capacity Utilisation Factor CUF = E / (P0 × hours), as a percentage
+ */
+export const calculateCuf = (energyKwh, capacityKwp, periodHours) =>
+  capacityKwp > 0 && periodHours > 0 ? (energyKwh / (capacityKwp * periodHours)) * 100 : null;
+
+/**
+ * Plant availability as a percentage.
+ * Uses per-row `availability` (%) when reported, otherwise `downtimeHours`
+ * against the hours the plant could have generated (daylight hours, so zero
+ * production at night does not count as downtime). Returns null when the data has neither.
+ */
+export const calculateAvailability = (rows, generatingHours) => {
+  if (hasField(rows, 'availability')) {
+    const values = rows.filter((row) => typeof row.availability === 'number');
+    return values.reduce((sum, row) => sum + row.availability, 0) / values.length;
+  }
+
+  if (hasField(rows, 'downtimeHours') && generatingHours > 0) {
+    const downtime = sumField(rows, 'downtimeHours');
+    return Math.max(0, ((generatingHours - downtime) / generatingHours) * 100);
+  }
+
+  return null;
+};
+
+/**
+ * KPIs for one plant over a period
+ * @param {Object} plant - Plant (uses plant.capacity in kWp)
+ * @param {Array} energyRows - Rows from getPlantEnergySummary
+ * @param {number} periodHours - Period length in hours
+ * @param {number} daylightHours - Daylight hours in the period at the plant (see getDaylightHours)
+ * @returns {{ energy, irradiation, capacity, specificYield, referenceYield, performanceRatio, cuf, availability }}
+ */
+export const calculatePlantKpis = (plant, energyRows = [], periodHours = 0, daylightHours = periodHours) => {
+  const capacity = plant?.capacity || 0;
+  const energy = sumField(energyRows, 'energy');
+  const irradiation = hasField(energyRows, 'irradiation', 'insolation')
+    ? sumField(energyRows, 'irradiation', 'insolation')
+    : null;
+
+  return {
+    energy,
+    irradiation,
+    capacity,
+    specificYield: calculateSpecificYield(energy, capacity),
+    referenceYield: calculateReferenceYield(irradiation),
+    performanceRatio: calculatePerformanceRatio(energy, capacity, irradiation),
+    cuf: calculateCuf(energy, capacity, periodHours),
+    availability: calculateAvailability(energyRows, daylightHours),
+  };
+};
+
+/**
+ * Capacity-weighted average of a KPI across plants, skipping plants without a value
+ */
+const weightedAverage = (plantKpis, key) => {
+  const valid = plantKpis.filter((kpis) => kpis[key] !== null && kpis.capacity > 0);
+  const totalCapacity = valid.reduce((sum, kpis) => sum + kpis.capacity, 0);
+  if (totalCapacity === 0) return null;
+  return valid.reduce((sum, kpis) => sum + kpis[key] * kpis.capacity, 0) / totalCapacity;
+};
+
+/**
+ * Portfolio KPIs from per-plant KPIs (output of calculatePlantKpis)
+ * PR is computed as ΣE / Σ(P0 × Yr) over plants with irradiance data, so large
+ * plants weigh more, as in IEC 61724 fleet reporting.
+ * @param {Array} plantKpis - Per-plant KPI objects
+ * @param {number} periodHours - Period length in hours
+ */
+export const calculatePortfolioKpis = (plantKpis = [], periodHours = 0) => {
+  const energy = plantKpis.reduce((sum, kpis) => sum + kpis.energy, 0);
+  const capacity = plantKpis.reduce((sum, kpis) => sum + kpis.capacity, 0);
+
+  const withIrradiance = plantKpis.filter((kpis) => kpis.referenceYield !== null && kpis.capacity > 0);
+  const expectedEnergy = withIrradiance.reduce((sum, kpis) => sum + kpis.capacity * kpis.referenceYield, 0);
+  const measuredEnergy = withIrradiance.reduce((sum, kpis) => sum + kpis.energy, 0);
+
+  return {
+    energy,
+    capacity,
+    specificYield: calculateSpecificYield(energy, capacity),
+    performanceRatio: expectedEnergy > 0 ? (measuredEnergy / expectedEnergy) * 100 : null,
+    cuf: calculateCuf(energy, capacity, periodHours),
+    availability: weightedAverage(plantKpis, 'availability'),
+  };
+};
+
+/**
+ * Format a KPI value for display ('—' when unavailable)
+ * @param {number|null} value - KPI value
+ * @param {number} digits - Fraction digits
+ */
+export const formatKpi = (value, digits = 1) =>
+  value === null || value === undefined || Number.isNaN(value)
+    ? '—'
+    : value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
@@ -0,0 +1,180 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateAvailability,
+  calculateCuf,
+  calculatePerformanceRatio,
+  calculatePlantKpis,
+  calculatePortfolioKpis,
+  calculateSpecificYield,
+  formatKpi,
+  getPeriodHours,
+} from './kpi';
+
+describe('calculateSpecificYield', () => {
+  it('divides energy by installed capacity', () => {
+    expect(calculateSpecificYield(4500, 1000)).toBe(4.5);
+  });
+
+  it('is null without capacity', () => {
+    expect(calculateSpecificYield(4500, 0)).toBeNull();
+    expect(calculateSpecificYield(4500, undefined)).toBeNull();
+  });
+
+  it('is zero when nothing was produced', () => {
+    expect(calculateSpecificYield(0, 1000)).toBe(0);
+  });
+});
+
+describe('calculatePerformanceRatio', () => {
+  it('divides final yield by reference yield', () => {
+    // Yf = 4000 / 1000 = 4 h, Yr = 5 kWh/m² / 1 kW/m² = 5 h
+    expect(calculatePerformanceRatio(4000, 1000, 5)).toBeCloseTo(80);
+  });
+
+  it('is null without capacity', () => {
+    expect(calculatePerformanceRatio(4000, 0, 5)).toBeNull();
+  });
+
+  it('is null when irradiation is missing or zero', () => {
+    expect(calculatePerformanceRatio(4000, 1000, null)).toBeNull();
+    expect(calculatePerformanceRatio(4000, 1000, undefined)).toBeNull();
+    expect(calculatePerformanceRatio(4000, 1000, 0)).toBeNull();
+  });
+});
+
+describe('calculateCuf', () => {
+  it('divides energy by capacity over the period', () => {
+    // 1000 kWp × 24 h = 24 000 kWh possible
+    expect(calculateCuf(6000, 1000, 24)).toBeCloseTo(25);
+  });
+
+  it('is null without capacity', () => {
+    expect(calculateCuf(6000, 0, 24)).toBeNull();
+  });
+
+  it('is null for an empty period', () => {
+    expect(calculateCuf(6000, 1000, 0)).toBeNull();
+    expect(calculateCuf(0, 1000, getPeriodHours('2024-01-01T00:00:00Z', '2024-01-01T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('calculateAvailability', () => {
+  it('averages reported availability', () => {
+    expect(calculateAvailability([{ availability: 100 }, { availability: 90 }, { energy: 10 }], 24)).toBe(95);
+  });
+
+  it('derives availability from downtime against generating hours', () => {
+    expect(calculateAvailability([{ downtimeHours: 1 }, { downtimeHours: 2 }], 24)).toBeCloseTo(87.5);
+  });
+
+  it('never goes below zero', () => {
+    expect(calculateAvailability([{ downtimeHours: 30 }], 24)).toBe(0);
+  });
+
+  it('is null without availability data', () => {
+    expect(calculateAvailability([{ energy: 10 }], 24)).toBeNull();
+  });
+
+  it('is null for an empty period', () => {
+    expect(calculateAvailability([], 24)).toBeNull();
+    expect(calculateAvailability([{ downtimeHours: 1 }], 0)).toBeNull();
+  });
+});
+
+describe('getPeriodHours', () => {
+  it('measures the period in hours', () => {
+    expect(getPeriodHours('2024-01-01T00:00:00Z', '2024-01-02T00:00:00Z')).toBe(24);
+  });
+
+  it('is zero for empty or reversed periods', () => {
+    expect(getPeriodHours('2024-01-02T00:00:00Z', '2024-01-02T00:00:00Z')).toBe(0);
+    expect(getPeriodHours('2024-01-02T00:00:00Z', '2024-01-01T00:00:00Z')).toBe(0);
+  });
+});
+
+describe('calculatePlantKpis', () => {
+  const rows = [
+    { date: '2024-01-01', energy: 4000, irradiation: 5, downtimeHours: 0 },
+    { date: '2024-01-02', energy: 3000, insolation: 5, downtimeHours: 1 },
+  ];
+
+  it('computes all KPIs from energy summary rows', () => {
+    const kpis = calculatePlantKpis({ capacity: 1000 }, rows, 48, 20);
+
+    expect(kpis.energy).toBe(7000);
+    expect(kpis.irradiation).toBe(10);
+    expect(kpis.specificYield).toBe(7);
+    expect(kpis.referenceYield).toBe(10);
+    expect(kpis.performanceRatio).toBeCloseTo(70);
+    expect(kpis.cuf).toBeCloseTo((7000 / 48000) * 100);
+    expect(kpis.availability).toBeCloseTo(95);
+  });
+
+  it('leaves capacity-based KPIs empty for a zero-capacity plant', () => {
+    const kpis = calculatePlantKpis({ capacity: 0 }, rows, 48, 20);
+
+    expect(kpis.specificYield).toBeNull();
+    expect(kpis.performanceRatio).toBeNull();
+    expect(kpis.cuf).toBeNull();
+  });
+
+  it('leaves PR empty when rows carry no irradiation', () => {
+    const kpis = calculatePlantKpis({ capacity: 1000 }, [{ energy: 4000 }], 24);
+
+    expect(kpis.irradiation).toBeNull();
+    expect(kpis.referenceYield).toBeNull();
+    expect(kpis.performanceRatio).toBeNull();
+    expect(kpis.specificYield).toBe(4);
+  });
+
+  it('handles an empty period without data', () => {
+    const kpis = calculatePlantKpis({ capacity: 1000 });
+
+    expect(kpis.energy).toBe(0);
+    expect(kpis.specificYield).toBe(0);
+    expect(kpis.performanceRatio).toBeNull();
+    expect(kpis.cuf).toBeNull();
+    expect(kpis.availability).toBeNull();
+  });
+});
+
+describe('calculatePortfolioKpis', () => {
+  it('weighs PR and availability by plant capacity', () => {
+    const large = calculatePlantKpis({ capacity: 3000 }, [{ energy: 12000, irradiation: 5, availability: 100 }], 24);
+    const small = calculatePlantKpis({ capacity: 1000 }, [{ energy: 3000, irradiation: 5, availability: 80 }], 24);
+    const portfolio = calculatePortfolioKpis([large, small], 24);
+
+    expect(portfolio.energy).toBe(15000);
+    expect(portfolio.capacity).toBe(4000);
+    expect(portfolio.specificYield).toBe(3.75);
+    // ΣE / Σ(P0 × Yr) = 15000 / (3000 × 5 + 1000 × 5)
+    expect(portfolio.performanceRatio).toBeCloseTo(75);
+    expect(portfolio.availability).toBeCloseTo(95);
+  });
+
+  it('skips plants without irradiance or capacity for PR', () => {
+    const measured = calculatePlantKpis({ capacity: 1000 }, [{ energy: 4000, irradiation: 5 }], 24);
+    const unmeasured = calculatePlantKpis({ capacity: 1000 }, [{ energy: 1000 }], 24);
+    const empty = calculatePlantKpis({ capacity: 0 }, [{ energy: 500, irradiation: 5 }], 24);
+
+    expect(calculatePortfolioKpis([measured, unmeasured, empty], 24).performanceRatio).toBeCloseTo(80);
+  });
+
+  it('is empty without plants', () => {
+    const portfolio = calculatePortfolioKpis([], 24);
+
+    expect(portfolio.energy).toBe(0);
+    expect(portfolio.specificYield).toBeNull();
+    expect(portfolio.performanceRatio).toBeNull();
+    expect(portfolio.cuf).toBeNull();
+    expect(portfolio.availability).toBeNull();
+  });
+});
+
+describe('formatKpi', () => {
+  it('shows a dash for missing values', () => {
+    expect(formatKpi(null)).toBe('—');
+    expect(formatKpi(undefined)).toBe('—');
+    expect(formatKpi(NaN)).toBe('—');
+  });
+});
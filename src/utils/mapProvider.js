@@ -0,0 +1,41 @@
+/**
+ * Map Provider Configuration
+ * Selects Google Maps or Leaflet (OpenStreetMap or self-hosted tiles) for the plant map
+ *
+ * Both providers render the same plant markers, info window and fit-bounds behaviour;
+ * marker clustering and the heatmap layer are only available with Google Maps.
+ */
+
+const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || '';
+const PLACEHOLDER_API_KEYS = ['', 'YOUR_GOOGLE_MAPS_API_KEY_HERE', 'your-google-maps-api-key'];
+
+export const MAP_PROVIDERS = {
+  google: { label: 'Google Maps', clustering: true, heatmap: true },
+  leaflet: { label: 'OpenStreetMap', clustering: false, heatmap: false },
+};
+
+export const hasGoogleMapsApiKey = () => !PLACEHOLDER_API_KEYS.includes(GOOGLE_MAPS_API_KEY);
+
+export const getGoogleMapsApiKey = () => GOOGLE_MAPS_API_KEY;
+
+/**
+ * Configured map provider: VITE_MAP_PROVIDER ('google' or 'leaflet'), otherwise Google Maps
+ * when an API key is set and Leaflet when it is not
+ * @returns {'google'|'leaflet'}
+ */
+export const getMapProvider = () => {
+  const configured = (import.meta.env.VITE_MAP_PROVIDER || '').toLowerCase();
+  if (MAP_PROVIDERS[configured]) return configured;
+  return hasGoogleMapsApiKey() ? 'google' : 'leaflet';
+};
+
+/**
+ * Tile layer for the Leaflet provider
+ * @returns {{ url: string, attribution: string, maxZoom: number }}
+ */
+export const getTileLayerConfig = () => ({
+  url: import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: import.meta.env.VITE_MAP_TILE_ATTRIBUTION
+    || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom: Number(import.meta.env.VITE_MAP_TILE_MAX_ZOOM) || 19,
+});
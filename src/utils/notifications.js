@@ -0,0 +1,155 @@
+/**
+ * Notification Utilities
+ * Notification types, deep links and browser side effects (desktop notifications, chime)
+ *
+ * Notification shape:
+ * { id, type, title, message, severity?, entityType: 'alarm'|'device'|'plant'|'report', entityId, createdAt, read }
+ */
+
+export const NOTIFICATION_TYPES = {
+  ALARM: { label: 'Alarm' },
+  REPORT_READY: { label: 'Report ready' },
+  ASSIGNMENT: { label: 'Assignment' },
+};
+
+// Alarm notifications below this severity stay on the Alarms page only
+export const NOTIFIED_ALARM_SEVERITY = 'CRITICAL';
+
+// Notifications kept in memory for the menu
+export const MAX_NOTIFICATIONS = 100;
+
+const SETTINGS_KEY = 'notificationSettings';
+
+export const DEFAULT_NOTIFICATION_SETTINGS = { desktop: false, chime: false };
+
+/**
+ * Whether a notification belongs in the notification center
+ */
+export const isNotificationRelevant = (notification) => {
+  if (!NOTIFICATION_TYPES[notification?.type]) return false;
+  return notification.type !== 'ALARM' || notification.severity === NOTIFIED_ALARM_SEVERITY;
+};
+
+/**
+ * In-app route a notification opens
+ * @returns {string|null}
+ */
+export const getNotificationLink = (notification) => {
+  const { entityType, entityId } = notification;
+  if (!entityId) return null;
+
+  switch (entityType) {
+    case 'alarm':
+      return `/alarms/${entityId}`;
+    case 'device':
+      return `/devices/${entityId}`;
+    case 'plant':
+      return `/plants/${entityId}`;
+    case 'report':
+      return `/reports?reportId=${encodeURIComponent(entityId)}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Notification settings saved in this browser
+ */
+export const loadNotificationSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_NOTIFICATION_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_NOTIFICATION_SETTINGS;
+  }
+};
+
+export const saveNotificationSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const isDesktopNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Ask the browser for permission to show desktop notifications
+ * @returns {Promise<boolean>} Whether permission was granted
+ */
+export const requestDesktopPermission = async () => {
+  if (!isDesktopNotificationSupported()) return false;
+  if (window.Notification.permission === 'granted') return true;
+  if (window.Notification.permission === 'denied') return false;
+  return (await window.Notification.requestPermission()) === 'granted';
+};
+
+/**
+ * Show a desktop notification (no-op without permission)
+ * @param {Object} notification - Notification
+ * @param {Function} onClick - Called when the desktop notification is clicked
+ */
+export const showDesktopNotification = (notification, onClick) => {
+  if (!isDesktopNotificationSupported() || window.Notification.permission !== 'granted') return;
+
+  const desktopNotification = new window.Notification(notification.title, {
+    body: notification.message,
+    tag: notification.id,
+    requireInteraction: notification.severity === 'CRITICAL',
+  });
+  desktopNotification.onclick = () => {
+    window.focus();
+    desktopNotification.close();
+    onClick?.();
+  };
+};
+
+let audioContext = null;
+
+// Browsers start an AudioContext suspended unless it is created or resumed during a user gesture
+const getAudioContext = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+  audioContext = audioContext || new AudioContext();
+  return audioContext;
+};
+
+/**
+ * Create or resume the chime's audio context; call from a user gesture (click, key press)
+ * so chimes triggered later by pushed alarms are allowed to play
+ * @returns {Promise<void>}
+ */
+export const unlockAudio = async () => {
+  const context = getAudioContext();
+  if (context?.state === 'suspended') await context.resume();
+};
+
+/**
+ * Play a short two-tone chime through Web Audio (no audio asset needed).
+ * Audio only starts once the browser allows it; see unlockAudio.
+ * @returns {Promise<void>}
+ */
+export const playChime = async () => {
+  const context = getAudioContext();
+  if (!context) return;
+
+  try {
+    if (context.state === 'suspended') await context.resume();
+  } catch {
+    return;
+  }
+  const start = context.currentTime;
+
+  [880, 660].forEach((frequency, index) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const toneStart = start + index * 0.25;
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, toneStart);
+    gain.gain.exponentialRampToValueAtTime(0.3, toneStart + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, toneStart + 0.22);
+
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(toneStart);
+    oscillator.stop(toneStart + 0.25);
+  });
+};
@@ -0,0 +1,137 @@
+/**
+ * Plant Clone Utilities
+ * Copying a plant's device tree into the plant form, with device names and serial numbers
+ * regenerated from naming patterns
+ */
+
+// {plantId} new plant ID, {type} template shortform, {n} running number per type, {name} source device name
+export const DEFAULT_DEVICE_NAME_PATTERN = '{plantId}-{type}-{n}';
+
+export const NAMING_PATTERN_TOKENS = ['{plantId}', '{type}', '{n}', '{name}'];
+
+/**
+ * Fill a naming pattern
+ * @param {string} pattern - e.g. "{plantId}-{type}-{n}"
+ * @param {Object} values - { plantId, type, n, name }
+ */
+export const applyNamingPattern = (pattern, { plantId = '', type = '', n = 1, name = '' }) =>
+  pattern
+    .replace(/\{plantId\}/g, plantId)
+    .replace(/\{type\}/g, type)
+    .replace(/\{n\}/g, String(n))
+    .replace(/\{name\}/g, name);
+
+/**
+ * Device rows for the plant form from a source plant's devices. Parent links become
+ * indexes into the list, tag selections and their MQTT paths carry over and the source
+ * name is kept for {name}.
+ * @param {Array<Object>} sourceDevices - Devices of the source plant (with template and tags)
+ * @returns {Array<Object>}
+ */
+export const cloneDeviceTree = (sourceDevices = []) =>
+  sourceDevices.map((device) => {
+    const parentIndex = device.parentDeviceId
+      ? sourceDevices.findIndex((candidate) => candidate.id === device.parentDeviceId)
+      : -1;
+
+    return {
+      templateId: device.template?.id || device.templateId,
+      templateName: device.template?.name || device.deviceType,
+      templateShortform: device.template?.shortform || device.deviceType,
+      name: device.name,
+      deviceId: device.deviceId,
+      parentDeviceId: parentIndex >= 0 ? parentIndex.toString() : 'PLANT',
+      serialNumber: '',
+      status: 'ONLINE',
+      selectedTags: device.tags?.map((tag) => tag.templateTagId).filter(Boolean) || [],
+      // Source MQTT path per template tag, rewritten for the new plant on submit
+      tagMqttPaths: Object.fromEntries(
+        (device.tags || [])
+          .filter((tag) => tag.templateTagId && tag.mqttPath)
+          .map((tag) => [tag.templateTagId, tag.mqttPath])
+      ),
+      sourceName: device.name,
+      cloned: true,
+    };
+  });
+
+/**
+ * Rename cloned devices (and regenerate their serial numbers) for the new plant.
+ * Numbering runs per device type in list order; devices added by hand are left alone.
+ * @param {Array<Object>} devices - Plant form device rows
+ * @param {Object} options
+ * @param {string} options.plantId - New plant ID
+ * @param {string} options.namePattern - Device name pattern
+ * @param {string} options.serialPattern - Serial number pattern; empty leaves serial numbers blank
+ */
+export const renameClonedDevices = (devices, { plantId, namePattern, serialPattern = '' }) => {
+  const counters = {};
+  return devices.map((device) => {
+    const type = device.templateShortform || '';
+    counters[type] = (counters[type] || 0) + 1;
+    if (!device.cloned) return device;
+
+    const values = { plantId, type, n: counters[type], name: device.sourceName };
+    return {
+      ...device,
+      name: applyNamingPattern(namePattern || DEFAULT_DEVICE_NAME_PATTERN, values),
+      deviceId: `${type}_${counters[type]}`,
+      serialNumber: serialPattern ? applyNamingPattern(serialPattern, values) : '',
+    };
+  });
+};
+
+/**
+ * MQTT base topic for the clone: the source topic with the source plant ID replaced by the new one
+ * (matching its case, e.g. "solar/spn01" -> "solar/spn02")
+ * @param {string} sourceTopic - Source plant's MQTT base topic
+ * @param {string} sourcePlantId - Source plant ID
+ * @param {string} plantId - New plant ID
+ */
+export const getClonedMqttTopic = (sourceTopic, sourcePlantId, plantId) => {
+  if (!sourceTopic || !sourcePlantId || !plantId) return sourceTopic || '';
+  const pattern = new RegExp(sourcePlantId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  return sourceTopic.replace(pattern, (match) => (match === match.toLowerCase() ? plantId.toLowerCase() : plantId));
+};
+
+/**
+ * Tag mappings of a cloned device: the source MQTT path of each selected tag with the
+ * source plant ID replaced by the new one
+ * @param {Object} device - Plant form device row
+ * @param {string} sourcePlantId - Source plant ID
+ * @param {string} plantId - New plant ID
+ * @returns {Array<{ templateTagId, mqttPath }>}
+ */
+export const getClonedTagMappings = (device, sourcePlantId, plantId) =>
+  (device.selectedTags || [])
+    .filter((templateTagId) => device.tagMqttPaths?.[templateTagId])
+    .map((templateTagId) => ({
+      templateTagId,
+      mqttPath: getClonedMqttTopic(device.tagMqttPaths[templateTagId], sourcePlantId, plantId),
+    }));
+
+// Device tag records carry their tag as tagId or nested (as in the device tag list)
+const getDeviceTagId = (deviceTag) => deviceTag.tagId || deviceTag.tag?.id || deviceTag.id;
+
+/**
+ * Tag assignments that give a duplicated plant's tags their rewritten MQTT paths. The create
+ * endpoint takes only tag selections, so paths are set per tag once the plant exists: created
+ * devices are matched to form rows by name and their tags by template tag.
+ * @param {Array<Object>} createdDevices - Devices of the created plant (with tags)
+ * @param {Array<Object>} devices - Plant form device rows
+ * @param {string} sourcePlantId - Source plant ID
+ * @param {string} plantId - New plant ID
+ * @returns {Array<{ deviceId, tagId, mqttPath }>} - Arguments for tagService.assignTagToDevice
+ */
+export const getClonedTagAssignments = (createdDevices = [], devices, sourcePlantId, plantId) =>
+  devices
+    .filter((device) => device.cloned)
+    .flatMap((device) => {
+      const created = createdDevices.find((candidate) => candidate.name === device.name);
+      if (!created) return [];
+
+      return getClonedTagMappings(device, sourcePlantId, plantId).flatMap(({ templateTagId, mqttPath }) => {
+        const deviceTag = (created.tags || []).find((tag) => tag.templateTagId === templateTagId);
+        return deviceTag ? [{ deviceId: created.id, tagId: getDeviceTagId(deviceTag), mqttPath }] : [];
+      });
+    });
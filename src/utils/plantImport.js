@@ -0,0 +1,366 @@
+/**
+ * Plant Import Utilities
+ * Reading plant and device rows from CSV/XLSX files, validating them against existing plants
+ * and device templates, and building createPlant payloads
+ */
+
+import { parseDelimited } from './export';
+import { readXlsx } from './xlsx';
+
+export const IMPORT_FILE_TYPES = '.csv,.tsv,.txt,.xlsx';
+
+// Same default as the plant form
+export const DEFAULT_IMPORT_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Spreadsheet columns. Headers are matched without case, spaces or punctuation,
+ * so "Plant ID", "plant_id" and "plantId" are the same column.
+ * Rows with a device name are device rows of the plant with the same plant ID;
+ * all other rows are plant rows.
+ */
+export const IMPORT_COLUMNS = [
+  { key: 'name', header: 'name', label: 'Name', aliases: ['plantname'], required: true },
+  { key: 'plantId', header: 'plantId', label: 'Plant ID', aliases: ['plantcode'], required: true },
+  { key: 'capacity', header: 'capacity', label: 'Capacity (kW)', aliases: ['capacitykw', 'capacitykwp'], required: true },
+  { key: 'timezone', header: 'timezone', label: 'Timezone', aliases: ['tz'] },
+  { key: 'lat', header: 'lat', label: 'Latitude', aliases: ['latitude'], required: true },
+  { key: 'lng', header: 'lng', label: 'Longitude', aliases: ['lon', 'long', 'longitude'], required: true },
+  { key: 'address', header: 'address', label: 'Address', aliases: ['location'], required: true },
+  { key: 'mqttBaseTopic', header: 'mqttBaseTopic', label: 'MQTT Base Topic', aliases: ['mqtttopic', 'basetopic'], required: true },
+  { key: 'deviceName', header: 'deviceName', label: 'Device Name', aliases: ['device'] },
+  { key: 'deviceTemplate', header: 'deviceTemplate', label: 'Device Template', aliases: ['template', 'templateshortform'] },
+  { key: 'parentDevice', header: 'parentDevice', label: 'Parent Device', aliases: ['parent'] },
+  { key: 'serialNumber', header: 'serialNumber', label: 'Serial Number', aliases: ['serial'] },
+];
+
+// Rows of the downloadable example file
+export const IMPORT_EXAMPLE_ROWS = [
+  {
+    name: 'Solar Park North',
+    plantId: 'SPN01',
+    capacity: 5000,
+    timezone: DEFAULT_IMPORT_TIMEZONE,
+    lat: 28.6139,
+    lng: 77.209,
+    address: 'New Delhi, India',
+    mqttBaseTopic: 'plants/spn01',
+  },
+  { plantId: 'SPN01', deviceName: 'INV_1', deviceTemplate: 'INV', serialNumber: 'SN-0001' },
+  { plantId: 'SPN01', deviceName: 'SMB_1', deviceTemplate: 'SMB', parentDevice: 'INV_1' },
+];
+
+// Fields compared with an existing plant of the same plant ID for the dry-run diff
+const DIFF_FIELDS = ['name', 'capacity', 'timezone', 'lat', 'lng', 'address', 'mqttBaseTopic'];
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMN_BY_HEADER = new Map(
+  IMPORT_COLUMNS.flatMap((column) =>
+    [column.header, ...column.aliases].map((header) => [normalizeHeader(header), column.key])
+  )
+);
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const toText = (value) => (isBlank(value) ? '' : String(value).trim());
+
+const toNumber = (value) => {
+  if (isBlank(value)) return null;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Most spreadsheets export CSV with commas; some locales use semicolons, and copied cells are tab-separated
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  if (firstLine.includes('\t')) return '\t';
+  if (firstLine.includes(';') && !firstLine.includes(',')) return ';';
+  return ',';
+};
+
+/**
+ * Records of one sheet: the first non-empty row is the header, unknown columns are ignored.
+ * Sheets without a plant ID column (e.g. notes) are skipped.
+ */
+const getSheetRecords = (sheet) => {
+  const headerIndex = sheet.rows.findIndex((row) => row.some((value) => !isBlank(value)));
+  if (headerIndex < 0) return [];
+
+  const keys = sheet.rows[headerIndex].map((header) => COLUMN_BY_HEADER.get(normalizeHeader(header)));
+  if (!keys.includes('plantId')) return [];
+
+  return sheet.rows.slice(headerIndex + 1).flatMap((row, index) => {
+    if (row.every(isBlank)) return [];
+    const record = { sheet: sheet.name, rowNumber: headerIndex + index + 2 };
+    keys.forEach((key, column) => {
+      if (key) record[key] = row[column] ?? null;
+    });
+    return [record];
+  });
+};
+
+/**
+ * Read plant and device records from a CSV/TSV or XLSX file (every sheet of a workbook)
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array<Object>>} - Records keyed by IMPORT_COLUMNS keys, with sheet and rowNumber
+ */
+export const readImportFile = async (file) => {
+  let sheets;
+  if (/\.xlsx$/i.test(file.name)) {
+    sheets = await readXlsx(await file.arrayBuffer());
+  } else {
+    const text = await file.text();
+    sheets = [{ name: file.name, rows: parseDelimited(text, detectDelimiter(text)) }];
+  }
+
+  const records = sheets.flatMap(getSheetRecords);
+  if (records.length === 0) {
+    throw new Error('No rows found. The file needs a header row with at least a "plantId" column.');
+  }
+  return records;
+};
+
+const findTemplate = (templates, reference) => {
+  const value = reference.toLowerCase();
+  return templates.find((template) =>
+    [template.id, template.shortform, template.name].some((candidate) => String(candidate ?? '').toLowerCase() === value)
+  );
+};
+
+/**
+ * Validate the devices of one plant and order them so parents come before their children
+ * @returns {{ devices: Array, errors: Array<string> }}
+ */
+const validateDevices = (deviceRecords, templates) => {
+  const errors = [];
+  const byName = new Map();
+
+  deviceRecords.forEach((record) => {
+    const name = toText(record.deviceName);
+    const templateRef = toText(record.deviceTemplate);
+    const template = templateRef ? findTemplate(templates, templateRef) : null;
+
+    if (!templateRef) errors.push(`Row ${record.rowNumber}: device "${name}" has no template`);
+    else if (!template) errors.push(`Row ${record.rowNumber}: unknown device template "${templateRef}"`);
+
+    if (byName.has(name.toLowerCase())) {
+      errors.push(`Row ${record.rowNumber}: duplicate device name "${name}" (also on row ${byName.get(name.toLowerCase()).rowNumber})`);
+      return;
+    }
+    byName.set(name.toLowerCase(), {
+      rowNumber: record.rowNumber,
+      name,
+      template,
+      parentName: toText(record.parentDevice),
+      serialNumber: toText(record.serialNumber),
+    });
+  });
+
+  byName.forEach((device) => {
+    if (device.parentName && !byName.has(device.parentName.toLowerCase())) {
+      errors.push(`Row ${device.rowNumber}: parent device "${device.parentName}" is not defined for this plant`);
+    }
+  });
+
+  // Depth-first ordering; a device reached again while still being visited is part of a cycle
+  const ordered = [];
+  const state = new Map();
+  const visit = (device) => {
+    const key = device.name.toLowerCase();
+    if (state.get(key) === 'done') return;
+    if (state.get(key) === 'visiting') {
+      errors.push(`Row ${device.rowNumber}: device "${device.name}" is its own ancestor`);
+      return;
+    }
+    state.set(key, 'visiting');
+    const parent = device.parentName && byName.get(device.parentName.toLowerCase());
+    if (parent) visit(parent);
+    state.set(key, 'done');
+    ordered.push(device);
+  };
+  byName.forEach(visit);
+
+  return { devices: ordered, errors };
+};
+
+const getExistingValue = (plant, field) => {
+  if (field === 'lat' || field === 'lng' || field === 'address') return plant.location?.[field];
+  return plant[field];
+};
+
+/**
+ * Validate import records and work out what the import would do (dry run)
+ * @param {Array<Object>} records - Output of readImportFile
+ * @param {Object} context
+ * @param {Array<Object>} context.existingPlants - Plants already in the system
+ * @param {Array<Object>} context.templates - Device templates
+ * @returns {Array<Object>} - One entry per plant: { key, rowNumber, sheet, plantId, name, data, devices,
+ *   action: 'create' | 'skip' | 'error', errors, changes }
+ */
+export const validatePlantImport = (records, { existingPlants = [], templates = [] } = {}) => {
+  const plantRecords = records.filter((record) => isBlank(record.deviceName));
+  const deviceRecords = records.filter((record) => !isBlank(record.deviceName));
+  const existingById = new Map(existingPlants.map((plant) => [String(plant.plantId).toUpperCase(), plant]));
+
+  const rowsByPlantId = new Map();
+  plantRecords.forEach((record) => {
+    const plantId = toText(record.plantId).toUpperCase();
+    if (plantId) rowsByPlantId.set(plantId, [...(rowsByPlantId.get(plantId) || []), record.rowNumber]);
+  });
+
+  const entries = plantRecords.map((record, index) => {
+    const plantId = toText(record.plantId).toUpperCase();
+    const data = {
+      name: toText(record.name),
+      plantId,
+      capacity: toNumber(record.capacity),
+      timezone: toText(record.timezone) || DEFAULT_IMPORT_TIMEZONE,
+      lat: toNumber(record.lat),
+      lng: toNumber(record.lng),
+      address: toText(record.address),
+      mqttBaseTopic: toText(record.mqttBaseTopic),
+    };
+    const errors = [];
+
+    const missing = IMPORT_COLUMNS.filter((column) => column.required && (data[column.key] === '' || data[column.key] === null));
+    if (missing.length > 0) errors.push(`Missing ${missing.map((column) => column.label).join(', ')}`);
+
+    const duplicateRows = rowsByPlantId.get(plantId) || [];
+    if (duplicateRows.length > 1) {
+      errors.push(`Plant ID ${plantId} appears more than once (rows ${duplicateRows.join(', ')})`);
+    }
+    if (Number.isNaN(data.capacity) || data.capacity <= 0) errors.push('Capacity must be a positive number');
+    if (Number.isNaN(data.lat) || data.lat < -90 || data.lat > 90) errors.push('Latitude must be between -90 and 90');
+    if (Number.isNaN(data.lng) || data.lng < -180 || data.lng > 180) errors.push('Longitude must be between -180 and 180');
+    if (!isValidTimeZone(data.timezone)) errors.push(`Unknown timezone "${data.timezone}"`);
+
+    const plantDevices = validateDevices(
+      deviceRecords.filter((device) => toText(device.plantId).toUpperCase() === plantId),
+      templates
+    );
+    errors.push(...plantDevices.errors);
+
+    const existing = existingById.get(plantId);
+    const changes = existing
+      ? DIFF_FIELDS
+        .filter((field) => {
+          const from = getExistingValue(existing, field);
+          return from !== undefined && from !== null && String(from) !== String(data[field]);
+        })
+        .map((field) => ({
+          field,
+          label: IMPORT_COLUMNS.find((column) => column.key === field).label,
+          from: getExistingValue(existing, field),
+          to: data[field],
+        }))
+      : [];
+    if (existing && plantDevices.devices.length > 0) {
+      errors.push('Devices cannot be imported into an existing plant');
+    }
+
+    let action = 'create';
+    if (errors.length > 0) action = 'error';
+    else if (existing) action = 'skip';
+
+    return {
+      key: `${record.sheet}-${record.rowNumber}-${index}`,
+      rowNumber: record.rowNumber,
+      sheet: record.sheet,
+      plantId,
+      name: data.name,
+      data,
+      devices: plantDevices.devices,
+      action,
+      errors,
+      changes,
+    };
+  });
+
+  // Device rows whose plant is not in the file
+  const knownIds = new Set(rowsByPlantId.keys());
+  const orphans = new Map();
+  deviceRecords.forEach((record) => {
+    const plantId = toText(record.plantId).toUpperCase();
+    if (!knownIds.has(plantId)) orphans.set(plantId, [...(orphans.get(plantId) || []), record]);
+  });
+  orphans.forEach((rows, plantId) => {
+    entries.push({
+      key: `orphan-${plantId}`,
+      rowNumber: rows[0].rowNumber,
+      sheet: rows[0].sheet,
+      plantId,
+      name: '',
+      data: null,
+      devices: [],
+      action: 'error',
+      errors: [`Device rows ${rows.map((row) => row.rowNumber).join(', ')} reference plant "${plantId}", which has no plant row`],
+      changes: [],
+    });
+  });
+
+  return entries.sort((a, b) => a.sheet.localeCompare(b.sheet) || a.rowNumber - b.rowNumber);
+};
+
+/**
+ * Counts of plants and devices per action
+ * @param {Array<Object>} entries - Output of validatePlantImport
+ */
+export const getImportSummary = (entries) => ({
+  create: entries.filter((entry) => entry.action === 'create').length,
+  skip: entries.filter((entry) => entry.action === 'skip').length,
+  error: entries.filter((entry) => entry.action === 'error').length,
+  devices: entries
+    .filter((entry) => entry.action === 'create')
+    .reduce((sum, entry) => sum + entry.devices.length, 0),
+});
+
+/**
+ * createPlant payload for an import entry, in the shape the plant form submits
+ * @param {Object} entry - Entry of validatePlantImport with action 'create'
+ * @param {Object<string, Array<string>>} templateTagIds - Tag IDs of each template; devices get all of them
+ */
+export const buildImportPayload = (entry, templateTagIds = {}) => {
+  const { data, devices } = entry;
+  const indexByName = new Map(devices.map((device, index) => [device.name.toLowerCase(), index]));
+
+  return {
+    name: data.name,
+    plantId: data.plantId,
+    mqttBaseTopic: data.mqttBaseTopic,
+    capacity: data.capacity,
+    status: 'ACTIVE',
+    timezone: data.timezone,
+    location: {
+      lat: data.lat,
+      lng: data.lng,
+      address: data.address,
+    },
+    devices: devices.map((device) => ({
+      templateId: device.template.id,
+      name: device.name,
+      parentDeviceId: device.parentName ? String(indexByName.get(device.parentName.toLowerCase())) : null,
+      serialNumber: device.serialNumber || undefined,
+      status: 'ONLINE',
+      selectedTags: templateTagIds[device.template.id] || [],
+    })),
+  };
+};
+
+// Columns of the downloadable error report
+export const IMPORT_REPORT_COLUMNS = [
+  { key: 'sheet', header: 'Sheet' },
+  { key: 'rowNumber', header: 'Row' },
+  { key: 'plantId', header: 'Plant ID' },
+  { key: 'name', header: 'Name' },
+  { key: 'status', header: 'Status' },
+  { key: 'message', header: 'Message' },
+];
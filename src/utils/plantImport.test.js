@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { readImportFile, validatePlantImport } from './plantImport';
+import { toDelimited } from './export';
+import { buildXlsx } from './xlsx';
+
+const HEADER = ['name', 'plantId', 'capacity', 'lat', 'lng', 'address', 'mqttBaseTopic', 'deviceName', 'deviceTemplate'];
+const PLANT = ['Solar Park North', 'SPN01', 5000, 28.6, 77.2, 'New Delhi', 'plants/spn01'];
+const TEMPLATES = [{ id: 'template-inv', shortform: 'INV', name: 'Inverter' }];
+
+// Sheet rows 1-9: blank rows above the header, between the plant and its devices, and between devices
+const SHEET_ROWS = [
+  [],
+  HEADER,
+  PLANT,
+  [],
+  [null, 'SPN01', null, null, null, null, null, 'INV_1', 'INV'],
+  [],
+  [],
+  [null, 'SPN01', null, null, null, null, null, 'BAD_1', 'NOPE'],
+  [null, 'SPN01', null, null, null, null, null, 'BAD_2', 'NOPE'],
+];
+
+// Excel leaves empty rows out of the sheet XML entirely; blank them out of the built workbook.
+// The sheet is stored uncompressed, so overwriting bytes with spaces keeps the zip valid.
+const omitEmptyRows = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const text = new TextDecoder('latin1').decode(bytes);
+  for (const match of text.matchAll(/<row r="\d+"><\/row>/g)) {
+    bytes.fill(0x20, match.index, match.index + match[0].length);
+  }
+  return bytes;
+};
+
+const getErrors = async (file) =>
+  validatePlantImport(await readImportFile(file), { templates: TEMPLATES }).flatMap((entry) => entry.errors);
+
+describe('readImportFile', () => {
+  it('keeps XLSX rows at their sheet row number when empty rows are left out', async () => {
+    const bytes = await omitEmptyRows(buildXlsx(SHEET_ROWS));
+    const records = await readImportFile(new File([bytes], 'plants.xlsx'));
+
+    expect(records.map((record) => record.rowNumber)).toEqual([3, 5, 8, 9]);
+    expect(await getErrors(new File([bytes], 'plants.xlsx'))).toEqual([
+      'Row 8: unknown device template "NOPE"',
+      'Row 9: unknown device template "NOPE"',
+    ]);
+  });
+
+  it('counts blank CSV lines when numbering rows', async () => {
+    const file = new File([toDelimited(SHEET_ROWS, ',')], 'plants.csv');
+
+    expect((await readImportFile(file)).map((record) => record.rowNumber)).toEqual([3, 5, 8, 9]);
+    expect(await getErrors(file)).toEqual([
+      'Row 8: unknown device template "NOPE"',
+      'Row 9: unknown device template "NOPE"',
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Plant Map Utilities
+ * Status colours, cluster badges coloured by the worst status inside a cluster,
+ * and heatmap weights by capacity or live output
+ */
+
+// Marker and cluster colours per plant status
+export const PLANT_STATUS_COLORS = {
+  ACTIVE: '#4CAF50',
+  INACTIVE: '#9e9e9e',
+  MAINTENANCE: '#ff9800',
+  OFFLINE: '#f44336',
+};
+
+// Least to most severe; a cluster shows the most severe status of its plants
+export const STATUS_SEVERITY = ['ACTIVE', 'INACTIVE', 'MAINTENANCE', 'OFFLINE'];
+
+// Cluster badge diameters (px) by number of plants
+const CLUSTER_SIZES = [
+  { maxCount: 9, size: 36 },
+  { maxCount: 99, size: 44 },
+  { maxCount: Infinity, size: 52 },
+];
+
+// Clusters split into single markers from this zoom level on
+export const CLUSTER_MAX_ZOOM = 14;
+
+export const HEATMAP_METRICS = [
+  { value: '', label: 'Off' },
+  { value: 'capacity', label: 'Capacity', unit: 'kW' },
+  { value: 'output', label: 'Live output', unit: 'kW' },
+];
+
+// Heatmap colours from low to high weight, also drawn in the legend
+export const HEATMAP_GRADIENT = [
+  'rgba(33, 150, 243, 0)',
+  'rgba(33, 150, 243, 1)',
+  'rgba(0, 200, 83, 1)',
+  'rgba(255, 235, 59, 1)',
+  'rgba(255, 152, 0, 1)',
+  'rgba(244, 67, 54, 1)',
+];
+
+// Live output tag published for plants
+const OUTPUT_TAG = 'activePower';
+
+/**
+ * Most severe status among plants
+ * @param {Array<Object>} plants - Plants with status
+ */
+export const getWorstStatus = (plants) =>
+  plants.reduce(
+    (worst, plant) => (STATUS_SEVERITY.indexOf(plant?.status) > STATUS_SEVERITY.indexOf(worst) ? plant.status : worst),
+    STATUS_SEVERITY[0]
+  );
+
+const getClusterIconUrl = (color, size) => {
+  const radius = size / 2;
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+    `<circle cx="${radius}" cy="${radius}" r="${radius}" fill="${color}" fill-opacity="0.3"/>` +
+    `<circle cx="${radius}" cy="${radius}" r="${radius - 5}" fill="${color}" stroke="#ffffff" stroke-width="2"/>` +
+    '</svg>';
+  return `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+};
+
+/**
+ * Cluster badge styles: one per status and size, in STATUS_SEVERITY x CLUSTER_SIZES order
+ */
+export const CLUSTER_STYLES = STATUS_SEVERITY.flatMap((status) =>
+  CLUSTER_SIZES.map(({ size }) => ({
+    url: getClusterIconUrl(PLANT_STATUS_COLORS[status], size),
+    width: size,
+    height: size,
+    textColor: '#ffffff',
+    textSize: size > 40 ? 13 : 12,
+    fontWeight: 'bold',
+  }))
+);
+
+/**
+ * Badge of a cluster: the plant count, a 1-based index into CLUSTER_STYLES and a tooltip
+ * @param {Array<Object>} plants - Plants in the cluster
+ */
+export const getClusterIcon = (plants) => {
+  const status = getWorstStatus(plants);
+  const sizeIndex = CLUSTER_SIZES.findIndex(({ maxCount }) => plants.length <= maxCount);
+  const offline = plants.filter((plant) => plant.status === 'OFFLINE').length;
+  return {
+    text: String(plants.length),
+    index: STATUS_SEVERITY.indexOf(status) * CLUSTER_SIZES.length + sizeIndex + 1,
+    title: `${plants.length} plants${offline > 0 ? `, ${offline} offline` : ''}`,
+  };
+};
+
+/**
+ * Heatmap weight of a plant
+ * @param {Object} plant - Plant
+ * @param {string} metric - 'capacity' or 'output'
+ * @param {Object} latestValues - Live values by plant ID (realtime slice), for 'output'
+ * @returns {number|null} - Weight, or null when the plant has no value (e.g. not reporting)
+ */
+export const getHeatmapWeight = (plant, metric, latestValues = {}) => {
+  const value = metric === 'output'
+    ? latestValues[plant.id]?.[OUTPUT_TAG]?.value
+    : plant.capacity;
+  const number = Number(value);
+  return value === null || value === undefined || !Number.isFinite(number) ? null : Math.max(number, 0);
+};
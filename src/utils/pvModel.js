@@ -0,0 +1,209 @@
+/**
+ * PV Model
+ * Expected AC power from measured irradiance, module temperature and plant metadata,
+ * used to tell weather-driven low output apart from faults
+ *
+ * Units:
+ * - capacity: kWp (plant.capacity / device.capacity)
+ * - irradiance: W/m² (plane of array, or global horizontal for `ghi` tags)
+ * - temperature: °C
+ * - power: kW
+ */
+
+import { getPlantCoordinates, getSunPosition, getExtraterrestrialIrradiance } from './solarGeometry';
+
+const DEG = Math.PI / 180;
+
+// Irradiance and cell temperature at Standard Test Conditions
+const G_STC = 1000;
+const T_STC = 25;
+
+// Nominal Operating Cell Temperature, used when only ambient temperature is measured
+const NOCT = 45;
+
+// Ground reflectance for the transposition model
+const ALBEDO = 0.2;
+
+// Deviations are only judged while the model expects at least this share of capacity
+const MIN_EXPECTED_FRACTION = 0.05;
+
+export const DEFAULT_PV_CONFIG = {
+  temperatureCoefficient: -0.4, // %/°C (crystalline silicon)
+  systemLosses: 14, // % (soiling, wiring, mismatch, inverter)
+};
+
+// Deviation (%) between actual and expected power that is flagged
+export const DEFAULT_DEVIATION_THRESHOLD = 15;
+
+// Tag names recognised for each measurement, in order of preference
+const POA_IRRADIANCE_TAGS = ['poaIrradiance', 'irradiance', 'solarIrradiance'];
+const GHI_TAGS = ['ghi', 'globalHorizontalIrradiance'];
+const MODULE_TEMPERATURE_TAGS = ['moduleTemperature', 'panelTemperature', 'cellTemperature'];
+const AMBIENT_TEMPERATURE_TAGS = ['ambientTemperature'];
+
+const pickValue = (row, tags) => {
+  const tag = tags.find((name) => typeof row[name] === 'number');
+  return tag ? row[tag] : null;
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * PV model configuration for a plant, filling gaps with defaults.
+ * Without a configured orientation the array is assumed to face the equator
+ * at a tilt equal to the latitude.
+ * @param {Object} plant - Plant (capacity, location, tilt, azimuth, temperatureCoefficient)
+ * @param {number} capacity - Override capacity in kWp (e.g. for a single inverter)
+ */
+export const getPvConfig = (plant, capacity = plant?.capacity) => {
+  const coordinates = getPlantCoordinates(plant);
+  const lat = coordinates?.lat ?? 0;
+
+  return {
+    capacity: toNumber(capacity) || 0,
+    coordinates,
+    tilt: toNumber(plant?.tilt) ?? Math.round(Math.abs(lat)),
+    azimuth: toNumber(plant?.azimuth) ?? (lat >= 0 ? 180 : 0),
+    temperatureCoefficient:
+      toNumber(plant?.temperatureCoefficient) ?? DEFAULT_PV_CONFIG.temperatureCoefficient,
+    systemLosses: toNumber(plant?.systemLosses) ?? DEFAULT_PV_CONFIG.systemLosses,
+  };
+};
+
+/**
+ * Transpose global horizontal irradiance to the plane of array.
+ * Erbs decomposition into beam and diffuse, then the isotropic sky model.
+ * @param {number} ghi - Global horizontal irradiance (W/m²)
+ * @param {Date} date - Instant of the measurement
+ * @param {Object} config - Output of getPvConfig
+ */
+export const transposeToPlane = (ghi, date, config) => {
+  const tilt = config.tilt * DEG;
+  const skyView = (1 + Math.cos(tilt)) / 2;
+  const groundView = (1 - Math.cos(tilt)) / 2;
+
+  if (!config.coordinates) return ghi * skyView;
+
+  const sun = getSunPosition(date, config.coordinates.lat, config.coordinates.lng);
+  const cosZenith = Math.cos(sun.zenith * DEG);
+
+  // Sun at or below the horizon: treat everything as diffuse
+  if (cosZenith <= 0.065) return ghi * skyView;
+
+  const extraterrestrial = getExtraterrestrialIrradiance(sun.dayOfYear);
+  const clearness = Math.min(1, ghi / (extraterrestrial * cosZenith));
+  let diffuseFraction;
+  if (clearness <= 0.22) {
+    diffuseFraction = 1 - 0.09 * clearness;
+  } else if (clearness <= 0.8) {
+    diffuseFraction = 0.9511 - 0.1604 * clearness + 4.388 * clearness ** 2
+      - 16.638 * clearness ** 3 + 12.336 * clearness ** 4;
+  } else {
+    diffuseFraction = 0.165;
+  }
+
+  const dhi = ghi * diffuseFraction;
+  const dni = (ghi - dhi) / cosZenith;
+  const cosIncidence = cosZenith * Math.cos(tilt)
+    + Math.sin(sun.zenith * DEG) * Math.sin(tilt) * Math.cos((sun.azimuth - config.azimuth) * DEG);
+
+  return Math.max(0, dni * Math.max(0, cosIncidence) + dhi * skyView + ghi * ALBEDO * groundView);
+};
+
+/**
+ * Expected AC power for one set of measurements
+ * @param {Object} inputs
+ * @param {number} inputs.irradiance - Plane-of-array irradiance (W/m²)
+ * @param {number} [inputs.moduleTemperature] - Measured module temperature (°C)
+ * @param {number} [inputs.ambientTemperature] - Ambient temperature (°C), used when module temperature is missing
+ * @param {Object} config - Output of getPvConfig
+ * @returns {number|null} Expected power in kW, or null without irradiance
+ */
+export const calculateExpectedPower = ({ irradiance, moduleTemperature, ambientTemperature }, config) => {
+  if (typeof irradiance !== 'number' || !(config.capacity > 0)) return null;
+
+  const poa = Math.max(0, irradiance);
+  let cellTemperature = T_STC;
+  if (typeof moduleTemperature === 'number') {
+    cellTemperature = moduleTemperature;
+  } else if (typeof ambientTemperature === 'number') {
+    cellTemperature = ambientTemperature + ((NOCT - 20) / 800) * poa;
+  }
+
+  const temperatureFactor = 1 + (config.temperatureCoefficient / 100) * (cellTemperature - T_STC);
+  const power = config.capacity * (poa / G_STC) * temperatureFactor * (1 - config.systemLosses / 100);
+
+  return Math.max(0, power);
+};
+
+/**
+ * Plane-of-array irradiance for a chart row, transposing GHI when that is all that was measured
+ */
+const getRowIrradiance = (row, config) => {
+  const poa = pickValue(row, POA_IRRADIANCE_TAGS);
+  if (poa !== null) return poa;
+
+  const ghi = pickValue(row, GHI_TAGS);
+  return ghi === null ? null : transposeToPlane(ghi, new Date(row.timestamp), config);
+};
+
+/**
+ * Add `expectedPower` and `deviation` (%) to chart rows.
+ * Rows without irradiance can borrow weather measurements from `weatherRows`
+ * (e.g. the plant weather station when charting a single inverter), matched on timestamp.
+ * @param {Array} rows - Chart rows ({ timestamp, activePower, ... })
+ * @param {Object} config - Output of getPvConfig
+ * @param {Array} weatherRows - Optional rows carrying irradiance/temperature tags
+ */
+export const buildExpectedPowerSeries = (rows = [], config, weatherRows = []) => {
+  const weatherByTimestamp = new Map(weatherRows.map((row) => [row.timestamp, row]));
+  const minExpected = config.capacity * MIN_EXPECTED_FRACTION;
+
+  return rows.map((row) => {
+    let weather = row;
+    let irradiance = getRowIrradiance(row, config);
+    if (irradiance === null && weatherByTimestamp.has(row.timestamp)) {
+      weather = weatherByTimestamp.get(row.timestamp);
+      irradiance = getRowIrradiance(weather, config);
+    }
+
+    const expectedPower = calculateExpectedPower({
+      irradiance: irradiance ?? undefined,
+      moduleTemperature: pickValue(weather, MODULE_TEMPERATURE_TAGS) ?? undefined,
+      ambientTemperature: pickValue(weather, AMBIENT_TEMPERATURE_TAGS) ?? undefined,
+    }, config);
+
+    if (expectedPower === null) return row;
+
+    const deviation = typeof row.activePower === 'number' && expectedPower >= minExpected
+      ? ((row.activePower - expectedPower) / expectedPower) * 100
+      : null;
+
+    return { ...row, expectedPower: Math.round(expectedPower * 100) / 100, deviation };
+  });
+};
+
+/**
+ * Compare actual and expected output over a series (output of buildExpectedPowerSeries)
+ * @param {Array} rows - Rows with activePower and expectedPower
+ * @param {number} threshold - Deviation (%) that is flagged
+ * @returns {{ hasModel, deviation, flagged, flaggedPoints, totalPoints, threshold }}
+ */
+export const summarizeDeviation = (rows = [], threshold = DEFAULT_DEVIATION_THRESHOLD) => {
+  const compared = rows.filter((row) => row.deviation !== null && row.deviation !== undefined);
+  const actual = compared.reduce((sum, row) => sum + row.activePower, 0);
+  const expected = compared.reduce((sum, row) => sum + row.expectedPower, 0);
+  const deviation = expected > 0 ? ((actual - expected) / expected) * 100 : null;
+
+  return {
+    hasModel: rows.some((row) => typeof row.expectedPower === 'number'),
+    deviation,
+    flagged: deviation !== null && Math.abs(deviation) > threshold,
+    flaggedPoints: compared.filter((row) => Math.abs(row.deviation) > threshold).length,
+    totalPoints: compared.length,
+    threshold,
+  };
+};
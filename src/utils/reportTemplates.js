@@ -0,0 +1,146 @@
+/**
+ * Report Template Utilities
+ * Section catalogue, defaults and validation for user-designed report templates
+ */
+
+import { KPI_DEFINITIONS } from './kpi';
+
+export const AGGREGATIONS = [
+  { value: 'AVG', label: 'Average' },
+  { value: 'MIN', label: 'Minimum' },
+  { value: 'MAX', label: 'Maximum' },
+  { value: 'SUM', label: 'Sum' },
+  { value: 'LAST', label: 'Last value' },
+];
+
+export const GROUP_BY_OPTIONS = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+];
+
+export const CHART_TYPES = [
+  { value: 'LINE', label: 'Line' },
+  { value: 'BAR', label: 'Bar' },
+];
+
+// KPIs a summary section can show: energy plus the headline KPI cards
+export const REPORT_KPIS = [
+  { key: 'energy', title: 'Energy', unit: 'kWh' },
+  { key: 'irradiation', title: 'Irradiation', unit: 'kWh/m²' },
+  ...KPI_DEFINITIONS,
+];
+
+/**
+ * Section types and the settings each one starts with.
+ * usesTags: the section reads tag values, aggregated per row or point.
+ */
+export const SECTION_TYPES = {
+  KPI_SUMMARY: {
+    label: 'KPI Summary',
+    usesTags: false,
+    defaults: { kpis: ['energy', 'performanceRatio', 'specificYield', 'availability'] },
+  },
+  ENERGY_TABLE: {
+    label: 'Energy Table',
+    usesTags: false,
+    defaults: { groupBy: 'day' },
+  },
+  ALARM_TABLE: {
+    label: 'Alarm Table',
+    usesTags: false,
+    defaults: { severities: [], limit: 50 },
+  },
+  INVERTER_COMPARISON: {
+    label: 'Per-Inverter Comparison',
+    usesTags: true,
+    defaults: { tags: ['power'], aggregation: 'AVG' },
+  },
+  CHART: {
+    label: 'Chart',
+    usesTags: true,
+    defaults: { chartType: 'LINE', tags: ['power'], aggregation: 'AVG', groupBy: 'day' },
+  },
+};
+
+export const SECTION_TYPE_OPTIONS = Object.entries(SECTION_TYPES).map(([value, { label }]) => ({ value, label }));
+
+// Logos are stored inline with the template, so keep them small
+export const MAX_LOGO_BYTES = 512 * 1024;
+
+export const DEFAULT_TEMPLATE = {
+  name: '',
+  description: '',
+  header: { title: '', subtitle: '', logo: null },
+  sections: [],
+};
+
+let sectionCounter = 0;
+
+/**
+ * New section of a type, with that type's default settings
+ * @param {string} type - Key of SECTION_TYPES
+ */
+export const createSection = (type) => {
+  sectionCounter += 1;
+  return {
+    id: `section-${Date.now()}-${sectionCounter}`,
+    type,
+    title: SECTION_TYPES[type].label,
+    ...SECTION_TYPES[type].defaults,
+  };
+};
+
+/**
+ * Move a section up (delta -1) or down (delta 1)
+ * @returns {Array} New sections array
+ */
+export const moveSection = (sections, index, delta) => {
+  const target = index + delta;
+  if (target < 0 || target >= sections.length) return sections;
+  const next = [...sections];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+/**
+ * Validate a template definition
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export const validateTemplate = (template) => {
+  const problems = [];
+  if (!template.name?.trim()) problems.push('Name is required');
+  if (!template.sections?.length) problems.push('Add at least one section');
+
+  template.sections?.forEach((section, index) => {
+    const label = section.title?.trim() || `Section ${index + 1}`;
+    if (SECTION_TYPES[section.type]?.usesTags && !section.tags?.length) {
+      problems.push(`${label} needs at least one tag`);
+    }
+    if (section.type === 'KPI_SUMMARY' && !section.kpis?.length) {
+      problems.push(`${label} needs at least one KPI`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * Read an image file as a data URL for the template header
+ * @param {File} file - Image file
+ * @returns {Promise<string>}
+ */
+export const readLogoFile = (file) =>
+  new Promise((resolve, reject) => {
+    if (!file.type.startsWith('image/')) {
+      reject(new Error('Logo must be an image'));
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      reject(new Error(`Logo must be smaller than ${MAX_LOGO_BYTES / 1024} KB`));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read logo'));
+    reader.readAsDataURL(file);
+  });
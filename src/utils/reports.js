@@ -0,0 +1,226 @@
+/**
+ * Report Utilities
+ * Report types and formats, and recurring schedule helpers (run times follow the plant's timezone)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const REPORT_TYPES = [
+  { value: 'PLANT_PERFORMANCE', label: 'Plant Performance Report' },
+  { value: 'DEVICE_PERFORMANCE', label: 'Device Performance Report' },
+  { value: 'ALARM', label: 'Alarm Report' },
+  { value: 'ENERGY_PRODUCTION', label: 'Energy Production Report' },
+  { value: 'CUSTOM', label: 'Custom Report (from template)' },
+];
+
+export const REPORT_FORMATS = [
+  { value: 'PDF', label: 'PDF' },
+  { value: 'EXCEL', label: 'Excel' },
+];
+
+export const SCHEDULE_FREQUENCIES = [
+  { value: 'DAILY', label: 'Daily', period: 'previous day' },
+  { value: 'WEEKLY', label: 'Weekly', period: 'previous 7 days' },
+  { value: 'MONTHLY', label: 'Monthly', period: 'previous calendar month' },
+];
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Monthly schedules stop at the 28th so every month has a run
+export const MAX_DAY_OF_MONTH = 28;
+
+export const RETENTION_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 180, label: '6 months' },
+  { value: 365, label: '1 year' },
+  { value: 0, label: 'Keep forever' },
+];
+
+export const DEFAULT_SCHEDULE = {
+  name: '',
+  reportType: 'PLANT_PERFORMANCE',
+  format: 'PDF',
+  plantId: '',
+  templateId: '',
+  severity: '',
+  frequency: 'DAILY',
+  timeOfDay: '07:00',
+  dayOfWeek: 1,
+  dayOfMonth: 1,
+  recipients: [],
+  retentionDays: 90,
+  enabled: true,
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const getReportTypeLabel = (reportType) =>
+  REPORT_TYPES.find((type) => type.value === reportType)?.label || reportType;
+
+/**
+ * Validate a schedule definition
+ * @returns {Array<string>} Problems (empty when valid)
+ */
+export const validateSchedule = (schedule) => {
+  const problems = [];
+  if (!schedule.name?.trim()) problems.push('Name is required');
+  if (!schedule.plantId) problems.push('Plant is required');
+  if (schedule.reportType === 'CUSTOM' && !schedule.templateId) problems.push('Template is required');
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.timeOfDay || '')) problems.push('Run time must be HH:mm');
+  if (!schedule.recipients?.length) problems.push('At least one recipient is required');
+
+  const invalid = (schedule.recipients || []).filter((email) => !EMAIL_PATTERN.test(email));
+  if (invalid.length > 0) problems.push(`Invalid email: ${invalid.join(', ')}`);
+  return problems;
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+const getZonedParts = (time, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    })
+      .formatToParts(new Date(time))
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+};
+
+/**
+ * Instant at which a timezone's clock shows the given wall time
+ */
+const zonedTimeToUtc = ({ year, month, day, hour, minute }, timeZone) => {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (time) => {
+    const parts = getZonedParts(time, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - time;
+  };
+  // Re-check the offset at the first guess so DST changes land on the right side
+  const guess = wallAsUtc - offsetAt(wallAsUtc);
+  return wallAsUtc - offsetAt(guess);
+};
+
+/**
+ * Next time a schedule runs, evaluated in the plant's timezone
+ * @param {Object} schedule - { frequency, timeOfDay, dayOfWeek, dayOfMonth }
+ * @param {string} timeZone - Plant timezone (IANA name)
+ * @param {number} now - Reference time (ms)
+ * @returns {Date|null}
+ */
+export const getNextRunAt = (schedule, timeZone = 'UTC', now = Date.now()) => {
+  const [hour, minute] = (schedule.timeOfDay || '').split(':').map(Number);
+  if (Number.isNaN(hour) || Number.isNaN(minute)) return null;
+
+  try {
+    const today = getZonedParts(now, timeZone);
+
+    // Walk forward day by day (at most two months) until a matching run time is in the future
+    for (let offset = 0; offset <= 62; offset += 1) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day) + offset * DAY_MS);
+      const matches =
+        schedule.frequency === 'DAILY' ||
+        (schedule.frequency === 'WEEKLY' && date.getUTCDay() === Number(schedule.dayOfWeek)) ||
+        (schedule.frequency === 'MONTHLY' && date.getUTCDate() === Number(schedule.dayOfMonth));
+      if (!matches) continue;
+
+      const runAt = zonedTimeToUtc(
+        { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour, minute },
+        timeZone
+      );
+      if (runAt > now) return new Date(runAt);
+    }
+  } catch {
+    return null;
+  }
+  return null;
+};
+
+/**
+ * Human-readable schedule (e.g. "Weekly on Monday at 07:00")
+ */
+export const describeSchedule = (schedule) => {
+  const at = `at ${schedule.timeOfDay}`;
+  if (schedule.frequency === 'WEEKLY') return `Weekly on ${WEEKDAYS[schedule.dayOfWeek]} ${at}`;
+  if (schedule.frequency === 'MONTHLY') return `Monthly on day ${schedule.dayOfMonth} ${at}`;
+  return `Daily ${at}`;
+};
+
+/**
+ * Format an instant as date and time in a timezone
+ */
+export const formatZonedDateTime = (date, timeZone = 'UTC') => {
+  const options = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  try {
+    return new Date(date).toLocaleString('en-US', { ...options, timeZone });
+  } catch {
+    return new Date(date).toLocaleString('en-US', options);
+  }
+};
+
+// "totalEnergyKwh" -> "Total energy kwh"
+const humanizeKey = (key) => {
+  const words = String(key).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Normalize a report preview from the API into summary items, tables and charts.
+ * The summary may be an object of values or a list of { label, value, unit };
+ * table columns may be keys or { key, label }.
+ * @param {Object} preview - Response of getReportPreview
+ * @returns {{ title: string, summary: Array, tables: Array, charts: Array, pageCount: number|null }}
+ */
+export const normalizeReportPreview = (preview = {}) => {
+  const summary = Array.isArray(preview.summary)
+    ? preview.summary.map((item) => ({ ...item, label: item.label || humanizeKey(item.key) }))
+    : Object.entries(preview.summary || {})
+      .filter(([, value]) => value === null || typeof value !== 'object')
+      .map(([key, value]) => ({ key, label: humanizeKey(key), value }));
+
+  const tables = (preview.tables || []).map((table) => {
+    const rows = table.rows || [];
+    const columns = table.columns || Object.keys(rows[0] || {});
+    return {
+      ...table,
+      rows,
+      columns: columns.map((column) =>
+        typeof column === 'string'
+          ? { key: column, label: humanizeKey(column) }
+          : { ...column, label: column.label || humanizeKey(column.key) }
+      ),
+    };
+  });
+
+  const charts = (preview.charts || [])
+    .filter((chart) => chart.data?.length > 0)
+    .map((chart) => {
+      const xDataKey = chart.xDataKey || 'label';
+      const series = chart.series || Object.keys(chart.data[0])
+        .filter((key) => key !== xDataKey && typeof chart.data[0][key] === 'number')
+        .map((dataKey) => ({ dataKey, name: humanizeKey(dataKey) }));
+      return { ...chart, type: chart.type === 'bar' ? 'bar' : 'line', xDataKey, series };
+    });
+
+  return {
+    title: preview.title || '',
+    summary,
+    tables,
+    charts,
+    pageCount: preview.pageCount ?? null,
+  };
+};
@@ -0,0 +1,235 @@
+/**
+ * Site Layout Utilities
+ * Plant plans (site plan image or GeoJSON), device placements and the live status/output
+ * colours of devices and blocks on the plan
+ */
+
+import { getDeviceTypeName } from './deviceComparison';
+
+export const LAYOUT_FILE_TYPES = 'image/*,.geojson,.json';
+
+export const DEVICE_STATUS_COLORS = {
+  ONLINE: '#4CAF50',
+  OFFLINE: '#9e9e9e',
+  MAINTENANCE: '#ff9800',
+  ERROR: '#f44336',
+};
+
+// Statuses field crews are sent out for; highlighted on the plan and listed separately
+export const FAULT_STATUSES = ['ERROR', 'OFFLINE'];
+
+export const COLOR_MODES = [
+  { value: 'status', label: 'Status' },
+  { value: 'output', label: 'Output' },
+];
+
+// Devices without a live value (output mode) or unknown status
+export const NO_DATA_COLOR = '#bdbdbd';
+
+// Live tags read as a device's output, first one present wins
+const OUTPUT_TAGS = ['activePower', 'power', 'dcPower'];
+
+// GeoJSON plans are drawn this many units wide; the height follows the plan's aspect ratio
+const GEOJSON_PLAN_WIDTH = 1000;
+
+// Feature properties matched against device IDs and names to colour blocks
+const FEATURE_DEVICE_KEYS = ['deviceId', 'device', 'id', 'name'];
+
+/**
+ * Layout from the API with defaults
+ * @param {Object} layout - { background, placements }
+ * @returns {{ background: Object|null, placements: Array<{ deviceId, x, y }> }}
+ */
+export const normalizeLayout = (layout) => ({
+  background: layout?.background || null,
+  placements: Array.isArray(layout?.placements) ? layout.placements : [],
+});
+
+/**
+ * Parse a GeoJSON plan into a FeatureCollection
+ * @param {string} text - File contents
+ */
+export const parseGeoJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  let features = [];
+  if (data?.type === 'FeatureCollection') features = data.features || [];
+  else if (data?.type === 'Feature') features = [data];
+  else if (data?.type && data.coordinates) features = [{ type: 'Feature', properties: {}, geometry: data }];
+
+  features = features.filter((feature) => feature?.geometry?.coordinates);
+  if (features.length === 0) throw new Error('The GeoJSON file has no features with geometry');
+  return { type: 'FeatureCollection', features };
+};
+
+/**
+ * Read an uploaded plan: an image (with its size, kept as a File for upload) or GeoJSON
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} - Layout background
+ */
+export const readLayoutFile = async (file) => {
+  if (/\.(geo)?json$/i.test(file.name) || file.type.includes('json')) {
+    return { type: 'geojson', name: file.name, geojson: parseGeoJson(await file.text()) };
+  }
+  if (!file.type.startsWith('image/')) {
+    throw new Error('Upload an image (PNG, JPG, SVG) or a GeoJSON file');
+  }
+
+  const url = URL.createObjectURL(file);
+  const { width, height } = await new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve({ width: image.naturalWidth || 1000, height: image.naturalHeight || 750 });
+    image.onerror = () => reject(new Error('The image could not be read'));
+    image.src = url;
+  });
+  return { type: 'image', name: file.name, width, height, file, url };
+};
+
+// All [lng, lat] positions of a geometry
+const getPositions = (geometry) => {
+  const { type, coordinates, geometries } = geometry;
+  if (type === 'GeometryCollection') return (geometries || []).flatMap(getPositions);
+  if (type === 'Point') return [coordinates];
+  if (type === 'MultiPoint' || type === 'LineString') return coordinates;
+  if (type === 'Polygon' || type === 'MultiLineString') return coordinates.flat();
+  if (type === 'MultiPolygon') return coordinates.flat(2);
+  return [];
+};
+
+// Polygon rings and lines of a geometry, each with whether it is closed (filled)
+const getPaths = (geometry) => {
+  const { type, coordinates, geometries } = geometry;
+  if (type === 'GeometryCollection') return (geometries || []).flatMap(getPaths);
+  if (type === 'LineString') return [{ positions: coordinates, closed: false }];
+  if (type === 'MultiLineString') return coordinates.map((positions) => ({ positions, closed: false }));
+  if (type === 'Polygon') return coordinates.map((positions) => ({ positions, closed: true }));
+  if (type === 'MultiPolygon') return coordinates.flat().map((positions) => ({ positions, closed: true }));
+  return [];
+};
+
+const getPoints = (geometry) => {
+  if (geometry.type === 'Point') return [geometry.coordinates];
+  if (geometry.type === 'MultiPoint') return geometry.coordinates;
+  if (geometry.type === 'GeometryCollection') return (geometry.geometries || []).flatMap(getPoints);
+  return [];
+};
+
+/**
+ * Project a GeoJSON plan into SVG units (equirectangular, corrected for latitude, north up)
+ * @param {Object} geojson - FeatureCollection
+ * @returns {{ width: number, height: number, features: Array<Object> }} - Features with SVG path
+ *   data (`d`, `closed`), points and properties
+ */
+export const getGeoJsonPlan = (geojson) => {
+  const positions = geojson.features.flatMap((feature) => getPositions(feature.geometry));
+  // A loop rather than Math.min(...values): spreading large plans overflows the call stack
+  let minLng = Infinity;
+  let maxLng = -Infinity;
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  positions.forEach(([lng, lat]) => {
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  });
+  const lngScale = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const spanX = (maxLng - minLng) * lngScale || 1;
+  const spanY = maxLat - minLat || spanX;
+  const scale = GEOJSON_PLAN_WIDTH / spanX;
+
+  const project = ([lng, lat]) => [(lng - minLng) * lngScale * scale, (maxLat - lat) * scale];
+  const toPath = ({ positions: ring, closed }) => ({
+    d: ring
+      .map((position, index) => `${index ? 'L' : 'M'}${project(position).map((value) => value.toFixed(1)).join(',')}`)
+      .join(' ') + (closed ? ' Z' : ''),
+    closed,
+  });
+
+  return {
+    width: GEOJSON_PLAN_WIDTH,
+    height: Math.max(spanY * scale, 1),
+    features: geojson.features.map((feature, index) => ({
+      key: feature.id ?? index,
+      properties: feature.properties || {},
+      paths: getPaths(feature.geometry).map(toPath),
+      points: getPoints(feature.geometry).map(project),
+    })),
+  };
+};
+
+/**
+ * Size of the plan in SVG units
+ * @param {Object} background - Layout background
+ * @param {Object} geoPlan - Output of getGeoJsonPlan for GeoJSON backgrounds
+ */
+export const getPlanSize = (background, geoPlan) => {
+  if (background?.type === 'geojson' && geoPlan) return { width: geoPlan.width, height: geoPlan.height };
+  if (background?.type === 'image' && background.width && background.height) {
+    return { width: background.width, height: background.height };
+  }
+  return { width: 1000, height: 600 };
+};
+
+/**
+ * Device a GeoJSON feature stands for, matched on its deviceId/device/id/name property
+ * @param {Object} properties - Feature properties
+ * @param {Array<Object>} devices - Plant devices
+ */
+export const matchFeatureDevice = (properties, devices) => {
+  const values = FEATURE_DEVICE_KEYS
+    .map((key) => properties[key])
+    .filter((value) => value !== undefined && value !== null && value !== '')
+    .map((value) => String(value).toLowerCase());
+  if (values.length === 0) return null;
+
+  return devices.find((device) =>
+    [device.id, device.deviceId, device.name]
+      .filter(Boolean)
+      .some((value) => values.includes(String(value).toLowerCase()))
+  ) || null;
+};
+
+/**
+ * Live output of a device from its latest realtime values
+ * @returns {number|null}
+ */
+export const getDeviceOutput = (latest = {}) => {
+  const tag = OUTPUT_TAGS.find((name) => latest[name] !== undefined);
+  const value = tag ? Number(latest[tag].value) : NaN;
+  return Number.isFinite(value) ? value : null;
+};
+
+// Red (no output) through yellow to green (best of its type)
+const getOutputColor = (ratio) => `hsl(${Math.round(Math.min(Math.max(ratio, 0), 1) * 120)}, 70%, 45%)`;
+
+/**
+ * Colour of each device on the plan
+ * @param {Array<Object>} devices - Plant devices
+ * @param {Object} latestValues - Live values by device ID (realtime slice)
+ * @param {string} mode - 'status', or 'output' (relative to the best device of the same type)
+ * @returns {Map<string, string>} - Device ID -> colour
+ */
+export const getDeviceColors = (devices, latestValues, mode) => {
+  if (mode !== 'output') {
+    return new Map(devices.map((device) => [device.id, DEVICE_STATUS_COLORS[device.status] || NO_DATA_COLOR]));
+  }
+
+  const outputs = new Map(devices.map((device) => [device.id, getDeviceOutput(latestValues[device.id])]));
+  const maxByType = {};
+  devices.forEach((device) => {
+    const type = getDeviceTypeName(device);
+    maxByType[type] = Math.max(maxByType[type] || 0, outputs.get(device.id) || 0);
+  });
+
+  return new Map(devices.map((device) => {
+    const output = outputs.get(device.id);
+    const max = maxByType[getDeviceTypeName(device)];
+    return [device.id, output === null ? NO_DATA_COLOR : getOutputColor(max > 0 ? output / max : 0)];
+  }));
+};
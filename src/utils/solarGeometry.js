@@ -0,0 +1,209 @@
+/**
+ * Solar Geometry
+ * Sun position, sunrise/sunset and clear-sky irradiance for a plant's coordinates.
+ * Pure JS (NOAA general solar position equations), accurate to about a minute for
+ * sunrise/sunset, which is plenty for night-time suppression and chart shading.
+ */
+
+import { getLocalDateKey } from './timeSeries';
+
+const DEG = Math.PI / 180;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Sun elevation at sunrise/sunset (refraction and solar disc radius)
+const HORIZON_ELEVATION = -0.833;
+
+// Solar constant (W/m²)
+const SOLAR_CONSTANT = 1367;
+
+// Upper bound on samples when integrating over long ranges
+const MAX_SAMPLES = 20000;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Plant coordinates from plant.location ({ lat, lng } or { latitude, longitude })
+ * @returns {{ lat: number, lng: number }|null}
+ */
+export const getPlantCoordinates = (plant) => {
+  const lat = toNumber(plant?.location?.lat ?? plant?.location?.latitude);
+  const lng = toNumber(plant?.location?.lng ?? plant?.location?.longitude);
+  return lat === null || lng === null ? null : { lat, lng };
+};
+
+const getDayOfYear = (date) =>
+  Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS) + 1;
+
+/**
+ * Declination (radians) and equation of time (minutes) for an instant
+ */
+const getSolarParameters = (date) => {
+  const dayOfYear = getDayOfYear(date);
+  const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+  const gamma = ((2 * Math.PI) / 365) * (dayOfYear - 1 + (hours - 12) / 24);
+
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma)
+    - 0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma)
+    - 0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma)
+    - 0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  return { dayOfYear, hours, equationOfTime, declination };
+};
+
+/**
+ * Sun position for an instant and location
+ * @param {Date|string|number} date - Instant
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {{ elevation: number, zenith: number, azimuth: number, dayOfYear: number }}
+ *   Angles in degrees; azimuth clockwise from north
+ */
+export const getSunPosition = (date, lat, lng) => {
+  const instant = new Date(date);
+  const { dayOfYear, hours, equationOfTime, declination } = getSolarParameters(instant);
+
+  const trueSolarMinutes = hours * 60 + equationOfTime + 4 * lng;
+  const hourAngle = (trueSolarMinutes / 4 - 180) * DEG;
+  const latRad = lat * DEG;
+
+  const cosZenith = Math.sin(latRad) * Math.sin(declination)
+    + Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle);
+  const zenith = Math.acos(Math.min(1, Math.max(-1, cosZenith))) / DEG;
+  const azimuth = (Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(latRad) - Math.tan(declination) * Math.cos(latRad)
+  ) + Math.PI) / DEG;
+
+  return { elevation: 90 - zenith, zenith, azimuth, dayOfYear };
+};
+
+/**
+ * Extraterrestrial normal irradiance (W/m²) for a day of the year
+ */
+export const getExtraterrestrialIrradiance = (dayOfYear) =>
+  SOLAR_CONSTANT * (1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365));
+
+/**
+ * Whether the sun is above the horizon
+ * @param {Date|string|number} date - Instant
+ * @param {{ lat: number, lng: number }|null} coordinates - Plant coordinates (always daylight when unknown)
+ */
+export const isDaylight = (date, coordinates) =>
+  !coordinates || getSunPosition(date, coordinates.lat, coordinates.lng).elevation > HORIZON_ELEVATION;
+
+/**
+ * Clear-sky irradiance (Haurwitz GHI, Meinel DNI with Kasten-Young air mass)
+ * @param {Date|string|number} date - Instant
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {{ ghi: number, dni: number, dhi: number }} W/m²
+ */
+export const getClearSkyIrradiance = (date, lat, lng) => {
+  const { zenith } = getSunPosition(date, lat, lng);
+  const cosZenith = Math.cos(zenith * DEG);
+  if (zenith >= 90) return { ghi: 0, dni: 0, dhi: 0 };
+
+  const airMass = 1 / (cosZenith + 0.50572 * (96.07995 - zenith) ** -1.6364);
+  const ghi = 1098 * cosZenith * Math.exp(-0.059 / cosZenith);
+  const dni = 1353 * 0.7 ** (airMass ** 0.678);
+
+  return { ghi, dni, dhi: Math.max(0, ghi - dni * cosZenith) };
+};
+
+/**
+ * Sunrise, solar noon and sunset for the plant's local calendar day containing `date`
+ * @param {Date|string|number} date - Any instant on the day
+ * @param {{ lat: number, lng: number }} coordinates - Plant coordinates
+ * @param {string} timeZone - Plant timezone (IANA name), defaults to UTC
+ * @returns {{ sunrise: Date|null, solarNoon: Date, sunset: Date|null, polar: 'day'|'night'|null }}
+ */
+export const getSunTimes = (date, coordinates, timeZone = 'UTC') => {
+  const [year, month, day] = getLocalDateKey(date, timeZone).split('-').map(Number);
+  const dayStart = Date.UTC(year, month - 1, day);
+
+  // Solar noon in UTC minutes, refined once with the parameters at noon
+  let noonMinutes = 720 - 4 * coordinates.lng;
+  const { equationOfTime, declination } = getSolarParameters(new Date(dayStart + noonMinutes * MINUTE_MS));
+  noonMinutes -= equationOfTime;
+  const solarNoon = new Date(dayStart + noonMinutes * MINUTE_MS);
+
+  const latRad = coordinates.lat * DEG;
+  const cosHourAngle = (Math.cos((90 - HORIZON_ELEVATION) * DEG) - Math.sin(latRad) * Math.sin(declination))
+    / (Math.cos(latRad) * Math.cos(declination));
+
+  if (cosHourAngle > 1) return { sunrise: null, solarNoon, sunset: null, polar: 'night' };
+  if (cosHourAngle < -1) return { sunrise: null, solarNoon, sunset: null, polar: 'day' };
+
+  const halfDayMinutes = (Math.acos(cosHourAngle) / DEG) * 4;
+  return {
+    sunrise: new Date(solarNoon.getTime() - halfDayMinutes * MINUTE_MS),
+    solarNoon,
+    sunset: new Date(solarNoon.getTime() + halfDayMinutes * MINUTE_MS),
+    polar: null,
+  };
+};
+
+/**
+ * Hours of daylight between two instants
+ * @param {string|Date} startTime - Range start
+ * @param {string|Date} endTime - Range end
+ * @param {{ lat: number, lng: number }|null} coordinates - Plant coordinates (whole range when unknown)
+ */
+export const getDaylightHours = (startTime, endTime, coordinates) => {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  if (!(end > start)) return 0;
+  if (!coordinates) return (end - start) / HOUR_MS;
+
+  const step = Math.max(10 * MINUTE_MS, (end - start) / MAX_SAMPLES);
+  let daylight = 0;
+  for (let time = start; time < end; time += step) {
+    const slice = Math.min(step, end - time);
+    if (isDaylight(time + slice / 2, coordinates)) daylight += slice;
+  }
+  return daylight / HOUR_MS;
+};
+
+/**
+ * Contiguous night-time runs of chart rows, as x-axis ranges for shading
+ * @param {Array} rows - Chart rows with a `timestamp`
+ * @param {{ lat: number, lng: number }|null} coordinates - Plant coordinates
+ * @param {string} xDataKey - Row field used on the chart's x-axis
+ * @returns {Array<{ x1: any, x2: any }>}
+ */
+export const getNightRanges = (rows = [], coordinates, xDataKey = 'time') => {
+  if (!coordinates) return [];
+
+  const ranges = [];
+  let current = null;
+  rows.forEach((row) => {
+    if (!isDaylight(row.timestamp, coordinates)) {
+      if (current) {
+        current.x2 = row[xDataKey];
+      } else {
+        current = { x1: row[xDataKey], x2: row[xDataKey] };
+        ranges.push(current);
+      }
+    } else {
+      current = null;
+    }
+  });
+  return ranges;
+};
+
+/**
+ * Format an instant as local clock time in the plant's timezone
+ */
+export const formatLocalTime = (date, timeZone = 'UTC') => {
+  try {
+    return new Date(date).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', timeZone });
+  } catch {
+    return new Date(date).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  }
+};
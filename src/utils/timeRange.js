@@ -0,0 +1,156 @@
+/**
+ * Time Range Utilities
+ * Presets, URL encoding and automatic interval selection for the global time range
+ */
+
+import dayjs from 'dayjs';
+
+export const TIME_RANGE_PRESETS = [
+  { value: 'today', label: 'Today' },
+  { value: 'yesterday', label: 'Yesterday' },
+  { value: 'last7d', label: 'Last 7 Days' },
+  { value: 'last30d', label: 'Last 30 Days' },
+  { value: 'mtd', label: 'Month to Date' },
+  { value: 'ytd', label: 'Year to Date' },
+  { value: 'custom', label: 'Custom Range' },
+];
+
+export const DEFAULT_TIME_RANGE = { preset: 'today', start: null, end: null };
+
+// Upper bound on points returned by a single time-series query
+export const MAX_POINTS = 400;
+
+// Supported aggregation intervals, smallest first
+export const INTERVALS = [
+  { value: '1m', ms: 60 * 1000 },
+  { value: '5m', ms: 5 * 60 * 1000 },
+  { value: '15m', ms: 15 * 60 * 1000 },
+  { value: '30m', ms: 30 * 60 * 1000 },
+  { value: '1h', ms: 60 * 60 * 1000 },
+  { value: '2h', ms: 2 * 60 * 60 * 1000 },
+  { value: '6h', ms: 6 * 60 * 60 * 1000 },
+  { value: '12h', ms: 12 * 60 * 60 * 1000 },
+  { value: '1d', ms: 24 * 60 * 60 * 1000 },
+  { value: '1w', ms: 7 * 24 * 60 * 60 * 1000 },
+];
+
+// "Now" is rounded down to this step so repeated queries share a cache key
+const NOW_ROUNDING_MS = 5 * 60 * 1000;
+
+/**
+ * Current time rounded down to the "now" step (epoch ms); relative ranges move on when it changes
+ */
+export const getRoundedNow = () => Math.floor(Date.now() / NOW_ROUNDING_MS) * NOW_ROUNDING_MS;
+
+const roundedNow = () => dayjs(getRoundedNow());
+
+/**
+ * Resolve a range selection to concrete start/end instants
+ * @param {Object} range - { preset, start, end } (start/end ISO strings for 'custom')
+ * @returns {{ startTime: string, endTime: string }}
+ */
+export const resolveTimeRange = ({ preset, start, end } = DEFAULT_TIME_RANGE) => {
+  const now = roundedNow();
+  let from;
+  let to = now;
+
+  switch (preset) {
+    case 'yesterday':
+      from = now.subtract(1, 'day').startOf('day');
+      to = now.startOf('day');
+      break;
+    case 'last7d':
+      from = now.subtract(7, 'day');
+      break;
+    case 'last30d':
+      from = now.subtract(30, 'day');
+      break;
+    case 'mtd':
+      from = now.startOf('month');
+      break;
+    case 'ytd':
+      from = now.startOf('year');
+      break;
+    case 'custom':
+      from = start ? dayjs(start) : now.startOf('day');
+      to = end ? dayjs(end) : now;
+      break;
+    case 'today':
+    default:
+      from = now.startOf('day');
+      break;
+  }
+
+  return { startTime: from.toISOString(), endTime: to.toISOString() };
+};
+
+/**
+ * Pick the smallest interval that keeps a query under MAX_POINTS points
+ * @param {string} startTime - ISO start
+ * @param {string} endTime - ISO end
+ * @param {number} maxPoints - Point budget
+ */
+export const pickInterval = (startTime, endTime, maxPoints = MAX_POINTS) => {
+  const span = Math.max(0, new Date(endTime) - new Date(startTime));
+  const interval = INTERVALS.find((candidate) => span / candidate.ms <= maxPoints);
+  return (interval || INTERVALS[INTERVALS.length - 1]).value;
+};
+
+/**
+ * Pick the grouping for energy summaries (daily bars, monthly beyond ~2 months)
+ */
+export const pickGroupBy = (startTime, endTime) => {
+  const days = (new Date(endTime) - new Date(startTime)) / (24 * 60 * 60 * 1000);
+  return days > 62 ? 'month' : 'day';
+};
+
+/**
+ * Human-readable label for a range selection
+ */
+export const getTimeRangeLabel = ({ preset, start, end } = DEFAULT_TIME_RANGE) => {
+  if (preset === 'custom' && start && end) {
+    // Custom ends are exclusive (start of the day after the last picked day)
+    return `${dayjs(start).format('MMM D, YYYY')} - ${dayjs(end).subtract(1, 'ms').format('MMM D, YYYY')}`;
+  }
+  return TIME_RANGE_PRESETS.find((item) => item.value === preset)?.label || 'Today';
+};
+
+/**
+ * Read a range selection from URL search params (?range=last7d or ?range=custom&from=...&to=...)
+ * @param {URLSearchParams} searchParams
+ * @returns {Object|null} - Range selection, or null when the URL has none
+ */
+export const parseTimeRangeParams = (searchParams) => {
+  const preset = searchParams.get('range');
+  if (!preset || !TIME_RANGE_PRESETS.some((item) => item.value === preset)) return null;
+
+  if (preset === 'custom') {
+    const start = searchParams.get('from');
+    const end = searchParams.get('to');
+    if (!start || !end || !dayjs(start).isValid() || !dayjs(end).isValid()) return null;
+    return { preset, start: dayjs(start).toISOString(), end: dayjs(end).toISOString() };
+  }
+
+  return { preset, start: null, end: null };
+};
+
+/**
+ * Write a range selection into URL search params (other params are kept)
+ * @param {URLSearchParams} searchParams
+ * @param {Object} range - Range selection
+ * @returns {URLSearchParams} - New params instance
+ */
+export const writeTimeRangeParams = (searchParams, range) => {
+  const params = new URLSearchParams(searchParams);
+  params.set('range', range.preset);
+
+  if (range.preset === 'custom') {
+    params.set('from', range.start);
+    params.set('to', range.end);
+  } else {
+    params.delete('from');
+    params.delete('to');
+  }
+
+  return params;
+};
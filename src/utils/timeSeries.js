@@ -0,0 +1,151 @@
+/**
+ * Time-Series Utilities
+ * Helpers for shaping telemetry API responses into chart rows
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Intl formatters are costly to build, so reuse one per timezone
+const dateKeyFormatters = new Map();
+
+/**
+ * Format a timestamp as an x-axis label
+ * @param {string|number|Date} timestamp - Point timestamp
+ * @param {boolean} withDate - Include the date (for multi-day ranges)
+ */
+export const formatTimeLabel = (timestamp, withDate = false) => {
+  const date = new Date(timestamp);
+  if (withDate) {
+    return date.toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  }
+  return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Format a date as a day label (e.g. "Jan 5")
+ */
+export const formatDayLabel = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Calendar date key (YYYY-MM-DD) of an instant, in a timezone when given
+ * @param {string|number|Date} date - Instant
+ * @param {string} timeZone - IANA timezone (e.g. the plant's), defaults to UTC
+ */
+export const getLocalDateKey = (date, timeZone = 'UTC') => {
+  try {
+    if (!dateKeyFormatters.has(timeZone)) {
+      dateKeyFormatters.set(
+        timeZone,
+        new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      );
+    }
+    return dateKeyFormatters.get(timeZone).format(new Date(date));
+  } catch {
+    return new Date(date).toISOString().split('T')[0];
+  }
+};
+
+/**
+ * Unwrap a list from the common API envelopes ({ data: [...] }, { data: { data: [...] } } or [...])
+ */
+const unwrapList = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (Array.isArray(payload?.data)) return payload.data;
+  if (Array.isArray(payload?.data?.data)) return payload.data.data;
+  return [];
+};
+
+/**
+ * Normalize a time-series response into chart rows: { timestamp, time, [tagName]: value }.
+ * Accepts either long format ({ timestamp, tagName, value }) or wide format
+ * ({ timestamp, activePower, voltage, ... }).
+ * @param {Object|Array} payload - API response
+ * @param {string} tagName - Tag requested (used when points only carry `value`)
+ */
+export const normalizeTimeSeries = (payload, tagName) => {
+  const points = unwrapList(payload);
+  const rows = new Map();
+
+  points.forEach((point) => {
+    const timestamp = new Date(point.timestamp || point.time || point.bucket);
+    if (Number.isNaN(timestamp.getTime())) return;
+
+    const key = timestamp.toISOString();
+    const row = rows.get(key) || { timestamp: key };
+
+    if ('value' in point) {
+      row[point.tagName || tagName || 'value'] = point.value;
+    } else {
+      Object.entries(point).forEach(([field, value]) => {
+        if (typeof value === 'number') row[field] = value;
+      });
+    }
+
+    rows.set(key, row);
+  });
+
+  const sorted = [...rows.values()].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const spansDays = sorted.length > 1 &&
+    new Date(sorted[sorted.length - 1].timestamp) - new Date(sorted[0].timestamp) > 24 * HOUR_MS;
+
+  return sorted.map((row) => ({ ...row, time: formatTimeLabel(row.timestamp, spansDays) }));
+};
+
+/**
+ * Normalize an energy summary response into daily rows: { date, label, energy, ... }
+ * @param {Object|Array} payload - API response
+ */
+export const normalizeEnergySummary = (payload) =>
+  unwrapList(payload)
+    .map((row) => ({ row, date: new Date(row.date || row.period || row.timestamp) }))
+    // Rows without a readable date are dropped rather than breaking the whole chart
+    .filter(({ date }) => !Number.isNaN(date.getTime()))
+    .map(({ row, date }) => ({
+      ...row,
+      date: date.toISOString().split('T')[0],
+      label: formatDayLabel(date),
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+/**
+ * Sum several series point-by-point, matching rows on a key field
+ * @param {Array<Array>} seriesList - Series to combine
+ * @param {string} keyField - Field used to line rows up (e.g. 'timestamp' or 'date')
+ */
+export const sumSeries = (seriesList, keyField = 'timestamp') => {
+  const rows = new Map();
+
+  seriesList.forEach((series) => {
+    (series || []).forEach((point) => {
+      const key = point[keyField];
+      const row = rows.get(key) || { ...point };
+
+      if (rows.has(key)) {
+        Object.entries(point).forEach(([field, value]) => {
+          if (typeof value === 'number') row[field] = (row[field] || 0) + value;
+        });
+      }
+
+      rows.set(key, row);
+    });
+  });
+
+  return [...rows.values()].sort((a, b) => String(a[keyField]).localeCompare(String(b[keyField])));
+};
+
+/**
+ * Chart label of the first row at or after a timestamp (last row when past the end)
+ * @param {Array} rows - Chart rows with timestamp and time
+ * @param {string|number|Date} timestamp - Instant to locate
+ */
+export const getRowLabelAt = (rows, timestamp) => {
+  const time = new Date(timestamp).getTime();
+  const row = rows.find((item) => new Date(item.timestamp).getTime() >= time) || rows[rows.length - 1];
+  return row?.time;
+};
@@ -0,0 +1,324 @@
+/**
+ * XLSX Reader/Writer
+ * Minimal Office Open XML support without a spreadsheet library: single-sheet workbooks
+ * zipped without compression for export, and cell values of every sheet for import
+ */
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel rejects sheet names over 31 characters or containing []:*?/\
+const MAX_SHEET_NAME_LENGTH = 31;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Zip archive of the given files, stored (no compression)
+ * @param {Array<{ name: string, content: string }>} files
+ * @returns {Uint8Array}
+ */
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+// Control characters other than tab and line breaks are not allowed in XML 1.0
+const isXmlCharacter = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 32 || code === 9 || code === 10 || code === 13;
+};
+
+const escapeXml = (value) =>
+  [...String(value)]
+    .filter(isXmlCharacter)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Column letters: 0 -> A, 25 -> Z, 26 -> AA
+const getColumnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const renderCell = (value, ref) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  // Everything else is an inline string, never a formula, so text such as '=HYPERLINK(...)' stays inert
+  const text = value instanceof Date ? value.toISOString() : value;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+/**
+ * Build an .xlsx workbook with one sheet
+ * @param {Array<Array>} matrix - Rows of cell values (first row is usually the header)
+ * @param {string} sheetName - Sheet name
+ * @returns {Blob}
+ */
+export const buildXlsx = (matrix, sheetName = 'Sheet1') => {
+  const safeSheetName = escapeXml(
+    sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME_LENGTH).trim() || 'Sheet1'
+  );
+
+  const sheetRows = matrix
+    .map((row, rowIndex) => {
+      const cells = row.map((value, colIndex) => renderCell(value, `${getColumnName(colIndex)}${rowIndex + 1}`));
+      return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    })
+    .join('');
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows}</sheetData>` +
+        '</worksheet>',
+    },
+  ];
+
+  return new Blob([createZip(files)], { type: XLSX_MIME });
+};
+
+// Zip entries are either stored or deflated
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+/**
+ * Files of a zip archive
+ * @param {ArrayBuffer} buffer - Zip archive
+ * @returns {Promise<Object<string, string>>} - File contents (UTF-8) by path
+ */
+const readZip = async (buffer) => {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // End of central directory record, searched from the end to skip a trailing comment
+  let endOffset = buffer.byteLength - 22;
+  while (endOffset >= 0 && view.getUint32(endOffset, true) !== 0x06054b50) endOffset -= 1;
+  if (endOffset < 0) throw new Error('The file is not a valid XLSX workbook');
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const files = {};
+
+  for (let i = 0; i < entryCount; i += 1) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+    if (method === ZIP_STORED) {
+      files[name] = decoder.decode(data);
+    } else if (method === ZIP_DEFLATED) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files[name] = decoder.decode(await new Response(stream).arrayBuffer());
+    }
+  }
+
+  return files;
+};
+
+const unescapeXml = (text) =>
+  text
+    .replace(/&#x([0-9a-f]+);/gi, (_match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? unescapeXml(match[1]) : null;
+};
+
+// Text of all <t> runs in a fragment (rich text strings are split into several)
+const getText = (xml) =>
+  [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((match) => unescapeXml(match[1])).join('');
+
+// "AB12" -> 27
+const getColumnIndex = (ref) =>
+  ref.replace(/\d+$/, '').split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Rows are placed by their r="…" number: Excel leaves empty rows out of the sheet XML,
+// so index + 1 stays the spreadsheet row number
+const parseSheet = (xml, sharedStrings) => {
+  const rows = [];
+  for (const rowMatch of xml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt(getAttribute(rowMatch[0].match(/^<row\b[^>]*>/)[0], 'r'), 10);
+    const row = [];
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const ref = getAttribute(attributes, 'r');
+      const type = getAttribute(attributes, 't');
+      const rawValue = content.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = null;
+      if (type === 'inlineStr') value = getText(content);
+      else if (rawValue === undefined) value = null;
+      else if (type === 's') value = sharedStrings[parseInt(rawValue, 10)] ?? '';
+      else if (type === 'b') value = rawValue === '1';
+      else if (type === 'str' || type === 'e') value = unescapeXml(rawValue);
+      else value = Number(rawValue);
+
+      row[ref ? getColumnIndex(ref) : row.length] = value;
+    }
+    rows[rowNumber > 0 ? rowNumber - 1 : rows.length] = Array.from(row, (value) => (value === undefined ? null : value));
+  }
+  return Array.from(rows, (row) => row || []);
+};
+
+/**
+ * Read the cell values of every sheet in an .xlsx workbook.
+ * Numbers stay numbers (dates arrive as Excel serial days); formulas give their cached value.
+ * @param {ArrayBuffer} buffer - Workbook file contents
+ * @returns {Promise<Array<{ name: string, rows: Array<Array> }>>} - Sheets in workbook order
+ */
+export const readXlsx = async (buffer) => {
+  const files = await readZip(buffer);
+  const workbook = files['xl/workbook.xml'];
+  if (!workbook) throw new Error('The file is not a valid XLSX workbook');
+
+  const sharedStrings = [...(files['xl/sharedStrings.xml'] || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map((match) => getText(match[1]));
+
+  const targets = {};
+  for (const match of (files['xl/_rels/workbook.xml.rels'] || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    const target = getAttribute(match[0], 'Target') || '';
+    targets[getAttribute(match[0], 'Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  return [...workbook.matchAll(/<sheet\b[^>]*>/g)].map((match) => {
+    const path = targets[getAttribute(match[0], 'r:id')];
+    return {
+      name: getAttribute(match[0], 'name'),
+      rows: files[path] ? parseSheet(files[path], sharedStrings) : [],
+    };
+  });
+};